@@ -0,0 +1,280 @@
+/**
+ * API keys, rate limits and daily quotas
+ *
+ * Off unless API_KEYS_FILE points at a config file:
+ *
+ *   {
+ *     "defaults": { "rate": 10, "burst": 20, "dailyQuota": 10000 },
+ *     "keys": [
+ *       { "name": "acme", "key": "zf_live_...", "rate": 50, "burst": 100, "dailyQuota": 250000 },
+ *       { "name": "internal", "key": "zf_live_...", "dailyQuota": null }
+ *     ],
+ *     "anonymous": { "rate": 1, "burst": 5, "dailyQuota": 100 }
+ *   }
+ *
+ * Clients send the key as "X-API-Key: <key>" or "Authorization: Bearer <key>".
+ * Each key gets a token bucket (burst requests at once, refilled at rate
+ * per second) and a daily quota that resets at midnight UTC; null means
+ * unlimited. With an "anonymous" policy, requests without a key are allowed
+ * under it, limited per client IP; without one they get 401.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * for whichever limit is closer to running out, and RateLimit-Policy for
+ * both. A request over a limit gets 429 with Retry-After.
+ *
+ * Buckets and quota counts live in memory: they start over when the server
+ * restarts, and each replica counts on its own. Anonymous clients are kept
+ * for the most recently seen IPs only ("maxAnonymousClients", default
+ * 10000); an IP dropped from that list starts over.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const metrics = require('./metrics');
+
+const DEFAULT_POLICY = { rate: 10, burst: 20, dailyQuota: null };
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Anonymous buckets are per IP; past this many the least recently seen IP is dropped
+const MAX_ANONYMOUS_CLIENTS = 10000;
+
+// Hex digits of the key hash that identify a key in metrics
+const KEY_ID_LENGTH = 12;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function secondsUntilMidnightUTC(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - now) / 1000);
+}
+
+/**
+ * Check and fill in a rate limit policy
+ */
+function resolvePolicy(policy, defaults, label) {
+  const resolved = { ...defaults, ...policy };
+  
+  if (!(resolved.rate > 0)) throw new Error(`${label}: rate must be a positive number`);
+  if (!(resolved.burst >= 1)) throw new Error(`${label}: burst must be at least 1`);
+  if (resolved.dailyQuota !== null && !(Number.isInteger(resolved.dailyQuota) && resolved.dailyQuota > 0)) {
+    throw new Error(`${label}: dailyQuota must be a positive integer or null`);
+  }
+  
+  return { rate: resolved.rate, burst: resolved.burst, dailyQuota: resolved.dailyQuota };
+}
+
+class TokenBucket {
+  constructor({ rate, burst }, now) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = now;
+  }
+  
+  /**
+   * Take a token if there is one
+   * @returns {boolean}
+   */
+  take(now) {
+    this._refill(now);
+    if (this.tokens < 1) return false;
+    this.tokens--;
+    return true;
+  }
+  
+  remaining() {
+    return Math.floor(this.tokens);
+  }
+  
+  /**
+   * Seconds until the next token
+   */
+  retryAfter() {
+    return Math.max(1, Math.ceil((1 - this.tokens) / this.rate));
+  }
+  
+  /**
+   * Seconds until the bucket is full again
+   */
+  resetSeconds() {
+    return Math.ceil((this.burst - this.tokens) / this.rate);
+  }
+  
+  _refill(now) {
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.updatedAt = now;
+  }
+}
+
+class ApiKeys {
+  /**
+   * @param {object} config - { defaults, keys: [{ name, key, rate, burst, dailyQuota }], anonymous }
+   * @throws when the config is invalid
+   */
+  constructor(config) {
+    if (!config || !Array.isArray(config.keys)) {
+      throw new Error('API key config needs a "keys" array');
+    }
+    
+    const defaults = resolvePolicy(config.defaults || {}, DEFAULT_POLICY, 'defaults');
+    
+    // Looked up by hash so a key is never compared character by character
+    this.clients = new Map();
+    config.keys.forEach((entry, i) => {
+      const label = `keys[${i}]`;
+      if (!entry || typeof entry.key !== 'string' || !entry.key) throw new Error(`${label}: missing key`);
+      if (typeof entry.name !== 'string' || !entry.name) throw new Error(`${label}: missing name`);
+      
+      const hash = hashKey(entry.key);
+      if (this.clients.has(hash)) throw new Error(`${label}: duplicate key`);
+      
+      // Metrics are public, so they name a key by a prefix of its hash rather than by name
+      const id = hash.slice(0, KEY_ID_LENGTH);
+      this.clients.set(hash, { id, name: entry.name, policy: resolvePolicy(entry, defaults, label), bucket: null, usage: null });
+    });
+    
+    this.anonymous = config.anonymous ? resolvePolicy(config.anonymous, defaults, 'anonymous') : null;
+    this.maxAnonymousClients = config.maxAnonymousClients || MAX_ANONYMOUS_CLIENTS;
+    // In order of last request (a Map keeps insertion order), oldest first
+    this.anonymousClients = new Map();
+  }
+  
+  /**
+   * Load a config file (API_KEYS_FILE)
+   */
+  static fromFile(file) {
+    return new ApiKeys(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  
+  get size() {
+    return this.clients.size;
+  }
+  
+  /**
+   * Key ids by client name, to tell whose usage the metrics show
+   */
+  ids() {
+    return Object.fromEntries([...this.clients.values()].map(client => [client.name, client.id]));
+  }
+  
+  /**
+   * Find the client for a request
+   * @returns {object} - { client } or { status, error }
+   */
+  identify(req) {
+    const bearer = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    const key = req.get('X-API-Key') || (bearer ? bearer[1] : null);
+    
+    if (key) {
+      const client = this.clients.get(hashKey(key));
+      return client ? { client } : { status: 401, error: 'Invalid API key' };
+    }
+    
+    if (!this.anonymous) {
+      return { status: 401, error: 'Missing API key (send X-API-Key)' };
+    }
+    
+    let client = this.anonymousClients.get(req.ip);
+    if (client) {
+      this.anonymousClients.delete(req.ip);
+    } else {
+      if (this.anonymousClients.size >= this.maxAnonymousClients) {
+        this.anonymousClients.delete(this.anonymousClients.keys().next().value);
+      }
+      client = { name: 'anonymous', policy: this.anonymous, bucket: null, usage: null };
+    }
+    this.anonymousClients.set(req.ip, client);
+    return { client };
+  }
+  
+  /**
+   * Count a request against a client's limits
+   * @returns {object} - { allowed, reason ('rate' | 'quota'), retryAfter, headers }
+   */
+  consume(client, now = Date.now()) {
+    const { policy } = client;
+    const day = new Date(now).toISOString().slice(0, 10);
+    
+    if (!client.bucket) client.bucket = new TokenBucket(policy, now);
+    if (!client.usage || client.usage.day !== day) client.usage = { day, count: 0 };
+    
+    let reason = null;
+    if (policy.dailyQuota !== null && client.usage.count >= policy.dailyQuota) {
+      reason = 'quota';
+    } else if (!client.bucket.take(now)) {
+      reason = 'rate';
+    } else {
+      client.usage.count++;
+    }
+    
+    const rate = {
+      limit: policy.burst,
+      remaining: client.bucket.remaining(),
+      reset: client.bucket.resetSeconds()
+    };
+    const quota = policy.dailyQuota === null ? null : {
+      limit: policy.dailyQuota,
+      remaining: policy.dailyQuota - client.usage.count,
+      reset: secondsUntilMidnightUTC(now)
+    };
+    
+    // Report the limit that runs out first
+    const reported = reason === 'quota' || (quota && quota.remaining < rate.remaining) ? quota : rate;
+    
+    const policies = [`${policy.burst};w=${Math.ceil(policy.burst / policy.rate)}`];
+    if (quota) policies.push(`${policy.dailyQuota};w=${DAY_SECONDS}`);
+    
+    const headers = {
+      'RateLimit-Limit': String(reported.limit),
+      'RateLimit-Remaining': String(reported.remaining),
+      'RateLimit-Reset': String(reported.reset),
+      'RateLimit-Policy': policies.join(', ')
+    };
+    
+    const retryAfter = reason === 'quota' ? quota.reset : reason === 'rate' ? client.bucket.retryAfter() : null;
+    
+    return { allowed: !reason, reason, retryAfter, headers };
+  }
+  
+  /**
+   * Express middleware for the routes to protect
+   * Sets req.apiClient to the client name, for logs, and req.apiKeyId to
+   * the key id, for metrics.
+   */
+  middleware() {
+    return (req, res, next) => {
+      // Let CORS preflights through, they can't carry a key
+      if (req.method === 'OPTIONS') return next();
+      
+      const { client, status, error } = this.identify(req);
+      if (!client) {
+        metrics.recordAuthFailure();
+        return res.status(status).json({ error });
+      }
+      
+      req.apiClient = client.name;
+      req.apiKeyId = client.id;
+      
+      const result = this.consume(client);
+      res.set(result.headers);
+      
+      if (!result.allowed) {
+        metrics.recordRateLimited(client.id, result.reason);
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          error: result.reason === 'quota' ? 'Daily quota exceeded' : 'Rate limit exceeded',
+          retryAfter: result.retryAfter
+        });
+      }
+      
+      next();
+    };
+  }
+}
+
+module.exports = { ApiKeys, TokenBucket };
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ApiKeys, TokenBucket } = require('./auth.js');
+
+const NOON = Date.parse('2026-03-01T12:00:00Z');
+
+function request(headers = {}, ip = '203.0.113.1') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { ip, get: name => lower[name.toLowerCase()] };
+}
+
+describe('TokenBucket', () => {
+  it('allows a burst, then refills at the rate', () => {
+    const bucket = new TokenBucket({ rate: 2, burst: 3 }, NOON);
+    assert.equal(bucket.take(NOON), true);
+    assert.equal(bucket.take(NOON), true);
+    assert.equal(bucket.take(NOON), true);
+    assert.equal(bucket.take(NOON), false);
+    assert.equal(bucket.retryAfter(), 1);
+    assert.equal(bucket.resetSeconds(), 2);
+
+    assert.equal(bucket.take(NOON + 500), true);
+    assert.equal(bucket.remaining(), 0);
+    assert.equal(bucket.take(NOON + 10000), true);
+    assert.equal(bucket.remaining(), 2);
+  });
+});
+
+describe('ApiKeys', () => {
+  const config = {
+    defaults: { rate: 1, burst: 2, dailyQuota: 3 },
+    keys: [
+      { name: 'acme', key: 'zf_acme' },
+      { name: 'internal', key: 'zf_internal', rate: 100, burst: 100, dailyQuota: null }
+    ]
+  };
+
+  it('checks the config', () => {
+    assert.throws(() => new ApiKeys({}), /needs a "keys" array/);
+    assert.throws(() => new ApiKeys({ keys: [{ name: 'a' }] }), /keys\[0\]: missing key/);
+    assert.throws(() => new ApiKeys({ keys: [{ key: 'k' }] }), /keys\[0\]: missing name/);
+    assert.throws(() => new ApiKeys({ keys: [{ name: 'a', key: 'k' }, { name: 'b', key: 'k' }] }), /keys\[1\]: duplicate key/);
+    assert.throws(() => new ApiKeys({ keys: [{ name: 'a', key: 'k', rate: 0 }] }), /rate must be a positive number/);
+    assert.throws(() => new ApiKeys({ keys: [], anonymous: { dailyQuota: 1.5 } }), /anonymous: dailyQuota must be a positive integer or null/);
+  });
+
+  it('identifies clients by X-API-Key or bearer token', () => {
+    const keys = new ApiKeys(config);
+    assert.equal(keys.size, 2);
+    assert.equal(keys.identify(request({ 'X-API-Key': 'zf_acme' })).client.name, 'acme');
+    assert.equal(keys.identify(request({ Authorization: 'Bearer zf_internal' })).client.name, 'internal');
+    assert.deepEqual(keys.identify(request({ 'X-API-Key': 'zf_nope' })), { status: 401, error: 'Invalid API key' });
+    assert.deepEqual(keys.identify(request()), { status: 401, error: 'Missing API key (send X-API-Key)' });
+  });
+
+  it('gives each key an id from its hash', () => {
+    const keys = new ApiKeys(config);
+    const acme = crypto.createHash('sha256').update('zf_acme').digest('hex').slice(0, 12);
+    assert.equal(keys.identify(request({ 'X-API-Key': 'zf_acme' })).client.id, acme);
+    assert.deepEqual(Object.keys(keys.ids()), ['acme', 'internal']);
+    assert.equal(keys.ids().acme, acme);
+  });
+
+  it('limits the rate with standard headers', () => {
+    const keys = new ApiKeys({ keys: [{ name: 'acme', key: 'k', rate: 1, burst: 2 }] });
+    const { client } = keys.identify(request({ 'X-API-Key': 'k' }));
+
+    assert.deepEqual(keys.consume(client, NOON).headers, {
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '1',
+      'RateLimit-Policy': '2;w=2'
+    });
+    keys.consume(client, NOON);
+
+    const refused = keys.consume(client, NOON);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.reason, 'rate');
+    assert.equal(refused.retryAfter, 1);
+    assert.equal(keys.consume(client, NOON + 1000).allowed, true);
+  });
+
+  it('counts the daily quota until midnight UTC', () => {
+    const keys = new ApiKeys(config);
+    const { client } = keys.identify(request({ 'X-API-Key': 'zf_acme' }));
+
+    assert.equal(keys.consume(client, NOON).headers['RateLimit-Policy'], '2;w=2, 3;w=86400');
+    keys.consume(client, NOON + 5000);
+    const last = keys.consume(client, NOON + 10000);
+    assert.equal(last.allowed, true);
+    assert.equal(last.headers['RateLimit-Limit'], '3');
+    assert.equal(last.headers['RateLimit-Remaining'], '0');
+
+    const refused = keys.consume(client, NOON + 20000);
+    assert.equal(refused.reason, 'quota');
+    assert.equal(refused.retryAfter, 12 * 60 * 60 - 20);
+
+    assert.equal(keys.consume(client, NOON + 12 * 60 * 60 * 1000).allowed, true);
+  });
+
+  it('limits anonymous clients per IP, keeping the most recent ones', () => {
+    const keys = new ApiKeys({ keys: [], anonymous: { rate: 1, burst: 1 }, maxAnonymousClients: 2 });
+    const first = keys.identify(request({}, '10.0.0.1')).client;
+    assert.equal(first.name, 'anonymous');
+    assert.equal(keys.consume(first, NOON).allowed, true);
+    assert.equal(keys.consume(keys.identify(request({}, '10.0.0.1')).client, NOON).allowed, false);
+
+    keys.identify(request({}, '10.0.0.2'));
+    keys.identify(request({}, '10.0.0.3'));
+    assert.deepEqual([...keys.anonymousClients.keys()], ['10.0.0.2', '10.0.0.3']);
+    assert.notEqual(keys.identify(request({}, '10.0.0.1')).client, first);
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Zip dataset for the API server
+ *
+ * Loads the built data files with their search indexes, and reloads them
+ * without a restart: when the files change (watch) or on request (POST
+ * /admin/reload). A reload builds and validates the new dataset off to
+ * the side and swaps it in with a single assignment, so every request
+ * sees either the old data or the new. If validation fails the old data
+ * keeps being served.
+ *
+ * Reloads read and decompress the files asynchronously, so requests keep
+ * being answered meanwhile; only parsing and building the indexes hold
+ * the event loop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { buildCityIndex, CitySuggestIndex } = require('../src/city-index.js');
+const { GeoIndex } = require('../src/geo.js');
+const { describeStates } = require('../src/states.js');
+const { ZipIndex } = require('../src/zip-index.js');
+
+const DATA_FILE = 'zip-data.min.json';
+const STATES_FILE = 'states.json';
+const MANIFEST_FILE = 'manifest.json';
+
+const ZIP_PATTERN = /^\d{5}$/;
+
+// Precompressed copies written by build-data.js
+const COMPRESSED = {
+  br: { ext: '.br', decompress: zlib.brotliDecompressSync, decompressAsync: promisify(zlib.brotliDecompress) },
+  gzip: { ext: '.gz', decompress: zlib.gunzipSync, decompressAsync: promisify(zlib.gunzip) }
+};
+
+/**
+ * Check the shape of zip data
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function validateZipData(zipData) {
+  if (!zipData || typeof zipData !== 'object' || Array.isArray(zipData)) {
+    return 'data is not an object of zips';
+  }
+
+  const zips = Object.keys(zipData);
+  if (!zips.length) return 'data has no zip codes';
+
+  for (const zip of zips) {
+    if (!ZIP_PATTERN.test(zip)) return `invalid zip key "${zip}"`;
+
+    const locations = zipData[zip];
+    if (!Array.isArray(locations) || !locations.length) {
+      return `zip ${zip} has no locations`;
+    }
+
+    for (const loc of locations) {
+      if (!loc || typeof loc.city !== 'string' || typeof loc.state !== 'string') {
+        return `zip ${zip} has a location without a city and state`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a file, or null when it doesn't exist
+ */
+function readOptionalSync(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function readOptional(file) {
+  try {
+    return await fs.promises.readFile(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Read the files of a build directory (for the initial load)
+ * Precompressed copies that don't match the data file, e.g. left over from
+ * another build, are skipped so they are never served.
+ * @returns {object} - { content, states, manifest, compressed: { br, gzip } } Buffers;
+ *   manifest is null when there is none
+ */
+function readFilesSync(dir) {
+  const content = fs.readFileSync(path.join(dir, DATA_FILE));
+  const compressed = {};
+
+  for (const [encoding, { ext, decompress }] of Object.entries(COMPRESSED)) {
+    const variant = readOptionalSync(path.join(dir, DATA_FILE + ext));
+    if (variant && matches(() => decompress(variant), content)) compressed[encoding] = variant;
+  }
+
+  return {
+    content,
+    states: fs.readFileSync(path.join(dir, STATES_FILE)),
+    manifest: readOptionalSync(path.join(dir, MANIFEST_FILE)),
+    compressed
+  };
+}
+
+/**
+ * readFilesSync() without blocking the event loop (for reloads)
+ */
+async function readFiles(dir) {
+  const content = await fs.promises.readFile(path.join(dir, DATA_FILE));
+  const compressed = {};
+
+  for (const [encoding, { ext, decompressAsync }] of Object.entries(COMPRESSED)) {
+    const variant = await readOptional(path.join(dir, DATA_FILE + ext));
+    if (variant && await matchesAsync(() => decompressAsync(variant), content)) compressed[encoding] = variant;
+  }
+
+  return {
+    content,
+    states: await fs.promises.readFile(path.join(dir, STATES_FILE)),
+    manifest: await readOptional(path.join(dir, MANIFEST_FILE)),
+    compressed
+  };
+}
+
+function matches(decompress, content) {
+  try {
+    return decompress().equals(content);
+  } catch (e) {
+    return false; // Unreadable: serve the uncompressed file instead
+  }
+}
+
+async function matchesAsync(decompress, content) {
+  try {
+    return (await decompress()).equals(content);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Parse and validate the files of a build directory, and build its indexes
+ * @param {object} files - From readFiles()
+ * @returns {object} - { zipData, states, stateInfo, manifest, version, dataFile, cityIndex,
+ *   suggestIndex, geoIndex, zipIndex, loadedAt }; states are the state codes and stateInfo their
+ *   metadata (see src/states.js), version is the data file's content hash (the
+ *   manifest's dataVersion) and dataFile is { body, br, gzip } to serve it from memory
+ * @throws when a file is unparsable or fails validation
+ */
+function buildDataset({ content, states, manifest: manifestContent, compressed }) {
+  const zipData = JSON.parse(content.toString('utf8'));
+  const version = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+
+  const problem = validateZipData(zipData);
+  if (problem) throw new Error(`Invalid zip data: ${problem}`);
+
+  let stateInfo = JSON.parse(states.toString('utf8'));
+  if (!Array.isArray(stateInfo)) throw new Error('Invalid states.json: expected an array');
+
+  // Older builds wrote bare codes; describe them from the data instead
+  if (stateInfo.some(state => typeof state === 'string')) {
+    stateInfo = describeStates(zipData);
+  } else if (!stateInfo.every(state => state && typeof state.code === 'string')) {
+    throw new Error('Invalid states.json: every state needs a code');
+  }
+
+  // Build provenance (optional: older builds have no manifest)
+  let manifest = null;
+  if (manifestContent) {
+    manifest = JSON.parse(manifestContent.toString('utf8'));
+
+    // The data version is a hash of the data file, so a mismatch means a
+    // half-finished build or a data file from another build
+    if (manifest.dataVersion && manifest.dataVersion !== version) {
+      throw new Error(`${DATA_FILE} does not match manifest data version ${manifest.dataVersion}`);
+    }
+  }
+
+  const cityIndex = buildCityIndex(zipData);
+
+  return {
+    zipData,
+    states: stateInfo.map(state => state.code),
+    stateInfo,
+    manifest,
+    version,
+    dataFile: { body: content, ...compressed },
+    cityIndex,
+    suggestIndex: new CitySuggestIndex(cityIndex),
+    geoIndex: new GeoIndex(zipData),
+    zipIndex: new ZipIndex(zipData),
+    loadedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Read and validate a build directory, and build its indexes (blocks; see loadDatasetAsync)
+ * @param {string} dir - Directory with zip-data.min.json, states.json and (optionally) manifest.json
+ * @returns {object} - See buildDataset()
+ * @throws when a file is missing, unparsable or fails validation
+ */
+function loadDataset(dir) {
+  return buildDataset(readFilesSync(dir));
+}
+
+/**
+ * loadDataset() with the files read asynchronously
+ * @returns {Promise<object>}
+ */
+async function loadDatasetAsync(dir) {
+  return buildDataset(await readFiles(dir));
+}
+
+class DataStore {
+  /**
+   * @param {string} dir - Build directory to load from
+   * @param {object} options
+   *   - onReload(result): called after every reload attempt
+   *   - onError(error): called when the file watcher fails
+   */
+  constructor(dir, { onReload = null, onError = null } = {}) {
+    this.dir = dir;
+    this.onReload = onReload;
+    this.onError = onError;
+    this.current = null;
+    this.watcher = null;
+    this.reloading = null;
+    this.reloadQueued = null;
+    this.reloads = { success: 0, failure: 0, last: null, lastSuccess: null };
+  }
+
+  /**
+   * Initial load, before the server takes requests; throws, since there is
+   * no old data to fall back to
+   */
+  load() {
+    this.current = loadDataset(this.dir);
+    return this.current;
+  }
+
+  /**
+   * Load the data again and swap it in if it is valid
+   * A call during a reload gets one more reload after it, since the files may
+   * have changed after they were read; calls until then share that one.
+   * @param {string} trigger - What asked for the reload ('watch', 'admin', ...)
+   * @returns {Promise<object>} - { ok, trigger, at, durationMs, dataVersion, zipCodes, error? }
+   */
+  reload(trigger = 'manual') {
+    if (this.reloading) {
+      if (!this.reloadQueued) {
+        this.reloadQueued = this.reloading.then(() => {
+          this.reloadQueued = null;
+          return this.reload(trigger);
+        });
+      }
+      return this.reloadQueued;
+    }
+
+    this.reloading = this._reload(trigger).finally(() => { this.reloading = null; });
+    return this.reloading;
+  }
+
+  async _reload(trigger) {
+    const start = Date.now();
+    const result = { ok: false, trigger, at: new Date(start).toISOString() };
+
+    try {
+      const next = await loadDatasetAsync(this.dir);
+      this.current = next;
+      result.ok = true;
+    } catch (e) {
+      result.error = e.message;
+    }
+
+    result.durationMs = Date.now() - start;
+    result.dataVersion = this.dataVersion();
+    result.zipCodes = Object.keys(this.current.zipData).length;
+
+    this.reloads.last = result;
+    if (result.ok) {
+      this.reloads.success++;
+      this.reloads.lastSuccess = result;
+    } else {
+      this.reloads.failure++;
+    }
+
+    if (this.onReload) this.onReload(result);
+    return result;
+  }
+
+  /**
+   * Reload when the data files change
+   * @param {number} debounceMs - Wait for writes to settle (a build writes several files)
+   */
+  watch(debounceMs = 1000) {
+    if (this.watcher) return;
+
+    const files = new Set([DATA_FILE, STATES_FILE, MANIFEST_FILE, ...Object.values(COMPRESSED).map(({ ext }) => DATA_FILE + ext)]);
+    let timer = null;
+
+    // Watch the directory: builds and deploys often replace files by rename,
+    // which a watcher on the file itself would miss
+    this.watcher = fs.watch(this.dir, (event, filename) => {
+      if (filename && !files.has(filename)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => this.reload('watch'), debounceMs);
+    });
+
+    this.watcher.on('error', e => {
+      if (this.onError) {
+        this.onError(e);
+      } else {
+        console.error('Data watcher failed:', e.message);
+      }
+    });
+  }
+
+  unwatch() {
+    if (!this.watcher) return;
+    this.watcher.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Content hash of the loaded data file (the manifest's dataVersion, when there is one)
+   */
+  dataVersion() {
+    return this.current ? this.current.version : null;
+  }
+}
+
+module.exports = { DataStore, loadDataset, loadDatasetAsync, validateZipData, DATA_FILE };
@@ -0,0 +1,147 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DataStore, loadDataset, validateZipData } = require('./dataset.js');
+const { buildFixture, removeDir } = require('../fixtures/build.js');
+
+describe('validateZipData', () => {
+  it('accepts zips with located cities', () => {
+    assert.equal(validateZipData({ '90210': [{ city: 'Beverly Hills', state: 'CA' }] }), null);
+  });
+
+  it('describes the first problem', () => {
+    assert.equal(validateZipData([]), 'data is not an object of zips');
+    assert.equal(validateZipData({}), 'data has no zip codes');
+    assert.equal(validateZipData({ '9021': [{ city: 'x', state: 'CA' }] }), 'invalid zip key "9021"');
+    assert.equal(validateZipData({ '90210': [] }), 'zip 90210 has no locations');
+    assert.equal(validateZipData({ '90210': [{ city: 'Beverly Hills' }] }), 'zip 90210 has a location without a city and state');
+  });
+});
+
+describe('loadDataset', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = buildFixture();
+  });
+
+  afterEach(() => removeDir(dir));
+
+  it('loads a build with its indexes and precompressed copies', () => {
+    const dataset = loadDataset(dir);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+
+    assert.equal(dataset.version, manifest.dataVersion);
+    assert.deepEqual(dataset.manifest, manifest);
+    assert.equal(Object.keys(dataset.zipData).length, 15);
+    assert.ok(dataset.states.includes('CA'));
+    assert.equal(dataset.stateInfo.find(state => state.code === 'CA').name, 'California');
+    assert.deepEqual(Object.keys(dataset.dataFile).sort(), ['body', 'br', 'gzip']);
+    assert.deepEqual(dataset.cityIndex.get('beverly hills|CA').zips, ['90210', '90211']);
+  });
+
+  it('versions data without a manifest by its hash', () => {
+    const version = loadDataset(dir).version;
+    fs.rmSync(path.join(dir, 'manifest.json'));
+
+    const dataset = loadDataset(dir);
+    assert.equal(dataset.manifest, null);
+    assert.equal(dataset.version, version);
+  });
+
+  it('skips compressed copies of another build', () => {
+    fs.copyFileSync(path.join(dir, 'zip-data.min.json.gz'), path.join(dir, 'old.gz'));
+    const other = buildFixture(['--states', 'CA']);
+    fs.copyFileSync(path.join(other, 'zip-data.min.json.gz'), path.join(dir, 'zip-data.min.json.gz'));
+    removeDir(other);
+
+    assert.deepEqual(Object.keys(loadDataset(dir).dataFile).sort(), ['body', 'br']);
+  });
+
+  it('rejects a data file from another build than the manifest', () => {
+    fs.writeFileSync(path.join(dir, 'zip-data.min.json'), JSON.stringify({ '90210': [{ city: 'Beverly Hills', state: 'CA' }] }));
+    assert.throws(() => loadDataset(dir), /does not match manifest data version/);
+  });
+
+  it('describes bare state codes from older builds', () => {
+    fs.writeFileSync(path.join(dir, 'states.json'), JSON.stringify(['CA', 'NY']));
+    assert.equal(loadDataset(dir).stateInfo.find(state => state.code === 'TX').name, 'Texas');
+  });
+});
+
+describe('DataStore', () => {
+  let dir;
+  let store;
+  let results;
+
+  beforeEach(() => {
+    dir = buildFixture();
+    results = [];
+    store = new DataStore(dir, { onReload: result => results.push(result) });
+    store.load();
+  });
+
+  afterEach(() => {
+    store.unwatch();
+    removeDir(dir);
+  });
+
+  it('swaps in a new build', async () => {
+    const before = store.current;
+    buildFixture(['--states', 'CA'], dir);
+
+    const result = await store.reload('admin');
+    assert.equal(result.ok, true);
+    assert.equal(result.trigger, 'admin');
+    assert.equal(result.zipCodes, 3);
+    assert.notEqual(result.dataVersion, before.version);
+    assert.equal(store.dataVersion(), result.dataVersion);
+    assert.deepEqual(store.reloads, { success: 1, failure: 0, last: result, lastSuccess: result });
+    assert.deepEqual(results, [result]);
+  });
+
+  it('keeps the old data when the new build is broken', async () => {
+    const before = store.current;
+    fs.writeFileSync(path.join(dir, 'zip-data.min.json'), '{"90210": ');
+
+    const result = await store.reload();
+    assert.equal(result.ok, false);
+    assert.match(result.error, /JSON/);
+    assert.equal(store.current, before);
+    assert.equal(result.dataVersion, before.version);
+    assert.equal(store.reloads.failure, 1);
+  });
+
+  it('reloads once more for calls during a reload', async () => {
+    const first = store.reload('watch');
+    buildFixture(['--states', 'CA'], dir);
+    const [second, third] = await Promise.all([store.reload('admin'), store.reload('watch'), first]);
+
+    assert.equal(second, third);
+    assert.equal(second.trigger, 'admin');
+    assert.equal(second.zipCodes, 3);
+    // The first read may have caught the build half-written
+    assert.equal(store.reloads.success + store.reloads.failure, 2);
+    assert.equal(store.reloads.last, second);
+    assert.equal(store.reloadQueued, null);
+  });
+
+  it('keeps answering while the files are read', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+    await store.reload();
+    clearInterval(timer);
+    assert.ok(ticks > 0);
+  });
+
+  it('reloads when the files change', async () => {
+    const reloaded = new Promise(resolve => { store.onReload = resolve; });
+    store.watch(10);
+    buildFixture(['--states', 'TX'], dir);
+
+    const result = await reloaded;
+    assert.equal(result.trigger, 'watch');
+    assert.equal(result.zipCodes, 1);
+  });
+});
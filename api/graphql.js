@@ -0,0 +1,198 @@
+/**
+ * GraphQL endpoint over the zip dataset
+ *
+ * Optional: enabled with GRAPHQL=1 and needs the `graphql` package
+ * (an optional dependency). Resolvers call the same functions as the REST
+ * routes, so lookups are tracked in api/metrics.js the same way.
+ *
+ *   {
+ *     zip(code: "90210") { zip locations { city state timezone } }
+ *     zips(codes: ["10001", "60601"]) { query error result { locations { city } } }
+ *     cities(query: "bever", state: "CA") { city state zipCount }
+ *     city(name: "Beverly Hills", state: "CA") { zips }
+ *     states { code name fips type }
+ *   }
+ *
+ * Location's fields come from src/fields.js, so a field added there is
+ * queryable here too.
+ */
+
+const { LOCATION_FIELDS } = require('../src/fields.js');
+
+// Work allowed per query, counted across the whole query so aliases can't get
+// around it: 1 per zip looked up (the cap of POST /api/batch) and 1 per
+// cities, city or states field
+const MAX_COST = 100;
+
+const GRAPHQL_TYPES = {
+  string: 'String',
+  number: 'Float',
+  list: '[String!]'
+};
+
+function locationType() {
+  const fields = LOCATION_FIELDS.map(field => {
+    const type = GRAPHQL_TYPES[field.type] + (field.required ? '!' : '');
+    return `  ${JSON.stringify(field.description)}\n  ${field.name}: ${type}`;
+  });
+  return `type Location {\n${fields.join('\n')}\n}`;
+}
+
+function typeDefs() {
+  return `
+${locationType()}
+
+type Zip {
+  zip: String!
+  plus4: String
+  hasMultiple: Boolean!
+  locations: [Location!]!
+}
+
+type ZipLookup {
+  "The code as given"
+  query: String!
+  "Null when the code is invalid or not found"
+  result: Zip
+  error: String
+}
+
+type CitySuggestion {
+  city: String!
+  state: String!
+  zipCount: Int!
+}
+
+type City {
+  city: String!
+  state: String!
+  zips: [String!]!
+}
+
+type State {
+  "USPS code"
+  code: String!
+  name: String
+  "2-digit FIPS code; null for military codes"
+  fips: String
+  "state, district, territory or military"
+  type: String
+  zipCount: Int!
+  "Ranges of 3-digit zip prefixes, as [first, last] pairs"
+  zipPrefixes: [[String!]!]!
+}
+
+type Query {
+  "Look up a zip or ZIP+4; null when invalid or not found"
+  zip(code: String!): Zip
+  "Look up up to ${MAX_COST} zips"
+  zips(codes: [String!]!): [ZipLookup!]!
+  "Cities whose name starts with the query"
+  cities(query: String!, state: String, limit: Int = 10): [CitySuggestion!]!
+  "The zips of a city"
+  city(name: String!, state: String!): City
+  "States and territories in the data"
+  states: [State!]!
+}
+`;
+}
+
+/**
+ * Create the /graphql request handler
+ * @param {object} sources
+ *   - lookupZip(zip): the server's lookup ({ zip, locations, ... } or { error })
+ *   - reverseLookup(city, state): { city, state, zips } or { error }
+ *   - suggestCities(query, { state, limit }): [{ city, state, zipCount }]
+ *   - getStates(): [{ code, name, fips, type, zipCount, zipPrefixes }]
+ * @returns {Function|null} - Express handler, or null when `graphql` isn't installed
+ */
+function createGraphQLHandler({ lookupZip, reverseLookup, suggestCities, getStates }) {
+  let graphql;
+  try {
+    graphql = require('graphql');
+  } catch (e) {
+    return null;
+  }
+  
+  const schema = graphql.buildSchema(typeDefs());
+  
+  const charge = (context, cost) => {
+    context.cost += cost;
+    if (context.cost > MAX_COST) {
+      throw new Error(`Query too large: at most ${MAX_COST} zip lookups and city or state fields per query`);
+    }
+  };
+  
+  const rootValue = {
+    zip: ({ code }, context) => {
+      charge(context, 1);
+      const result = lookupZip(code);
+      return result.error ? null : result;
+    },
+    zips: ({ codes }, context) => {
+      charge(context, codes.length);
+      return codes.map(code => {
+        const result = lookupZip(code);
+        return result.error
+          ? { query: code, result: null, error: result.error }
+          : { query: code, result, error: null };
+      });
+    },
+    cities: ({ query, state, limit }, context) => {
+      charge(context, 1);
+      return suggestCities(query, { state, limit: Math.min(Math.max(limit, 1), 50) });
+    },
+    city: ({ name, state }, context) => {
+      charge(context, 1);
+      const result = reverseLookup(name, state);
+      return result.error ? null : result;
+    },
+    states: (args, context) => {
+      charge(context, 1);
+      return getStates();
+    }
+  };
+  
+  return async (req, res) => {
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    const { query, operationName } = params;
+    let variables = params.variables || null;
+    
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ errors: [{ message: 'Missing query' }] });
+    }
+    
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (e) {
+        return res.status(400).json({ errors: [{ message: 'Variables are not valid JSON' }] });
+      }
+    }
+    
+    let document;
+    try {
+      document = graphql.parse(query);
+    } catch (e) {
+      return res.status(400).json({ errors: [e] });
+    }
+    
+    const validationErrors = graphql.validate(schema, document);
+    if (validationErrors.length) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+    
+    const result = await graphql.execute({
+      schema,
+      document,
+      rootValue,
+      contextValue: { cost: 0 },
+      variableValues: variables,
+      operationName
+    });
+    
+    res.json(result);
+  };
+}
+
+module.exports = { createGraphQLHandler, typeDefs, MAX_COST };
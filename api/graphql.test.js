@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGraphQLHandler, typeDefs, MAX_COST } = require('./graphql.js');
+
+let installed = true;
+try {
+  require.resolve('graphql');
+} catch (e) {
+  installed = false;
+}
+
+const ZIPS = {
+  '90210': { zip: '90210', plus4: null, hasMultiple: false, locations: [{ city: 'Beverly Hills', state: 'CA', timezone: 'America/Los_Angeles' }] }
+};
+
+function createHandler(lookups = []) {
+  return createGraphQLHandler({
+    lookupZip: code => {
+      lookups.push(code);
+      return ZIPS[code] || { error: 'Zip code not found' };
+    },
+    reverseLookup: (city, state) => city === 'Beverly Hills' && state === 'CA'
+      ? { city, state, zips: ['90210', '90211'] }
+      : { error: 'City not found' },
+    suggestCities: (query, { state, limit }) => [{ city: `${query}|${state || '*'}`, state: 'CA', zipCount: limit }],
+    getStates: () => [{ code: 'CA', name: 'California', fips: '06', type: 'state', zipCount: 3, zipPrefixes: [['900', '902']] }]
+  });
+}
+
+// Run a request through the handler; resolves to { status, body }
+function run(handler, method, params) {
+  return new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body: JSON.parse(JSON.stringify(body)) });
+      }
+    };
+    handler(method === 'GET' ? { method, query: params } : { method, query: {}, body: params }, res);
+  });
+}
+
+describe('typeDefs', () => {
+  it('describes every location field', () => {
+    const schema = typeDefs();
+    assert.match(schema, /countyFips: String\n/);
+    assert.match(schema, /areaCodes: \[String!\]\n/);
+    assert.match(schema, /city: String!\n/);
+    assert.match(schema, new RegExp(`Look up up to ${MAX_COST} zips`));
+  });
+});
+
+describe('createGraphQLHandler', { skip: !installed && 'graphql is not installed' }, () => {
+  it('looks up zips with the given lookup', async () => {
+    const lookups = [];
+    const { status, body } = await run(createHandler(lookups), 'POST', {
+      query: '{ zip(code: "90210") { zip locations { city timezone } } missing: zip(code: "99999") { zip } }'
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      data: {
+        zip: { zip: '90210', locations: [{ city: 'Beverly Hills', timezone: 'America/Los_Angeles' }] },
+        missing: null
+      }
+    });
+    assert.deepEqual(lookups, ['90210', '99999']);
+  });
+
+  it('reports errors per zip in zips()', async () => {
+    const { body } = await run(createHandler(), 'POST', {
+      query: 'query Many($codes: [String!]!) { zips(codes: $codes) { query error result { zip } } }',
+      variables: { codes: ['90210', '1'] }
+    });
+    assert.deepEqual(body.data.zips, [
+      { query: '90210', error: null, result: { zip: '90210' } },
+      { query: '1', error: 'Zip code not found', result: null }
+    ]);
+  });
+
+  it('answers GET with variables as JSON', async () => {
+    const { body } = await run(createHandler(), 'GET', {
+      query: 'query ($name: String!) { city(name: $name, state: "CA") { zips } cities(query: "bev", limit: 500) { city zipCount } states { code zipPrefixes } }',
+      variables: '{"name":"Beverly Hills"}'
+    });
+    assert.deepEqual(body.data, {
+      city: { zips: ['90210', '90211'] },
+      cities: [{ city: 'bev|*', zipCount: 50 }],
+      states: [{ code: 'CA', zipPrefixes: [['900', '902']] }]
+    });
+  });
+
+  it('charges aliased fields against one budget', async () => {
+    const codes = JSON.stringify(Array.from({ length: MAX_COST }, () => '90210'));
+    const lookups = [];
+    const { body } = await run(createHandler(lookups), 'POST', {
+      query: `{ a: zips(codes: ${codes}) { query } b: zip(code: "90210") { zip } }`
+    });
+    assert.match(body.errors[0].message, /^Query too large/);
+    assert.equal(body.data.b, null);
+    assert.equal(lookups.length, MAX_COST);
+  });
+
+  it('rejects bad requests with 400', async () => {
+    const handler = createHandler();
+    assert.deepEqual(await run(handler, 'POST', {}), { status: 400, body: { errors: [{ message: 'Missing query' }] } });
+    assert.equal((await run(handler, 'GET', { query: '{ states { code } }', variables: '{' })).status, 400);
+    assert.equal((await run(handler, 'POST', { query: '{ zip(' })).status, 400);
+
+    const invalid = await run(handler, 'POST', { query: '{ zip(code: "90210") { population } }' });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.errors[0].message, /Cannot query field "population"/);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Structured logging
+ *
+ * One JSON object per line on stdout, so log collectors can index the
+ * fields instead of parsing messages:
+ *
+ *   {"time":"2026-01-05T10:00:00.000Z","level":"info","msg":"request","requestId":"3f2a...","method":"GET","path":"/api/lookup/90210","status":200,"durationMs":1.2}
+ *
+ * LOG_LEVEL sets the lowest level written: debug, info (default), warn,
+ * error or silent.
+ *
+ * Fields named like credentials (authorization, x-api-key, cookie, token,
+ * password, ...) are written as "[redacted]" at any depth; LOG_REDACT adds
+ * more names, comma-separated.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[redacted]';
+
+const DEFAULT_REDACT = [
+  'authorization',
+  'x-api-key',
+  'apikey',
+  'api_key',
+  'key',
+  'cookie',
+  'set-cookie',
+  'token',
+  'password',
+  'secret'
+];
+
+/**
+ * Parse a level name (LOG_LEVEL)
+ * @throws when the name isn't a level
+ */
+function parseLevel(name = 'info') {
+  const level = String(name).trim().toLowerCase();
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown LOG_LEVEL "${name}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+  return level;
+}
+
+/**
+ * Copy a value with redacted fields replaced and errors made serializable
+ */
+function sanitize(value, redact, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (!value || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(item => sanitize(item, redact, depth + 1));
+  
+  const copy = {};
+  for (const [name, field] of Object.entries(value)) {
+    copy[name] = redact.has(name.toLowerCase()) ? REDACTED : sanitize(field, redact, depth + 1);
+  }
+  return copy;
+}
+
+class Logger {
+  /**
+   * @param {object} options
+   *   - level: lowest level written (default 'info')
+   *   - redact: extra field names to redact, as an array or comma-separated
+   *   - fields: fields added to every line
+   *   - write(line): where lines go (default stdout)
+   */
+  constructor({ level = 'info', redact = [], fields = {}, write } = {}) {
+    const extra = typeof redact === 'string' ? redact.split(',') : redact;
+    
+    this.level = parseLevel(level);
+    this.redact = new Set([...DEFAULT_REDACT, ...extra].map(name => name.trim().toLowerCase()).filter(Boolean));
+    this.fields = fields;
+    this.write = write || (line => process.stdout.write(line));
+  }
+  
+  /**
+   * A logger that adds fields to every line, e.g. the request ID
+   */
+  child(fields) {
+    const child = Object.create(this);
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+  
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+  
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+  
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+  
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+  
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+  
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    
+    const entry = sanitize({ ...this.fields, ...fields }, this.redact);
+    this.write(JSON.stringify({ time: new Date().toISOString(), level, msg, ...entry }) + '\n');
+  }
+}
+
+/**
+ * The server's logger, configured by LOG_LEVEL and LOG_REDACT
+ */
+function createLogger(env = process.env) {
+  return new Logger({ level: env.LOG_LEVEL || 'info', redact: env.LOG_REDACT || [] });
+}
+
+module.exports = { Logger, createLogger, parseLevel, LEVELS, REDACTED };
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, createLogger, parseLevel, REDACTED } = require('./logger.js');
+
+function capture(options) {
+  const lines = [];
+  const logger = new Logger({ ...options, write: line => lines.push(JSON.parse(line)) });
+  return { logger, lines };
+}
+
+describe('parseLevel', () => {
+  it('accepts level names in any case', () => {
+    assert.equal(parseLevel(), 'info');
+    assert.equal(parseLevel(' WARN '), 'warn');
+    assert.throws(() => parseLevel('verbose'), /Unknown LOG_LEVEL "verbose" \(expected debug, info, warn, error, silent\)/);
+  });
+});
+
+describe('Logger', () => {
+  it('writes one JSON object per line from the level up', () => {
+    const { logger, lines } = capture({ level: 'warn' });
+    logger.info('skipped');
+    logger.warn('slow lookup', { zip: '90210', durationMs: 812 });
+
+    assert.equal(lines.length, 1);
+    assert.match(lines[0].time, /^\d{4}-\d\d-\d\dT/);
+    assert.deepEqual({ ...lines[0], time: null }, { time: null, level: 'warn', msg: 'slow lookup', zip: '90210', durationMs: 812 });
+    assert.equal(logger.isEnabled('error'), true);
+    assert.equal(logger.isEnabled('debug'), false);
+  });
+
+  it('writes nothing when silent', () => {
+    const { logger, lines } = capture({ level: 'silent' });
+    logger.error('lost');
+    assert.deepEqual(lines, []);
+  });
+
+  it('redacts credentials at any depth', () => {
+    const { logger, lines } = capture({ redact: 'email, ssn' });
+    logger.info('request', {
+      headers: { Authorization: 'Bearer abc', 'X-API-Key': 'zf_live', accept: 'application/json' },
+      query: { key: 'zf_live', zip: '90210' },
+      body: [{ email: 'a@example.com', password: 'hunter2' }]
+    });
+
+    assert.deepEqual(lines[0].headers, { Authorization: REDACTED, 'X-API-Key': REDACTED, accept: 'application/json' });
+    assert.deepEqual(lines[0].query, { key: REDACTED, zip: '90210' });
+    assert.deepEqual(lines[0].body, [{ email: REDACTED, password: REDACTED }]);
+  });
+
+  it('serializes errors', () => {
+    const { logger, lines } = capture();
+    logger.error('Request failed', { error: new TypeError('boom') });
+    assert.equal(lines[0].error.name, 'TypeError');
+    assert.equal(lines[0].error.message, 'boom');
+    assert.match(lines[0].error.stack, /boom/);
+  });
+
+  it('adds a child\'s fields to every line', () => {
+    const { logger, lines } = capture({ fields: { service: 'zip-fill' } });
+    const child = logger.child({ requestId: 'r1' });
+    child.info('request', { status: 200 });
+    logger.info('startup');
+
+    assert.equal(lines[0].service, 'zip-fill');
+    assert.equal(lines[0].requestId, 'r1');
+    assert.equal(lines[1].requestId, undefined);
+  });
+});
+
+describe('createLogger', () => {
+  it('reads LOG_LEVEL and LOG_REDACT', () => {
+    const logger = createLogger({ LOG_LEVEL: 'debug', LOG_REDACT: 'Email' });
+    assert.equal(logger.level, 'debug');
+    assert.ok(logger.redact.has('email'));
+    assert.throws(() => createLogger({ LOG_LEVEL: 'loud' }), /Unknown LOG_LEVEL/);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Metrics stores
+ *
+ * Where api/metrics.js keeps its snapshots, so counts survive restarts and
+ * add up across instances. A store holds the latest snapshot of every
+ * instance; /metrics merges them (see mergeSnapshots in api/metrics.js).
+ *
+ * Store interface:
+ *   read()          - Promise of the latest snapshot of every instance
+ *   write(snapshot) - Promise; save this instance's snapshot
+ *
+ * METRICS_STORE selects one:
+ *   memory (default) - nothing is kept, as before
+ *   file             - append-only files in METRICS_DIR (default ./metrics),
+ *                      one per instance, safe to share between replicas on
+ *                      the same volume
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class MemoryStore {
+  async read() {
+    return [];
+  }
+
+  async write() {}
+}
+
+class FileStore {
+  /**
+   * @param {string} dir - Directory for the <instance>.ndjson files
+   * @param {object} options
+   *   - maxLines: compact a file to its last snapshot past this many lines
+   */
+  constructor(dir, { maxLines = 100 } = {}) {
+    this.dir = dir;
+    this.maxLines = maxLines;
+    this.lines = new Map();
+  }
+
+  async read() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+
+    const snapshots = [];
+    for (const file of files.filter(name => name.endsWith('.ndjson'))) {
+      const snapshot = await this._readLast(path.join(this.dir, file));
+      if (snapshot) snapshots.push(snapshot);
+    }
+    return snapshots;
+  }
+
+  /**
+   * Append the snapshot; each line supersedes the one before, so a crash
+   * mid-write loses at most the last line
+   */
+  async write(snapshot) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const file = this._file(snapshot.instance);
+    const line = JSON.stringify(snapshot) + '\n';
+    const lines = (this.lines.get(file) || 0) + 1;
+
+    if (lines > this.maxLines) {
+      // Compact: replace the file with just the newest snapshot
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, line);
+      await fs.promises.rename(tmp, file);
+      this.lines.set(file, 1);
+    } else {
+      await fs.promises.appendFile(file, line);
+      this.lines.set(file, lines);
+    }
+  }
+
+  _file(instance) {
+    return path.join(this.dir, `${String(instance).replace(/[^\w.-]/g, '_')}.ndjson`);
+  }
+
+  async _readLast(file) {
+    let content;
+    try {
+      content = await fs.promises.readFile(file, 'utf8');
+    } catch (e) {
+      return null;
+    }
+
+    const lines = content.split('\n').filter(Boolean);
+    this.lines.set(file, lines.length);
+
+    // The last line may be cut short by a crash; fall back to the one before
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        return JSON.parse(lines[i]);
+      } catch (e) {
+        continue;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Create the store named by METRICS_STORE
+ */
+function createStore(type = 'memory', { dir = './metrics' } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(path.resolve(dir));
+    default:
+      throw new Error(`Unknown METRICS_STORE "${type}" (expected memory or file)`);
+  }
+}
+
+module.exports = { MemoryStore, FileStore, createStore };
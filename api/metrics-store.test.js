@@ -0,0 +1,63 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore, FileStore, createStore } = require('./metrics-store.js');
+const { tempDir, removeDir } = require('../fixtures/build.js');
+
+const snapshot = (instance, total) => ({ format: 'zipfill-metrics', version: 1, instance, data: { requests: { total } } });
+
+describe('MemoryStore', () => {
+  it('keeps nothing', async () => {
+    const store = new MemoryStore();
+    await store.write(snapshot('a', 1));
+    assert.deepEqual(await store.read(), []);
+  });
+});
+
+describe('FileStore', () => {
+  let dir;
+
+  afterEach(() => removeDir(dir));
+
+  it('keeps the latest snapshot of every instance', async () => {
+    dir = tempDir();
+    const store = new FileStore(path.join(dir, 'metrics'));
+    assert.deepEqual(await store.read(), []);
+
+    await store.write(snapshot('web-1', 1));
+    await store.write(snapshot('web-1', 2));
+    await store.write(snapshot('web/2', 5));
+
+    const snapshots = await new FileStore(path.join(dir, 'metrics')).read();
+    assert.deepEqual(snapshots.map(s => [s.instance, s.data.requests.total]).sort(), [['web-1', 2], ['web/2', 5]]);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'metrics')).sort(), ['web-1.ndjson', 'web_2.ndjson']);
+  });
+
+  it('compacts a file past maxLines', async () => {
+    dir = tempDir();
+    const store = new FileStore(dir, { maxLines: 2 });
+    for (let total = 1; total <= 3; total++) await store.write(snapshot('web-1', total));
+
+    assert.equal(fs.readFileSync(path.join(dir, 'web-1.ndjson'), 'utf8'), JSON.stringify(snapshot('web-1', 3)) + '\n');
+    await store.write(snapshot('web-1', 4));
+    assert.equal(fs.readFileSync(path.join(dir, 'web-1.ndjson'), 'utf8').split('\n').length, 3);
+  });
+
+  it('skips a last line cut short by a crash', async () => {
+    dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'web-1.ndjson'), JSON.stringify(snapshot('web-1', 7)) + '\n{"format":"zipf');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a snapshot');
+
+    const snapshots = await new FileStore(dir).read();
+    assert.deepEqual(snapshots.map(s => s.data.requests.total), [7]);
+  });
+});
+
+describe('createStore', () => {
+  it('creates the store named by METRICS_STORE', () => {
+    assert.ok(createStore() instanceof MemoryStore);
+    assert.equal(createStore('file', { dir: 'metrics' }).dir, path.resolve('metrics'));
+    assert.throws(() => createStore('sqlite'), /Unknown METRICS_STORE "sqlite" \(expected memory or file\)/);
+  });
+});
@@ -1,12 +1,171 @@
 /**
  * Simple metrics collection for ZipFill API
  * Tracks requests, response times, and usage patterns
+ *
+ * With a store (see api/metrics-store.js) the counts are saved as
+ * snapshots: a restarted instance carries on from its last snapshot, and
+ * /metrics adds up the snapshots of every instance sharing the store.
+ * /metrics/prometheus stays per instance, since Prometheus sums replicas itself.
  */
 
+const fs = require('fs');
+const os = require('os');
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const SNAPSHOT_FORMAT = 'zipfill-metrics';
+const SNAPSHOT_VERSION = 1;
+
+// State saved in snapshots; the rest is per process
+const SNAPSHOT_FIELDS = [
+  'requests',
+  'responseTimes',
+  'durations',
+  'lookups',
+  'reverseLookups',
+  'hourlyRequests',
+  'byKey',
+  'authFailures',
+  'cache',
+  'reloads'
+];
+
+// Reload fields that describe the latest reload, so merging keeps the newest instead of adding
+const LATEST_RELOAD_FIELDS = ['lastAt', 'lastSuccessAt', 'lastDurationMs'];
+
+/**
+ * Add two snapshot values: numbers add up, arrays (response time samples)
+ * are joined, objects merge key by key
+ */
+function mergeValues(a, b) {
+  if (a === undefined || a === null) return b === undefined ? a : structuredClone(b);
+  if (b === undefined || b === null) return a;
+  if (typeof a === 'number' && typeof b === 'number') return a + b;
+  if (Array.isArray(a) && Array.isArray(b)) return [...a, ...b];
+
+  if (typeof a === 'object' && typeof b === 'object') {
+    const merged = { ...a };
+    for (const [key, value] of Object.entries(b)) {
+      merged[key] = mergeValues(a[key], value);
+    }
+    return merged;
+  }
+
+  return b;
+}
+
+// Request duration histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Endpoints are labels; paths outside any route (scanners, typos) past this many share one
+const MAX_ENDPOINT_LABELS = 100;
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Parse histogram buckets ("0.01,0.1,1") into sorted seconds
+ * @throws when a bucket isn't a positive number
+ */
+function parseBuckets(value) {
+  const buckets = String(value).split(',').map(part => part.trim()).filter(Boolean).map(Number);
+  if (!buckets.length || buckets.some(bucket => !(bucket > 0) || !Number.isFinite(bucket))) {
+    throw new Error(`Invalid histogram buckets "${value}"`);
+  }
+  return [...new Set(buckets)].sort((a, b) => a - b);
+}
+
+function topCounts(counts, n) {
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, n));
+}
+
+/**
+ * Merge metrics snapshots (from restarts or other instances) into one
+ * @param {object[]} snapshots - From Metrics#snapshot()
+ * @returns {object} - A snapshot with the totals
+ */
+function mergeSnapshots(snapshots) {
+  const valid = snapshots.filter(s => s && s.format === SNAPSHOT_FORMAT && s.version === SNAPSHOT_VERSION);
+  const data = {};
+
+  for (const snapshot of valid) {
+    for (const field of SNAPSHOT_FIELDS) {
+      let value = snapshot.data[field];
+      if (field === 'reloads' && value) {
+        value = { ...value };
+        LATEST_RELOAD_FIELDS.forEach(name => delete value[name]);
+      }
+      data[field] = mergeValues(data[field], value);
+    }
+  }
+
+  // Latest reload across all snapshots
+  const reloads = valid.map(s => s.data.reloads).filter(r => r && r.lastAt);
+  const latest = reloads.sort((a, b) => b.lastAt - a.lastAt)[0];
+  const lastSuccess = reloads.map(r => r.lastSuccessAt).filter(Boolean).sort((a, b) => b - a)[0];
+  if (data.reloads) {
+    data.reloads.lastAt = latest ? latest.lastAt : null;
+    data.reloads.lastDurationMs = latest ? latest.lastDurationMs : null;
+    data.reloads.lastSuccessAt = lastSuccess || null;
+  }
+
+  // Same bounds as a single instance keeps
+  if (data.responseTimes) {
+    data.responseTimes.total = data.responseTimes.total.slice(-1000);
+    for (const endpoint of Object.keys(data.responseTimes.byEndpoint)) {
+      data.responseTimes.byEndpoint[endpoint] = data.responseTimes.byEndpoint[endpoint].slice(-100);
+    }
+  }
+  if (data.hourlyRequests) {
+    const hours = Object.keys(data.hourlyRequests).sort().slice(-168);
+    data.hourlyRequests = Object.fromEntries(hours.map(hour => [hour, data.hourlyRequests[hour]]));
+  }
+  if (data.lookups && Object.keys(data.lookups.topZips).length > 1000) {
+    data.lookups.topZips = topCounts(data.lookups.topZips, 500);
+  }
+  if (data.reverseLookups && Object.keys(data.reverseLookups.topCities).length > 1000) {
+    data.reverseLookups.topCities = topCounts(data.reverseLookups.topCities, 500);
+  }
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    instances: valid.map(s => s.instance),
+    since: Math.min(...valid.map(s => s.since)),
+    savedAt: Math.max(...valid.map(s => s.savedAt)),
+    data
+  };
+}
+
 class Metrics {
   constructor() {
     this.startTime = Date.now();
     
+    // Start of the counts: earlier than startTime once restored from a snapshot
+    this.since = this.startTime;
+    
+    // Snapshot store, and the latest snapshots of the other instances
+    this.store = null;
+    this.instance = `${os.hostname()}-${process.pid}`;
+    this.peers = [];
+    this.flushTimer = null;
+    
     // Request counters
     this.requests = {
       total: 0,
@@ -26,10 +185,47 @@ class Metrics {
       total: 0,
       found: 0,
       notFound: 0,
+      invalid: 0,       // Part of notFound: not a zip at all
       topZips: {},      // Most looked up zips
       topStates: {}     // Most returned states
     };
     
+    // Reverse (city/state -> zips) lookup stats
+    this.reverseLookups = {
+      total: 0,
+      found: 0,
+      notFound: 0,
+      topCities: {}     // Most looked up "City, ST" pairs
+    };
+    
+    // Usage per API key (see api/auth.js)
+    this.byKey = {};
+    this.authFailures = 0;
+    
+    // Conditional requests: hits are answered with 304
+    this.cache = {
+      api: { hits: 0, misses: 0 },
+      data: { hits: 0, misses: 0 }
+    };
+    
+    // Data reloads (see api/dataset.js)
+    this.reloads = {
+      success: 0,
+      failure: 0,
+      lastAt: null,
+      lastSuccessAt: null,
+      lastDurationMs: null
+    };
+    
+    // Request duration histograms by endpoint:
+    // { endpoint: { buckets: { upper bound: count }, sum, count } }, not cumulative
+    this.buckets = DEFAULT_BUCKETS;
+    this.durations = {};
+    
+    // Event loop delay, reset on each Prometheus scrape
+    this.eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+    this.eventLoopDelay.enable();
+    
     // Time-series data (hourly buckets)
     this.hourlyRequests = {};
     
@@ -41,7 +237,7 @@ class Metrics {
    * Record a request
    */
   recordRequest(req, res, responseTimeMs) {
-    const endpoint = this._normalizeEndpoint(req.path);
+    const endpoint = this._endpointLabel(req, res);
     const method = req.method;
     const status = res.statusCode;
     const hour = this._getCurrentHour();
@@ -58,6 +254,13 @@ class Metrics {
     // By method
     this.requests.byMethod[method] = (this.requests.byMethod[method] || 0) + 1;
     
+    // By API key
+    if (req.apiKeyId) {
+      const usage = this._keyUsage(req.apiKeyId);
+      usage.requests++;
+      usage.byStatus[status] = (usage.byStatus[status] || 0) + 1;
+    }
+    
     // Hourly tracking
     if (!this.hourlyRequests[hour]) {
       this.hourlyRequests[hour] = 0;
@@ -65,7 +268,11 @@ class Metrics {
     }
     this.hourlyRequests[hour]++;
     
+    // Duration histogram
+    this._observeDuration(endpoint, responseTimeMs / 1000);
+    
     // Response times
+    responseTimeMs = Math.round(responseTimeMs);
     this.responseTimes.total.push(responseTimeMs);
     if (this.responseTimes.total.length > this.maxResponseTimes) {
       this.responseTimes.total.shift();
@@ -80,6 +287,14 @@ class Metrics {
     }
   }
 
+  /**
+   * Set the request duration histogram buckets
+   * @param {number[]|string} buckets - Upper bounds in seconds, or "0.01,0.1,1"
+   */
+  setBuckets(buckets) {
+    this.buckets = parseBuckets(Array.isArray(buckets) ? buckets.join(',') : buckets);
+  }
+
   /**
    * Record a zip lookup
    */
@@ -104,15 +319,148 @@ class Metrics {
       }
     } else {
       this.lookups.notFound++;
+      
+      // lookupZip gives the parse failure reason for malformed zips
+      if (result && result.reason) this.lookups.invalid++;
+    }
+  }
+
+  /**
+   * Record a reverse (city/state) lookup
+   */
+  recordReverseLookup(query, result) {
+    this.reverseLookups.total++;
+    
+    if (result && !result.error) {
+      this.reverseLookups.found++;
+      
+      const key = `${result.city}, ${result.state}`;
+      this.reverseLookups.topCities[key] = (this.reverseLookups.topCities[key] || 0) + 1;
+      
+      if (Object.keys(this.reverseLookups.topCities).length > 1000) {
+        this.reverseLookups.topCities = this._pruneCounts(this.reverseLookups.topCities);
+      }
+    } else {
+      this.reverseLookups.notFound++;
+    }
+  }
+
+  /**
+   * Record a cacheable request
+   * @param {string} resource - 'api' (lookup routes) or 'data' (the data file)
+   * @param {boolean} hit - Answered with 304 from the client's If-None-Match
+   */
+  recordCacheCheck(resource, hit) {
+    if (!this.cache[resource]) this.cache[resource] = { hits: 0, misses: 0 };
+    if (hit) {
+      this.cache[resource].hits++;
+    } else {
+      this.cache[resource].misses++;
+    }
+  }
+
+  /**
+   * Record a request turned away for a missing or invalid API key
+   */
+  recordAuthFailure() {
+    this.authFailures++;
+  }
+
+  /**
+   * Record a request over its rate limit or daily quota
+   * @param {string} key - API key id
+   * @param {string} reason - 'rate' or 'quota'
+   */
+  recordRateLimited(key, reason) {
+    const usage = this._keyUsage(key);
+    if (reason === 'quota') {
+      usage.quotaExceeded++;
+    } else {
+      usage.rateLimited++;
     }
   }
 
   /**
-   * Get metrics summary
+   * Record a data reload attempt
+   * @param {object} result - { ok, at, durationMs } from DataStore.reload()
+   */
+  recordReload(result) {
+    const at = Date.parse(result.at);
+    
+    if (result.ok) {
+      this.reloads.success++;
+      this.reloads.lastSuccessAt = at;
+    } else {
+      this.reloads.failure++;
+    }
+    this.reloads.lastAt = at;
+    this.reloads.lastDurationMs = result.durationMs;
+  }
+
+  /**
+   * Save snapshots to a store, and merge in the other instances' snapshots
+   * Restores this instance's last snapshot first, so a restart with the
+   * same instance name carries on counting.
+   * @param {object} store - See api/metrics-store.js
+   * @param {object} options
+   *   - instance: name for this instance (default: hostname-pid)
+   *   - flushIntervalMs: how often to save and read (default 10s)
+   *   - onError(error): called when a periodic flush fails
+   */
+  async useStore(store, { instance = null, flushIntervalMs = 10000, onError = null } = {}) {
+    this.store = store;
+    if (instance) this.instance = instance;
+    
+    const snapshots = await store.read();
+    const own = snapshots.find(s => s.instance === this.instance);
+    if (own) this._restore(own);
+    this.peers = snapshots.filter(s => s.instance !== this.instance);
+    
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(e => {
+        if (onError) {
+          onError(e);
+        } else {
+          console.error('Metrics flush failed:', e.message);
+        }
+      });
+    }, flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Save a snapshot now (also call on shutdown) and re-read the other instances
+   */
+  async flush() {
+    if (!this.store) return;
+    await this.store.write(this.snapshot());
+    this.peers = (await this.store.read()).filter(s => s.instance !== this.instance);
+  }
+
+  /**
+   * This instance's counts in the mergeable snapshot format
+   */
+  snapshot() {
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      instance: this.instance,
+      since: this.since,
+      savedAt: Date.now(),
+      data: Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, structuredClone(this[field])]))
+    };
+  }
+
+  /**
+   * Get metrics summary (totals across instances when there is a store)
    */
   getSummary() {
+    return this._view()._summary();
+  }
+
+  _summary() {
     const uptime = Date.now() - this.startTime;
-    const uptimeHours = uptime / (1000 * 60 * 60);
+    const countedHours = (Date.now() - this.since) / (1000 * 60 * 60);
     
     return {
       uptime: {
@@ -121,7 +469,7 @@ class Metrics {
       },
       requests: {
         total: this.requests.total,
-        perHour: uptimeHours > 0 ? Math.round(this.requests.total / uptimeHours) : 0,
+        perHour: countedHours > 0 ? Math.round(this.requests.total / countedHours) : 0,
         byEndpoint: this.requests.byEndpoint,
         byStatus: this.requests.byStatus,
         byMethod: this.requests.byMethod
@@ -136,12 +484,34 @@ class Metrics {
         total: this.lookups.total,
         found: this.lookups.found,
         notFound: this.lookups.notFound,
+        invalid: this.lookups.invalid,
         hitRate: this.lookups.total > 0 
           ? Math.round((this.lookups.found / this.lookups.total) * 100) 
           : 0,
         topZips: this._getTopN(this.lookups.topZips, 10),
         topStates: this._getTopN(this.lookups.topStates, 10)
       },
+      reverseLookups: {
+        total: this.reverseLookups.total,
+        found: this.reverseLookups.found,
+        notFound: this.reverseLookups.notFound,
+        topCities: this._getTopN(this.reverseLookups.topCities, 10)
+      },
+      cache: Object.fromEntries(Object.entries(this.cache).map(([resource, { hits, misses }]) => [
+        resource,
+        { hits, misses, hitRate: this._hitRate(hits, misses) }
+      ])),
+      apiKeys: {
+        authFailures: this.authFailures,
+        byKey: this.byKey
+      },
+      reloads: {
+        success: this.reloads.success,
+        failure: this.reloads.failure,
+        lastAt: this.reloads.lastAt ? new Date(this.reloads.lastAt).toISOString() : null,
+        lastSuccessAt: this.reloads.lastSuccessAt ? new Date(this.reloads.lastSuccessAt).toISOString() : null,
+        lastDurationMs: this.reloads.lastDurationMs
+      },
       traffic: {
         last24h: this._getLast24hRequests(),
         hourly: this._getHourlyBreakdown()
@@ -150,63 +520,219 @@ class Metrics {
   }
 
   /**
-   * Get Prometheus-format metrics
+   * Get Prometheus-format metrics (text exposition format 0.0.4)
    */
   getPrometheus() {
     const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (const [labels, value, suffix = ''] of samples) {
+        lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    };
+    const entries = counts => Object.entries(counts);
     
-    // Request counters
-    lines.push('# HELP zipfill_requests_total Total number of requests');
-    lines.push('# TYPE zipfill_requests_total counter');
-    lines.push(`zipfill_requests_total ${this.requests.total}`);
+    // Requests
+    metric('zipfill_requests_total', 'counter', 'Total number of requests', [[{}, this.requests.total]]);
+    metric('zipfill_requests_by_endpoint_total', 'counter', 'Requests by endpoint',
+      entries(this.requests.byEndpoint).map(([endpoint, count]) => [{ endpoint }, count]));
+    metric('zipfill_requests_by_status_total', 'counter', 'Requests by HTTP status',
+      entries(this.requests.byStatus).map(([status, count]) => [{ status }, count]));
     
-    // By endpoint
-    lines.push('# HELP zipfill_requests_by_endpoint Requests by endpoint');
-    lines.push('# TYPE zipfill_requests_by_endpoint counter');
-    for (const [endpoint, count] of Object.entries(this.requests.byEndpoint)) {
-      lines.push(`zipfill_requests_by_endpoint{endpoint="${endpoint}"} ${count}`);
+    // Response times
+    const durations = [];
+    for (const [endpoint, histogram] of entries(this.durations)) {
+      let cumulative = 0;
+      for (const bound of this.buckets) {
+        cumulative += histogram.buckets[bound] || 0;
+        durations.push([{ endpoint, le: bound }, cumulative, '_bucket']);
+      }
+      durations.push([{ endpoint, le: '+Inf' }, histogram.count, '_bucket']);
+      durations.push([{ endpoint }, histogram.sum, '_sum']);
+      durations.push([{ endpoint }, histogram.count, '_count']);
     }
+    metric('zipfill_http_request_duration_seconds', 'histogram', 'Request duration by endpoint', durations);
     
-    // By status
-    lines.push('# HELP zipfill_requests_by_status Requests by HTTP status');
-    lines.push('# TYPE zipfill_requests_by_status counter');
-    for (const [status, count] of Object.entries(this.requests.byStatus)) {
-      lines.push(`zipfill_requests_by_status{status="${status}"} ${count}`);
-    }
+    // Lookups
+    const { found, notFound, invalid } = this.lookups;
+    metric('zipfill_lookups_total', 'counter', 'Zip lookups by outcome', [
+      [{ result: 'found' }, found],
+      [{ result: 'not_found' }, notFound - invalid],
+      [{ result: 'invalid' }, invalid]
+    ]);
+    metric('zipfill_lookups_by_state_total', 'counter', 'Successful zip lookups by state',
+      entries(this.lookups.topStates).map(([state, count]) => [{ state }, count]));
     
-    // Response times
-    const avg = this._average(this.responseTimes.total);
-    const p95 = this._percentile(this.responseTimes.total, 95);
-    lines.push('# HELP zipfill_response_time_avg Average response time in ms');
-    lines.push('# TYPE zipfill_response_time_avg gauge');
-    lines.push(`zipfill_response_time_avg ${avg.toFixed(2)}`);
-    lines.push('# HELP zipfill_response_time_p95 95th percentile response time');
-    lines.push('# TYPE zipfill_response_time_p95 gauge');
-    lines.push(`zipfill_response_time_p95 ${p95.toFixed(2)}`);
+    // Reverse lookups
+    metric('zipfill_reverse_lookups_total', 'counter', 'City/state lookups by outcome', [
+      [{ result: 'found' }, this.reverseLookups.found],
+      [{ result: 'not_found' }, this.reverseLookups.notFound]
+    ]);
     
-    // Lookups
-    lines.push('# HELP zipfill_lookups_total Total zip lookups');
-    lines.push('# TYPE zipfill_lookups_total counter');
-    lines.push(`zipfill_lookups_total ${this.lookups.total}`);
-    lines.push('# HELP zipfill_lookups_found Successful lookups');
-    lines.push('# TYPE zipfill_lookups_found counter');
-    lines.push(`zipfill_lookups_found ${this.lookups.found}`);
-    lines.push('# HELP zipfill_lookups_not_found Failed lookups');
-    lines.push('# TYPE zipfill_lookups_not_found counter');
-    lines.push(`zipfill_lookups_not_found ${this.lookups.notFound}`);
+    // HTTP cache
+    metric('zipfill_cache_requests_total', 'counter', 'Cacheable requests; hits were answered with 304',
+      entries(this.cache).flatMap(([resource, { hits, misses }]) => [
+        [{ resource, result: 'hit' }, hits],
+        [{ resource, result: 'miss' }, misses]
+      ]));
+    metric('zipfill_cache_hit_ratio', 'gauge', 'Share of cacheable requests answered with 304',
+      entries(this.cache).map(([resource, { hits, misses }]) => [{ resource }, this._hitRate(hits, misses) / 100]));
+    
+    // API keys
+    metric('zipfill_auth_failures_total', 'counter', 'Requests with a missing or invalid API key', [[{}, this.authFailures]]);
+    metric('zipfill_requests_by_key_total', 'counter', 'Requests by API key',
+      entries(this.byKey).map(([key, usage]) => [{ key }, usage.requests]));
+    metric('zipfill_rate_limited_total', 'counter', 'Requests refused with 429 by API key',
+      entries(this.byKey).flatMap(([key, usage]) => [
+        [{ key, reason: 'rate' }, usage.rateLimited],
+        [{ key, reason: 'quota' }, usage.quotaExceeded]
+      ]));
+    
+    // Data reloads
+    metric('zipfill_data_reloads_total', 'counter', 'Data reload attempts', [
+      [{ result: 'success' }, this.reloads.success],
+      [{ result: 'failure' }, this.reloads.failure]
+    ]);
+    metric('zipfill_data_last_reload_success_timestamp_seconds', 'gauge', 'Time of the last successful reload',
+      [[{}, this.reloads.lastSuccessAt ? Math.floor(this.reloads.lastSuccessAt / 1000) : 0]]);
     
     // Uptime
-    lines.push('# HELP zipfill_uptime_seconds Uptime in seconds');
-    lines.push('# TYPE zipfill_uptime_seconds gauge');
-    lines.push(`zipfill_uptime_seconds ${Math.floor((Date.now() - this.startTime) / 1000)}`);
+    metric('zipfill_uptime_seconds', 'gauge', 'Uptime in seconds', [[{}, Math.floor((Date.now() - this.startTime) / 1000)]]);
+    
+    // Process and runtime
+    const cpu = process.cpuUsage();
+    const memory = process.memoryUsage();
+    metric('process_cpu_user_seconds_total', 'counter', 'User CPU time spent in seconds', [[{}, cpu.user / 1e6]]);
+    metric('process_cpu_system_seconds_total', 'counter', 'System CPU time spent in seconds', [[{}, cpu.system / 1e6]]);
+    metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes', [[{}, memory.rss]]);
+    metric('process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch in seconds', [[{}, Math.floor(this.startTime / 1000)]]);
+    
+    const openFds = this._openFds();
+    if (openFds !== null) {
+      metric('process_open_fds', 'gauge', 'Number of open file descriptors', [[{}, openFds]]);
+    }
+    
+    metric('nodejs_heap_size_total_bytes', 'gauge', 'V8 heap size in bytes', [[{}, memory.heapTotal]]);
+    metric('nodejs_heap_size_used_bytes', 'gauge', 'V8 heap used in bytes', [[{}, memory.heapUsed]]);
+    metric('nodejs_external_memory_bytes', 'gauge', 'Memory of C++ objects bound to JavaScript in bytes', [[{}, memory.external]]);
     
-    return lines.join('\n');
+    const lag = this._eventLoopDelay();
+    metric('nodejs_eventloop_lag_seconds', 'gauge', 'Mean event loop delay in seconds', [[{}, lag.mean]]);
+    metric('nodejs_eventloop_lag_p99_seconds', 'gauge', '99th percentile event loop delay in seconds', [[{}, lag.p99]]);
+    metric('nodejs_version_info', 'gauge', 'Node.js version', [[{ version: process.version }, 1]]);
+    
+    // Deprecated names from 1.0, kept until the next major release (see README)
+    // Counters need a _total name, so the old counters are untyped
+    metric('zipfill_requests_by_endpoint', 'untyped', 'Deprecated: use zipfill_requests_by_endpoint_total',
+      entries(this.requests.byEndpoint).map(([endpoint, count]) => [{ endpoint }, count]));
+    metric('zipfill_requests_by_status', 'untyped', 'Deprecated: use zipfill_requests_by_status_total',
+      entries(this.requests.byStatus).map(([status, count]) => [{ status }, count]));
+    metric('zipfill_response_time_avg', 'gauge', 'Deprecated: use zipfill_http_request_duration_seconds',
+      [[{}, this._average(this.responseTimes.total).toFixed(2)]]);
+    metric('zipfill_response_time_p95', 'gauge', 'Deprecated: use zipfill_http_request_duration_seconds',
+      [[{}, this._percentile(this.responseTimes.total, 95).toFixed(2)]]);
+    metric('zipfill_lookups_found', 'untyped', 'Deprecated: use zipfill_lookups_total{result="found"}', [[{}, found]]);
+    metric('zipfill_lookups_not_found', 'untyped', 'Deprecated: use zipfill_lookups_total{result=~"not_found|invalid"}', [[{}, notFound]]);
+    
+    // The format requires a line break after the last line
+    return lines.join('\n') + '\n';
   }
 
   // Helper methods
+
+  /**
+   * This instance merged with the other instances' snapshots
+   */
+  _view() {
+    if (!this.peers.length) return this;
+    
+    const merged = mergeSnapshots([this.snapshot(), ...this.peers]);
+    return Object.assign(Object.create(Metrics.prototype), this, merged.data, { since: merged.since });
+  }
+
+  /**
+   * Add a snapshot from before a restart to the counts since
+   */
+  _restore(snapshot) {
+    const merged = mergeSnapshots([snapshot, this.snapshot()]);
+    Object.assign(this, merged.data);
+    this.since = merged.since;
+  }
+
+  /**
+   * Endpoint label for a request: its route (/api/lookup/:zip), 'unmatched'
+   * for a 404 outside every route, the mount path for static files
+   * (/dist/*), or else the normalized path. Only those last labels can grow
+   * without bound, so past MAX_ENDPOINT_LABELS new ones are counted as 'other'.
+   */
+  _endpointLabel(req, res) {
+    if (req.route) return req.route.path;
+    if (res.statusCode === 404) return 'unmatched';
+    
+    // One label for every file under a mount path, shards included
+    if (req.baseUrl) return `${req.baseUrl}/*`;
+    
+    const endpoint = this._normalizeEndpoint(req.path);
+    if (!(endpoint in this.requests.byEndpoint) && Object.keys(this.requests.byEndpoint).length >= MAX_ENDPOINT_LABELS) {
+      return 'other';
+    }
+    return endpoint;
+  }
+
   _normalizeEndpoint(path) {
     // Normalize /api/lookup/12345 to /api/lookup/:zip
-    return path.replace(/\/api\/lookup\/\d+/, '/api/lookup/:zip');
+    return path
+      .replace(/\/api\/lookup\/[^/]+/, '/api/lookup/:zip')
+      .replace(/\/api\/nearby\/[^/]+/, '/api/nearby/:zip')
+      .replace(/\/api\/states\/[^/]+\/zips/, '/api/states/:state/zips')
+      .replace(/\/api\/prefix\/[^/]+/, '/api/prefix/:prefix');
+  }
+
+  _observeDuration(endpoint, seconds) {
+    if (!this.durations[endpoint]) {
+      this.durations[endpoint] = { buckets: {}, sum: 0, count: 0 };
+    }
+    
+    const histogram = this.durations[endpoint];
+    const bound = this.buckets.find(b => seconds <= b);
+    if (bound !== undefined) {
+      histogram.buckets[bound] = (histogram.buckets[bound] || 0) + 1;
+    }
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  _openFds() {
+    try {
+      return fs.readdirSync('/proc/self/fd').length;
+    } catch (e) {
+      return null; // Not Linux
+    }
+  }
+
+  /**
+   * Mean and p99 event loop delay in seconds since the last call
+   */
+  _eventLoopDelay() {
+    const histogram = this.eventLoopDelay;
+    const result = histogram.count
+      ? { mean: histogram.mean / 1e9, p99: histogram.percentile(99) / 1e9 }
+      : { mean: 0, p99: 0 };
+    histogram.reset();
+    return result;
+  }
+
+  _hitRate(hits, misses) {
+    const total = hits + misses;
+    return total > 0 ? Math.round((hits / total) * 10000) / 100 : 0;
+  }
+
+  _keyUsage(key) {
+    if (!this.byKey[key]) {
+      this.byKey[key] = { requests: 0, byStatus: {}, rateLimited: 0, quotaExceeded: 0 };
+    }
+    return this.byKey[key];
   }
 
   _getCurrentHour() {
@@ -221,10 +747,14 @@ class Metrics {
   }
 
   _pruneTopZips() {
-    const entries = Object.entries(this.lookups.topZips)
+    this.lookups.topZips = this._pruneCounts(this.lookups.topZips);
+  }
+
+  _pruneCounts(counts) {
+    const entries = Object.entries(counts)
       .sort((a, b) => b[1] - a[1])
       .slice(0, 500);
-    this.lookups.topZips = Object.fromEntries(entries);
+    return Object.fromEntries(entries);
   }
 
   _average(arr) {
@@ -287,3 +817,6 @@ class Metrics {
 }
 
 module.exports = new Metrics();
+module.exports.Metrics = Metrics;
+module.exports.mergeSnapshots = mergeSnapshots;
+module.exports.parseBuckets = parseBuckets;
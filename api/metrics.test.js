@@ -0,0 +1,241 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Metrics, mergeSnapshots, parseBuckets } = require('./metrics.js');
+
+// Stand-in for a request that went through an Express route
+function request(route, method = 'GET', extra = {}) {
+  return { method, route: route && { path: route }, baseUrl: '', path: route || '/', ...extra };
+}
+
+// Shared in-memory store, like a FileStore on a shared volume
+class SharedStore {
+  constructor(snapshots = []) {
+    this.snapshots = new Map(snapshots.map(s => [s.instance, s]));
+  }
+
+  async read() {
+    return [...this.snapshots.values()];
+  }
+
+  async write(snapshot) {
+    this.snapshots.set(snapshot.instance, snapshot);
+  }
+}
+
+function instance(name, requests = 0) {
+  const metrics = new Metrics();
+  metrics.instance = name;
+  for (let i = 0; i < requests; i++) {
+    metrics.recordRequest(request('/api/lookup/:zip'), { statusCode: 200 }, 5);
+    metrics.recordLookup('90210', { locations: [{ city: 'Beverly Hills', state: 'CA' }] });
+  }
+  return metrics;
+}
+
+// Samples of one metric family: [{ name, labels, value }]
+function samples(text, family) {
+  return text.split('\n')
+    .filter(line => line.startsWith(family) && !line.startsWith('#'))
+    .map(line => {
+      const [, name, labels = '', value] = /^(\w+)(?:\{(.*)\})? (\S+)$/.exec(line);
+      return { name, labels, value: Number(value) };
+    });
+}
+
+describe('parseBuckets', () => {
+  it('sorts and dedupes the bounds', () => {
+    assert.deepEqual(parseBuckets('1, 0.1,0.5,0.1'), [0.1, 0.5, 1]);
+    assert.throws(() => parseBuckets('0.1,fast'), /Invalid histogram buckets "0.1,fast"/);
+    assert.throws(() => parseBuckets(''), /Invalid histogram buckets/);
+  });
+});
+
+describe('getPrometheus', () => {
+  it('writes well-formed exposition text', () => {
+    const metrics = instance('a', 1);
+    const text = metrics.getPrometheus();
+    const lines = text.split('\n');
+    assert.equal(lines.pop(), '');
+
+    const typed = new Map();
+    for (const line of lines) {
+      const declared = /^# (HELP|TYPE) (\w+) (.*)$/.exec(line);
+      if (declared) {
+        const key = `${declared[1]} ${declared[2]}`;
+        assert.ok(!typed.has(key), `${key} declared twice`);
+        typed.set(key, declared[3]);
+        continue;
+      }
+      const sample = /^(\w+)(\{.*\})? (\S+)$/.exec(line);
+      assert.ok(sample, `malformed line: ${line}`);
+      const family = typed.has(`TYPE ${sample[1]}`) ? sample[1] : sample[1].replace(/_(bucket|sum|count)$/, '');
+      assert.ok(typed.has(`TYPE ${family}`), `untyped sample: ${line}`);
+      assert.ok(!Number.isNaN(Number(sample[3].replace('Inf', 'Infinity'))), `bad value: ${line}`);
+    }
+    assert.equal(typed.get('TYPE zipfill_http_request_duration_seconds'), 'histogram');
+  });
+
+  it('publishes cumulative request duration histograms by endpoint', () => {
+    const metrics = new Metrics();
+    metrics.setBuckets('0.01,0.1');
+    for (const ms of [5, 50, 500]) metrics.recordRequest(request('/api/lookup/:zip'), { statusCode: 200 }, ms);
+
+    assert.deepEqual(samples(metrics.getPrometheus(), 'zipfill_http_request_duration_seconds').map(s => [s.name, s.labels, s.value]), [
+      ['zipfill_http_request_duration_seconds_bucket', 'endpoint="/api/lookup/:zip",le="0.01"', 1],
+      ['zipfill_http_request_duration_seconds_bucket', 'endpoint="/api/lookup/:zip",le="0.1"', 2],
+      ['zipfill_http_request_duration_seconds_bucket', 'endpoint="/api/lookup/:zip",le="+Inf"', 3],
+      ['zipfill_http_request_duration_seconds_sum', 'endpoint="/api/lookup/:zip"', 0.555],
+      ['zipfill_http_request_duration_seconds_count', 'endpoint="/api/lookup/:zip"', 3]
+    ]);
+  });
+
+  it('labels lookups by outcome and state', () => {
+    const metrics = new Metrics();
+    metrics.recordLookup('10001', { locations: [{ city: 'New York', state: 'NY' }] });
+    metrics.recordLookup('99999', { error: 'Zip code not found' });
+    metrics.recordLookup('abc', { error: 'Invalid zip code', reason: 'missing_zip' });
+
+    const text = metrics.getPrometheus();
+    assert.deepEqual(samples(text, 'zipfill_lookups_total').map(s => [s.labels, s.value]), [
+      ['result="found"', 1],
+      ['result="not_found"', 1],
+      ['result="invalid"', 1]
+    ]);
+    assert.match(text, /^zipfill_lookups_by_state_total\{state="NY"\} 1$/m);
+    assert.match(text, /^zipfill_lookups_not_found 2$/m);
+  });
+
+  it('escapes label values', () => {
+    const metrics = new Metrics();
+    metrics.recordRateLimited('acme "prod"\\eu\n', 'rate');
+    assert.match(metrics.getPrometheus(), /^zipfill_rate_limited_total\{key="acme \\"prod\\"\\\\eu\\n",reason="rate"\} 1$/m);
+  });
+
+  it('keeps the deprecated series next to the new ones', () => {
+    const text = instance('a', 2).getPrometheus();
+    assert.match(text, /^zipfill_requests_by_endpoint\{endpoint="\/api\/lookup\/:zip"\} 2$/m);
+    assert.match(text, /^zipfill_requests_by_endpoint_total\{endpoint="\/api\/lookup\/:zip"\} 2$/m);
+    assert.match(text, /^zipfill_response_time_p95 5\.00$/m);
+    for (const name of ['zipfill_requests_by_endpoint', 'zipfill_requests_by_status', 'zipfill_lookups_found', 'zipfill_lookups_not_found']) {
+      assert.match(text, new RegExp(`^# TYPE ${name} untyped$`, 'm'));
+    }
+    assert.doesNotMatch(text, /^# TYPE \w+(?<!_total) counter$/m);
+    assert.match(text, /^# TYPE process_resident_memory_bytes gauge$/m);
+    assert.match(text, /^nodejs_version_info\{version="v\d+\.\d+\.\d+"\} 1$/m);
+  });
+});
+
+describe('endpoint labels', () => {
+  it('use the route, the mount path, the normalized path or "unmatched"', () => {
+    const metrics = new Metrics();
+    metrics.recordRequest(request('/api/nearby/:zip'), { statusCode: 200 }, 1);
+    metrics.recordRequest(request(null, 'GET', { baseUrl: '/dist', path: '/shards/902.json' }), { statusCode: 200 }, 1);
+    metrics.recordRequest(request(null, 'GET', { baseUrl: '/dist', path: '/zip-data.min.json' }), { statusCode: 200 }, 1);
+    metrics.recordRequest(request(null, 'OPTIONS', { path: '/api/lookup/90210' }), { statusCode: 204 }, 1);
+    metrics.recordRequest(request(null, 'GET', { path: '/wp-login.php' }), { statusCode: 404 }, 1);
+
+    assert.deepEqual(metrics.requests.byEndpoint, { '/api/nearby/:zip': 1, '/dist/*': 2, '/api/lookup/:zip': 1, unmatched: 1 });
+  });
+
+  it('share "other" past the label cap, except for routes', () => {
+    const metrics = new Metrics();
+    for (let i = 0; i < 150; i++) {
+      metrics.recordRequest(request(null, 'OPTIONS', { path: `/file-${i}.json` }), { statusCode: 204 }, 1);
+    }
+    metrics.recordRequest(request('/api/lookup/:zip'), { statusCode: 200 }, 1);
+    metrics.recordRequest(request(null, 'GET', { baseUrl: '/dist', path: '/shards/902.json' }), { statusCode: 200 }, 1);
+
+    const endpoints = metrics.requests.byEndpoint;
+    assert.equal(Object.keys(endpoints).length, 103);
+    assert.equal(endpoints.other, 50);
+    assert.equal(endpoints['/file-0.json'], 1);
+    assert.equal(endpoints['/api/lookup/:zip'], 1);
+    assert.equal(endpoints['/dist/*'], 1);
+  });
+});
+
+describe('mergeSnapshots', () => {
+  it('adds up the counts of every snapshot', () => {
+    const a = instance('a', 2).snapshot();
+    const b = instance('b', 3).snapshot();
+    b.since = a.since - 1000;
+
+    const merged = mergeSnapshots([a, b]);
+    assert.deepEqual(merged.instances, ['a', 'b']);
+    assert.equal(merged.since, b.since);
+    assert.equal(merged.data.requests.total, 5);
+    assert.deepEqual(merged.data.requests.byEndpoint, { '/api/lookup/:zip': 5 });
+    assert.equal(merged.data.lookups.topZips['90210'], 5);
+    assert.equal(merged.data.responseTimes.total.length, 5);
+    assert.equal(merged.data.durations['/api/lookup/:zip'].count, 5);
+  });
+
+  it('keeps the latest reload instead of adding', () => {
+    const a = instance('a');
+    const b = instance('b');
+    a.recordReload({ ok: true, at: '2026-03-01T10:00:00Z', durationMs: 40 });
+    b.recordReload({ ok: false, at: '2026-03-01T11:00:00Z', durationMs: 7 });
+
+    const { reloads } = mergeSnapshots([a.snapshot(), b.snapshot()]).data;
+    assert.equal(reloads.success, 1);
+    assert.equal(reloads.failure, 1);
+    assert.equal(reloads.lastAt, Date.parse('2026-03-01T11:00:00Z'));
+    assert.equal(reloads.lastDurationMs, 7);
+    assert.equal(reloads.lastSuccessAt, Date.parse('2026-03-01T10:00:00Z'));
+  });
+
+  it('ignores snapshots in another format', () => {
+    const merged = mergeSnapshots([instance('a', 1).snapshot(), { format: 'zipfill-metrics', version: 2, data: {} }, null]);
+    assert.deepEqual(merged.instances, ['a']);
+  });
+});
+
+describe('Metrics with a store', () => {
+  it('carries on from its last snapshot after a restart', async () => {
+    const store = new SharedStore([instance('web-1', 4).snapshot()]);
+    const metrics = instance('web-1', 1);
+
+    await metrics.useStore(store, { instance: 'web-1' });
+    clearInterval(metrics.flushTimer);
+
+    assert.equal(metrics.requests.total, 5);
+    assert.equal(metrics.getSummary().lookups.found, 5);
+  });
+
+  it('shows totals across instances in the summary only', async () => {
+    const store = new SharedStore();
+    const web1 = instance('web-1', 2);
+    const web2 = instance('web-2', 3);
+    await web1.useStore(store, { instance: 'web-1' });
+    await web2.useStore(store, { instance: 'web-2' });
+    clearInterval(web1.flushTimer);
+    clearInterval(web2.flushTimer);
+
+    await web1.flush();
+    await web2.flush();
+
+    const summary = web2.getSummary();
+    assert.equal(summary.requests.total, 5);
+    assert.deepEqual(summary.lookups.topZips, [{ key: '90210', count: 5 }]);
+    assert.deepEqual(Object.keys(summary), Object.keys(new Metrics().getSummary()));
+    assert.equal(web2.requests.total, 3);
+    assert.match(web2.getPrometheus(), /^zipfill_requests_total 3$/m);
+  });
+
+  it('reports failed periodic flushes', async t => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const store = new SharedStore();
+    store.write = async () => {
+      throw new Error('disk full');
+    };
+    const errors = [];
+    const metrics = instance('web-1');
+
+    await metrics.useStore(store, { flushIntervalMs: 1000, onError: e => errors.push(e.message) });
+    t.mock.timers.tick(1000);
+    await new Promise(resolve => setImmediate(resolve));
+    clearInterval(metrics.flushTimer);
+
+    assert.deepEqual(errors, ['disk full']);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('../fixtures/server.js');
+const { tempDir, removeDir } = require('../fixtures/build.js');
+
+const ACME = { 'X-API-Key': 'zf_acme' };
+
+const keyId = key => crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+
+let server;
+let dir;
+
+before(async () => {
+  dir = tempDir();
+  const keysFile = path.join(dir, 'keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify({
+    keys: [
+      { name: 'acme', key: 'zf_acme', rate: 0.001, burst: 3, dailyQuota: null },
+      { name: 'internal', key: 'zf_internal', rate: 100, burst: 100, dailyQuota: 1 }
+    ]
+  }));
+  server = await startServer({ API_KEYS_FILE: keysFile });
+});
+
+after(async () => {
+  await server.close();
+  removeDir(dir);
+});
+
+describe('API keys', () => {
+  it('turn away requests without a valid key', async () => {
+    const missing = await server.get('/api/lookup/90210');
+    assert.equal(missing.status, 401);
+    assert.deepEqual(await missing.json(), { error: 'Missing API key (send X-API-Key)' });
+    assert.equal((await server.get('/api/lookup/90210', { 'X-API-Key': 'zf_nope' })).status, 401);
+  });
+
+  it('leave the health check and CORS preflights open', async () => {
+    assert.equal((await server.get('/health')).status, 200);
+    const preflight = await fetch(server.url + '/api/lookup/90210', {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://example.com', 'Access-Control-Request-Method': 'GET' }
+    });
+    assert.equal(preflight.status, 204);
+  });
+
+  it('limit each key and say so in RateLimit headers', async () => {
+    const first = await server.get('/api/lookup/90210', ACME);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '3');
+    assert.equal(first.headers.get('ratelimit-remaining'), '2');
+    assert.match(first.headers.get('cache-control'), /^private/);
+
+    await server.get('/api/lookup/90210', ACME);
+    await server.get('/api/lookup/90210', ACME);
+    const refused = await server.get('/api/lookup/90210', ACME);
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+    assert.equal((await refused.json()).error, 'Rate limit exceeded');
+  });
+
+  it('enforce the daily quota', async () => {
+    const internal = { Authorization: 'Bearer zf_internal' };
+    assert.equal((await server.get('/api/lookup/10001', internal)).status, 200);
+
+    const refused = await server.get('/api/lookup/10001', internal);
+    assert.equal(refused.status, 429);
+    assert.equal((await refused.json()).error, 'Daily quota exceeded');
+  });
+
+  it('break usage down by key id in the metrics, without key names', async () => {
+    const text = await (await server.get('/metrics/prometheus')).text();
+    assert.match(text, /^zipfill_auth_failures_total 2$/m);
+    assert.ok(text.includes(`zipfill_requests_by_key_total{key="${keyId('zf_acme')}"} 4\n`));
+    assert.ok(text.includes(`zipfill_rate_limited_total{key="${keyId('zf_acme')}",reason="rate"} 1\n`));
+    assert.ok(text.includes(`zipfill_rate_limited_total{key="${keyId('zf_internal')}",reason="quota"} 1\n`));
+    assert.doesNotMatch(text, /acme|internal/);
+
+    const { apiKeys } = await (await server.get('/metrics')).json();
+    assert.deepEqual(Object.keys(apiKeys.byKey).sort(), [keyId('zf_acme'), keyId('zf_internal')].sort());
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../fixtures/server.js');
+
+let installed = true;
+try {
+  require.resolve('graphql');
+} catch (e) {
+  installed = false;
+}
+
+let server;
+
+before(async () => {
+  server = await startServer({ GRAPHQL: '1' });
+});
+
+after(() => server.close());
+
+async function query(text) {
+  const res = await server.post('/graphql', { query: text });
+  return { status: res.status, body: await res.json() };
+}
+
+describe('/graphql', { skip: !installed && 'graphql is not installed' }, () => {
+  it('looks up zips with the REST lookup and its metrics', async () => {
+    const { body } = await query('{ zip(code: "90210-1234") { zip plus4 locations { city county } } missing: zip(code: "99999") { zip } }');
+    assert.deepEqual(body.data, {
+      zip: { zip: '90210', plus4: '1234', locations: [{ city: 'Beverly Hills', county: 'Los Angeles' }] },
+      missing: null
+    });
+
+    const text = await (await server.get('/metrics/prometheus')).text();
+    assert.match(text, /^zipfill_lookups_total\{result="found"\} 1$/m);
+    assert.match(text, /^zipfill_lookups_total\{result="not_found"\} 1$/m);
+  });
+
+  it('searches cities and lists the zips of one', async () => {
+    const { body } = await query('{ cities(query: "bever", state: "CA") { city state zipCount } city(name: "beverly hills", state: "ca") { zips } }');
+    assert.deepEqual(body.data, {
+      cities: [{ city: 'Beverly Hills', state: 'CA', zipCount: 2 }],
+      city: { zips: ['90210', '90211'] }
+    });
+  });
+
+  it('lists the states with their metadata', async () => {
+    const { body } = await query('{ states { code name fips type zipCount } }');
+    assert.deepEqual(body.data.states.find(state => state.code === 'AK'), { code: 'AK', name: 'Alaska', fips: '02', type: 'state', zipCount: 1 });
+    assert.equal(body.data.states.find(state => state.code === 'AE').fips, null);
+  });
+
+  it('answers GET too', async () => {
+    const res = await server.get(`/graphql?query=${encodeURIComponent('{ zip(code: "10001") { locations { state } } }')}`);
+    assert.deepEqual(await res.json(), { data: { zip: { locations: [{ state: 'NY' }] } } });
+  });
+
+  it('rejects invalid queries', async () => {
+    const { status, body } = await query('{ zip(code: "10001") { population } }');
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /Cannot query field "population"/);
+  });
+});
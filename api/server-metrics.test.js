@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setImmediate: tick } = require('timers/promises');
+const metrics = require('./metrics.js');
+const { startServer } = require('../fixtures/server.js');
+const { tempDir, removeDir } = require('../fixtures/build.js');
+
+let server;
+let dir;
+
+// A snapshot another process left in the store
+function saved(instance, requests) {
+  const other = new metrics.Metrics();
+  other.instance = instance;
+  for (let i = 0; i < requests; i++) {
+    other.recordRequest({ method: 'GET', route: { path: '/api/lookup/:zip' } }, { statusCode: 200 }, 3);
+  }
+  return JSON.stringify(other.snapshot()) + '\n';
+}
+
+before(async () => {
+  dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'web-1.ndjson'), saved('web-1', 4));
+  fs.writeFileSync(path.join(dir, 'web-2.ndjson'), saved('web-2', 3));
+
+  server = await startServer({ METRICS_STORE: 'file', METRICS_DIR: dir, METRICS_INSTANCE: 'web-1' });
+  while (!metrics.peers.length) await tick();
+});
+
+after(async () => {
+  clearInterval(metrics.flushTimer);
+  await server.close();
+  removeDir(dir);
+});
+
+describe('METRICS_STORE=file', () => {
+  it('counts across restarts and instances in /metrics', async () => {
+    await server.get('/api/lookup/90210');
+
+    const summary = await (await server.get('/metrics')).json();
+    assert.equal(summary.requests.total, 8);
+    assert.equal(summary.requests.byEndpoint['/api/lookup/:zip'], 8);
+  });
+
+  it('keeps /metrics/prometheus per instance', async () => {
+    const text = await (await server.get('/metrics/prometheus')).text();
+    assert.match(text, /^zipfill_requests_total 6$/m);
+  });
+
+  it('saves this instance\'s snapshot to its own file', async () => {
+    await metrics.flush();
+    const lines = fs.readFileSync(path.join(dir, 'web-1.ndjson'), 'utf8').trim().split('\n');
+    assert.equal(JSON.parse(lines[lines.length - 1]).data.requests.total, 7);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('../fixtures/server.js');
+const { buildFixture } = require('../fixtures/build.js');
+
+const ADMIN = { Authorization: 'Bearer secret' };
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_TOKEN: 'secret' });
+});
+
+after(() => server.close());
+
+describe('POST /admin/reload', () => {
+  it('needs the admin token', async () => {
+    assert.equal((await server.post('/admin/reload', {})).status, 401);
+    assert.equal((await server.post('/admin/reload', {}, { Authorization: 'Bearer secreT' })).status, 401);
+
+    delete process.env.ADMIN_TOKEN;
+    const res = await server.post('/admin/reload', {}, ADMIN);
+    process.env.ADMIN_TOKEN = 'secret';
+    assert.equal(res.status, 403);
+  });
+
+  it('serves a new build without a restart', async () => {
+    buildFixture(['--states', 'CA'], server.dataDir);
+
+    const res = await server.post('/admin/reload', {}, ADMIN);
+    assert.equal(res.status, 200);
+    const result = await res.json();
+    assert.equal(result.ok, true);
+    assert.equal(result.zipCodes, 3);
+    assert.equal((await server.get('/api/lookup/78701')).status, 404);
+    assert.equal((await server.get('/api/lookup/90210')).headers.get('etag'), `"${result.dataVersion}"`);
+
+    const health = await (await server.get('/health')).json();
+    assert.equal(health.zipCodes, 3);
+    assert.equal(health.data.version, result.dataVersion);
+    assert.equal(health.data.sourceDate, '2026-01-01');
+    assert.equal(health.reload.success, 1);
+  });
+
+  it('keeps serving the old data when the new build is broken', async () => {
+    fs.writeFileSync(path.join(server.dataDir, 'zip-data.min.json'), 'not json');
+
+    const res = await server.post('/admin/reload', {}, ADMIN);
+    assert.equal(res.status, 500);
+    assert.equal((await res.json()).ok, false);
+    assert.equal((await server.get('/api/lookup/90210')).status, 200);
+
+    const health = await (await server.get('/health')).json();
+    assert.equal(health.status, 'ok');
+    assert.equal(health.zipCodes, 3);
+    assert.equal(health.reload.failure, 1);
+  });
+});
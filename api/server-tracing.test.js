@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setImmediate: tick } = require('timers/promises');
+const { startServer } = require('../fixtures/server.js');
+
+let installed = true;
+try {
+  require.resolve('@opentelemetry/sdk-trace-node');
+} catch (e) {
+  installed = false;
+}
+
+let server;
+const lines = [];
+const write = process.stdout.write;
+
+before(async () => {
+  // The server logs JSON to stdout; keep it out of the test output
+  process.stdout.write = chunk => {
+    if (String(chunk).startsWith('{"time"')) {
+      lines.push(JSON.parse(chunk));
+      return true;
+    }
+    return write.call(process.stdout, chunk);
+  };
+  server = await startServer({ LOG_LEVEL: 'info', OTEL_TRACES_EXPORTER: installed ? 'console' : 'none' });
+});
+
+after(async () => {
+  await server.close();
+  process.stdout.write = write;
+});
+
+// The request line is written on 'close', which can come after the client has the response
+async function requestLine(requestId) {
+  let line;
+  while (!(line = lines.find(entry => entry.msg === 'request' && entry.requestId === requestId))) await tick();
+  return line;
+}
+
+describe('request logging', () => {
+  it('logs each request with its ID, reusing a valid X-Request-Id', async () => {
+    const res = await server.get('/api/lookup/90210?key=zf_live', { 'X-Request-Id': 'req-1' });
+    assert.equal(res.headers.get('x-request-id'), 'req-1');
+
+    const line = await requestLine('req-1');
+    assert.equal(line.level, 'info');
+    assert.equal(line.route, '/api/lookup/:zip');
+    assert.equal(line.status, 200);
+    assert.deepEqual(line.query, { key: '[redacted]' });
+    assert.equal(typeof line.durationMs, 'number');
+  });
+
+  it('makes up an ID for a missing or odd one', async () => {
+    const res = await server.get('/api/lookup/90210', { 'X-Request-Id': 'not ok\tid' });
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('tracing', { skip: !installed && 'the @opentelemetry packages are not installed' }, () => {
+  it('traces batch lookups inside the request span', async () => {
+    await server.post('/api/batch', { zips: ['90210', '10001'] }, { 'X-Request-Id': 'req-batch' });
+    const { traceId } = await requestLine('req-batch');
+
+    const spans = lines.filter(line => line.msg === 'span' && line.traceId === traceId);
+    const byName = name => spans.filter(span => span.name === name);
+    const [request] = byName('POST /api/batch');
+    const [batch] = byName('zipfill.batch');
+
+    assert.equal(request.attributes['http.response.status_code'], 200);
+    assert.equal(batch.parentSpanId, request.spanId);
+    assert.deepEqual(batch.attributes, { 'zipfill.batch.size': 2, 'zipfill.batch.found': 2, 'zipfill.batch.errors': 0 });
+    assert.deepEqual(byName('zipfill.lookup').map(span => [span.parentSpanId, span.attributes['zipfill.zip']]), [
+      [batch.spanId, '90210'],
+      [batch.spanId, '10001']
+    ]);
+  });
+});
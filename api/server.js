@@ -3,80 +3,291 @@
  * ZipFill API Server
  * 
  * Endpoints:
- *   GET /api/lookup/:zip     - Lookup a single zip code
+ *   GET /api/lookup/:zip     - Lookup a single zip code (?fields=city,state,... to trim)
  *   GET /api/lookup?zip=...  - Lookup (query param)
  *   GET /api/batch           - Lookup multiple zips (POST body or query)
- *   GET /api/states          - List all states/territories
+ *   GET /api/zips?city=&state= - Reverse lookup: zips for a city/state
+ *   GET /api/suggest?q=      - City autocomplete suggestions
+ *   GET /api/nearby/:zip?radius= - Zips within a radius (miles)
+ *   POST /api/validate       - Check that zip, city, state and county agree
+ *   POST /api/enrich         - Stream a CSV/NDJSON file back with city/state/county appended
+ *   GET /api/states          - States/territories with name, FIPS, type and zip prefixes (?type=)
+ *   GET /api/states/:state/zips - Zips in a state (?county=), paginated with ?offset=&limit=
+ *   GET /api/counties?state= - Counties with zip counts, paginated
+ *   GET /api/prefix/:prefix  - Zips starting with 1-5 digits, paginated
+ *   POST /graphql            - GraphQL over the same lookups (GRAPHQL=1)
+ *   POST /admin/reload       - Reload the zip data (Bearer ADMIN_TOKEN)
  *   GET /health              - Health check
  */
 
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
+const { once } = require('events');
+const { performance } = require('perf_hooks');
 const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+const { createTracing } = require('./tracing');
+const { createStore } = require('./metrics-store');
+const { DataStore, DATA_FILE } = require('./dataset');
+const { ApiKeys } = require('./auth');
+const { createGraphQLHandler } = require('./graphql');
+const { cityKey, normalizeState } = require('../src/city-index.js');
+const { parseZip } = require('../src/zip-parser.js');
+const { getCoordinates, roundMiles, MAX_RADIUS_MILES } = require('../src/geo.js');
+const { validateAddress } = require('../src/validate.js');
+const { LOCATION_FIELDS, parseFieldList, pickFields } = require('../src/fields.js');
+const { createEnricher, DEFAULT_ENRICH_FIELDS } = require('../src/enrich.js');
+const { STATE_TYPES, findState } = require('../src/states.js');
+const { paginate, isZipPrefix, MAX_PAGE_SIZE } = require('../src/zip-index.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Load data
-const dataPath = path.join(__dirname, '../dist/zip-data.min.json');
-const statesPath = path.join(__dirname, '../dist/states.json');
+// Lookups only change with a data release; clients revalidate with the ETag after this
+const CACHE_MAX_AGE = parseInt(process.env.CACHE_MAX_AGE, 10) || 24 * 60 * 60;
 
-let zipData = {};
-let states = [];
+// Largest file POST /api/enrich takes, in bytes
+const ENRICH_MAX_BYTES = parseInt(process.env.ENRICH_MAX_BYTES, 10) || 50 * 1024 * 1024;
 
+// Request IDs from clients or proxies are reused when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+
+// Structured logs (LOG_LEVEL, LOG_REDACT) and tracing (OTEL_TRACES_EXPORTER)
+let logger, tracing;
 try {
-  zipData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-  states = JSON.parse(fs.readFileSync(statesPath, 'utf8'));
-  console.log(`Loaded ${Object.keys(zipData).length} zip codes`);
+  logger = createLogger();
+  tracing = createTracing({ exporter: process.env.OTEL_TRACES_EXPORTER || 'none', logger });
 } catch (e) {
-  console.error('Failed to load data:', e.message);
+  console.error(e.message);
   process.exit(1);
 }
 
+// Load data (DATA_DIR points at another build, e.g. in tests)
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '../dist');
+const store = new DataStore(dataDir, {
+  onReload: logReload,
+  onError: e => logger.error('Data watcher failed', { error: e.message })
+});
+
+try {
+  const { zipData, manifest } = store.load();
+  logger.info('Loaded zip data', {
+    zipCodes: Object.keys(zipData).length,
+    dataVersion: store.dataVersion(),
+    sourceDate: manifest && manifest.source ? manifest.source.date : null
+  });
+  if (!manifest) {
+    logger.warn('No data manifest, build provenance unknown');
+  }
+} catch (e) {
+  logger.error('Failed to load data', { error: e.message });
+  process.exit(1);
+}
+
+// Hot reload: WATCH_DATA=1 reloads when the files in dist/ change
+if (process.env.WATCH_DATA && process.env.WATCH_DATA !== '0') {
+  store.watch();
+  logger.info('Watching for data changes', { dir: dataDir });
+}
+
+function logReload(result) {
+  metrics.recordReload(result);
+  if (result.ok) {
+    logger.info('Reloaded zip data', result);
+  } else {
+    logger.error('Reload failed, keeping the loaded data', result);
+  }
+}
+
+// Histogram buckets for request durations, in seconds
+if (process.env.METRICS_BUCKETS) {
+  try {
+    metrics.setBuckets(process.env.METRICS_BUCKETS);
+  } catch (e) {
+    logger.error(e.message);
+    process.exit(1);
+  }
+}
+
+// Metrics store: METRICS_STORE=file keeps counts across restarts and replicas
+if (process.env.METRICS_STORE && process.env.METRICS_STORE !== 'memory') {
+  try {
+    const store = createStore(process.env.METRICS_STORE, { dir: process.env.METRICS_DIR });
+    metrics.useStore(store, {
+      instance: process.env.METRICS_INSTANCE,
+      onError: e => logger.error('Metrics flush failed', { error: e.message })
+    }).catch(e => logger.error('Failed to read metrics store', { error: e.message }));
+  } catch (e) {
+    logger.error(e.message);
+    process.exit(1);
+  }
+}
+
+// Save the last counts and send buffered spans on shutdown
+if (metrics.store || tracing.enabled) {
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      Promise.all([
+        metrics.flush().catch(e => logger.error('Metrics flush failed', { error: e.message })),
+        tracing.shutdown().catch(e => logger.error('Span export failed', { error: e.message }))
+      ]).finally(() => process.exit(0));
+    });
+  }
+}
+
+// API keys: off unless API_KEYS_FILE is set (see api/auth.js)
+let apiKeys = null;
+if (process.env.API_KEYS_FILE) {
+  try {
+    apiKeys = ApiKeys.fromFile(process.env.API_KEYS_FILE);
+    logger.info('Loaded API keys', { keys: apiKeys.size, ids: apiKeys.ids() });
+  } catch (e) {
+    logger.error('Failed to load API keys', { error: e.message });
+    process.exit(1);
+  }
+}
+
+/**
+ * Check the admin bearer token (ADMIN_TOKEN); admin routes are off without one
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled (set ADMIN_TOKEN)' });
+  }
+  
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  const given = Buffer.from(match ? match[1] : '');
+  const expected = Buffer.from(token);
+  
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+// Behind a load balancer, TRUST_PROXY lets req.ip (and anonymous rate limits) use X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Request-Id']
+}));
 
-// Request logging + metrics
+// Request IDs, logging, tracing + metrics
 app.use((req, res, next) => {
-  const start = Date.now();
-  console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
+  const start = performance.now();
+  const ip = req.ip; // Needs the socket, which may be gone by 'close'
+  const incoming = req.get('X-Request-Id');
+  
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  
+  const span = tracing.startRequest(req);
+  req.log = logger.child({ requestId: req.id, traceId: tracing.traceId(span) });
   
   res.on('finish', () => {
-    const duration = Date.now() - start;
-    metrics.recordRequest(req, res, duration);
+    metrics.recordRequest(req, res, performance.now() - start);
   });
   
-  next();
+  // 'close' also fires when the client goes away mid-response
+  res.on('close', () => {
+    tracing.endRequest(span, req, res);
+    
+    const status = res.writableFinished ? res.statusCode : null;
+    req.log[status === null || status >= 500 ? 'error' : 'info']('request', {
+      method: req.method,
+      path: req.path,
+      route: req.route ? req.route.path : undefined,
+      query: Object.keys(req.query).length ? req.query : undefined,
+      status,
+      durationMs: Math.round((performance.now() - start) * 10) / 10,
+      bytes: Number(res.get('Content-Length')) || undefined,
+      ip,
+      userAgent: req.get('User-Agent'),
+      apiClient: req.apiClient,
+      aborted: status === null || undefined
+    });
+  });
+  
+  tracing.runInRequest(span, req, res, next);
 });
 
+// API keys and rate limits, checked before reading the body
+if (apiKeys) {
+  app.use(['/api', '/graphql'], apiKeys.middleware());
+}
+
+app.use(express.json());
+
 /**
- * Normalize zip code to 5 digits
+ * HTTP caching for GET routes whose answer only depends on the data
+ * The ETag is the data version, so a matching If-None-Match gets a 304
+ * without doing the lookup, and a reload changes every ETag at once.
+ * Only 2xx answers are cacheable: errors (a bad ?fields=, an unknown zip)
+ * get no-store, so a cache never keeps serving them after a data fix.
+ */
+function cacheByDataVersion(req, res, next) {
+  // With API keys, a shared cache must not answer one client's request for another
+  res.set('Cache-Control', `${apiKeys ? 'private' : 'public'}, max-age=${CACHE_MAX_AGE}`);
+  res.set('ETag', `"${store.current.version}"`);
+  
+  if (req.fresh) {
+    metrics.recordCacheCheck('api', true);
+    return res.status(304).end();
+  }
+  
+  // The status is only known once the route answers, when the headers go out
+  const writeHead = res.writeHead;
+  res.writeHead = function (statusCode, ...args) {
+    if (statusCode < 200 || statusCode >= 300) {
+      this.removeHeader('ETag');
+      this.setHeader('Cache-Control', 'no-store');
+    }
+    return writeHead.call(this, statusCode, ...args);
+  };
+  
+  metrics.recordCacheCheck('api', false);
+  next();
+}
+
+/**
+ * Normalize zip code to 5 digits (accepts ZIP+4, never pads)
  */
 function normalizeZip(zip) {
-  if (!zip) return null;
-  const normalized = String(zip).trim().padStart(5, '0').slice(0, 5);
-  return /^\d{5}$/.test(normalized) ? normalized : null;
+  return parseZip(zip).zip;
 }
 
 /**
  * Lookup a zip code
  */
 function lookupZip(zip, track = true) {
-  const normalized = normalizeZip(zip);
-  if (!normalized) {
-    const result = { error: 'Invalid zip code format', zip };
-    if (track) metrics.recordLookup(zip, result);
+  return tracing.withSpan('zipfill.lookup', { 'zipfill.zip': String(zip) }, span => {
+    const result = findZip(zip);
+    
+    span.setAttribute('zipfill.result', result.reason ? 'invalid' : result.error ? 'not_found' : 'found');
+    if (!result.error) span.setAttribute('zipfill.locations', result.locations.length);
+    
+    if (track) metrics.recordLookup(result.zip, result);
     return result;
+  });
+}
+
+function findZip(zip) {
+  const parsed = parseZip(zip);
+  if (!parsed.valid) {
+    return { error: 'Invalid zip code format', zip, reason: parsed.reason };
   }
   
-  const locations = zipData[normalized];
+  const normalized = normalizeZip(zip);
+  
+  const locations = store.current.zipData[normalized];
   if (!locations) {
-    const result = { error: 'Zip code not found', zip: normalized };
-    if (track) metrics.recordLookup(normalized, result);
-    return result;
+    return { error: 'Zip code not found', zip: normalized };
   }
   
   const result = {
@@ -85,16 +296,73 @@ function lookupZip(zip, track = true) {
     hasMultiple: Array.isArray(locations) && locations.length > 1
   };
   
-  if (track) metrics.recordLookup(normalized, result);
+  if (parsed.plus4) {
+    result.plus4 = parsed.plus4;
+  }
+  
+  return result;
+}
+
+/**
+ * Parse a ?fields= list (or a batch body's "fields")
+ * @returns {object} - { fields } (null for all fields) or { error }
+ */
+function parseFieldsParam(value) {
+  if (value === undefined || value === null || value === '') return { fields: null };
+  
+  const { fields, unknown } = parseFieldList(value);
+  if (unknown.length) {
+    return { error: `Unknown field(s): ${unknown.join(', ')}` };
+  }
+  return { fields };
+}
+
+/**
+ * Trim a lookup result's locations to the requested fields
+ */
+function selectFields(result, fields) {
+  if (!fields || result.error) return result;
+  return { ...result, locations: result.locations.map(loc => pickFields(loc, fields)) };
+}
+
+/**
+ * Find all zips for a city/state
+ */
+function reverseLookup(city, state, track = true) {
+  const query = { city, state };
+  const entry = store.current.cityIndex.get(cityKey(city, state));
+  
+  const result = entry
+    ? { city: entry.city, state: entry.state, zips: entry.zips }
+    : { error: 'City not found', city, state };
+  
+  if (track) metrics.recordReverseLookup(query, result);
   return result;
 }
 
 // Health check
 app.get('/health', (req, res) => {
+  const { zipData, states, manifest, loadedAt } = store.current;
+  const { last, lastSuccess, success, failure } = store.reloads;
+  
   res.json({ 
     status: 'ok', 
     zipCodes: Object.keys(zipData).length,
-    states: states.length
+    states: states.length,
+    data: {
+      version: store.dataVersion(),
+      builtAt: manifest ? manifest.builtAt : null,
+      sourceDate: manifest && manifest.source ? manifest.source.date : null,
+      sourceHash: manifest && manifest.source ? manifest.source.hash : null,
+      loadedAt
+    },
+    reload: {
+      watching: Boolean(store.watcher),
+      success,
+      failure,
+      last,
+      lastSuccessAt: lastSuccess ? lastSuccess.at : null
+    }
   });
 });
 
@@ -117,38 +385,61 @@ app.get('/api', (req, res) => {
       'GET /api/lookup/:zip': 'Lookup a zip code',
       'GET /api/lookup?zip=12345': 'Lookup via query param',
       'POST /api/batch': 'Lookup multiple zips { "zips": ["12345", "90210"] }',
-      'GET /api/states': 'List all states/territories'
+      'GET /api/zips?city=Beverly%20Hills&state=CA': 'List zips for a city/state',
+      'GET /api/suggest?q=bever&state=CA&limit=10': 'Suggest cities for a partial name',
+      'GET /api/nearby/:zip?radius=10': 'Zips within a radius in miles (max 100)',
+      'POST /api/validate': 'Validate an address { "zip": "90210", "city": "Beverly Hills", "state": "CA" }',
+      'POST /api/enrich?zipColumn=zip': 'Append city/state/county to a CSV (text/csv) or NDJSON (application/x-ndjson) file',
+      'GET /api/states?type=state,territory': 'States/territories with name, FIPS, type and zip prefix ranges',
+      'GET /api/states/:state/zips?county=Los%20Angeles&offset=0&limit=100': 'Zips in a state or county',
+      'GET /api/counties?state=CA&offset=0&limit=100': 'Counties with their zip counts',
+      'GET /api/prefix/:prefix?offset=0&limit=100': 'Zips starting with 1-5 digits',
+      'POST /graphql': 'GraphQL queries for zip, zips, cities, city and states (when enabled)',
+      'POST /admin/reload': 'Reload the zip data (Authorization: Bearer ADMIN_TOKEN)'
     },
-    example: '/api/lookup/90210'
+    fields: LOCATION_FIELDS.map(({ name, type, description }) => ({ name, type, description })),
+    example: '/api/lookup/90210?fields=city,state,timezone'
   });
 });
 
 // Lookup by path param
-app.get('/api/lookup/:zip', (req, res) => {
+app.get('/api/lookup/:zip', cacheByDataVersion, (req, res) => {
+  const { fields, error } = parseFieldsParam(req.query.fields);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
   const result = lookupZip(req.params.zip);
   
   if (result.error) {
     return res.status(404).json(result);
   }
   
-  res.json(result);
+  res.json(selectFields(result, fields));
 });
 
 // Lookup by query param
-app.get('/api/lookup', (req, res) => {
+app.get('/api/lookup', cacheByDataVersion, (req, res) => {
   const zip = req.query.zip;
   
   if (!zip) {
     return res.status(400).json({ error: 'Missing zip parameter' });
   }
   
+  const { fields, error } = parseFieldsParam(req.query.fields);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
   const result = lookupZip(zip);
   
   if (result.error) {
     return res.status(404).json(result);
   }
   
-  res.json(result);
+  res.json(selectFields(result, fields));
 });
 
 // Batch lookup
@@ -163,27 +454,373 @@ app.post('/api/batch', (req, res) => {
     return res.status(400).json({ error: 'Maximum 100 zips per request' });
   }
   
-  const results = zips.map(zip => lookupZip(zip));
+  const { fields, error } = parseFieldsParam(req.body.fields || req.query.fields);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const results = tracing.withSpan('zipfill.batch', { 'zipfill.batch.size': zips.length }, span => {
+    const results = zips.map(zip => selectFields(lookupZip(zip), fields));
+    const errors = results.filter(result => result.error).length;
+    
+    span.setAttributes({ 'zipfill.batch.found': results.length - errors, 'zipfill.batch.errors': errors });
+    req.log.debug('batch', { size: zips.length, found: results.length - errors, errors });
+    return results;
+  });
   
   res.json({ results });
 });
 
-// List states
-app.get('/api/states', (req, res) => {
-  res.json({ states });
+// Reverse lookup: city/state -> zips
+app.get('/api/zips', cacheByDataVersion, (req, res) => {
+  const { city, state } = req.query;
+  
+  if (!city || !state) {
+    return res.status(400).json({ error: 'Missing city or state parameter' });
+  }
+  
+  const result = reverseLookup(city, state);
+  
+  if (result.error) {
+    return res.status(404).json(result);
+  }
+  
+  res.json(result);
+});
+
+// City autocomplete
+app.get('/api/suggest', cacheByDataVersion, (req, res) => {
+  const { q, state } = req.query;
+  
+  if (!q) {
+    return res.status(400).json({ error: 'Missing q parameter' });
+  }
+  
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  const suggestions = store.current.suggestIndex.search(q, { state, limit });
+  
+  res.json({ query: q, suggestions });
+});
+
+// Radius search
+app.get('/api/nearby/:zip', cacheByDataVersion, (req, res) => {
+  const radius = req.query.radius === undefined ? 10 : parseFloat(req.query.radius);
+  
+  if (!Number.isFinite(radius) || radius < 0 || radius > MAX_RADIUS_MILES) {
+    return res.status(400).json({ error: `radius must be between 0 and ${MAX_RADIUS_MILES} miles` });
+  }
+  
+  const result = lookupZip(req.params.zip);
+  
+  if (result.error) {
+    return res.status(404).json(result);
+  }
+  
+  const center = getCoordinates(result.locations);
+  
+  if (!center) {
+    return res.status(404).json({ error: 'No coordinates for zip code', zip: result.zip });
+  }
+  
+  const { zipData, geoIndex } = store.current;
+  const results = geoIndex.within(center, radius).map(({ zip, distance }) => {
+    const [location] = zipData[zip];
+    return {
+      zip,
+      distance: roundMiles(distance),
+      city: location.city,
+      state: location.state
+    };
+  });
+  
+  res.json({ zip: result.zip, radius, results });
+});
+
+// Cross-field address validation
+app.post('/api/validate', (req, res) => {
+  const address = req.body;
+  
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    return res.status(400).json({ error: 'Expected an address object { zip, city, state, county }' });
+  }
+  
+  const { zip, city, state, county } = address;
+  const result = validateAddress({ zip, city, state, county }, {
+    lookup: zip => {
+      const result = lookupZip(zip);
+      return result.error ? null : result.locations;
+    },
+    findCity: (city, state) => store.current.cityIndex.get(cityKey(city, state)) || null
+  });
+  
+  res.json(result);
+});
+
+// Bulk enrichment: streams rows back as they are read, so there is no size cap
+app.post('/api/enrich', async (req, res) => {
+  const format = req.query.format || (req.is('application/x-ndjson', 'application/jsonl') ? 'ndjson' : 'csv');
+  const { fields, error } = parseFieldsParam(req.query.fields);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  if (parseInt(req.get('Content-Length'), 10) > ENRICH_MAX_BYTES) {
+    return res.status(413).json({ error: `File larger than ${ENRICH_MAX_BYTES} bytes` });
+  }
+  
+  // One dataset for the whole file, even if a reload lands mid-stream
+  const { zipData } = store.current;
+  
+  let enricher;
+  try {
+    enricher = createEnricher({
+      format,
+      lookup: zip => zipData[zip] || null,
+      zipColumn: req.query.zipColumn || 'zip',
+      fields: fields || DEFAULT_ENRICH_FIELDS,
+      prefix: req.query.prefix || ''
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  
+  res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+  req.setEncoding('utf8');
+  
+  // Stop waiting for 'drain' if the client goes away
+  const closed = new AbortController();
+  res.on('close', () => closed.abort());
+  
+  // Chunked uploads have no Content-Length to check up front
+  let bytes = 0;
+  
+  try {
+    for await (const chunk of req) {
+      bytes += Buffer.byteLength(chunk);
+      if (bytes > ENRICH_MAX_BYTES) throw new Error(`File larger than ${ENRICH_MAX_BYTES} bytes`);
+      
+      const output = enricher.write(chunk);
+      if (output && !res.write(output)) await once(res, 'drain', { signal: closed.signal });
+    }
+    res.end(enricher.end());
+  } catch (e) {
+    // Before any output (a CSV header without the zip column, a line past the
+    // length limit) there is still a status to send
+    if (!res.headersSent) {
+      return res.status(bytes > ENRICH_MAX_BYTES ? 413 : 400).json({ error: e.message });
+    }
+    res.destroy(e);
+  }
+});
+
+// States with their metadata, optionally of some types only
+app.get('/api/states', cacheByDataVersion, (req, res) => {
+  const { stateInfo } = store.current;
+  
+  if (!req.query.type) {
+    return res.json({ states: stateInfo });
+  }
+  
+  const types = String(req.query.type).split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  const unknown = types.filter(type => !STATE_TYPES.includes(type));
+  
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown type(s): ${unknown.join(', ')} (expected ${STATE_TYPES.join(', ')})` });
+  }
+  
+  res.json({ states: stateInfo.filter(state => types.includes(state.type)) });
+});
+
+/**
+ * Parse ?offset= and ?limit= for the list routes
+ * @returns {object} - { page: { offset, limit } } or { error }
+ */
+function parsePageParams(query) {
+  const page = {};
+  
+  if (query.offset !== undefined) {
+    page.offset = Number(query.offset);
+    if (!Number.isInteger(page.offset) || page.offset < 0) {
+      return { error: 'offset must be a non-negative integer' };
+    }
+  }
+  
+  if (query.limit !== undefined) {
+    page.limit = Number(query.limit);
+    if (!Number.isInteger(page.limit) || page.limit < 1 || page.limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+  
+  return { page };
+}
+
+/**
+ * State code for a :state or ?state= value: a code, name or FIPS code
+ */
+function stateCode(value) {
+  const state = findState(value);
+  return state ? state.code : normalizeState(value);
+}
+
+// Zips in a state, or one of its counties
+app.get('/api/states/:state/zips', cacheByDataVersion, (req, res) => {
+  const { page, error } = parsePageParams(req.query);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const state = stateCode(req.params.state);
+  const { zipIndex } = store.current;
+  const zips = zipIndex.stateZips(state);
+  
+  if (!zips) {
+    return res.status(404).json({ error: 'State not found', state });
+  }
+  
+  let county = null;
+  if (req.query.county) {
+    county = zipIndex.county(state, req.query.county);
+    if (!county) {
+      return res.status(404).json({ error: 'County not found', state, county: req.query.county });
+    }
+  }
+  
+  const { items, ...pagination } = paginate(county ? county.zips : zips, page);
+  res.json({
+    state,
+    county: county ? county.county : null,
+    countyFips: county ? county.countyFips : null,
+    ...pagination,
+    zips: items.map(zip => zipIndex.describe(zip, state))
+  });
+});
+
+// Counties, in one state or all
+app.get('/api/counties', cacheByDataVersion, (req, res) => {
+  const { page, error } = parsePageParams(req.query);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const state = req.query.state ? stateCode(req.query.state) : null;
+  const counties = store.current.zipIndex.counties(state);
+  
+  if (!counties) {
+    return res.status(404).json({ error: 'State not found', state });
+  }
+  
+  const { items, ...pagination } = paginate(counties, page);
+  res.json({ state, ...pagination, counties: items });
+});
+
+// Zips starting with a prefix
+app.get('/api/prefix/:prefix', cacheByDataVersion, (req, res) => {
+  const { prefix } = req.params;
+  
+  if (!isZipPrefix(prefix)) {
+    return res.status(400).json({ error: 'prefix must be 1 to 5 digits' });
+  }
+  
+  const { page, error } = parsePageParams(req.query);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const { zipIndex } = store.current;
+  const { items, ...pagination } = paginate(zipIndex.prefixZips(prefix), page);
+  res.json({ prefix, ...pagination, zips: items.map(zip => zipIndex.describe(zip)) });
+});
+
+// GraphQL: GRAPHQL=1 and the optional graphql package
+if (process.env.GRAPHQL && process.env.GRAPHQL !== '0') {
+  const handler = createGraphQLHandler({
+    lookupZip,
+    reverseLookup,
+    suggestCities: (query, options) => store.current.suggestIndex.search(query, options),
+    getStates: () => store.current.stateInfo
+  });
+  
+  if (handler) {
+    app.get('/graphql', handler);
+    app.post('/graphql', handler);
+  } else {
+    logger.warn('GRAPHQL is set but the graphql package is not installed; /graphql is off');
+  }
+}
+
+// Reload the data files without a restart; the old data stays on failure
+app.post('/admin/reload', requireAdmin, async (req, res) => {
+  const result = await store.reload('admin');
+  res.status(result.ok ? 200 : 500).json(result);
 });
 
 // Serve demo
 app.use('/demo', express.static(path.join(__dirname, '../demo')));
-app.use('/dist', express.static(path.join(__dirname, '../dist')));
+
+// Data file from memory, so it always matches the loaded data; precompressed
+// when the build wrote .br/.gz copies and the client accepts them
+app.get(`/dist/${DATA_FILE}`, (req, res) => {
+  const { version, dataFile } = store.current;
+  const encoding = req.get('Accept-Encoding')
+    ? ['br', 'gzip'].find(name => dataFile[name] && req.acceptsEncodings(name))
+    : null;
+  
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': `public, max-age=${CACHE_MAX_AGE}`,
+    'Vary': 'Accept-Encoding',
+    // Each encoding is a different byte sequence, so it needs its own ETag
+    'ETag': `"${version}${encoding ? `-${encoding}` : ''}"`
+  });
+  if (encoding) res.set('Content-Encoding', encoding);
+  
+  if (req.fresh) {
+    metrics.recordCacheCheck('data', true);
+    return res.status(304).end();
+  }
+  
+  metrics.recordCacheCheck('data', false);
+  res.send(encoding ? dataFile[encoding] : dataFile.body);
+});
+
+app.use('/dist', express.static(dataDir, {
+  // manifest.json tells clients whether their copy is current, so it is always revalidated
+  setHeaders: (res, file) => {
+    res.set('Cache-Control', path.basename(file) === 'manifest.json' ? 'no-cache' : `public, max-age=${CACHE_MAX_AGE}`);
+  }
+}));
 
 // 404
 app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
+// Errors: logged with the request ID, which the client gets back to quote
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  
+  const status = err.status >= 400 && err.status < 600 ? err.status : 500;
+  req.log[status >= 500 ? 'error' : 'warn']('Request failed', { error: status >= 500 ? err : err.message });
+  
+  res.status(status).json({
+    error: err.expose ? err.message : 'Internal server error',
+    requestId: req.id
+  });
+});
+
+// Start server unless required (tests listen on their own port)
+if (require.main === module) app.listen(PORT, () => {
+  logger.info('ZipFill API listening', { port: Number(PORT) });
+  
+  // The banner is for people; log collectors only get the JSON line above
+  if (!process.stdout.isTTY) return;
+  
   console.log(`
 📮 ZipFill API running on http://localhost:${PORT}
 
@@ -191,8 +828,20 @@ Endpoints:
   GET  /api/lookup/:zip     Lookup a zip code
   GET  /api/lookup?zip=...  Lookup via query
   POST /api/batch           Batch lookup
+  GET  /api/zips            Zips for a city/state
+  GET  /api/suggest?q=...   City suggestions
+  GET  /api/nearby/:zip     Zips within a radius
+  POST /api/validate        Validate an address
+  POST /api/enrich          Enrich a CSV/NDJSON file
   GET  /api/states          List states
+  GET  /api/states/:s/zips  Zips in a state or county
+  GET  /api/counties        Counties
+  GET  /api/prefix/:prefix  Zips by prefix
+  POST /graphql             GraphQL (GRAPHQL=1)
+  POST /admin/reload        Reload data (needs ADMIN_TOKEN)
   GET  /health              Health check
   GET  /demo                Interactive demo
   `);
 });
+
+module.exports = app;
@@ -0,0 +1,345 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('../fixtures/server.js');
+
+let server;
+
+before(async () => {
+  server = await startServer({ ENRICH_MAX_BYTES: String(2 * 1024 * 1024) });
+});
+
+after(() => server.close());
+
+describe('GET /api/lookup', () => {
+  it('looks up a ZIP+4', async () => {
+    const res = await server.get('/api/lookup/90210-1234');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.zip, '90210');
+    assert.equal(body.plus4, '1234');
+    assert.equal(body.locations[0].city, 'Beverly Hills');
+  });
+
+  it('trims the locations to ?fields=', async () => {
+    const res = await server.get('/api/lookup/10001?fields=timezone,areaCodes');
+    assert.deepEqual((await res.json()).locations, [
+      { city: 'New York', state: 'NY', timezone: 'America/New_York', areaCodes: ['212', '646', '917'] }
+    ]);
+  });
+
+  it('rejects unknown ?fields=', async () => {
+    const res = await server.get('/api/lookup/10001?fields=population');
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: 'Unknown field(s): population' });
+  });
+
+  it('takes the zip from an address line in ?zip=', async () => {
+    const res = await server.get(`/api/lookup?zip=${encodeURIComponent('Austin, TX 78701')}`);
+    assert.equal((await res.json()).locations[0].city, 'Austin');
+  });
+
+  it('gives the reason for an invalid zip', async () => {
+    const res = await server.get('/api/lookup/abc12345');
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), { error: 'Invalid zip code format', zip: 'abc12345', reason: 'ambiguous' });
+  });
+
+  it('looks up a batch', async () => {
+    const res = await server.post('/api/batch', { zips: ['90210', '10001-0001', '1234'] });
+    const { results } = await res.json();
+    assert.deepEqual(results.map(result => result.zip), ['90210', '10001', '1234']);
+    assert.equal(results[2].reason, 'too_short');
+  });
+});
+
+describe('GET /api/zips', () => {
+  it('lists the zips of a city', async () => {
+    const res = await server.get('/api/zips?city=beverly%20hills&state=ca');
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { city: 'Beverly Hills', state: 'CA', zips: ['90210', '90211'] });
+  });
+
+  it('answers 404 for an unknown city', async () => {
+    const res = await server.get('/api/zips?city=Nowhere&state=CA');
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'City not found');
+  });
+
+  it('needs both city and state', async () => {
+    const res = await server.get('/api/zips?city=Austin');
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('GET /api/suggest', () => {
+  it('ranks city suggestions', async () => {
+    const res = await server.get('/api/suggest?q=st%20lou&limit=5');
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      query: 'st lou',
+      suggestions: [{ city: 'Saint Louis', state: 'MO', zipCount: 1 }]
+    });
+  });
+
+  it('filters by state', async () => {
+    const res = await server.get('/api/suggest?q=beverly&state=NY');
+    assert.deepEqual((await res.json()).suggestions, []);
+  });
+
+  it('needs a query', async () => {
+    const res = await server.get('/api/suggest');
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('GET /api/nearby/:zip', () => {
+  it('lists zips within the radius', async () => {
+    const res = await server.get('/api/nearby/90210?radius=15');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.radius, 15);
+    assert.deepEqual(body.results.map(result => result.zip), ['90210', '90211', '90001']);
+    assert.equal(body.results[1].distance, 2.18);
+  });
+
+  it('checks the radius', async () => {
+    for (const radius of ['-1', '101', 'far']) {
+      const res = await server.get(`/api/nearby/90210?radius=${radius}`);
+      assert.equal(res.status, 400, radius);
+    }
+  });
+
+  it('answers 404 for a zip without coordinates', async () => {
+    const res = await server.get('/api/nearby/09001');
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'No coordinates for zip code');
+  });
+});
+
+describe('POST /api/validate', () => {
+  it('validates an address', async () => {
+    const res = await server.post('/api/validate', { zip: '63005', city: 'Chesterfield', state: 'MO', county: 'Saint Louis County' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.valid, true);
+    assert.equal(body.fields.county.status, 'match');
+  });
+
+  it('reports mismatches with suggestions', async () => {
+    const res = await server.post('/api/validate', { zip: '90210', city: 'Austin', state: 'TX' });
+    const body = await res.json();
+    assert.equal(body.valid, false);
+    assert.deepEqual(body.suggestions.map(s => s.zip), ['90210', '78701']);
+  });
+
+  it('needs an address object', async () => {
+    const res = await server.post('/api/validate', ['90210']);
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /api/enrich', () => {
+  it('streams a CSV back with the location appended', async () => {
+    const res = await server.post('/api/enrich', 'id,zip\n1,10001\n2,1234\n', { 'Content-Type': 'text/csv' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.equal(await res.text(), [
+      'id,zip,city,state,county,error',
+      '1,10001,New York,NY,New York,',
+      '2,1234,,,,Zip code too short (leading zero lost?)',
+      ''
+    ].join('\n'));
+  });
+
+  it('takes NDJSON with ?zipColumn=, ?fields= and ?prefix=', async () => {
+    const res = await server.post('/api/enrich?zipColumn=postal&fields=countyFips&prefix=zip_', '{"postal":"99559"}\n', {
+      'Content-Type': 'application/x-ndjson'
+    });
+    assert.match(res.headers.get('content-type'), /^application\/x-ndjson/);
+    assert.deepEqual(JSON.parse(await res.text()), {
+      postal: '99559',
+      zip_city: 'Bethel',
+      zip_state: 'AK',
+      zip_countyFips: '02050'
+    });
+  });
+
+  it('rejects bad options and a CSV without the zip column', async () => {
+    const format = await server.post('/api/enrich?format=xml', 'zip\n', { 'Content-Type': 'text/csv' });
+    assert.equal(format.status, 400);
+    assert.equal((await server.post('/api/enrich?fields=population', 'zip\n', { 'Content-Type': 'text/csv' })).status, 400);
+
+    const header = await server.post('/api/enrich', 'name,postcode\nAda,10001\n', { 'Content-Type': 'text/csv' });
+    assert.equal(header.status, 400);
+    assert.deepEqual(await header.json(), { error: 'No "zip" column in the CSV header' });
+  });
+
+  it('rejects a file past the size limit', async () => {
+    const res = await server.post('/api/enrich', 'zip\n' + '10001\n'.repeat(400000), { 'Content-Type': 'text/csv' });
+    assert.equal(res.status, 413);
+    assert.deepEqual(await res.json(), { error: `File larger than ${2 * 1024 * 1024} bytes` });
+  });
+
+  it('rejects a line past the length limit', async () => {
+    const res = await server.post('/api/enrich', `{"zip":"10001","note":"${'x'.repeat(1024 * 1024)}"}\n`, { 'Content-Type': 'application/x-ndjson' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: `Line 1 is longer than ${1024 * 1024} characters` });
+  });
+});
+
+describe('HTTP caching', () => {
+  const dataFile = () => fs.readFileSync(path.join(server.dataDir, 'zip-data.min.json'), 'utf8');
+  const dataVersion = () => JSON.parse(fs.readFileSync(path.join(server.dataDir, 'manifest.json'), 'utf8')).dataVersion;
+
+  // fetch() adds "Cache-Control: no-cache" to conditional requests unless one is given
+  const revalidate = (route, etag, headers = {}) => server.get(route, { 'If-None-Match': etag, 'Cache-Control': 'max-age=0', ...headers });
+
+  it('tags lookups with the data version and answers If-None-Match with 304', async () => {
+    const res = await server.get('/api/lookup/90210');
+    assert.equal(res.headers.get('etag'), `"${dataVersion()}"`);
+    assert.equal(res.headers.get('cache-control'), 'public, max-age=86400');
+
+    assert.equal((await revalidate('/api/lookup/90210', res.headers.get('etag'))).status, 304);
+    assert.equal((await revalidate('/api/lookup/90210', '"old"')).status, 200);
+  });
+
+  it('never caches errors', async () => {
+    for (const route of ['/api/lookup/99999', '/api/lookup/10001?fields=population']) {
+      const res = await server.get(route);
+      assert.ok(res.status >= 400);
+      assert.equal(res.headers.get('cache-control'), 'no-store');
+      assert.equal(res.headers.get('etag'), null);
+    }
+  });
+
+  it('serves the data file precompressed, with an ETag per encoding', async () => {
+    const plain = await server.get('/dist/zip-data.min.json', { 'Accept-Encoding': 'identity' });
+    assert.equal(plain.headers.get('content-encoding'), null);
+    assert.equal(plain.headers.get('etag'), `"${dataVersion()}"`);
+    assert.equal(plain.headers.get('vary'), 'Accept-Encoding');
+    assert.equal(await plain.text(), dataFile());
+
+    const br = await server.get('/dist/zip-data.min.json', { 'Accept-Encoding': 'gzip, br' });
+    assert.equal(br.headers.get('content-encoding'), 'br');
+    assert.equal(br.headers.get('etag'), `"${dataVersion()}-br"`);
+    assert.equal(await br.text(), dataFile());
+
+    const gzip = await revalidate('/dist/zip-data.min.json', `"${dataVersion()}-gzip"`, { 'Accept-Encoding': 'gzip' });
+    assert.equal(gzip.status, 304);
+  });
+
+  it('always revalidates the manifest', async () => {
+    assert.equal((await server.get('/dist/manifest.json')).headers.get('cache-control'), 'no-cache');
+  });
+
+  it('records cache hits in the metrics', async () => {
+    const text = await (await server.get('/metrics/prometheus')).text();
+    assert.match(text, /^zipfill_cache_requests_total\{resource="data",result="hit"\} 1$/m);
+    assert.match(text, /^zipfill_cache_requests_total\{resource="data",result="miss"\} 2$/m);
+    assert.match(text, /^zipfill_cache_hit_ratio\{resource="api"\} 0\.\d+$/m);
+  });
+});
+
+describe('GET /metrics/prometheus', () => {
+  it('labels requests by route, with stray paths as "unmatched"', async () => {
+    await server.get('/api/lookup/10001');
+    await server.get('/wp-login.php');
+
+    const res = await server.get('/metrics/prometheus');
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    const text = await res.text();
+    assert.match(text, /^zipfill_http_request_duration_seconds_count\{endpoint="\/api\/lookup\/:zip"\} \d+$/m);
+    assert.match(text, /^zipfill_requests_by_endpoint_total\{endpoint="unmatched"\} 1$/m);
+    assert.doesNotMatch(text, /wp-login/);
+  });
+});
+
+describe('GET /api/states', () => {
+  it('describes the states in the data', async () => {
+    const { states } = await (await server.get('/api/states')).json();
+    assert.deepEqual(states.map(state => state.code), ['AE', 'AK', 'AP', 'CA', 'FL', 'IN', 'MO', 'NY', 'PR', 'TX']);
+    assert.deepEqual(states.find(state => state.code === 'CA'), {
+      code: 'CA',
+      name: 'California',
+      fips: '06',
+      type: 'state',
+      zipCount: 3,
+      zipPrefixes: [['900', '900'], ['902', '902']]
+    });
+  });
+
+  it('filters by ?type=', async () => {
+    const { states } = await (await server.get('/api/states?type=territory, Military')).json();
+    assert.deepEqual(states.map(state => state.code), ['AE', 'AP', 'PR']);
+  });
+
+  it('rejects unknown types', async () => {
+    const res = await server.get('/api/states?type=state,province');
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: 'Unknown type(s): province (expected state, district, territory, military)' });
+  });
+});
+
+describe('GET /api/states/:state/zips', () => {
+  it('lists a state\'s zips by code, name or FIPS code', async () => {
+    const body = await (await server.get('/api/states/california/zips?limit=2')).json();
+    assert.equal(body.state, 'CA');
+    assert.equal(body.total, 3);
+    assert.equal(body.next, 2);
+    assert.deepEqual(body.zips.map(zip => zip.zip), ['90001', '90210']);
+    assert.equal((await (await server.get('/api/states/06/zips?offset=2')).json()).zips[0].zip, '90211');
+  });
+
+  it('narrows to a county by name or FIPS code', async () => {
+    const saint = await (await server.get('/api/states/MO/zips?county=Saint%20Louis')).json();
+    assert.equal(saint.county, 'St. Louis');
+    assert.equal(saint.countyFips, '29189');
+    assert.deepEqual(saint.zips, [{ zip: '63005', city: 'Chesterfield', state: 'MO', county: 'St. Louis' }]);
+
+    const bethel = await (await server.get('/api/states/AK/zips?county=02050')).json();
+    assert.equal(bethel.county, 'Bethel Census Area');
+  });
+
+  it('answers 404 for an unknown state or county and 400 for a bad page', async () => {
+    assert.equal((await server.get('/api/states/WY/zips')).status, 404);
+    assert.deepEqual(await (await server.get('/api/states/TX/zips?county=Harris')).json(), { error: 'County not found', state: 'TX', county: 'Harris' });
+    assert.deepEqual(await (await server.get('/api/states/TX/zips?limit=5000')).json(), { error: 'limit must be between 1 and 1000' });
+    assert.equal((await server.get('/api/states/TX/zips?offset=-1')).status, 400);
+  });
+});
+
+describe('GET /api/counties', () => {
+  it('lists counties with their zip counts', async () => {
+    const body = await (await server.get('/api/counties?state=Missouri')).json();
+    assert.deepEqual(body, {
+      state: 'MO',
+      total: 2,
+      offset: 0,
+      limit: 100,
+      next: null,
+      counties: [
+        { county: 'St. Louis', state: 'MO', countyFips: '29189', zipCount: 1 },
+        { county: 'St. Louis City', state: 'MO', countyFips: null, zipCount: 1 }
+      ]
+    });
+    assert.equal((await (await server.get('/api/counties?limit=1')).json()).state, null);
+    assert.equal((await server.get('/api/counties?state=WY')).status, 404);
+  });
+});
+
+describe('GET /api/prefix/:prefix', () => {
+  it('lists the zips starting with a prefix', async () => {
+    const body = await (await server.get('/api/prefix/902')).json();
+    assert.equal(body.prefix, '902');
+    assert.deepEqual(body.zips.map(zip => zip.zip), ['90210', '90211']);
+    assert.equal((await (await server.get('/api/prefix/5')).json()).total, 0);
+  });
+
+  it('rejects prefixes that are not 1 to 5 digits', async () => {
+    const res = await server.get('/api/prefix/90a');
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: 'prefix must be 1 to 5 digits' });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * OpenTelemetry tracing
+ *
+ * Off unless OTEL_TRACES_EXPORTER is set:
+ *   otlp    - send spans to a collector over OTLP/HTTP, at
+ *             OTEL_EXPORTER_OTLP_ENDPOINT (default http://localhost:4318)
+ *   console - write spans to the log, one "span" line each
+ *
+ * Needs the optional @opentelemetry packages; without them the server
+ * warns and runs untraced. OTEL_SERVICE_NAME (default zip-fill) and
+ * OTEL_RESOURCE_ATTRIBUTES work as in any OpenTelemetry SDK.
+ *
+ * Every request gets a server span, with a zipfill.lookup child per zip
+ * looked up and a zipfill.batch span around POST /api/batch. Request log
+ * lines carry the trace ID, so a slow span leads to its log line and back.
+ */
+
+const EXPORTERS = ['otlp', 'console', 'none'];
+
+// Stands in for a span when tracing is off, so callers never check
+const NOOP_SPAN = {
+  setAttribute() { return this; },
+  setAttributes() { return this; },
+  setStatus() { return this; },
+  updateName() { return this; },
+  recordException() {},
+  end() {}
+};
+
+/**
+ * Span exporter that writes finished spans through the logger
+ * (ConsoleSpanExporter's multi-line output would break JSON logs)
+ */
+class LogSpanExporter {
+  constructor(logger) {
+    this.logger = logger;
+  }
+  
+  export(spans, done) {
+    for (const span of spans) {
+      const [seconds, nanos] = span.duration;
+      this.logger.info('span', {
+        traceId: span.spanContext().traceId,
+        spanId: span.spanContext().spanId,
+        parentSpanId: span.parentSpanContext ? span.parentSpanContext.spanId : null,
+        name: span.name,
+        durationMs: Math.round((seconds * 1e3 + nanos / 1e6) * 1000) / 1000,
+        status: span.status.code === 2 ? 'error' : 'ok',
+        attributes: span.attributes
+      });
+    }
+    done({ code: 0 }); // ExportResultCode.SUCCESS
+  }
+  
+  async shutdown() {}
+}
+
+class Tracing {
+  /**
+   * @param {object} [otel] - { api, tracer, provider } when tracing is on
+   */
+  constructor(otel = null) {
+    this.otel = otel;
+  }
+  
+  get enabled() {
+    return Boolean(this.otel);
+  }
+  
+  /**
+   * Run fn(span) in a span that is the parent of any span fn starts
+   * The span ends when fn returns or its promise settles; an error thrown
+   * by fn is recorded on it.
+   */
+  withSpan(name, attributes, fn) {
+    if (!this.otel) return fn(NOOP_SPAN);
+    
+    return this.otel.tracer.startActiveSpan(name, { attributes }, span => {
+      const fail = e => {
+        span.recordException(e);
+        span.setStatus({ code: this.otel.api.SpanStatusCode.ERROR, message: e.message });
+        span.end();
+        throw e;
+      };
+      
+      let result;
+      try {
+        result = fn(span);
+      } catch (e) {
+        fail(e);
+      }
+      
+      if (result && typeof result.then === 'function') {
+        return result.then(value => {
+          span.end();
+          return value;
+        }, fail);
+      }
+      span.end();
+      return result;
+    });
+  }
+  
+  /**
+   * Start the server span for a request; endRequest() ends it
+   */
+  startRequest(req) {
+    if (!this.otel) return NOOP_SPAN;
+    
+    return this.otel.tracer.startSpan(req.method, {
+      kind: this.otel.api.SpanKind.SERVER,
+      attributes: {
+        'http.request.method': req.method,
+        'url.path': req.path,
+        'zipfill.request_id': req.id
+      }
+    });
+  }
+  
+  /**
+   * Call next() with the request's span active, so lookups inside it become its children
+   */
+  runInRequest(span, req, res, next) {
+    if (!this.otel) return next();
+    
+    const { api } = this.otel;
+    const context = api.trace.setSpan(api.context.active(), span);
+    
+    // Body and response events fire from the socket, outside this context, unless bound
+    api.context.bind(context, req);
+    api.context.bind(context, res);
+    api.context.with(context, next);
+  }
+  
+  /**
+   * Finish a request's server span
+   */
+  endRequest(span, req, res) {
+    if (!this.otel) return;
+    
+    const route = req.route ? req.route.path : null;
+    if (route) {
+      span.updateName(`${req.method} ${route}`);
+      span.setAttribute('http.route', route);
+    }
+    span.setAttribute('http.response.status_code', res.statusCode);
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: this.otel.api.SpanStatusCode.ERROR });
+    }
+    span.end();
+  }
+  
+  /**
+   * Trace ID of a span, for log lines
+   */
+  traceId(span) {
+    return this.otel ? span.spanContext().traceId : undefined;
+  }
+  
+  /**
+   * Send any buffered spans (call on shutdown)
+   */
+  async shutdown() {
+    if (this.otel) await this.otel.provider.shutdown();
+  }
+}
+
+/**
+ * Set up tracing from OTEL_TRACES_EXPORTER
+ * @param {object} options
+ *   - exporter: 'otlp', 'console' or 'none' (default)
+ *   - logger: for the console exporter and warnings
+ * @returns {Tracing} - Disabled when the exporter is 'none' or the packages are missing
+ * @throws when the exporter is unknown
+ */
+function createTracing({ exporter = 'none', logger }) {
+  if (!EXPORTERS.includes(exporter)) {
+    throw new Error(`Unknown OTEL_TRACES_EXPORTER "${exporter}" (expected ${EXPORTERS.join(', ')})`);
+  }
+  if (exporter === 'none') return new Tracing();
+  
+  let api, sdk, resources, otlp;
+  try {
+    api = require('@opentelemetry/api');
+    sdk = require('@opentelemetry/sdk-trace-node');
+    resources = require('@opentelemetry/resources');
+    if (exporter === 'otlp') otlp = require('@opentelemetry/exporter-trace-otlp-http');
+  } catch (e) {
+    logger.warn('OTEL_TRACES_EXPORTER is set but the @opentelemetry packages are not installed; tracing is off');
+    return new Tracing();
+  }
+  
+  const spanProcessor = exporter === 'otlp'
+    ? new sdk.BatchSpanProcessor(new otlp.OTLPTraceExporter())
+    : new sdk.SimpleSpanProcessor(new LogSpanExporter(logger));
+  
+  // OTEL_SERVICE_NAME and OTEL_RESOURCE_ATTRIBUTES override the default name
+  const resource = resources.resourceFromAttributes({ 'service.name': 'zip-fill' })
+    .merge(resources.detectResources({ detectors: [resources.envDetector] }));
+  
+  const provider = new sdk.NodeTracerProvider({ resource, spanProcessors: [spanProcessor] });
+  provider.register();
+  
+  return new Tracing({ api, tracer: api.trace.getTracer('zip-fill'), provider });
+}
+
+module.exports = { createTracing, Tracing, LogSpanExporter };
@@ -0,0 +1,65 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracing, Tracing } = require('./tracing.js');
+const { Logger } = require('./logger.js');
+
+let installed = true;
+try {
+  require.resolve('@opentelemetry/sdk-trace-node');
+} catch (e) {
+  installed = false;
+}
+
+describe('createTracing', () => {
+  it('is off by default', async () => {
+    const tracing = createTracing({});
+    assert.equal(tracing.enabled, false);
+    const result = tracing.withSpan('zipfill.lookup', {}, span => {
+      span.setAttribute('zipfill.zip', '90210');
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.equal(tracing.traceId(tracing.startRequest({})), undefined);
+    await tracing.shutdown();
+  });
+
+  it('rejects unknown exporters', () => {
+    assert.throws(() => createTracing({ exporter: 'jaeger' }), /Unknown OTEL_TRACES_EXPORTER "jaeger" \(expected otlp, console, none\)/);
+  });
+});
+
+describe('console exporter', { skip: !installed && 'the @opentelemetry packages are not installed' }, () => {
+  const lines = [];
+  const logger = new Logger({ write: line => lines.push(JSON.parse(line)) });
+  const tracing = installed ? createTracing({ exporter: 'console', logger }) : new Tracing();
+  const spans = () => lines.filter(line => line.msg === 'span');
+
+  after(() => tracing.shutdown());
+
+  it('logs nested spans with their parent', () => {
+    lines.length = 0;
+    tracing.withSpan('zipfill.batch', { 'zipfill.batch.size': 1 }, () => {
+      tracing.withSpan('zipfill.lookup', { 'zipfill.zip': '90210' }, () => {});
+    });
+
+    const [lookup, batch] = spans();
+    assert.equal(lookup.name, 'zipfill.lookup');
+    assert.equal(lookup.parentSpanId, batch.spanId);
+    assert.equal(lookup.traceId, batch.traceId);
+    assert.deepEqual(lookup.attributes, { 'zipfill.zip': '90210' });
+    assert.equal(batch.parentSpanId, null);
+    assert.equal(batch.status, 'ok');
+  });
+
+  it('records errors, also from promises', async () => {
+    lines.length = 0;
+    assert.throws(() => tracing.withSpan('sync', {}, () => {
+      throw new Error('boom');
+    }), /boom/);
+    await assert.rejects(tracing.withSpan('async', {}, async () => {
+      throw new Error('later');
+    }), /later/);
+
+    assert.deepEqual(spans().map(span => [span.name, span.status]), [['sync', 'error'], ['async', 'error']]);
+  });
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * ZipFill command line
+ *
+ * Usage:
+ *   zip-fill enrich [input] [options]
+ *
+ * Enrich options:
+ *   --zip-column zip        Column (CSV) or key (NDJSON) holding the zip (default: zip)
+ *   --format csv|ndjson     Input format (default: from the file extension, else csv)
+ *   --fields city,state     Location fields to append (default: city,state,county)
+ *   --prefix zip_           Prefix for the appended columns
+ *   --out file              Output file (default: stdout)
+ *   --data file             Zip data file (default: the bundled dist/zip-data.min.json)
+ *
+ * Reads stdin when no input is given (or "-"). Uses the same lookup as
+ * ZipFill.lookup() and the same output as POST /api/enrich, offline.
+ * A summary goes to stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { default: ZipFill } = require('../src/index.js');
+const { decodeColumnar, isColumnar } = require('../src/columnar.js');
+const { parseFieldList } = require('../src/fields.js');
+const { createEnricher, DEFAULT_ENRICH_FIELDS } = require('../src/enrich.js');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '../dist/zip-data.min.json');
+
+const USAGE = `Usage: zip-fill enrich [input] [--zip-column zip] [--format csv|ndjson]
+                       [--fields city,state,county] [--prefix zip_] [--out file] [--data file]`;
+
+const VALUE_OPTIONS = {
+  '--zip-column': 'zipColumn',
+  '--format': 'format',
+  '--fields': 'fields',
+  '--prefix': 'prefix',
+  '--out': 'out',
+  '--data': 'data'
+};
+
+function parseArgs(argv) {
+  const options = { input: null };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    
+    if (VALUE_OPTIONS[arg]) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      options[VALUE_OPTIONS[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (options.input === null) {
+      options.input = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+  
+  return options;
+}
+
+function formatFor(file) {
+  return file && /\.(ndjson|jsonl)$/i.test(file) ? 'ndjson' : 'csv';
+}
+
+function loadZipFill(file) {
+  const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new ZipFill(isColumnar(payload) ? decodeColumnar(payload) : payload).load();
+}
+
+async function enrich(argv) {
+  const options = parseArgs(argv);
+  
+  let fields = DEFAULT_ENRICH_FIELDS;
+  if (options.fields) {
+    const parsed = parseFieldList(options.fields);
+    if (parsed.unknown.length) throw new Error(`Unknown field(s): ${parsed.unknown.join(', ')}`);
+    fields = parsed.fields;
+  }
+  
+  const zipFill = await loadZipFill(options.data || DEFAULT_DATA_FILE);
+  
+  const enricher = createEnricher({
+    format: options.format || formatFor(options.input),
+    lookup: zip => {
+      const result = zipFill.lookup(zip);
+      return result ? result.locations : null;
+    },
+    zipColumn: options.zipColumn || 'zip',
+    fields,
+    prefix: options.prefix || ''
+  });
+  
+  const input = !options.input || options.input === '-'
+    ? process.stdin
+    : fs.createReadStream(options.input);
+  const output = options.out ? fs.createWriteStream(options.out) : process.stdout;
+  input.setEncoding('utf8');
+  
+  // An unwritable --out or a reader that went away fails the run instead of
+  // crashing it with an unhandled 'error' event
+  let outputError = null;
+  output.on('error', e => { outputError = outputError || e; });
+  
+  for await (const chunk of input) {
+    if (outputError) throw outputError;
+    const text = enricher.write(chunk);
+    if (text && !output.write(text)) await once(output, 'drain');
+  }
+  
+  if (outputError) throw outputError;
+  await new Promise((resolve, reject) => {
+    output.write(enricher.end(), e => (e ? reject(outputError || e) : resolve()));
+  });
+  
+  if (output !== process.stdout) {
+    output.end();
+    await once(output, 'finish');
+  }
+  
+  const { rows, enriched, errors } = enricher.stats;
+  console.error(`Enriched ${enriched} of ${rows} rows (${errors} error${errors === 1 ? '' : 's'})`);
+}
+
+const COMMANDS = { enrich };
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const help = command === undefined || command === '--help' || rest.includes('--help');
+  
+  if (help || !COMMANDS[command]) {
+    console.error(USAGE);
+    return help ? 0 : 1;
+  }
+  
+  try {
+    await COMMANDS[command](rest);
+    return 0;
+  } catch (e) {
+    // The output was piped to something that stopped reading (| head)
+    if (e.code === 'EPIPE') return 0;
+    console.error(`zip-fill ${command}: ${e.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { main };
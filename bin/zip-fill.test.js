@@ -0,0 +1,82 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { once } = require('events');
+const { buildFixture, removeDir } = require('../fixtures/build.js');
+
+const CLI = path.join(__dirname, 'zip-fill.js');
+const dir = buildFixture();
+const data = path.join(dir, 'zip-data.min.json');
+
+after(() => removeDir(dir));
+
+function run(args, input) {
+  return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+}
+
+describe('zip-fill enrich', () => {
+  it('enriches CSV from stdin with the same lookup as ZipFill', () => {
+    const result = run(['enrich', '--data', data], 'name,zip\nAda,90210-1234\nBob,00000\n');
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, [
+      'name,zip,city,state,county,error',
+      'Ada,90210-1234,Beverly Hills,CA,Los Angeles,',
+      'Bob,00000,,,,Zip code 00000 not found',
+      ''
+    ].join('\n'));
+    assert.match(result.stderr, /Enriched 1 of 2 rows \(1 error\)\n$/);
+  });
+
+  it('reads NDJSON files by extension and writes to --out', () => {
+    const input = path.join(dir, 'people.ndjson');
+    const out = path.join(dir, 'people.out.ndjson');
+    fs.writeFileSync(input, '{"postal":"63005"}\n');
+
+    const result = run(['enrich', input, '--data', data, '--zip-column', 'postal', '--fields', 'timezone', '--prefix', 'zip_', '--out', out]);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')), {
+      postal: '63005',
+      zip_city: 'Chesterfield',
+      zip_state: 'MO',
+      zip_timezone: 'America/Chicago'
+    });
+  });
+
+  it('reports bad options and a missing zip column', () => {
+    assert.match(run(['enrich', '--data', data, '--fields', 'population'], '').stderr, /zip-fill enrich: Unknown field\(s\): population/);
+    assert.match(run(['enrich', '--zip-column'], '').stderr, /--zip-column needs a value/);
+
+    const result = run(['enrich', '--data', data], 'name,postcode\n');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /No "zip" column in the CSV header/);
+  });
+
+  it('fails on an output file it cannot write', () => {
+    const result = run(['enrich', '--data', data, '--out', path.join(dir, 'missing', 'out.csv')], 'zip\n90210\n');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^zip-fill enrich: ENOENT/m);
+  });
+
+  it('stops quietly when the reader goes away', async () => {
+    const child = spawn(process.execPath, [CLI, 'enrich', '--data', data]);
+    let stderr = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', text => { stderr += text; });
+    child.stdin.on('error', () => {});
+    child.stdout.destroy();
+    child.stdin.end('zip\n' + '90210\n'.repeat(100000));
+
+    const [code] = await once(child, 'close');
+    assert.equal(code, 0);
+    assert.equal(stderr, '');
+  });
+
+  it('prints usage', () => {
+    assert.equal(run(['--help']).status, 0);
+    const result = run(['geocode']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^Usage: zip-fill enrich/);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Test helpers: build the fixture raw data into a temporary directory
+ *
+ * fixtures/raw-data.json is the sample export plus a few records the tests
+ * need (a census area, a county spelled "St.").
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BUILD_SCRIPT = path.join(__dirname, '../scripts/build-data.js');
+const RAW_FIXTURE = path.join(__dirname, 'raw-data.json');
+
+/**
+ * Fresh temporary directory; remove it with removeDir()
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'zip-fill-'));
+}
+
+function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Run scripts/build-data.js with extra arguments
+ * Returns the spawn result; the build input defaults to the fixture.
+ */
+function runBuild(args = []) {
+  const input = args.some(arg => arg.startsWith('--input')) ? [] : ['--input', RAW_FIXTURE];
+  return spawnSync(process.execPath, [BUILD_SCRIPT, ...input, '--source-date', '2026-01-01', ...args], {
+    encoding: 'utf8'
+  });
+}
+
+/**
+ * Build the fixture into out (default: a new temporary directory)
+ * Throws with the build output when the build fails.
+ */
+function buildFixture(args = [], out = tempDir()) {
+  const result = runBuild(['--out', out, ...args]);
+  if (result.status !== 0) {
+    throw new Error(`Build failed:\n${result.stderr || result.stdout}`);
+  }
+  return out;
+}
+
+module.exports = { BUILD_SCRIPT, RAW_FIXTURE, tempDir, removeDir, runBuild, buildFixture };
@@ -0,0 +1,36 @@
+/**
+ * Test helper: a jsdom window as the global DOM
+ *
+ * Import it before the modules under test: src/element.js extends
+ * HTMLElement when it loads.
+ */
+
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+const { window } = dom;
+
+for (const name of ['window', 'document', 'HTMLElement', 'customElements', 'Event', 'CustomEvent', 'KeyboardEvent', 'Element', 'SVGElement', 'Document', 'ShadowRoot']) {
+  globalThis[name] = name === 'window' ? window : window[name];
+}
+
+// React DOM sniffs the user agent when it loads; Node 20 has no navigator
+if (typeof navigator === 'undefined') globalThis.navigator = window.navigator;
+
+/**
+ * Replace the body with some HTML; returns document.querySelector
+ */
+function render(html) {
+  window.document.body.innerHTML = html;
+  return selector => window.document.querySelector(selector);
+}
+
+/**
+ * Set an input's value the way typing does, firing 'input'
+ */
+function type(el, value) {
+  el.value = value;
+  el.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+module.exports = { window, render, type, document: window.document };
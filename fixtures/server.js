@@ -0,0 +1,43 @@
+/**
+ * Test helper: start api/server.js on the fixture data
+ *
+ * The server reads its configuration from the environment when it is
+ * required, so each test file starts one server with its own env (node
+ * --test runs every file in a separate process).
+ */
+
+const { buildFixture, removeDir } = require('./build.js');
+
+/**
+ * @param {object} env - Extra environment variables (API_KEYS_FILE, GRAPHQL, ...)
+ * @returns {Promise<object>} - { app, dataDir, url, get(path, headers), post(path, body, headers), close() }
+ */
+async function startServer(env = {}) {
+  const dataDir = buildFixture();
+  Object.assign(process.env, { DATA_DIR: dataDir, LOG_LEVEL: 'silent' }, env);
+
+  const app = require('../api/server.js');
+  const server = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    app,
+    dataDir,
+    url,
+    get: (path, headers = {}) => fetch(url + path, { headers }),
+    post: (path, body, headers = {}) => fetch(url + path, {
+      method: 'POST',
+      headers: typeof body === 'string' ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    }),
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      removeDir(dataDir);
+    }
+  };
+}
+
+module.exports = { startServer };
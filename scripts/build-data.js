@@ -2,30 +2,292 @@
 /**
  * Build optimized zip code lookup data
  * Transforms raw data into a compact lookup format
+ *
+ * Usage:
+ *   node scripts/build-data.js [options]
+ *   node scripts/build-data.js diff <old> <new>   (see scripts/diff-data.js)
+ *
+ * Options:
+ *   --states CA,NV          Only include these states
+ *   --exclude-military      Leave out APO/FPO/DPO zips (AA, AE, AP)
+ *   --exclude-territories   Leave out PR, VI, GU, AS, MP and the freely associated states
+ *   --fields city,state     Location fields to bundle (default: all)
+ *   --out dir               Output directory (default: dist)
+ *   --input file.json       Raw data file (default: raw-data.json)
+ *   --source-date date      Date of the raw data export (default: the file's mtime)
+ *   --skip-invalid          Drop records that fail the raw schema instead of failing
+ *   --config file.json      Read the options above from a JSON file
+ *
+ * Raw records are checked against scripts/raw-schema.js first. The manifest
+ * records the source file, date and hash, and what changed since the
+ * previous build in the output directory (also written to changes.json).
+ *
+ * Fields are defined in src/fields.js; city and state are always included.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const {
+  encodeColumnar,
+  shardPrefix,
+  MANIFEST_FORMAT,
+  COLUMNAR_VERSION
+} = require('../src/columnar.js');
+const {
+  LOCATION_FIELDS,
+  FIELD_NAMES,
+  MILITARY_STATES,
+  TERRITORY_STATES,
+  parseFieldList,
+  readLocation
+} = require('../src/fields.js');
+const { describeStates } = require('../src/states.js');
+const { validateRawData } = require('./raw-schema.js');
+const { diffData, printDiff, readBuild } = require('./diff-data.js');
 
 const RAW_FILE = path.join(__dirname, '../raw-data.json');
-const OUTPUT_FILE = path.join(__dirname, '../dist/zip-data.json');
-const OUTPUT_MIN_FILE = path.join(__dirname, '../dist/zip-data.min.json');
+const DEFAULT_OUT_DIR = path.join(__dirname, '../dist');
+
+/**
+ * Short content hash, used as the data version for client caches
+ */
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Split "CA, nv" or ['CA', 'nv'] into ['CA', 'NV']
+ */
+function parseStateList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(state => String(state).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Normalize and check build options (from the command line or a config file)
+ */
+function resolveOptions(raw) {
+  const options = {
+    states: null,
+    excludeMilitary: false,
+    excludeTerritories: false,
+    fields: FIELD_NAMES,
+    out: DEFAULT_OUT_DIR,
+    input: RAW_FILE,
+    sourceDate: null,
+    skipInvalid: false
+  };
+  
+  if (raw.states !== undefined && raw.states !== null) {
+    options.states = parseStateList(raw.states);
+    if (!options.states.length) throw new Error('--states needs at least one state');
+  }
+  
+  options.excludeMilitary = Boolean(raw.excludeMilitary);
+  options.excludeTerritories = Boolean(raw.excludeTerritories);
+  
+  if (raw.fields !== undefined) {
+    const { fields, unknown } = parseFieldList(raw.fields);
+    if (unknown.length) {
+      throw new Error(`Unknown field(s): ${unknown.join(', ')}. Available: ${FIELD_NAMES.join(', ')}`);
+    }
+    options.fields = fields;
+  }
+  
+  if (raw.out) options.out = path.resolve(raw.out);
+  if (raw.input) options.input = path.resolve(raw.input);
+  
+  if (raw.sourceDate) {
+    const date = new Date(raw.sourceDate);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid source date: ${raw.sourceDate}`);
+    options.sourceDate = date.toISOString().slice(0, 10);
+  }
+  
+  options.skipInvalid = Boolean(raw.skipInvalid);
+  
+  return options;
+}
+
+/**
+ * Parse command line options; flags override a --config file
+ */
+function parseArgs(argv) {
+  const flags = {};
+  let configFile = null;
+  let help = false;
+  
+  for (let i = 0; i < argv.length; i++) {
+    // Split on the first '=' only: values such as paths may contain one
+    const eq = argv[i].indexOf('=');
+    const flag = eq === -1 ? argv[i] : argv[i].slice(0, eq);
+    const inlineValue = eq === -1 ? undefined : argv[i].slice(eq + 1);
+    const value = () => {
+      const next = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (next === undefined) throw new Error(`${flag} needs a value`);
+      return next;
+    };
+    
+    switch (flag) {
+      case '--states':
+        flags.states = value();
+        break;
+      case '--exclude-military':
+        flags.excludeMilitary = true;
+        break;
+      case '--exclude-territories':
+        flags.excludeTerritories = true;
+        break;
+      case '--fields':
+        flags.fields = value();
+        break;
+      case '--out':
+        flags.out = value();
+        break;
+      case '--input':
+        flags.input = value();
+        break;
+      case '--source-date':
+        flags.sourceDate = value();
+        break;
+      case '--skip-invalid':
+        flags.skipInvalid = true;
+        break;
+      case '--config':
+        configFile = value();
+        break;
+      case '--help':
+      case '-h':
+        help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  
+  const config = configFile ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : {};
+  
+  // Relative paths in a config file are relative to the file
+  for (const key of ['out', 'input']) {
+    if (configFile && config[key]) {
+      config[key] = path.resolve(path.dirname(configFile), config[key]);
+    }
+  }
+  
+  return { help, ...resolveOptions({ ...config, ...flags }) };
+}
+
+function printHelp() {
+  console.log('Usage: node scripts/build-data.js [options]\n');
+  console.log('  --states <list>        Only include these states, e.g. CA,NV');
+  console.log(`  --exclude-military     Leave out military zips (${MILITARY_STATES.join(', ')})`);
+  console.log(`  --exclude-territories  Leave out territories (${TERRITORY_STATES.join(', ')})`);
+  console.log('  --fields <list>        Comma-separated fields to bundle (default: all)');
+  console.log('  --out <dir>            Output directory (default: dist)');
+  console.log('  --input <file>         Raw data file (default: raw-data.json)');
+  console.log('  --source-date <date>   Date of the raw data export (default: file mtime)');
+  console.log('  --skip-invalid         Drop records that fail the raw schema instead of failing');
+  console.log('  --config <file>        JSON file with any of the options above, e.g. { "states": ["CA"] }\n');
+  console.log('Compare two builds:');
+  console.log('  node scripts/build-data.js diff <old> <new> [--json] [--limit 50]\n');
+  console.log('Fields:');
+  for (const field of LOCATION_FIELDS) {
+    console.log(`  ${field.name.padEnd(18)}${field.description}${field.required ? ' (always included)' : ''}`);
+  }
+}
+
+/**
+ * Check whether a location belongs in the bundle
+ */
+function inBundle(location, options) {
+  if (options.states && !options.states.includes(location.state)) return false;
+  if (options.excludeMilitary && MILITARY_STATES.includes(location.state)) return false;
+  if (options.excludeTerritories && TERRITORY_STATES.includes(location.state)) return false;
+  return true;
+}
+
+if (process.argv[2] === 'diff') {
+  process.exit(require('./diff-data.js').main(process.argv.slice(3)));
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (options.help) {
+  printHelp();
+  process.exit(0);
+}
+
+const OUTPUT_FILE = path.join(options.out, 'zip-data.json');
+const OUTPUT_MIN_FILE = path.join(options.out, 'zip-data.min.json');
+const SHARDS_DIR = path.join(options.out, 'shards');
+const MANIFEST_FILE = path.join(options.out, 'manifest.json');
 
 console.log('Loading raw data...');
-const rawData = JSON.parse(fs.readFileSync(RAW_FILE, 'utf8'));
-console.log(`Loaded ${rawData.length} records`);
+const rawContent = fs.readFileSync(options.input, 'utf8');
+let rawData = JSON.parse(rawContent);
+console.log(`Loaded ${Array.isArray(rawData) ? rawData.length : 0} records from ${options.input}`);
+
+// Check the raw records before transforming them
+const check = validateRawData(rawData);
+
+for (const [field, count] of Object.entries(check.warningCounts)) {
+  console.warn(`  Warning: ${count} record(s) with an unusable ${field} value (dropped)`);
+}
+
+if (!check.valid) {
+  console.error(`\nRaw data failed validation: ${check.errorCount} error(s) in ${check.invalidIndexes.size || 1} record(s)`);
+  for (const { index, zip, message } of check.errors) {
+    console.error(`  record ${index === null ? '-' : index}${zip !== undefined && zip !== null ? ` (zip ${zip})` : ''}: ${message}`);
+  }
+  if (check.errorCount > check.errors.length) {
+    console.error(`  ... and ${check.errorCount - check.errors.length} more`);
+  }
+  
+  if (!options.skipInvalid || !Array.isArray(rawData)) {
+    console.error('\nFix the raw data, or rerun with --skip-invalid to drop these records.');
+    process.exit(1);
+  }
+  
+  rawData = rawData.filter((record, index) => !check.invalidIndexes.has(index));
+  console.warn(`Skipping ${check.invalidIndexes.size} invalid record(s)`);
+}
+
+const source = {
+  file: path.basename(options.input),
+  date: options.sourceDate || fs.statSync(options.input).mtime.toISOString().slice(0, 10),
+  hash: contentHash(rawContent),
+  records: rawData.length
+};
+console.log(`Fields: ${options.fields.join(', ')}`);
+if (options.states) console.log(`States: ${options.states.join(', ')}`);
+if (options.excludeMilitary) console.log('Excluding military zips');
+if (options.excludeTerritories) console.log('Excluding territories');
 
-// Build lookup: zip -> [{city, state, county}]
+// Build lookup: zip -> [{city, state, county, lat, lng, ...}]
 // Some zips span multiple cities (border zips)
 const lookup = {};
+const allZips = new Set();
 
 for (const record of rawData) {
   const zip = String(record.zip_code).padStart(5, '0');
-  const entry = {
-    city: record.city,
-    state: record.state,
-    county: record.county
-  };
+  const entry = readLocation(record, options.fields);
+  allZips.add(zip);
+  
+  // Border zips keep only their locations inside the bundle
+  if (!inBundle(entry, options)) continue;
+  
+  // Coordinates are only useful as a pair
+  if (!('lat' in entry && 'lng' in entry)) {
+    delete entry.lat;
+    delete entry.lng;
+  }
   
   if (!lookup[zip]) {
     lookup[zip] = [];
@@ -41,31 +303,171 @@ for (const record of rawData) {
   }
 }
 
+/**
+ * List the zips left out of the bundle, so clients can tell "outside this
+ * bundle" from "does not exist": { prefix: suffixes }, with the 2-digit
+ * suffixes of each 3-digit prefix run together ('733': '0105' for 73301
+ * and 73305), about two bytes a zip
+ */
+function describeExcluded() {
+  const excluded = {};
+  
+  for (const zip of [...allZips].sort()) {
+    if (lookup[zip]) continue;
+    
+    const prefix = shardPrefix(zip);
+    excluded[prefix] = (excluded[prefix] || '') + zip.slice(3);
+  }
+  
+  return excluded;
+}
+
+const bundle = {
+  states: options.states,
+  excludeMilitary: options.excludeMilitary,
+  excludeTerritories: options.excludeTerritories,
+  excluded: describeExcluded()
+};
+
 // Stats
 const totalZips = Object.keys(lookup).length;
 const multiCityZips = Object.values(lookup).filter(v => v.length > 1).length;
+const geocodedZips = Object.values(lookup).filter(v => v.some(e => 'lat' in e)).length;
 
 console.log(`\nStats:`);
 console.log(`  Total unique zips: ${totalZips}`);
+if (totalZips < allZips.size) {
+  console.log(`  Left out of this bundle: ${allZips.size - totalZips}`);
+}
 console.log(`  Multi-city zips: ${multiCityZips}`);
+console.log(`  Zips with coordinates: ${geocodedZips}`);
+for (const field of options.fields.filter(name => !['city', 'state', 'lat', 'lng'].includes(name))) {
+  const count = Object.values(lookup).filter(v => v.some(e => field in e)).length;
+  console.log(`  Zips with ${field}: ${count}`);
+}
 
-// Ensure dist directory exists
-const distDir = path.join(__dirname, '../dist');
+// Ensure the output directory exists
+const distDir = options.out;
 if (!fs.existsSync(distDir)) {
   fs.mkdirSync(distDir, { recursive: true });
 }
 
+// Compare with the previous build in the output directory
+let previous = null;
+if (fs.existsSync(OUTPUT_MIN_FILE)) {
+  try {
+    const previousManifest = fs.existsSync(MANIFEST_FILE)
+      ? JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'))
+      : {};
+    previous = {
+      dataVersion: previousManifest.dataVersion || null,
+      diff: diffData(readBuild(OUTPUT_MIN_FILE), lookup)
+    };
+    console.log('\nChanges since the previous build:');
+    printDiff(previous.diff, { limit: 10 });
+  } catch (e) {
+    console.warn(`\nCould not compare with the previous build: ${e.message}`);
+  }
+}
+
 // Write formatted version
 fs.writeFileSync(OUTPUT_FILE, JSON.stringify(lookup, null, 2));
 console.log(`\nWrote ${OUTPUT_FILE}`);
 
 // Write minified version
-fs.writeFileSync(OUTPUT_MIN_FILE, JSON.stringify(lookup));
+const minified = JSON.stringify(lookup);
+const dataVersion = contentHash(minified);
+fs.writeFileSync(OUTPUT_MIN_FILE, minified);
 const sizeKB = (fs.statSync(OUTPUT_MIN_FILE).size / 1024).toFixed(1);
 console.log(`Wrote ${OUTPUT_MIN_FILE} (${sizeKB} KB)`);
 
-// Also create a state abbreviation list
-const states = [...new Set(rawData.map(r => r.state))].sort();
+// Precompressed copies, so servers can send them without compressing per request
+const gzipped = zlib.gzipSync(minified, { level: 9 });
+const brotli = zlib.brotliCompressSync(minified, {
+  params: {
+    [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(minified)
+  }
+});
+fs.writeFileSync(`${OUTPUT_MIN_FILE}.gz`, gzipped);
+fs.writeFileSync(`${OUTPUT_MIN_FILE}.br`, brotli);
+console.log(`Wrote .gz (${(gzipped.length / 1024).toFixed(1)} KB) and .br (${(brotli.length / 1024).toFixed(1)} KB)`);
+
+// Write columnar shards, one per 3-digit zip prefix
+const shards = {};
+for (const zip of Object.keys(lookup)) {
+  const prefix = shardPrefix(zip);
+  if (!shards[prefix]) shards[prefix] = {};
+  shards[prefix][zip] = lookup[zip];
+}
+
+fs.rmSync(SHARDS_DIR, { recursive: true, force: true });
+fs.mkdirSync(SHARDS_DIR, { recursive: true });
+
+const manifest = {
+  format: MANIFEST_FORMAT,
+  version: COLUMNAR_VERSION,
+  dataVersion,
+  totalZips,
+  fields: options.fields,
+  bundle,
+  shards: {}
+};
+
+let shardBytes = 0;
+for (const prefix of Object.keys(shards).sort()) {
+  const file = `${prefix}.json`;
+  const json = JSON.stringify(encodeColumnar(shards[prefix]));
+  fs.writeFileSync(path.join(SHARDS_DIR, file), json);
+  shardBytes += Buffer.byteLength(json);
+  manifest.shards[prefix] = {
+    file,
+    zips: Object.keys(shards[prefix]).length,
+    hash: contentHash(json)
+  };
+}
+
+fs.writeFileSync(path.join(SHARDS_DIR, 'manifest.json'), JSON.stringify(manifest));
+console.log(`Wrote ${Object.keys(shards).length} shards to ${SHARDS_DIR} (${(shardBytes / 1024).toFixed(1)} KB total)`);
+
+// Data manifest: lets clients check whether their cached copy is current
+fs.writeFileSync(MANIFEST_FILE, JSON.stringify({
+  dataVersion,
+  builtAt: new Date().toISOString(),
+  totalZips,
+  source,
+  previousDataVersion: previous ? previous.dataVersion : null,
+  changes: previous ? previous.diff.summary : null,
+  fields: options.fields,
+  bundle,
+  files: {
+    data: path.basename(OUTPUT_MIN_FILE),
+    compressed: [`${path.basename(OUTPUT_MIN_FILE)}.gz`, `${path.basename(OUTPUT_MIN_FILE)}.br`],
+    shards: 'shards/manifest.json'
+  }
+}, null, 2));
+console.log(`Wrote ${MANIFEST_FILE} (data version ${dataVersion})`);
+
+// Full list of changes since the previous build
+const CHANGES_FILE = path.join(distDir, 'changes.json');
+if (previous) {
+  const { added, removed, reassigned, changed, summary } = previous.diff;
+  fs.writeFileSync(CHANGES_FILE, JSON.stringify({
+    from: previous.dataVersion,
+    to: dataVersion,
+    summary,
+    added,
+    removed,
+    reassigned,
+    changed
+  }, null, 2));
+  console.log(`Wrote ${CHANGES_FILE}`);
+} else {
+  fs.rmSync(CHANGES_FILE, { force: true });
+}
+
+// Also describe the states in this bundle: name, FIPS, type and zip prefix ranges
+const states = describeStates(lookup);
 fs.writeFileSync(
   path.join(distDir, 'states.json'),
   JSON.stringify(states, null, 2)
@@ -0,0 +1,159 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, removeDir, runBuild, buildFixture, RAW_FIXTURE } = require('../fixtures/build.js');
+
+const dirs = [];
+
+after(() => dirs.forEach(removeDir));
+
+function scratch() {
+  const dir = tempDir();
+  dirs.push(dir);
+  return dir;
+}
+
+function build(args = []) {
+  return buildFixture(args, scratch());
+}
+
+function readJson(dir, file) {
+  return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+}
+
+describe('build-data fields', () => {
+  it('bundles every field by default', () => {
+    const data = readJson(build(), 'zip-data.json');
+    assert.deepEqual(data['10001'][0], {
+      city: 'New York',
+      state: 'NY',
+      county: 'New York',
+      countyFips: '36061',
+      lat: 40.7506,
+      lng: -73.9972,
+      timezone: 'America/New_York',
+      areaCodes: ['212', '646', '917'],
+      zipType: 'standard',
+      acceptableCities: ['Manhattan', 'Nyc']
+    });
+    assert.equal(data['00501'][0].zipType, 'unique');
+  });
+
+  it('bundles only the fields asked for, plus city and state', () => {
+    const dir = build(['--fields', 'timezone']);
+    assert.deepEqual(readJson(dir, 'zip-data.json')['10001'], [{ city: 'New York', state: 'NY', timezone: 'America/New_York' }]);
+    assert.deepEqual(readJson(dir, 'manifest.json').fields, ['city', 'state', 'timezone']);
+  });
+
+  it('rejects unknown fields', () => {
+    const result = runBuild(['--out', scratch(), '--fields', 'city,population']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown field\(s\): population/);
+  });
+
+  it('lists the fields in --help', () => {
+    const result = runBuild(['--help']);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /areaCodes\s+Telephone area codes/);
+  });
+
+  it('splits --option=value on the first "=" only', () => {
+    const out = path.join(scratch(), 'a=b', 'out');
+
+    const result = runBuild([`--out=${out}`, '--fields=city,state,timezone']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(readJson(out, 'manifest.json').fields, ['city', 'state', 'timezone']);
+  });
+});
+
+describe('build-data subsets', () => {
+  it('bundles only --states and lists the zips left out', () => {
+    const dir = build(['--states', 'ca, ny']);
+    const data = readJson(dir, 'zip-data.json');
+    const { bundle } = readJson(dir, 'manifest.json');
+
+    assert.deepEqual(Object.keys(data).sort(), ['00501', '10001', '12345', '90001', '90210', '90211']);
+    assert.deepEqual(bundle.states, ['CA', 'NY']);
+    assert.deepEqual(bundle.excluded, {
+      '006': '01',
+      '090': '01',
+      '323': '01',
+      '468': '01',
+      '630': '05',
+      '631': '01',
+      '787': '01',
+      '962': '01',
+      '995': '59'
+    });
+    assert.deepEqual(readJson(dir, 'shards/manifest.json').bundle, bundle);
+  });
+
+  it('leaves out military zips and territories', () => {
+    const data = readJson(build(['--exclude-military', '--exclude-territories']), 'zip-data.json');
+    assert.equal(data['09001'], undefined);
+    assert.equal(data['96201'], undefined);
+    assert.equal(data['00601'], undefined);
+    assert.ok(data['99559']);
+  });
+
+  it('reads options from --config, with paths relative to the file', () => {
+    const dir = scratch();
+    fs.writeFileSync(path.join(dir, 'build.json'), JSON.stringify({ states: ['TX'], out: 'texas' }));
+
+    const result = runBuild(['--config', path.join(dir, 'build.json')]);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(Object.keys(readJson(path.join(dir, 'texas'), 'zip-data.json')), ['78701']);
+  });
+
+  it('needs at least one state', () => {
+    const result = runBuild(['--out', scratch(), '--states', ' , ']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /--states needs at least one state/);
+  });
+});
+
+describe('build-data provenance', () => {
+  it('records the source and the data version in the manifest', () => {
+    const dir = build();
+    const manifest = readJson(dir, 'manifest.json');
+
+    assert.deepEqual(manifest.source, {
+      file: 'raw-data.json',
+      date: '2026-01-01',
+      hash: manifest.source.hash,
+      records: 16
+    });
+    assert.match(manifest.dataVersion, /^[0-9a-f]{16}$/);
+    assert.equal(readJson(dir, 'shards/manifest.json').dataVersion, manifest.dataVersion);
+    assert.equal(manifest.previousDataVersion, null);
+    assert.equal(fs.existsSync(path.join(dir, 'changes.json')), false);
+  });
+
+  it('diffs against the previous build in the output directory', () => {
+    const dir = build(['--states', 'CA']);
+    const previous = readJson(dir, 'manifest.json').dataVersion;
+    buildFixture(['--states', 'CA,TX'], dir);
+
+    const manifest = readJson(dir, 'manifest.json');
+    assert.equal(manifest.previousDataVersion, previous);
+    assert.deepEqual(manifest.changes, { added: 1, removed: 0, reassigned: 0, changed: 0 });
+    assert.deepEqual(readJson(dir, 'changes.json').added, ['78701']);
+  });
+
+  it('fails on invalid raw records unless told to skip them', () => {
+    const dir = scratch();
+    const input = path.join(dir, 'raw.json');
+    const records = JSON.parse(fs.readFileSync(RAW_FIXTURE, 'utf8'));
+    fs.writeFileSync(input, JSON.stringify([...records, { zip_code: 'abc', city: 'Nowhere', state: 'CA' }]));
+
+    const failed = runBuild(['--input', input, '--out', path.join(dir, 'out')]);
+    assert.equal(failed.status, 1);
+    assert.match(failed.stderr, /record 16 \(zip abc\): invalid zip_code "abc"/);
+    assert.equal(fs.existsSync(path.join(dir, 'out')), false);
+
+    const skipped = runBuild(['--input', input, '--out', path.join(dir, 'out'), '--skip-invalid']);
+    assert.equal(skipped.status, 0, skipped.stderr);
+    assert.equal(readJson(path.join(dir, 'out'), 'manifest.json').source.records, 16);
+  });
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Compare two zip data builds
+ *
+ * Reports zips added, removed and reassigned (a different set of
+ * city/state/county), plus zips where only other fields changed.
+ *
+ * Usage:
+ *   node scripts/diff-data.js <old> <new> [--json] [--limit 50]
+ *   node scripts/build-data.js diff <old> <new>
+ *
+ * <old> and <new> are data files (zip-data.min.json, plain or columnar)
+ * or build directories containing one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeColumnar, isColumnar } = require('../src/columnar.js');
+
+const DATA_FILE = 'zip-data.min.json';
+
+/**
+ * Read a build's zip data from a data file or build directory
+ */
+function readBuild(target) {
+  const file = fs.statSync(target).isDirectory() ? path.join(target, DATA_FILE) : target;
+  const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return isColumnar(payload) ? decodeColumnar(payload) : payload;
+}
+
+function placeKey(loc) {
+  return `${loc.city}|${loc.state}|${loc.county || ''}`;
+}
+
+function describe(locations) {
+  return locations.map(loc => `${loc.city}, ${loc.state}${loc.county ? ` (${loc.county})` : ''}`).join('; ');
+}
+
+/**
+ * Diff two builds
+ * @param {object} before - { zip: [locations] }
+ * @param {object} after - { zip: [locations] }
+ * @returns {object} - { added, removed, reassigned: [{ zip, from, to }], changed, summary }
+ */
+function diffData(before, after) {
+  const added = [];
+  const removed = [];
+  const reassigned = [];
+  const changed = [];
+  
+  for (const zip of Object.keys(after).sort()) {
+    if (!before[zip]) {
+      added.push(zip);
+      continue;
+    }
+    
+    const oldPlaces = before[zip].map(placeKey).sort().join('\n');
+    const newPlaces = after[zip].map(placeKey).sort().join('\n');
+    
+    if (oldPlaces !== newPlaces) {
+      reassigned.push({ zip, from: before[zip], to: after[zip] });
+    } else if (JSON.stringify(before[zip]) !== JSON.stringify(after[zip])) {
+      changed.push(zip);
+    }
+  }
+  
+  for (const zip of Object.keys(before).sort()) {
+    if (!after[zip]) removed.push(zip);
+  }
+  
+  return {
+    added,
+    removed,
+    reassigned,
+    changed,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      reassigned: reassigned.length,
+      changed: changed.length
+    }
+  };
+}
+
+/**
+ * Print a diff for people
+ */
+function printDiff(diff, { limit = 50 } = {}) {
+  const { summary } = diff;
+  console.log(`Added: ${summary.added}  Removed: ${summary.removed}  Reassigned: ${summary.reassigned}  Other changes: ${summary.changed}`);
+  
+  const section = (title, lines) => {
+    if (!lines.length) return;
+    console.log(`\n${title}:`);
+    lines.slice(0, limit).forEach(line => console.log(`  ${line}`));
+    if (lines.length > limit) console.log(`  ... and ${lines.length - limit} more`);
+  };
+  
+  section('Added', diff.added);
+  section('Removed', diff.removed);
+  section('Reassigned', diff.reassigned.map(({ zip, from, to }) => `${zip}: ${describe(from)} -> ${describe(to)}`));
+  section('Other changes', diff.changed);
+}
+
+/**
+ * Command line entry point
+ * @returns {number} - Exit code
+ */
+function main(argv) {
+  const files = [];
+  let json = false;
+  let limit = 50;
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      json = true;
+    } else if (argv[i] === '--limit') {
+      limit = parseInt(argv[++i], 10) || limit;
+    } else {
+      files.push(argv[i]);
+    }
+  }
+  
+  if (files.length !== 2) {
+    console.error('Usage: diff <old> <new> [--json] [--limit 50]');
+    return 1;
+  }
+  
+  let diff;
+  try {
+    diff = diffData(readBuild(files[0]), readBuild(files[1]));
+  } catch (e) {
+    console.error(`Failed to read build: ${e.message}`);
+    return 1;
+  }
+  
+  if (json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    printDiff(diff, { limit });
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exit(main(process.argv.slice(2)));
+}
+
+module.exports = { diffData, printDiff, readBuild, main };
@@ -0,0 +1,75 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { encodeColumnar } = require('../src/columnar.js');
+const { diffData, readBuild, main } = require('./diff-data.js');
+const { tempDir, removeDir } = require('../fixtures/build.js');
+
+const BEFORE = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles' }],
+  '78701': [{ city: 'Austin', state: 'TX', county: 'Travis', timezone: 'America/Chicago' }],
+  '10001': [{ city: 'New York', state: 'NY', county: 'New York' }]
+};
+
+const AFTER = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles' }],
+  '78701': [{ city: 'Austin', state: 'TX', county: 'Travis', timezone: 'America/Chicago', zipType: 'standard' }],
+  '10001': [{ city: 'Manhattan', state: 'NY', county: 'New York' }],
+  '73301': [{ city: 'Austin', state: 'TX', county: 'Travis' }]
+};
+
+describe('diffData', () => {
+  it('sorts zips into added, removed, reassigned and changed', () => {
+    const diff = diffData(BEFORE, AFTER);
+    assert.deepEqual(diff.added, ['73301']);
+    assert.deepEqual(diff.removed, []);
+    assert.deepEqual(diff.reassigned, [{ zip: '10001', from: BEFORE['10001'], to: AFTER['10001'] }]);
+    assert.deepEqual(diff.changed, ['78701']);
+    assert.deepEqual(diff.summary, { added: 1, removed: 0, reassigned: 1, changed: 1 });
+    assert.deepEqual(diffData(AFTER, BEFORE).removed, ['73301']);
+  });
+
+  it('ignores the order of a zip\'s locations', () => {
+    const a = { '12345': [{ city: 'Schenectady', state: 'NY' }, { city: 'Rotterdam', state: 'NY' }] };
+    const b = { '12345': [{ city: 'Rotterdam', state: 'NY' }, { city: 'Schenectady', state: 'NY' }] };
+    assert.deepEqual(diffData(a, b).reassigned, []);
+  });
+});
+
+describe('diff command', () => {
+  const dir = tempDir();
+  after(() => removeDir(dir));
+
+  fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify(BEFORE));
+  fs.mkdirSync(path.join(dir, 'new'));
+  fs.writeFileSync(path.join(dir, 'new', 'zip-data.min.json'), JSON.stringify(encodeColumnar(AFTER)));
+
+  it('reads plain and columnar data files and build directories', () => {
+    assert.deepEqual(readBuild(path.join(dir, 'old.json')), BEFORE);
+    assert.deepEqual(readBuild(path.join(dir, 'new')), AFTER);
+  });
+
+  it('prints the diff as JSON', t => {
+    const lines = [];
+    t.mock.method(console, 'log', line => lines.push(line));
+
+    assert.equal(main([path.join(dir, 'old.json'), path.join(dir, 'new'), '--json']), 0);
+    assert.deepEqual(JSON.parse(lines.join('\n')).summary, { added: 1, removed: 0, reassigned: 1, changed: 1 });
+  });
+
+  it('prints a summary and the changes for people', t => {
+    const lines = [];
+    t.mock.method(console, 'log', line => lines.push(line));
+
+    main([path.join(dir, 'old.json'), path.join(dir, 'new'), '--limit', '1']);
+    assert.equal(lines[0], 'Added: 1  Removed: 0  Reassigned: 1  Other changes: 1');
+    assert.ok(lines.includes('  10001: New York, NY (New York) -> Manhattan, NY (New York)'));
+  });
+
+  it('fails without two readable builds', t => {
+    t.mock.method(console, 'error', () => {});
+    assert.equal(main([path.join(dir, 'old.json')]), 1);
+    assert.equal(main([path.join(dir, 'old.json'), path.join(dir, 'missing')]), 1);
+  });
+});
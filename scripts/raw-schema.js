@@ -0,0 +1,114 @@
+/**
+ * Raw input schema
+ *
+ * Checks raw records before build-data.js transforms them, so a broken
+ * export fails the build instead of shipping empty cities or bogus zips.
+ *
+ * Errors (the record can't be used):
+ *   - not an object, zip_code missing or not 1-5 digits
+ *   - no city, or state not a 2-letter code
+ *
+ * Warnings (the value is dropped): an optional field from src/fields.js
+ * whose raw value doesn't normalize, e.g. timezone "EST".
+ */
+
+const { LOCATION_FIELDS } = require('../src/fields.js');
+
+const ZIP_PATTERN = /^\d{1,5}$/;
+const STATE_PATTERN = /^[A-Za-z]{2}$/;
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function firstValue(record, keys) {
+  const key = keys.find(k => !isBlank(record[k]));
+  return key === undefined ? undefined : record[key];
+}
+
+/**
+ * Check one raw record
+ * @returns {object} - { errors: [message], warnings: [field] }
+ */
+function checkRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { errors: ['record is not an object'], warnings: [] };
+  }
+  
+  const errors = [];
+  const warnings = [];
+  
+  if (isBlank(record.zip_code)) {
+    errors.push('missing zip_code');
+  } else if (!ZIP_PATTERN.test(String(record.zip_code).trim())) {
+    errors.push(`invalid zip_code "${record.zip_code}"`);
+  }
+  
+  for (const field of LOCATION_FIELDS) {
+    const raw = firstValue(record, field.from);
+    
+    if (field.required) {
+      if (raw === undefined) {
+        errors.push(`missing ${field.name} (${field.from.join(' or ')})`);
+      } else if (field.name === 'state' && !STATE_PATTERN.test(String(raw).trim())) {
+        errors.push(`invalid state "${raw}"`);
+      }
+      continue;
+    }
+    
+    if (raw === undefined) continue;
+    
+    const value = field.normalize(raw, record);
+    if (value === null || value === undefined || (Array.isArray(value) && !value.length)) {
+      warnings.push(field.name);
+    }
+  }
+  
+  return { errors, warnings };
+}
+
+/**
+ * Check every raw record
+ * @param {Array} rawData
+ * @param {object} options - { maxExamples } problems to keep for the report
+ * @returns {object} - { valid, invalidIndexes, errorCount, errors: [{ index, zip, message }],
+ *   warningCounts: { field: count } }
+ */
+function validateRawData(rawData, { maxExamples = 20 } = {}) {
+  if (!Array.isArray(rawData)) {
+    return {
+      valid: false,
+      invalidIndexes: new Set(),
+      errorCount: 1,
+      errors: [{ index: null, zip: null, message: 'raw data must be an array of records' }],
+      warningCounts: {}
+    };
+  }
+  
+  const invalidIndexes = new Set();
+  const errors = [];
+  const warningCounts = {};
+  let errorCount = 0;
+  
+  rawData.forEach((record, index) => {
+    const result = checkRecord(record);
+    
+    if (result.errors.length) {
+      invalidIndexes.add(index);
+      errorCount += result.errors.length;
+      for (const message of result.errors) {
+        if (errors.length < maxExamples) {
+          errors.push({ index, zip: record && record.zip_code, message });
+        }
+      }
+    }
+    
+    for (const field of result.warnings) {
+      warningCounts[field] = (warningCounts[field] || 0) + 1;
+    }
+  });
+  
+  return { valid: errorCount === 0, invalidIndexes, errorCount, errors, warningCounts };
+}
+
+module.exports = { checkRecord, validateRawData };
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkRecord, validateRawData } = require('./raw-schema.js');
+
+describe('checkRecord', () => {
+  it('accepts a complete record', () => {
+    assert.deepEqual(checkRecord({ zip_code: 501, city: 'Holtsville', state: 'NY', timezone: 'America/New_York' }), { errors: [], warnings: [] });
+  });
+
+  it('rejects records without a usable zip, city or state', () => {
+    assert.deepEqual(checkRecord(null).errors, ['record is not an object']);
+    assert.deepEqual(checkRecord({ city: 'Austin', state: 'TX' }).errors, ['missing zip_code']);
+    assert.deepEqual(checkRecord({ zip_code: '787011', city: 'Austin', state: 'TX' }).errors, ['invalid zip_code "787011"']);
+    assert.deepEqual(checkRecord({ zip_code: 78701, city: ' ', state: 'Texas' }).errors, [
+      'missing city (city or primary_city)',
+      'invalid state "Texas"'
+    ]);
+  });
+
+  it('warns about optional values that will be dropped', () => {
+    assert.deepEqual(checkRecord({ zip_code: 12345, city: 'Schenectady', state: 'NY', timezone: 'EST', area_codes: 'none' }).warnings, ['timezone', 'areaCodes']);
+  });
+});
+
+describe('validateRawData', () => {
+  it('collects errors by record and counts warnings by field', () => {
+    const result = validateRawData([
+      { zip_code: 90210, city: 'Beverly Hills', state: 'CA', timezone: 'PST' },
+      { zip_code: 'x', city: 'Nowhere', state: 'CA' },
+      { zip_code: 10001, city: 'New York', state: 'NY', timezone: 'EST' }
+    ]);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual([...result.invalidIndexes], [1]);
+    assert.equal(result.errorCount, 1);
+    assert.deepEqual(result.errors, [{ index: 1, zip: 'x', message: 'invalid zip_code "x"' }]);
+    assert.deepEqual(result.warningCounts, { timezone: 2 });
+  });
+
+  it('keeps a few examples but counts every error', () => {
+    const records = Array.from({ length: 5 }, () => ({ city: 'Nowhere', state: 'CA' }));
+    const result = validateRawData(records, { maxExamples: 2 });
+    assert.equal(result.errors.length, 2);
+    assert.equal(result.errorCount, 5);
+  });
+
+  it('needs an array', () => {
+    assert.equal(validateRawData({}).valid, false);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Framework-agnostic address state for the React, Vue and custom element
+ * adapters
+ *
+ * Holds the zip, city, state and county values, looks the zip up with
+ * ZipFill.lookupAsync() once it is complete and fills the other fields,
+ * following the same rules as bind(): user edits are kept unless
+ * overwriteUserEdits is set, and picking a city always fills. A newer zip
+ * cancels the lookup for the previous one.
+ *
+ * An initial zip is looked up once load() has finished, so it uses the data
+ * load() was given.
+ */
+
+import { parseZip } from './zip-parser.js';
+
+export const ADDRESS_FIELDS = ['city', 'state', 'county'];
+
+export class AddressModel {
+  /**
+   * @param {ZipFill} zipFill - Instance used for lookups
+   * @param {object} options
+   *   - overwriteUserEdits: fill fields the user has edited (default false)
+   *   - initial: { zip, city, state, county } starting values
+   */
+  constructor(zipFill, { overwriteUserEdits = false, initial = {} } = {}) {
+    this.zipFill = zipFill;
+    this.overwriteUserEdits = overwriteUserEdits;
+    this.listeners = new Set();
+    this.controller = null;
+    // Zip to look up on the next load(): the initial zip, or one abort() cancelled
+    this.pendingZip = initial.zip || null;
+
+    const sources = {};
+    for (const field of ADDRESS_FIELDS) {
+      sources[field] = initial[field] ? 'user' : 'empty';
+    }
+
+    // Replaced (never mutated) on every change, so it can be compared by reference
+    this.state = {
+      zip: initial.zip || '',
+      plus4: null,
+      city: initial.city || '',
+      state: initial.state || '',
+      county: initial.county || '',
+      sources,
+      locations: [],
+      hasMultiple: false,
+      location: null,
+      loading: false,
+      notFound: false,
+      outsideBundle: false,
+      error: null
+    };
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * @param {function} listener - Called with the new state after every change
+   * @returns {function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Start loading data ahead of the first lookup, then look up the pending zip
+   * @returns {Promise<ZipFill|null>} - null if loading failed (see state.error)
+   */
+  load(url = null, options = {}) {
+    if (this.zipFill.loaded) {
+      this._lookupPending();
+      return Promise.resolve(this.zipFill);
+    }
+
+    this._update({ loading: true, error: null });
+
+    // A lookup in flight owns the loading flag from here on
+    return this.zipFill.load(url, options).then(
+      zipFill => {
+        if (!this.controller) this._update({ loading: false });
+        this._lookupPending();
+        return zipFill;
+      },
+      e => {
+        if (!this.controller) this._update({ loading: false, error: e });
+        return null;
+      }
+    );
+  }
+
+  /**
+   * Set the zip and look it up once it is a complete zip or ZIP+4
+   * @returns {Promise<object|null>} - The lookup result, or null if there was none
+   */
+  setZip(value) {
+    const zip = value === null || value === undefined ? '' : String(value);
+    const parsed = parseZip(zip);
+    this.pendingZip = null;
+    this._update({ zip });
+
+    if (!parsed.valid) {
+      this._cancel();
+      // Keep the current fill while the +4 is still being typed
+      if (parsed.reason !== 'invalid_plus4') {
+        this._update({ plus4: null, locations: [], hasMultiple: false, location: null, notFound: false, outsideBundle: false });
+      }
+      return Promise.resolve(null);
+    }
+
+    return this._lookup(zip.trim());
+  }
+
+  /**
+   * Set city, state or county as a user edit
+   */
+  setField(field, value) {
+    if (!ADDRESS_FIELDS.includes(field)) {
+      throw new Error(`ZipFill: Unknown address field "${field}"`);
+    }
+
+    const text = value === null || value === undefined ? '' : String(value);
+    this._update({
+      [field]: text,
+      sources: { ...this.state.sources, [field]: text ? 'user' : 'empty' }
+    });
+  }
+
+  /**
+   * Pick one of the locations of a multi-city zip
+   * @param {object|number} location - A location, or its index in state.locations
+   */
+  select(location) {
+    const picked = typeof location === 'number' ? this.state.locations[location] : location;
+    if (!picked) return;
+
+    this._fill(picked, true);
+  }
+
+  /**
+   * Clear every field and forget user edits
+   */
+  reset() {
+    this._cancel();
+    this.pendingZip = null;
+
+    const sources = {};
+    for (const field of ADDRESS_FIELDS) {
+      sources[field] = 'empty';
+    }
+
+    this._update({
+      zip: '',
+      plus4: null,
+      city: '',
+      state: '',
+      county: '',
+      sources,
+      locations: [],
+      hasMultiple: false,
+      location: null,
+      notFound: false,
+      outsideBundle: false,
+      error: null
+    });
+  }
+
+  /**
+   * Cancel the lookup in flight, if any; the next load() sends it again
+   * (so a component that unmounts and mounts again, as React's StrictMode
+   * does, still fills)
+   */
+  abort() {
+    if (this._cancel()) this.pendingZip = this.state.zip;
+  }
+
+  _cancel() {
+    if (!this.controller) return false;
+    this.controller.abort();
+    this.controller = null;
+    this._update({ loading: false });
+    return true;
+  }
+
+  _lookupPending() {
+    if (this.pendingZip) this.setZip(this.pendingZip);
+  }
+
+  async _lookup(zip) {
+    this._cancel();
+
+    // Answer straight away when the data is already in
+    if (this.zipFill.hasDataFor(zip)) {
+      const result = this.zipFill.lookup(zip);
+      this._apply(result, zip);
+      return result;
+    }
+
+    const controller = this.controller = new AbortController();
+    this._update({ loading: true, error: null });
+
+    try {
+      const result = await this.zipFill.lookupAsync(zip, { signal: controller.signal });
+      if (controller !== this.controller) return null;
+
+      this.controller = null;
+      this._update({ loading: false });
+      this._apply(result, zip);
+      return result;
+    } catch (e) {
+      if (e.name === 'AbortError' || controller !== this.controller) return null;
+
+      this.controller = null;
+      this._update({ loading: false, error: e });
+      return null;
+    }
+  }
+
+  _apply(result, zip) {
+    if (!result) {
+      this._update({
+        plus4: null,
+        locations: [],
+        hasMultiple: false,
+        location: null,
+        notFound: true,
+        outsideBundle: this.zipFill.isOutsideBundle(zip),
+        error: null
+      });
+      return;
+    }
+
+    this._update({
+      plus4: result.plus4 || null,
+      locations: result.locations,
+      hasMultiple: result.hasMultiple,
+      location: null,
+      notFound: false,
+      outsideBundle: false,
+      error: null
+    });
+
+    // Multi-city zips wait for select()
+    if (!result.hasMultiple) {
+      this._fill(result.locations[0]);
+    }
+  }
+
+  _fill(location, force = this.overwriteUserEdits) {
+    const changes = {};
+    const sources = { ...this.state.sources };
+
+    for (const field of ADDRESS_FIELDS) {
+      const keep = !force && sources[field] === 'user' && this.state[field] !== '';
+      if (keep) continue;
+
+      changes[field] = location[field] || '';
+      sources[field] = changes[field] ? 'auto' : 'empty';
+    }
+
+    this._update({ ...changes, sources, location });
+  }
+
+  _update(changes) {
+    const changed = Object.keys(changes).some(key => changes[key] !== this.state[key]);
+    if (!changed) return;
+
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+}
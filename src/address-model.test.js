@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ZipFill from './index.js';
+import { AddressModel } from './address-model.js';
+
+const DATA = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles' }],
+  '78701': [{ city: 'Austin', state: 'TX', county: 'Travis' }],
+  '12345': [
+    { city: 'Schenectady', state: 'NY', county: 'Schenectady' },
+    { city: 'Rotterdam', state: 'NY', county: 'Schenectady' }
+  ]
+};
+
+const DATA_URL = 'https://cdn.test/custom/zip-data.min.json';
+
+/**
+ * Serve DATA at DATA_URL after a tick; returns the requested URLs
+ */
+function serve(t) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    requests.push(url);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    return url === DATA_URL ? new Response(JSON.stringify(DATA)) : new Response('', { status: 404 });
+  });
+  return requests;
+}
+
+async function loadedModel(options) {
+  const model = new AddressModel(new ZipFill(DATA), options);
+  await model.load();
+  return model;
+}
+
+describe('AddressModel', () => {
+  it('fills the address from a complete zip', async () => {
+    const model = await loadedModel();
+    const states = [];
+    model.subscribe(state => states.push(state));
+
+    await model.setZip('90210-1234');
+    const state = model.getState();
+    assert.equal(state.city, 'Beverly Hills');
+    assert.equal(state.plus4, '1234');
+    assert.deepEqual(state.sources, { city: 'auto', state: 'auto', county: 'auto' });
+    assert.equal(states.at(-1), state);
+  });
+
+  it('keeps user edits unless overwriteUserEdits is set', async () => {
+    const model = await loadedModel();
+    model.setField('city', 'Bev Hills');
+    await model.setZip('90210');
+    assert.equal(model.getState().city, 'Bev Hills');
+    assert.equal(model.getState().state, 'CA');
+
+    const overwriting = await loadedModel({ overwriteUserEdits: true });
+    overwriting.setField('city', 'Bev Hills');
+    await overwriting.setZip('90210');
+    assert.equal(overwriting.getState().city, 'Beverly Hills');
+  });
+
+  it('waits for select() on a multi-city zip', async () => {
+    const model = await loadedModel();
+    await model.setZip('12345');
+    assert.equal(model.getState().hasMultiple, true);
+    assert.equal(model.getState().city, '');
+
+    model.setField('city', 'Typed');
+    model.select(1);
+    assert.equal(model.getState().city, 'Rotterdam');
+  });
+
+  it('keeps the fill while the +4 is typed and clears it for another zip', async () => {
+    const model = await loadedModel();
+    await model.setZip('90210');
+    await model.setZip('90210-12');
+    assert.equal(model.getState().location.city, 'Beverly Hills');
+
+    await model.setZip('902');
+    assert.equal(model.getState().location, null);
+  });
+
+  it('flags unknown zips', async () => {
+    const model = await loadedModel();
+    await model.setZip('55555');
+    assert.equal(model.getState().notFound, true);
+    assert.equal(model.getState().outsideBundle, false);
+  });
+
+  it('rejects unknown fields and resets', async () => {
+    const model = await loadedModel();
+    assert.throws(() => model.setField('street', '1 Main St'), /Unknown address field "street"/);
+
+    await model.setZip('78701');
+    model.reset();
+    assert.equal(model.getState().zip, '');
+    assert.equal(model.getState().city, '');
+    assert.deepEqual(model.getState().sources, { city: 'empty', state: 'empty', county: 'empty' });
+  });
+
+  it('looks the initial zip up with the data load() was given', async t => {
+    const requests = serve(t);
+    const model = new AddressModel(new ZipFill(), { initial: { zip: '90210', city: 'Hollywood' } });
+
+    await model.load(DATA_URL);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(requests[0], DATA_URL);
+    assert.equal(model.getState().city, 'Hollywood');
+    assert.equal(model.getState().state, 'CA');
+  });
+
+  it('cancels a lookup for a newer zip', async t => {
+    serve(t);
+    const zipFill = new ZipFill();
+    zipFill.load(DATA_URL);
+    const model = new AddressModel(zipFill);
+
+    const first = model.setZip('90210');
+    const second = model.setZip('78701');
+    assert.equal(await first, null);
+    assert.equal((await second).zip, '78701');
+    assert.equal(model.getState().city, 'Austin');
+    assert.equal(model.getState().loading, false);
+  });
+
+  it('sends an aborted lookup again on the next load()', async t => {
+    serve(t);
+    const zipFill = new ZipFill();
+    zipFill.load(DATA_URL);
+    const model = new AddressModel(zipFill);
+
+    model.setZip('90210');
+    model.abort();
+    assert.equal(model.getState().loading, false);
+
+    await model.load(DATA_URL);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(model.getState().city, 'Beverly Hills');
+  });
+
+  it('reports a failed load', async t => {
+    serve(t);
+    t.mock.method(console, 'error', () => {});
+    const model = new AddressModel(new ZipFill());
+
+    assert.equal(await model.load('https://cdn.test/missing.json'), null);
+    assert.equal(model.getState().error.message, 'Failed to load: 404');
+    assert.equal(model.getState().loading, false);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * City index helpers
+ *
+ * Shared by ZipFill and the API server so both resolve city/state
+ * queries against the same keys and rank suggestions the same way.
+ */
+
+// Common abbreviations in city names, expanded before matching
+const CITY_ABBREVIATIONS = {
+  st: 'saint',
+  ste: 'sainte',
+  ft: 'fort',
+  mt: 'mount',
+  pt: 'point'
+};
+
+/**
+ * Lowercase a city name and strip accents and punctuation
+ * @param {string} city
+ * @returns {string}
+ */
+export function simplifyCity(city) {
+  return String(city || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a city name for matching
+ * Ignores case, punctuation and common abbreviations ("St." -> "saint")
+ * @param {string} city
+ * @returns {string}
+ */
+export function normalizeCity(city) {
+  return simplifyCity(city)
+    .split(' ')
+    .map(word => CITY_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Normalize a state abbreviation
+ * @param {string} state
+ * @returns {string}
+ */
+export function normalizeState(state) {
+  return String(state || '').trim().toUpperCase();
+}
+
+/**
+ * Build the index key for a city/state pair
+ */
+export function cityKey(city, state) {
+  return `${normalizeCity(city)}|${normalizeState(state)}`;
+}
+
+/**
+ * Build a city/state -> zips index from zip data
+ * @param {object} data - { zip: [{city, state, county}] }
+ * @returns {Map<string, {city: string, state: string, zips: string[]}>}
+ */
+export function buildCityIndex(data) {
+  const index = new Map();
+
+  for (const [zip, value] of Object.entries(data || {})) {
+    const locations = Array.isArray(value) ? value : [value];
+
+    for (const loc of locations) {
+      const key = cityKey(loc.city, loc.state);
+      let entry = index.get(key);
+
+      if (!entry) {
+        entry = { city: loc.city, state: loc.state, zips: [] };
+        index.set(key, entry);
+      }
+
+      if (!entry.zips.includes(zip)) {
+        entry.zips.push(zip);
+      }
+    }
+  }
+
+  for (const entry of index.values()) {
+    entry.zips.sort();
+  }
+
+  return index;
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+export function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row.push(Math.min(row[j - 1] + 1, prev[j] + 1, prev[j - 1] + cost));
+    }
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query of the given length
+ */
+export function maxTyposFor(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+function createNode() {
+  return { children: Object.create(null), terminals: null };
+}
+
+/**
+ * Trie over city names for ranked prefix/fuzzy suggestions
+ *
+ * Every city is indexed by its normalized and simplified name, plus each
+ * later word (so "louis" finds "Saint Louis"). Typos are handled with a
+ * bounded Levenshtein walk over the trie.
+ */
+export class CitySuggestIndex {
+  /**
+   * @param {Map} cityIndex - Result of buildCityIndex()
+   */
+  constructor(cityIndex) {
+    this.entries = [];
+    this.root = createNode();
+
+    for (const entry of cityIndex.values()) {
+      const id = this.entries.length;
+      this.entries.push({
+        city: entry.city,
+        state: entry.state,
+        zipCount: entry.zips.length,
+        keys: [normalizeCity(entry.city), simplifyCity(entry.city)]
+      });
+
+      for (const key of new Set(this.entries[id].keys)) {
+        this._insert(key, id, 0);
+
+        // Later words rank below whole-name matches
+        let pos = key.indexOf(' ');
+        while (pos !== -1) {
+          this._insert(key.slice(pos + 1), id, 1);
+          pos = key.indexOf(' ', pos + 1);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get ranked city suggestions for a partial city name
+   * @param {string} query - Partial city name
+   * @param {object} options - { state, limit }
+   * @returns {Array<{city: string, state: string, zipCount: number}>}
+   */
+  search(query, { state = null, limit = 10 } = {}) {
+    const variants = [...new Set([normalizeCity(query), simplifyCity(query)])].filter(Boolean);
+    if (!variants.length) return [];
+
+    const stateFilter = state ? normalizeState(state) : null;
+    const matches = new Map();
+
+    const visit = (id, distance, tier) => {
+      const entry = this.entries[id];
+      if (stateFilter && entry.state !== stateFilter) return;
+
+      const match = matches.get(id);
+      if (!match || distance < match.distance || (distance === match.distance && tier < match.tier)) {
+        matches.set(id, { id, distance, tier });
+      }
+    };
+
+    for (const variant of variants) {
+      this._walk(variant, maxTyposFor(variant.length), visit);
+    }
+
+    return [...matches.values()]
+      .map(match => ({
+        ...match,
+        exact: this.entries[match.id].keys.some(key => variants.includes(key))
+      }))
+      .sort((a, b) => this._compare(a, b))
+      .slice(0, limit)
+      .map(({ id }) => {
+        const { city, state, zipCount } = this.entries[id];
+        return { city, state, zipCount };
+      });
+  }
+
+  _insert(key, id, tier) {
+    let node = this.root;
+
+    for (const ch of key) {
+      if (!node.children[ch]) {
+        node.children[ch] = createNode();
+      }
+      node = node.children[ch];
+    }
+
+    if (!node.terminals) node.terminals = [];
+    node.terminals.push({ id, tier });
+  }
+
+  /**
+   * Visit every entry whose key starts within maxTypos edits of query
+   */
+  _walk(query, maxTypos, visit) {
+    const firstRow = Array.from({ length: query.length + 1 }, (_, i) => i);
+
+    const step = (node, prevRow, bestOnPath) => {
+      for (const ch in node.children) {
+        const child = node.children[ch];
+        const row = [prevRow[0] + 1];
+
+        for (let i = 1; i <= query.length; i++) {
+          const cost = query[i - 1] === ch ? 0 : 1;
+          row.push(Math.min(row[i - 1] + 1, prevRow[i] + 1, prevRow[i - 1] + cost));
+        }
+
+        const distance = row[query.length];
+        let best = bestOnPath;
+
+        // Ancestors already collected this subtree at an equal or better distance
+        if (distance <= maxTypos && distance < bestOnPath) {
+          this._collect(child, distance, visit);
+          best = distance;
+        }
+
+        if (best > 0 && Math.min(...row) <= maxTypos) {
+          step(child, row, best);
+        }
+      }
+    };
+
+    step(this.root, firstRow, Infinity);
+  }
+
+  _collect(node, distance, visit) {
+    const stack = [node];
+
+    while (stack.length) {
+      const current = stack.pop();
+
+      if (current.terminals) {
+        for (const { id, tier } of current.terminals) {
+          visit(id, distance, tier);
+        }
+      }
+
+      for (const ch in current.children) {
+        stack.push(current.children[ch]);
+      }
+    }
+  }
+
+  /**
+   * Rank: exact name, fewest typos, whole-name match, most zips, then A-Z
+   */
+  _compare(a, b) {
+    const entryA = this.entries[a.id];
+    const entryB = this.entries[b.id];
+
+    return (b.exact - a.exact) ||
+      (a.distance - b.distance) ||
+      (a.tier - b.tier) ||
+      (entryB.zipCount - entryA.zipCount) ||
+      entryA.city.localeCompare(entryB.city) ||
+      entryA.state.localeCompare(entryB.state);
+  }
+}
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  simplifyCity,
+  normalizeCity,
+  cityKey,
+  buildCityIndex,
+  editDistance,
+  maxTyposFor,
+  CitySuggestIndex
+} from './city-index.js';
+
+const DATA = {
+  '76101': [{ city: 'Fort Worth', state: 'TX' }],
+  '76102': [{ city: 'Fort Worth', state: 'TX' }],
+  '46801': [{ city: 'Fort Wayne', state: 'IN' }],
+  '63101': [{ city: 'Saint Louis', state: 'MO' }],
+  '87501': [{ city: 'Santa Fe', state: 'NM' }],
+  '12345': [{ city: 'Schenectady', state: 'NY' }, { city: 'Rotterdam', state: 'NY' }],
+  '96701': [{ city: 'ʻAiea', state: 'HI' }],
+  '00601': [{ city: 'Adjuntas', state: 'PR' }],
+  '38601': [{ city: 'Abbeville', state: 'MS' }],
+  '29620': [{ city: 'Abbeville', state: 'SC' }]
+};
+
+function suggest(query, options) {
+  return new CitySuggestIndex(buildCityIndex(DATA)).search(query, options);
+}
+
+describe('normalizeCity', () => {
+  it('ignores case, accents and punctuation', () => {
+    assert.equal(simplifyCity('  Coeur d\'Alène '), 'coeur dalene');
+    assert.equal(simplifyCity('Winston-Salem'), 'winston salem');
+  });
+
+  it('expands common abbreviations', () => {
+    assert.equal(normalizeCity('St. Louis'), 'saint louis');
+    assert.equal(normalizeCity('Ft Worth'), 'fort worth');
+    assert.equal(normalizeCity('Mt. Vernon'), 'mount vernon');
+  });
+
+  it('builds the same key for spellings of a city', () => {
+    assert.equal(cityKey('St. Louis', ' mo'), cityKey('SAINT LOUIS', 'MO'));
+  });
+});
+
+describe('buildCityIndex', () => {
+  it('collects sorted zips per city, including every city of a multi-city zip', () => {
+    const index = buildCityIndex(DATA);
+    assert.deepEqual(index.get(cityKey('Fort Worth', 'TX')), { city: 'Fort Worth', state: 'TX', zips: ['76101', '76102'] });
+    assert.deepEqual(index.get(cityKey('Rotterdam', 'NY')).zips, ['12345']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('worth', 'worth'), 0);
+    assert.equal(editDistance('worht', 'worth'), 2);
+    assert.equal(editDistance('wrth', 'worth'), 1);
+    assert.equal(editDistance('', 'abc'), 3);
+  });
+
+  it('allows more typos for longer queries', () => {
+    assert.equal(maxTyposFor(3), 0);
+    assert.equal(maxTyposFor(5), 1);
+    assert.equal(maxTyposFor(10), 2);
+  });
+});
+
+describe('CitySuggestIndex', () => {
+  it('matches prefixes and abbreviations', () => {
+    assert.deepEqual(suggest('ft wor')[0], { city: 'Fort Worth', state: 'TX', zipCount: 2 });
+    assert.deepEqual(suggest('st lou').map(s => s.city), ['Saint Louis']);
+    assert.deepEqual(suggest('aie').map(s => s.city), ['ʻAiea']);
+  });
+
+  it('matches a later word of the name', () => {
+    assert.deepEqual(suggest('louis').map(s => s.city), ['Saint Louis']);
+  });
+
+  it('tolerates typos in longer queries', () => {
+    assert.deepEqual(suggest('schenectdy').map(s => s.city), ['Schenectady']);
+    assert.deepEqual(suggest('abv'), []);
+  });
+
+  it('ranks cities with more zips first, then A-Z', () => {
+    assert.deepEqual(suggest('fort').map(s => s.city), ['Fort Worth', 'Fort Wayne']);
+    assert.deepEqual(suggest('abbeville').map(s => s.state), ['MS', 'SC']);
+  });
+
+  it('filters by state and limits the results', () => {
+    assert.deepEqual(suggest('abbeville', { state: 'sc' }), [{ city: 'Abbeville', state: 'SC', zipCount: 1 }]);
+    assert.equal(suggest('a', { limit: 2 }).length, 2);
+  });
+
+  it('ignores a query without letters or digits', () => {
+    assert.deepEqual(suggest(' - '), []);
+  });
+});
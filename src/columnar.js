@@ -0,0 +1,147 @@
+/**
+ * Columnar zip data format
+ *
+ * Stores zip data as parallel columns with interned strings, so values
+ * repeated across zips ("CA", "Los Angeles") are written once per shard.
+ * Shared by scripts/build-data.js (encode) and ZipFill (decode).
+ *
+ * Shape:
+ *   {
+ *     format: 'zipfill-columnar',
+ *     version: 1,
+ *     strings: ['Beverly Hills', 'CA', 'Los Angeles'],
+ *     zips: ['90210', '90211'],
+ *     counts: [1, 1],                  // locations per zip
+ *     types: { city: 'string', lat: 'number', areaCodes: 'list' },
+ *     columns: { city: [0, 0], lat: [34.0901, 34.0652], areaCodes: [[3], [3, 4]] }  // one entry per location
+ *   }
+ *
+ * 'list' columns hold arrays of string ids (added in version 2).
+ */
+
+export const COLUMNAR_FORMAT = 'zipfill-columnar';
+export const COLUMNAR_VERSION = 2;
+export const MANIFEST_FORMAT = 'zipfill-shards';
+
+/**
+ * Get the shard prefix for a 5-digit zip
+ */
+export function shardPrefix(zip) {
+  return String(zip).slice(0, 3);
+}
+
+/**
+ * Check whether parsed JSON is a columnar payload
+ */
+export function isColumnar(payload) {
+  return Boolean(payload) && payload.format === COLUMNAR_FORMAT;
+}
+
+/**
+ * Encode zip data into the columnar format
+ * @param {object} data - { zip: [{city, state, county, ...}] }
+ * @returns {object}
+ */
+export function encodeColumnar(data) {
+  const zips = Object.keys(data).sort();
+  const strings = [];
+  const stringIds = new Map();
+  const types = {};
+
+  const intern = value => {
+    if (!stringIds.has(value)) {
+      stringIds.set(value, strings.length);
+      strings.push(value);
+    }
+    return stringIds.get(value);
+  };
+
+  // Collect every field present, typed by its first non-null value
+  for (const zip of zips) {
+    for (const loc of data[zip]) {
+      for (const [field, value] of Object.entries(loc)) {
+        if (!(field in types) && value !== null && value !== undefined) {
+          types[field] = Array.isArray(value) ? 'list' : typeof value === 'number' ? 'number' : 'string';
+        }
+      }
+    }
+  }
+
+  const columns = {};
+  for (const field of Object.keys(types)) {
+    columns[field] = [];
+  }
+
+  const counts = [];
+  for (const zip of zips) {
+    counts.push(data[zip].length);
+
+    for (const loc of data[zip]) {
+      for (const [field, type] of Object.entries(types)) {
+        const value = loc[field];
+        if (value === null || value === undefined) {
+          columns[field].push(null);
+        } else if (type === 'list') {
+          columns[field].push([].concat(value).map(item => intern(String(item))));
+        } else {
+          columns[field].push(type === 'string' ? intern(String(value)) : value);
+        }
+      }
+    }
+  }
+
+  return {
+    format: COLUMNAR_FORMAT,
+    version: COLUMNAR_VERSION,
+    strings,
+    zips,
+    counts,
+    types,
+    columns
+  };
+}
+
+/**
+ * Decode a columnar payload back into zip data
+ * @param {object} payload - Output of encodeColumnar()
+ * @returns {object} - { zip: [{city, state, county, ...}] }
+ */
+export function decodeColumnar(payload) {
+  if (!isColumnar(payload)) {
+    throw new Error('Not a zipfill-columnar payload');
+  }
+
+  if (payload.version > COLUMNAR_VERSION) {
+    throw new Error(`Unsupported columnar version: ${payload.version}`);
+  }
+
+  const { strings, zips, counts, types, columns } = payload;
+  const fields = Object.entries(types);
+  const data = {};
+  let row = 0;
+
+  for (let i = 0; i < zips.length; i++) {
+    const locations = [];
+
+    for (let j = 0; j < counts[i]; j++, row++) {
+      const loc = {};
+
+      for (const [field, type] of fields) {
+        const value = columns[field][row];
+        if (value === null || value === undefined) continue;
+
+        if (type === 'list') {
+          loc[field] = value.map(id => strings[id]);
+        } else {
+          loc[field] = type === 'string' ? strings[value] : value;
+        }
+      }
+
+      locations.push(loc);
+    }
+
+    data[zips[i]] = locations;
+  }
+
+  return data;
+}
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { COLUMNAR_FORMAT, COLUMNAR_VERSION, shardPrefix, isColumnar, encodeColumnar, decodeColumnar } from './columnar.js';
+
+const DATA = {
+  '90211': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles', lat: 34.0652, lng: -118.383 }],
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles', lat: 34.0901, lng: -118.4065, areaCodes: ['310', '424'] }],
+  '12345': [
+    { city: 'Schenectady', state: 'NY', county: 'Schenectady' },
+    { city: 'Rotterdam', state: 'NY', county: 'Schenectady' }
+  ]
+};
+
+describe('encodeColumnar', () => {
+  it('writes each repeated string once', () => {
+    const payload = encodeColumnar(DATA);
+    assert.equal(payload.format, COLUMNAR_FORMAT);
+    assert.equal(payload.version, COLUMNAR_VERSION);
+    assert.deepEqual(payload.zips, ['12345', '90210', '90211']);
+    assert.deepEqual(payload.counts, [2, 1, 1]);
+    assert.equal(payload.strings.filter(value => value === 'CA').length, 1);
+    assert.deepEqual(payload.types, { city: 'string', state: 'string', county: 'string', lat: 'number', lng: 'number', areaCodes: 'list' });
+  });
+
+  it('round-trips through decodeColumnar, leaving out missing fields', () => {
+    const decoded = decodeColumnar(JSON.parse(JSON.stringify(encodeColumnar(DATA))));
+    assert.deepEqual(decoded, DATA);
+    assert.equal('areaCodes' in decoded['90211'][0], false);
+  });
+});
+
+describe('decodeColumnar', () => {
+  it('rejects other payloads and newer versions', () => {
+    assert.equal(isColumnar(DATA), false);
+    assert.throws(() => decodeColumnar(DATA), /Not a zipfill-columnar payload/);
+    assert.throws(() => decodeColumnar({ ...encodeColumnar(DATA), version: COLUMNAR_VERSION + 1 }), /Unsupported columnar version/);
+  });
+});
+
+describe('shardPrefix', () => {
+  it('is the first three digits', () => {
+    assert.equal(shardPrefix('00501'), '005');
+    assert.equal(shardPrefix('90210'), '902');
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Accessible city picker for multi-city zips (ARIA 1.2 combobox pattern)
+ *
+ * Turns the city input into a combobox with a popup listbox of the cities
+ * for the current zip. Keyboard: ArrowUp/ArrowDown/Home/End to move,
+ * Enter to pick, Escape to close, Alt+ArrowDown to reopen.
+ *
+ * Theme with CSS custom properties on any ancestor:
+ *   --zip-fill-bg, --zip-fill-color, --zip-fill-border, --zip-fill-radius,
+ *   --zip-fill-shadow, --zip-fill-active-bg, --zip-fill-active-color,
+ *   --zip-fill-font, --zip-fill-z-index
+ */
+
+const STYLE_ID = 'zip-fill-combobox-styles';
+
+const STYLES = `
+.zip-fill-listbox {
+  position: absolute;
+  z-index: var(--zip-fill-z-index, 1000);
+  margin: 0;
+  padding: 4px 0;
+  list-style: none;
+  max-height: 240px;
+  overflow-y: auto;
+  box-sizing: border-box;
+  background: var(--zip-fill-bg, #fff);
+  color: var(--zip-fill-color, inherit);
+  border: var(--zip-fill-border, 1px solid #ccc);
+  border-radius: var(--zip-fill-radius, 4px);
+  box-shadow: var(--zip-fill-shadow, 0 4px 12px rgba(0, 0, 0, 0.15));
+  font: var(--zip-fill-font, inherit);
+}
+.zip-fill-listbox[hidden] { display: none; }
+.zip-fill-option { padding: 6px 12px; cursor: pointer; }
+.zip-fill-option[aria-selected="true"] {
+  background: var(--zip-fill-active-bg, #0b5fff);
+  color: var(--zip-fill-active-color, #fff);
+}
+.zip-fill-sr-only {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  margin: -1px;
+  padding: 0;
+  overflow: hidden;
+  clip: rect(0, 0, 0, 0);
+  white-space: nowrap;
+  border: 0;
+}
+`;
+
+let idCounter = 0;
+
+function injectStyles() {
+  if (document.getElementById(STYLE_ID)) return;
+  const style = document.createElement('style');
+  style.id = STYLE_ID;
+  style.textContent = STYLES;
+  document.head.appendChild(style);
+}
+
+/**
+ * Default announcement for a multi-city zip
+ */
+export function defaultAnnouncement(count, zip) {
+  return `${count} cities match ${zip}`;
+}
+
+/**
+ * Create a visually hidden polite live region for screen reader announcements
+ * @returns {object} - { announce(message), destroy() }
+ */
+export function createLiveRegion(anchor) {
+  injectStyles();
+
+  const region = document.createElement('div');
+  region.className = 'zip-fill-sr-only';
+  region.setAttribute('role', 'status');
+  region.setAttribute('aria-live', 'polite');
+  anchor.insertAdjacentElement('afterend', region);
+
+  let timer = null;
+
+  return {
+    announce(message) {
+      // Clear first so repeating the same message is announced again
+      region.textContent = '';
+      clearTimeout(timer);
+      timer = setTimeout(() => { region.textContent = message; }, 50);
+    },
+    destroy() {
+      clearTimeout(timer);
+      region.remove();
+    }
+  };
+}
+
+export class CityCombobox {
+  /**
+   * @param {HTMLInputElement} input - City input to enhance
+   * @param {object} options
+   *   - onSelect(location): called when the user picks a city
+   *   - announce(count, zip): announcement text (default "3 cities match 12345")
+   */
+  constructor(input, { onSelect, announce = defaultAnnouncement } = {}) {
+    injectStyles();
+
+    this.input = input;
+    this.onSelect = onSelect;
+    this.announceText = announce;
+    this.locations = [];
+    this.zip = '';
+    this.activeIndex = -1;
+    this.id = `zip-fill-listbox-${++idCounter}`;
+
+    this.listbox = document.createElement('ul');
+    this.listbox.id = this.id;
+    this.listbox.className = 'zip-fill-listbox';
+    this.listbox.setAttribute('role', 'listbox');
+    this.listbox.hidden = true;
+    input.insertAdjacentElement('afterend', this.listbox);
+
+    this.liveRegion = createLiveRegion(this.listbox);
+
+    this.previousAttributes = {};
+    this._setAttribute('role', 'combobox');
+    this._setAttribute('aria-autocomplete', 'list');
+    this._setAttribute('aria-expanded', 'false');
+    this._setAttribute('aria-controls', this.id);
+    this._setAttribute('aria-activedescendant', null);
+
+    this._onKeyDown = e => this._handleKeyDown(e);
+    this._onBlur = () => this.close();
+    this._onMouseDown = e => {
+      // Keep focus in the input while clicking an option
+      e.preventDefault();
+      const option = e.target.closest('[role="option"]');
+      if (option) this.select(Number(option.dataset.index));
+    };
+
+    input.addEventListener('keydown', this._onKeyDown);
+    input.addEventListener('blur', this._onBlur);
+    this.listbox.addEventListener('mousedown', this._onMouseDown);
+  }
+
+  /**
+   * Show the cities for a zip and announce how many match
+   */
+  open(locations, zip = this.zip) {
+    this.locations = locations;
+    this.zip = zip;
+    this.activeIndex = -1;
+    this.listbox.replaceChildren(...locations.map((loc, i) => {
+      const option = document.createElement('li');
+      option.id = `${this.id}-option-${i}`;
+      option.className = 'zip-fill-option';
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.index = String(i);
+      option.textContent = `${loc.city}, ${loc.state}`;
+      return option;
+    }));
+
+    this._position();
+    this.listbox.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+    this.input.removeAttribute('aria-activedescendant');
+    this.liveRegion.announce(this.announceText(locations.length, zip));
+  }
+
+  close() {
+    this.listbox.hidden = true;
+    this.activeIndex = -1;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Forget the current cities (e.g. after a single-city zip)
+   */
+  reset() {
+    this.close();
+    this.locations = [];
+    this.listbox.replaceChildren();
+  }
+
+  select(index) {
+    const location = this.locations[index];
+    if (!location) return;
+
+    this.close();
+    if (this.onSelect) this.onSelect(location);
+  }
+
+  destroy() {
+    this.input.removeEventListener('keydown', this._onKeyDown);
+    this.input.removeEventListener('blur', this._onBlur);
+    this.listbox.removeEventListener('mousedown', this._onMouseDown);
+    this.listbox.remove();
+    this.liveRegion.destroy();
+
+    for (const [name, value] of Object.entries(this.previousAttributes)) {
+      if (value === null) {
+        this.input.removeAttribute(name);
+      } else {
+        this.input.setAttribute(name, value);
+      }
+    }
+  }
+
+  _setAttribute(name, value) {
+    this.previousAttributes[name] = this.input.getAttribute(name);
+    if (value === null) {
+      this.input.removeAttribute(name);
+    } else {
+      this.input.setAttribute(name, value);
+    }
+  }
+
+  _position() {
+    this.listbox.style.top = `${this.input.offsetTop + this.input.offsetHeight}px`;
+    this.listbox.style.left = `${this.input.offsetLeft}px`;
+    this.listbox.style.minWidth = `${this.input.offsetWidth}px`;
+  }
+
+  _setActive(index) {
+    const options = this.listbox.children;
+    if (!options.length) return;
+
+    this.activeIndex = (index + options.length) % options.length;
+
+    Array.from(options).forEach((option, i) => {
+      option.setAttribute('aria-selected', i === this.activeIndex ? 'true' : 'false');
+    });
+
+    const active = options[this.activeIndex];
+    this.input.setAttribute('aria-activedescendant', active.id);
+    if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+  }
+
+  _handleKeyDown(e) {
+    if (!this.locations.length) return;
+
+    if (this.listbox.hidden) {
+      if (e.key === 'ArrowDown' && e.altKey) {
+        e.preventDefault();
+        this.open(this.locations);
+      }
+      return;
+    }
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this._setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this._setActive(this.activeIndex < 0 ? -1 : this.activeIndex - 1);
+        break;
+      case 'Home':
+        e.preventDefault();
+        this._setActive(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this._setActive(-1);
+        break;
+      case 'Enter':
+        if (this.activeIndex >= 0) {
+          e.preventDefault();
+          this.select(this.activeIndex);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+    }
+  }
+}
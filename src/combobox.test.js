@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { render, window } from '../fixtures/dom.js';
+import { defaultAnnouncement, createLiveRegion, CityCombobox } from './combobox.js';
+
+const LOCATIONS = [
+  { city: 'Schenectady', state: 'NY' },
+  { city: 'Rotterdam', state: 'NY' },
+  { city: 'Niskayuna', state: 'NY' }
+];
+
+function key(el, name, options = {}) {
+  return el.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options }));
+}
+
+describe('createLiveRegion', () => {
+  it('announces the latest message after a short delay', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const $ = render('<select id="city-select"></select>');
+    const region = createLiveRegion($('#city-select'));
+    const el = $('[role="status"]');
+
+    region.announce('2 cities match 12345');
+    region.announce(defaultAnnouncement(3, '12345'));
+    assert.equal(el.textContent, '');
+
+    t.mock.timers.tick(50);
+    assert.equal(el.textContent, '3 cities match 12345');
+    assert.equal(el.getAttribute('aria-live'), 'polite');
+  });
+
+  it('drops a pending announcement on destroy', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const $ = render('<select id="city-select"></select>');
+    const region = createLiveRegion($('#city-select'));
+    const el = $('[role="status"]');
+
+    region.announce('3 cities match 12345');
+    region.destroy();
+    t.mock.timers.tick(50);
+    assert.equal(el.textContent, '');
+    assert.equal($('[role="status"]'), null);
+  });
+});
+
+describe('CityCombobox', () => {
+  function setup(options = {}) {
+    const $ = render('<input id="city" aria-label="City">');
+    const picked = [];
+    const combobox = new CityCombobox($('#city'), { onSelect: location => picked.push(location.city), ...options });
+    return { $, input: $('#city'), combobox, picked };
+  }
+
+  it('turns the input into a combobox with a listbox of cities', () => {
+    const { $, input, combobox } = setup();
+    assert.equal(input.getAttribute('role'), 'combobox');
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+
+    combobox.open(LOCATIONS, '12345');
+    const listbox = $(`#${input.getAttribute('aria-controls')}`);
+    assert.equal(listbox.hidden, false);
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+    assert.deepEqual([...listbox.children].map(option => option.textContent), ['Schenectady, NY', 'Rotterdam, NY', 'Niskayuna, NY']);
+  });
+
+  it('moves with the arrow keys and picks with Enter', () => {
+    const { input, combobox, picked } = setup();
+    combobox.open(LOCATIONS, '12345');
+
+    key(input, 'ArrowDown');
+    key(input, 'ArrowDown');
+    assert.equal(input.getAttribute('aria-activedescendant'), `${combobox.id}-option-1`);
+    key(input, 'ArrowUp');
+    key(input, 'ArrowUp');
+    assert.equal(input.getAttribute('aria-activedescendant'), `${combobox.id}-option-2`);
+    key(input, 'Home');
+    key(input, 'Enter');
+
+    assert.deepEqual(picked, ['Schenectady']);
+    assert.equal(combobox.listbox.hidden, true);
+  });
+
+  it('leaves Home and End to the input while the list is closed', () => {
+    const { input, combobox } = setup();
+    combobox.open(LOCATIONS, '12345');
+    assert.equal(key(input, 'End'), false);
+
+    combobox.close();
+    assert.equal(key(input, 'Home'), true);
+    assert.equal(key(input, 'End'), true);
+  });
+
+  it('closes with Escape and reopens with Alt+ArrowDown', () => {
+    const { input, combobox } = setup();
+    combobox.open(LOCATIONS, '12345');
+
+    key(input, 'Escape');
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+    key(input, 'ArrowDown', { altKey: true });
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+  });
+
+  it('picks a clicked option', () => {
+    const { combobox, picked } = setup();
+    combobox.open(LOCATIONS, '12345');
+
+    combobox.listbox.children[1].dispatchEvent(new window.MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+    assert.deepEqual(picked, ['Rotterdam']);
+  });
+
+  it('uses a custom announcement', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { $, combobox } = setup({ announce: (count, zip) => `${zip}: ${count} cities` });
+
+    combobox.open(LOCATIONS, '12345');
+    t.mock.timers.tick(50);
+    assert.equal($('[role="status"]').textContent, '12345: 3 cities');
+  });
+
+  it('restores the input on destroy', () => {
+    const { $, input, combobox } = setup();
+    combobox.open(LOCATIONS, '12345');
+    combobox.destroy();
+
+    assert.equal(input.getAttribute('role'), null);
+    assert.equal(input.getAttribute('aria-expanded'), null);
+    assert.equal(input.getAttribute('aria-label'), 'City');
+    assert.equal($('[role="listbox"]'), null);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * <zip-fill-input> custom element
+ *
+ * A zip input that looks the zip up and emits the address, for pages
+ * without a framework (or with any framework). Registered on import.
+ *
+ * Usage:
+ *   <script type="module" src="zip-fill/src/element.js"></script>
+ *
+ *   <zip-fill-input name="zip" placeholder="Zip"></zip-fill-input>
+ *
+ *   document.querySelector('zip-fill-input').addEventListener('zip-fill-address', e => {
+ *     const { city, state, county } = e.detail;
+ *   });
+ *
+ * Attributes:
+ *   name, placeholder, value, required - forwarded to the inner input
+ *   src - data URL passed to load() (default: bundled data)
+ *   endpoint - use a deployed ZipFill API instead of local data
+ *
+ * Events (bubbling CustomEvents):
+ *   zip-fill-address   { zip, plus4, city, state, county, location }
+ *   zip-fill-multiple  { zip, locations } - a city picker is shown
+ *   zip-fill-not-found { zip, outsideBundle }
+ *   zip-fill-loading   { loading }
+ *   zip-fill-error     { error }
+ */
+
+import ZipFill, { instance } from './index.js';
+import { AddressModel } from './address-model.js';
+import { createLiveRegion, defaultAnnouncement } from './combobox.js';
+
+const FORWARDED_ATTRIBUTES = ['name', 'placeholder', 'required', 'disabled', 'autofocus'];
+
+// Lets the module load where there is no DOM (SSR, Node)
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+export class ZipFillInput extends BaseElement {
+  static get observedAttributes() {
+    return [...FORWARDED_ATTRIBUTES, 'value'];
+  }
+
+  constructor() {
+    super();
+    this.zipFill = null;
+    this.model = null;
+    this._state = null;
+    this._unsubscribe = null;
+  }
+
+  connectedCallback() {
+    if (this.model) return;
+
+    if (!this.zipFill) {
+      const endpoint = this.getAttribute('endpoint');
+      this.zipFill = endpoint ? new ZipFill({ endpoint }) : instance;
+    }
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.inputMode = 'numeric';
+    this.input.autocomplete = 'postal-code';
+    for (const name of FORWARDED_ATTRIBUTES) {
+      this._forwardAttribute(name);
+    }
+
+    this.citySelect = document.createElement('select');
+    this.citySelect.hidden = true;
+    this.citySelect.setAttribute('aria-label', 'City');
+
+    this.replaceChildren(this.input, this.citySelect);
+    this.liveRegion = createLiveRegion(this.citySelect);
+
+    this.model = new AddressModel(this.zipFill);
+    this._unsubscribe = this.model.subscribe(state => this._render(state));
+
+    this._onInput = () => this.model.setZip(this.input.value);
+    this._onSelect = () => {
+      if (this.citySelect.value !== '') this.model.select(Number(this.citySelect.value));
+    };
+    this.input.addEventListener('input', this._onInput);
+    this.input.addEventListener('change', this._onInput);
+    this.citySelect.addEventListener('change', this._onSelect);
+
+    this.model.load(this.getAttribute('src'));
+
+    const value = this.getAttribute('value');
+    if (value) this.value = value;
+  }
+
+  disconnectedCallback() {
+    if (!this.model) return;
+
+    this.input.removeEventListener('input', this._onInput);
+    this.input.removeEventListener('change', this._onInput);
+    this.citySelect.removeEventListener('change', this._onSelect);
+    this._unsubscribe();
+    this.model.abort();
+    this.liveRegion.destroy();
+    this.model = null;
+    this._state = null;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Disconnected elements pick their attributes up again on connect
+    if (!this.model) return;
+
+    if (name === 'value') {
+      if (newValue !== this.input.value) this._setZip(newValue || '');
+    } else {
+      this._forwardAttribute(name);
+    }
+  }
+
+  get value() {
+    return this.model ? this.input.value : this.getAttribute('value') || '';
+  }
+
+  set value(zip) {
+    if (!this.model) {
+      this.setAttribute('value', zip);
+      return;
+    }
+    this._setZip(zip);
+  }
+
+  /**
+   * Current address state ({ zip, city, state, county, locations, loading, ... })
+   */
+  get address() {
+    return this.model ? this.model.getState() : null;
+  }
+
+  _setZip(zip) {
+    this.input.value = zip;
+    this.model.setZip(zip);
+  }
+
+  _forwardAttribute(name) {
+    if (this.hasAttribute(name)) {
+      this.input.setAttribute(name, this.getAttribute(name));
+    } else {
+      this.input.removeAttribute(name);
+    }
+  }
+
+  _render(state) {
+    const previous = this._state || {};
+    this._state = state;
+
+    if (state.loading !== Boolean(previous.loading)) {
+      this.setAttribute('aria-busy', String(state.loading));
+      this._emit('zip-fill-loading', { loading: state.loading });
+    }
+
+    if (state.error && state.error !== previous.error) {
+      this._emit('zip-fill-error', { error: state.error });
+    }
+
+    if (state.notFound && !previous.notFound) {
+      this._emit('zip-fill-not-found', { zip: state.zip.trim(), outsideBundle: state.outsideBundle });
+    }
+
+    if (state.locations !== previous.locations) {
+      this._renderCities(state);
+    }
+
+    if (state.location && state.location !== previous.location) {
+      this._emit('zip-fill-address', {
+        zip: state.zip.trim(),
+        plus4: state.plus4,
+        city: state.city,
+        state: state.state,
+        county: state.county,
+        location: state.location
+      });
+    }
+  }
+
+  _renderCities({ zip, locations, hasMultiple }) {
+    if (!hasMultiple) {
+      this.citySelect.hidden = true;
+      this.citySelect.replaceChildren();
+      return;
+    }
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Select city...';
+
+    this.citySelect.replaceChildren(placeholder, ...locations.map((loc, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = `${loc.city}, ${loc.state}`;
+      return option;
+    }));
+    this.citySelect.hidden = false;
+
+    this.liveRegion.announce(defaultAnnouncement(locations.length, zip.trim()));
+    this._emit('zip-fill-multiple', { zip: zip.trim(), locations });
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+  }
+}
+
+/**
+ * Register the element (done on import under the default tag name)
+ */
+export function defineZipFillInput(tagName = 'zip-fill-input') {
+  if (typeof customElements === 'undefined' || customElements.get(tagName)) return;
+  customElements.define(tagName, class extends ZipFillInput {});
+}
+
+defineZipFillInput();
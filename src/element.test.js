@@ -0,0 +1,152 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { document, window } from '../fixtures/dom.js';
+import ZipFill from './index.js';
+import { ZipFillInput } from './element.js';
+
+const DATA = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles' }],
+  '12345': [
+    { city: 'Schenectady', state: 'NY', county: 'Schenectady' },
+    { city: 'Rotterdam', state: 'NY', county: 'Schenectady' }
+  ]
+};
+
+/**
+ * Create a <zip-fill-input> on its own ZipFill; events land in el.events
+ */
+function create(zipFill = new ZipFill(DATA), attributes = {}) {
+  const el = document.createElement('zip-fill-input');
+  el.zipFill = zipFill;
+  el.events = [];
+  for (const type of ['zip-fill-address', 'zip-fill-multiple', 'zip-fill-not-found', 'zip-fill-loading']) {
+    el.addEventListener(type, e => el.events.push([type, e.detail]));
+  }
+  for (const [name, value] of Object.entries(attributes)) {
+    el.setAttribute(name, value);
+  }
+  return el;
+}
+
+function type(el, value) {
+  const input = el.querySelector('input');
+  input.value = value;
+  input.dispatchEvent(new window.Event('input'));
+}
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+/**
+ * Connect the element and wait for its data, dropping the load's events
+ */
+async function connect(el) {
+  document.body.append(el);
+  await settle();
+  el.events.length = 0;
+}
+
+describe('<zip-fill-input>', () => {
+  beforeEach(() => {
+    document.body.replaceChildren();
+  });
+
+  it('is registered on import', () => {
+    assert.ok(document.createElement('zip-fill-input') instanceof ZipFillInput);
+  });
+
+  it('forwards attributes to the inner input', () => {
+    const el = create(undefined, { name: 'zip', placeholder: 'Zip', required: '' });
+    document.body.append(el);
+    const input = el.querySelector('input');
+
+    assert.equal(input.name, 'zip');
+    assert.equal(input.placeholder, 'Zip');
+    assert.equal(input.required, true);
+
+    el.removeAttribute('required');
+    assert.equal(input.required, false);
+  });
+
+  it('emits the address for a typed zip', async () => {
+    const el = create();
+    await connect(el);
+
+    type(el, '90210');
+    await settle();
+    assert.deepEqual(el.events.at(-1), ['zip-fill-address', {
+      zip: '90210',
+      plus4: null,
+      city: 'Beverly Hills',
+      state: 'CA',
+      county: 'Los Angeles',
+      location: DATA['90210'][0]
+    }]);
+    assert.equal(el.address.city, 'Beverly Hills');
+  });
+
+  it('shows a city picker for a multi-city zip', async () => {
+    const el = create();
+    await connect(el);
+
+    type(el, '12345');
+    await settle();
+    const select = el.querySelector('select');
+    assert.equal(select.hidden, false);
+    assert.deepEqual(el.events.map(([name]) => name), ['zip-fill-multiple']);
+
+    select.value = '1';
+    select.dispatchEvent(new window.Event('change'));
+    assert.equal(el.events.at(-1)[1].city, 'Rotterdam');
+  });
+
+  it('emits not-found for an unknown zip', async () => {
+    const el = create();
+    await connect(el);
+
+    type(el, '55555');
+    await settle();
+    assert.deepEqual(el.events, [['zip-fill-not-found', { zip: '55555', outsideBundle: false }]]);
+  });
+
+  it('keeps a value set while disconnected and looks it up on connect', async () => {
+    const el = create();
+    el.value = '90210';
+    el.setAttribute('value', '90210');
+    assert.equal(el.value, '90210');
+
+    document.body.append(el);
+    await settle();
+    assert.equal(el.querySelector('input').value, '90210');
+    assert.equal(el.address.city, 'Beverly Hills');
+  });
+
+  it('follows the value attribute while connected', async () => {
+    const el = create();
+    document.body.append(el);
+
+    el.setAttribute('value', '90210');
+    await settle();
+    assert.equal(el.value, '90210');
+    assert.equal(el.address.state, 'CA');
+  });
+
+  it('loads src before looking up the initial value, also after a remount', async t => {
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async url => {
+      requests.push(url);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return new Response(JSON.stringify(DATA));
+    });
+    const el = create(new ZipFill(), { src: 'https://cdn.test/custom.json', value: '90210' });
+
+    document.body.append(el);
+    el.remove();
+    document.body.append(el);
+    await settle();
+
+    assert.equal(requests[0], 'https://cdn.test/custom.json');
+    assert.equal(el.address.city, 'Beverly Hills');
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Bulk enrichment of CSV and NDJSON files
+ *
+ * Appends city, state and county (or any location fields) to every row
+ * of a file with a zip column. Shared by POST /api/enrich and the
+ * `zip-fill enrich` CLI so both produce the same output.
+ *
+ * Input is fed in chunks of any size and output comes back as soon as a
+ * row is complete, so files far larger than memory can be streamed:
+ *
+ *   const enricher = createEnricher({ format: 'csv', lookup });
+ *   for await (const chunk of input) output.write(enricher.write(chunk));
+ *   output.write(enricher.end());
+ *
+ * A row that can't be enriched gets a message in the error column
+ * ("error" key in NDJSON) and empty fields; the rest of the file goes on.
+ * A row or value past the length limits stops the file with an error, so a
+ * file without line breaks can't fill memory.
+ */
+
+import { parseZip } from './zip-parser.js';
+
+export const ENRICH_FORMATS = ['csv', 'ndjson'];
+
+export const DEFAULT_ENRICH_FIELDS = ['city', 'state', 'county'];
+
+// Longest CSV row or NDJSON line, and longest CSV value, in characters
+export const MAX_LINE_LENGTH = 1024 * 1024;
+export const MAX_FIELD_LENGTH = 64 * 1024;
+
+// parseZip() reasons; the rest read as "Invalid zip code (reason)"
+const ZIP_ERRORS = {
+  empty: 'Missing zip code',
+  missing_zip: 'Missing zip code',
+  // Spreadsheets often drop the leading zero of New England zips
+  too_short: 'Zip code too short (leading zero lost?)',
+  invalid_plus4: 'Invalid ZIP+4'
+};
+
+/**
+ * Quote a CSV value when it needs it
+ */
+export function formatCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvRow(values) {
+  return values.map(formatCsvValue).join(',') + '\n';
+}
+
+/**
+ * Incremental CSV (RFC 4180) parser
+ * Handles quoted values with commas, doubled quotes and line breaks.
+ */
+class CsvParser {
+  constructor({ maxRowLength = MAX_LINE_LENGTH, maxFieldLength = MAX_FIELD_LENGTH } = {}) {
+    this.maxRowLength = maxRowLength;
+    this.maxFieldLength = maxFieldLength;
+    this.value = '';
+    this.row = [];
+    this.rowLength = 0;
+    this.rowNumber = 1;
+    this.quoted = false;
+    this.afterQuote = false;
+    this.pendingCR = false;
+  }
+
+  /**
+   * @returns {string[][]} - Rows completed by this chunk
+   */
+  write(chunk) {
+    const rows = [];
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      // "\r\n" ends a single row
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      const lineBreak = !this.quoted && (char === '\n' || char === '\r');
+      if (!lineBreak && ++this.rowLength > this.maxRowLength) {
+        throw new Error(`Row ${this.rowNumber} is longer than ${this.maxRowLength} characters`);
+      }
+
+      if (this.quoted) {
+        if (char === '"') {
+          this.quoted = false;
+          this.afterQuote = true;
+        } else {
+          this.value += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && (this.afterQuote || this.value === '')) {
+        // Doubled quote inside a quoted value, or a value that starts quoted
+        if (this.afterQuote) this.value += '"';
+        this.quoted = true;
+        this.afterQuote = false;
+      } else if (char === ',') {
+        this._endValue();
+      } else if (char === '\n' || char === '\r') {
+        this.pendingCR = char === '\r';
+        this._endValue();
+        rows.push(this.row);
+        this.row = [];
+        this.rowLength = 0;
+        this.rowNumber++;
+      } else {
+        this.value += char;
+        this.afterQuote = false;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * @returns {string[][]} - The last row, if the input didn't end with a line break
+   */
+  end() {
+    if (!this.value && !this.row.length && !this.afterQuote) return [];
+    this._endValue();
+    const row = this.row;
+    this.row = [];
+    return [row];
+  }
+
+  _endValue() {
+    if (this.value.length > this.maxFieldLength) {
+      throw new Error(`Row ${this.rowNumber} has a value longer than ${this.maxFieldLength} characters`);
+    }
+    this.row.push(this.value);
+    this.value = '';
+    this.afterQuote = false;
+  }
+}
+
+/**
+ * Format a location field for output (lists are joined with "; " in CSV)
+ */
+function fieldValue(location, name, format) {
+  const value = location ? location[name] : undefined;
+  if (value === undefined || value === null) return format === 'csv' ? '' : null;
+  if (Array.isArray(value) && format === 'csv') return value.join('; ');
+  return value;
+}
+
+/**
+ * Create an enricher
+ *
+ * @param {object} options
+ *   - format: 'csv' (first row is the header) or 'ndjson'
+ *   - lookup(zip): locations for a 5-digit zip, or null
+ *   - zipColumn: column (CSV header) or key (NDJSON) holding the zip (default 'zip')
+ *   - fields: location fields to append (default city, state, county)
+ *   - prefix: prefix for the appended columns, e.g. 'zip_' to avoid
+ *     clashing with the input's own columns (default none)
+ *   - maxLineLength: longest CSV row or NDJSON line (default MAX_LINE_LENGTH)
+ *   - maxFieldLength: longest CSV value (default MAX_FIELD_LENGTH)
+ * @returns {object} - { write(chunk): string, end(): string, stats }
+ *   stats is { rows, enriched, errors }. write() throws if the CSV header
+ *   has no zip column or the input is past a length limit.
+ *
+ * For a zip with several cities the first (USPS preferred) location is used.
+ */
+export function createEnricher({
+  format = 'csv',
+  lookup,
+  zipColumn = 'zip',
+  fields = DEFAULT_ENRICH_FIELDS,
+  prefix = '',
+  maxLineLength = MAX_LINE_LENGTH,
+  maxFieldLength = MAX_FIELD_LENGTH
+} = {}) {
+  if (!ENRICH_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (expected ${ENRICH_FORMATS.join(' or ')})`);
+  }
+
+  const stats = { rows: 0, enriched: 0, errors: 0 };
+  const outputNames = [...fields, 'error'].map(name => prefix + name);
+
+  const enrichZip = value => {
+    const parsed = parseZip(value === null || value === undefined ? '' : String(value));
+    if (!parsed.valid) return { error: ZIP_ERRORS[parsed.reason] || `Invalid zip code (${parsed.reason})` };
+
+    const locations = lookup(parsed.zip);
+    if (!locations || !locations.length) return { error: `Zip code ${parsed.zip} not found` };
+
+    return { location: locations[0] };
+  };
+
+  const count = ({ error }) => {
+    stats.rows++;
+    if (error) {
+      stats.errors++;
+    } else {
+      stats.enriched++;
+    }
+  };
+
+  const options = { zipColumn, fields, outputNames, enrichZip, count, stats, maxLineLength, maxFieldLength };
+  return format === 'csv' ? csvEnricher(options) : ndjsonEnricher(options);
+}
+
+function csvEnricher({ zipColumn, fields, outputNames, enrichZip, count, stats, maxLineLength, maxFieldLength }) {
+  const parser = new CsvParser({ maxRowLength: maxLineLength, maxFieldLength });
+  let zipIndex = -1;
+  let columns = 0;
+  let first = true;
+
+  const writeRows = rows => {
+    let output = '';
+
+    for (const row of rows) {
+      if (first) {
+        first = false;
+        if (row[0] && row[0].charCodeAt(0) === 0xfeff) row[0] = row[0].slice(1);
+
+        const wanted = zipColumn.trim().toLowerCase();
+        zipIndex = row.findIndex(name => name.trim().toLowerCase() === wanted);
+        if (zipIndex === -1) {
+          throw new Error(`No "${zipColumn}" column in the CSV header`);
+        }
+
+        columns = row.length;
+        output += formatCsvRow([...row, ...outputNames]);
+        continue;
+      }
+
+      // Blank lines pass through
+      if (row.length === 1 && row[0] === '') {
+        output += '\n';
+        continue;
+      }
+
+      // Keep the appended columns lined up under their headers
+      while (row.length < columns) row.push('');
+
+      const result = enrichZip(row[zipIndex]);
+      count(result);
+      output += formatCsvRow([
+        ...row,
+        ...fields.map(name => fieldValue(result.location, name, 'csv')),
+        result.error || ''
+      ]);
+    }
+
+    return output;
+  };
+
+  return {
+    stats,
+    write: chunk => writeRows(parser.write(chunk)),
+    end: () => writeRows(parser.end())
+  };
+}
+
+function ndjsonEnricher({ zipColumn, fields, outputNames, enrichZip, count, stats, maxLineLength }) {
+  let buffered = '';
+  let lineNumber = 0;
+  const errorKey = outputNames[outputNames.length - 1];
+
+  const checkLength = line => {
+    if (line.length > maxLineLength) {
+      throw new Error(`Line ${lineNumber + 1} is longer than ${maxLineLength} characters`);
+    }
+  };
+
+  const enrichLine = line => {
+    lineNumber++;
+    if (!line.trim()) return '';
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      record = null;
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      count({ error: true });
+      return JSON.stringify({ line: lineNumber, [errorKey]: 'Invalid JSON object' }) + '\n';
+    }
+
+    const result = enrichZip(record[zipColumn]);
+    count(result);
+
+    const enriched = { ...record };
+    fields.forEach((name, i) => {
+      enriched[outputNames[i]] = fieldValue(result.location, name, 'ndjson');
+    });
+    if (result.error) enriched[errorKey] = result.error;
+
+    return JSON.stringify(enriched) + '\n';
+  };
+
+  return {
+    stats,
+    write: chunk => {
+      let output = '';
+      let start = 0;
+      let end;
+
+      // Only the new chunk is scanned; the partial line before it is carried over
+      while ((end = chunk.indexOf('\n', start)) !== -1) {
+        const line = buffered + chunk.slice(start, end);
+        buffered = '';
+        checkLength(line);
+        output += enrichLine(line.replace(/\r$/, ''));
+        start = end + 1;
+      }
+
+      buffered += chunk.slice(start);
+      checkLength(buffered);
+      return output;
+    },
+    end: () => {
+      const line = buffered;
+      buffered = '';
+      return enrichLine(line);
+    }
+  };
+}
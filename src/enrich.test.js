@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnricher, formatCsvValue } from './enrich.js';
+
+const DATA = {
+  '10001': [{ city: 'New York', state: 'NY', county: 'New York', areaCodes: ['212', '646'] }],
+  '12345': [
+    { city: 'Schenectady', state: 'NY', county: 'Schenectady' },
+    { city: 'Rotterdam', state: 'NY', county: 'Schenectady' }
+  ],
+  '00501': [{ city: 'Holtsville', state: 'NY', county: 'Suffolk' }]
+};
+
+const lookup = zip => DATA[zip] || null;
+
+function enrichAll(chunks, options) {
+  const enricher = createEnricher({ lookup, ...options });
+  const output = chunks.map(chunk => enricher.write(chunk)).join('') + enricher.end();
+  return { output, stats: enricher.stats };
+}
+
+describe('formatCsvValue', () => {
+  it('quotes values with commas, quotes or line breaks', () => {
+    assert.equal(formatCsvValue('New York'), 'New York');
+    assert.equal(formatCsvValue('Suite 1, Floor 2'), '"Suite 1, Floor 2"');
+    assert.equal(formatCsvValue('The "Big" Apple'), '"The ""Big"" Apple"');
+    assert.equal(formatCsvValue(null), '');
+  });
+});
+
+describe('CSV enrichment', () => {
+  it('appends the location and an error column to every row', () => {
+    const { output, stats } = enrichAll(['name,zip\nAda,10001\nBob,99999\nCy,123456\n'], { format: 'csv' });
+    assert.equal(output, [
+      'name,zip,city,state,county,error',
+      'Ada,10001,New York,NY,New York,',
+      'Bob,99999,,,,Zip code 99999 not found',
+      'Cy,123456,,,,Invalid zip code (ambiguous)',
+      ''
+    ].join('\n'));
+    assert.deepEqual(stats, { rows: 3, enriched: 1, errors: 2 });
+  });
+
+  it('parses quoted values split across chunks', () => {
+    const { output } = enrichAll(['"na', 'me",zip\r\n"Doe, ""J""', '",12345-6789\r', '\n"line\nbreak",00501'], { format: 'csv' });
+    assert.equal(output, [
+      'name,zip,city,state,county,error',
+      '"Doe, ""J""",12345-6789,Schenectady,NY,Schenectady,',
+      '"line\nbreak",00501,Holtsville,NY,Suffolk,',
+      ''
+    ].join('\n'));
+  });
+
+  it('finds the zip column by name, whatever its case', () => {
+    const { output } = enrichAll(['﻿Name, Postal Code \nAda,10001\n\nBob\n'], {
+      format: 'csv',
+      zipColumn: 'postal code',
+      fields: ['city', 'areaCodes'],
+      prefix: 'zip_'
+    });
+    assert.equal(output, [
+      'Name, Postal Code ,zip_city,zip_areaCodes,zip_error',
+      'Ada,10001,New York,212; 646,',
+      '',
+      'Bob,,,,Missing zip code',
+      ''
+    ].join('\n'));
+  });
+
+  it('hints at a lost leading zero', () => {
+    assert.match(enrichAll(['zip\n501\n'], { format: 'csv' }).output, /Zip code too short \(leading zero lost\?\)/);
+  });
+
+  it('throws without a zip column', () => {
+    const enricher = createEnricher({ lookup, format: 'csv' });
+    assert.throws(() => enricher.write('name,postcode\n'), /No "zip" column in the CSV header/);
+  });
+
+  it('stops at a row or value past the length limits', () => {
+    assert.equal(enrichAll(['zip,name\n10001,', 'x'.repeat(14), '\n'], { format: 'csv', maxLineLength: 20 }).stats.rows, 1);
+
+    const long = createEnricher({ lookup, format: 'csv', maxLineLength: 20 });
+    long.write('zip,name\n10001,');
+    assert.throws(() => long.write('x'.repeat(15)), /Row 2 is longer than 20 characters/);
+
+    const quoted = createEnricher({ lookup, format: 'csv', maxFieldLength: 5 });
+    assert.throws(() => quoted.write('zip,name\n10001,"a\nb\nc\n"\n'), /Row 2 has a value longer than 5 characters/);
+  });
+});
+
+describe('NDJSON enrichment', () => {
+  it('adds the location keys and reports bad lines by number', () => {
+    const { output, stats } = enrichAll(['{"id":1,"zip":"10001"}\n{"id":2,', '"zip":99999}\r\n\nnot json\n[1]'], { format: 'ndjson' });
+    assert.deepEqual(output.trim().split('\n').map(line => JSON.parse(line)), [
+      { id: 1, zip: '10001', city: 'New York', state: 'NY', county: 'New York' },
+      { id: 2, zip: 99999, city: null, state: null, county: null, error: 'Zip code 99999 not found' },
+      { line: 4, error: 'Invalid JSON object' },
+      { line: 5, error: 'Invalid JSON object' }
+    ]);
+    assert.deepEqual(stats, { rows: 4, enriched: 1, errors: 3 });
+  });
+
+  it('stops at a line past the length limit, however it is chunked', () => {
+    const { stats } = enrichAll(['{"zip":"10001"}\n{"zip":', '"00501"}\n'], { format: 'ndjson', maxLineLength: 15 });
+    assert.equal(stats.enriched, 2);
+
+    const enricher = createEnricher({ lookup, format: 'ndjson', maxLineLength: 15 });
+    enricher.write('{"zip":"10001"}\n');
+    enricher.write('{"zip":');
+    assert.throws(() => enricher.write(' "00501"}'), /Line 2 is longer than 15 characters/);
+    assert.throws(() => createEnricher({ lookup, format: 'ndjson', maxLineLength: 15 }).write('{"zip": "00501"}\n'), /Line 1 is longer/);
+  });
+
+  it('uses the preferred city of a multi-city zip', () => {
+    const { output } = enrichAll(['{"postal":"12345"}'], { format: 'ndjson', zipColumn: 'postal', fields: ['city'], prefix: 'zip_' });
+    assert.deepEqual(JSON.parse(output), { postal: '12345', zip_city: 'Schenectady' });
+  });
+});
+
+describe('createEnricher', () => {
+  it('rejects unknown formats', () => {
+    assert.throws(() => createEnricher({ lookup, format: 'xlsx' }), /Unknown format "xlsx" \(expected csv or ndjson\)/);
+  });
+});
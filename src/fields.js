@@ -0,0 +1,222 @@
+/**
+ * Location field schema
+ *
+ * Every field a location record can carry, where scripts/build-data.js
+ * reads it from in the raw records, and how the value is normalized.
+ * Shared by the build script (to read and select fields) and the API
+ * server (to validate ?fields=). Add a field by adding an entry here.
+ *
+ * Entry:
+ *   name        - Key in the built location record
+ *   type        - 'string', 'number' or 'list' (array of strings)
+ *   from        - Raw record keys to read, first non-empty wins
+ *   required    - Always bundled
+ *   normalize   - (value, record) => normalized value, or null to drop it
+ *   derive      - (record) => value when the raw record has none (optional)
+ *   description - Shown by `build-data.js --help`
+ */
+
+import { findState } from './states.js';
+
+export const MILITARY_STATES = ['AA', 'AE', 'AP'];
+
+// Territories and freely associated states with USPS zip codes
+export const TERRITORY_STATES = ['AS', 'FM', 'GU', 'MH', 'MP', 'PR', 'PW', 'VI'];
+
+export const ZIP_TYPES = ['standard', 'po_box', 'unique', 'military'];
+
+const ZIP_TYPE_ALIASES = {
+  standard: 'standard',
+  'po box': 'po_box',
+  pobox: 'po_box',
+  p: 'po_box',
+  unique: 'unique',
+  u: 'unique',
+  military: 'military',
+  m: 'military',
+  s: 'standard'
+};
+
+function text(value) {
+  const trimmed = String(value).trim();
+  return trimmed || null;
+}
+
+function list(value) {
+  const items = Array.isArray(value) ? value : String(value).split(/[,;|]/);
+  const cleaned = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+  return cleaned.length ? cleaned : null;
+}
+
+// Full codes lose leading zeros in numeric columns ("6037"); a bare county
+// code ("37", "037") is at most 3 digits and needs the state's code in front
+function countyFips(value, record) {
+  const digits = String(value).replace(/\D/g, '');
+  if (!digits || digits.length > 5) return null;
+  if (digits.length > 3) return digits.padStart(5, '0');
+
+  const state = findState(isEmpty(record.state) ? record.state_code : record.state);
+  return state && state.fips ? state.fips + digits.padStart(3, '0') : null;
+}
+
+// Rounded to ~10m precision
+function coordinate(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number * 10000) / 10000 : null;
+}
+
+export const LOCATION_FIELDS = [
+  {
+    name: 'city',
+    type: 'string',
+    from: ['city', 'primary_city'],
+    required: true,
+    normalize: text,
+    description: 'Preferred (USPS default) city name'
+  },
+  {
+    name: 'state',
+    type: 'string',
+    from: ['state', 'state_code'],
+    required: true,
+    normalize: value => text(value) && text(value).toUpperCase(),
+    description: 'Two-letter state or territory code'
+  },
+  {
+    name: 'county',
+    type: 'string',
+    from: ['county', 'county_name'],
+    normalize: text,
+    description: 'County name'
+  },
+  {
+    name: 'countyFips',
+    type: 'string',
+    from: ['county_fips', 'fips'],
+    normalize: countyFips,
+    description: '5-digit county FIPS code (state + county)'
+  },
+  {
+    name: 'lat',
+    type: 'number',
+    from: ['latitude', 'lat'],
+    normalize: coordinate,
+    description: 'Zip centroid latitude'
+  },
+  {
+    name: 'lng',
+    type: 'number',
+    from: ['longitude', 'lng', 'lon'],
+    normalize: coordinate,
+    description: 'Zip centroid longitude'
+  },
+  {
+    name: 'timezone',
+    type: 'string',
+    from: ['timezone', 'time_zone', 'tz'],
+    // IANA names only ("America/New_York"), not offsets or abbreviations
+    normalize: value => {
+      const name = text(value);
+      return name && /^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)+$/.test(name) ? name : null;
+    },
+    description: 'IANA timezone, e.g. America/New_York'
+  },
+  {
+    name: 'areaCodes',
+    type: 'list',
+    from: ['area_codes', 'area_code'],
+    normalize: value => {
+      const codes = list(value);
+      return codes && codes.filter(code => /^\d{3}$/.test(code));
+    },
+    description: 'Telephone area codes'
+  },
+  {
+    name: 'zipType',
+    type: 'string',
+    from: ['zip_type', 'type'],
+    normalize: value => {
+      const key = String(value).trim().toLowerCase().replace(/\./g, '').replace(/[\s_]+/g, ' ');
+      return ZIP_TYPE_ALIASES[key] || null;
+    },
+    // Raw data without a type: APO/FPO/DPO states are military
+    derive: record => (MILITARY_STATES.includes(String(record.state).toUpperCase()) ? 'military' : null),
+    description: `Zip type: ${ZIP_TYPES.join(', ')}`
+  },
+  {
+    name: 'acceptableCities',
+    type: 'list',
+    from: ['acceptable_cities', 'alternate_cities'],
+    normalize: (value, record) => {
+      const names = list(value);
+      return names && names.filter(name => name !== text(record.city || record.primary_city || ''));
+    },
+    description: 'Other city names USPS accepts for the zip'
+  }
+];
+
+export const FIELD_NAMES = LOCATION_FIELDS.map(field => field.name);
+
+export const REQUIRED_FIELDS = LOCATION_FIELDS.filter(field => field.required).map(field => field.name);
+
+/**
+ * Parse a comma-separated field list ("city,state,timezone")
+ * @returns {object} - { fields, unknown }; required fields are always included
+ */
+export function parseFieldList(input) {
+  const requested = (Array.isArray(input) ? input : String(input || '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+
+  const unknown = requested.filter(name => !FIELD_NAMES.includes(name));
+  const fields = FIELD_NAMES.filter(name => REQUIRED_FIELDS.includes(name) || requested.includes(name));
+
+  return { fields, unknown };
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+}
+
+/**
+ * Read a location from a raw record
+ * @param {object} record - Raw data record
+ * @param {string[]} fields - Field names to keep (default: all)
+ * @returns {object} - Location with the required fields plus the optional
+ *   fields that have a value
+ */
+export function readLocation(record, fields = FIELD_NAMES) {
+  const location = {};
+
+  for (const field of LOCATION_FIELDS) {
+    if (!fields.includes(field.name)) continue;
+
+    let value = null;
+    for (const key of field.from) {
+      if (isEmpty(record[key])) continue;
+      value = field.normalize(record[key], record);
+      if (!isEmpty(value)) break;
+    }
+
+    if (isEmpty(value) && field.derive) value = field.derive(record);
+
+    if (!isEmpty(value)) {
+      location[field.name] = value;
+    } else if (field.required) {
+      location[field.name] = '';
+    }
+  }
+
+  return location;
+}
+
+/**
+ * Keep only some fields of a location
+ */
+export function pickFields(location, fields) {
+  const picked = {};
+  for (const name of fields) {
+    if (name in location) picked[name] = location[name];
+  }
+  return picked;
+}
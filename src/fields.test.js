@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIELD_NAMES, parseFieldList, readLocation, pickFields } from './fields.js';
+
+describe('readLocation', () => {
+  it('normalizes every field of a raw record', () => {
+    const location = readLocation({
+      zip_code: 10001,
+      city: ' New York ',
+      state: 'ny',
+      county: 'New York',
+      county_fips: 36061,
+      latitude: '40.750612',
+      longitude: -73.99719,
+      timezone: 'America/New_York',
+      area_codes: ['212', '646', '917', 'n/a'],
+      zip_type: 'P.O. Box',
+      acceptable_cities: 'New York, Manhattan; Nyc'
+    });
+
+    assert.deepEqual(location, {
+      city: 'New York',
+      state: 'NY',
+      county: 'New York',
+      countyFips: '36061',
+      lat: 40.7506,
+      lng: -73.9972,
+      timezone: 'America/New_York',
+      areaCodes: ['212', '646', '917'],
+      zipType: 'po_box',
+      acceptableCities: ['Manhattan', 'Nyc']
+    });
+  });
+
+  it('pads FIPS codes and reads alternative keys', () => {
+    const location = readLocation({ primary_city: 'Adjuntas', state_code: 'PR', fips: '2050', area_code: '787', type: 'S' });
+    assert.equal(location.city, 'Adjuntas');
+    assert.equal(location.state, 'PR');
+    assert.equal(location.countyFips, '02050');
+    assert.deepEqual(location.areaCodes, ['787']);
+    assert.equal(location.zipType, 'standard');
+  });
+
+  it('puts the state FIPS in front of a bare county code', () => {
+    assert.equal(readLocation({ city: 'Beverly Hills', state: 'CA', county_fips: '037' }).countyFips, '06037');
+    assert.equal(readLocation({ city: 'Bethel', state_code: 'ak', county_fips: 50 }).countyFips, '02050');
+    assert.equal(readLocation({ city: 'Apo', state: 'AE', county_fips: '001' }).countyFips, undefined);
+  });
+
+  it('drops values it cannot normalize', () => {
+    const location = readLocation({ city: 'Schenectady', state: 'NY', timezone: 'EST', county_fips: '1234567', zip_type: 'weird', latitude: 'n/a' });
+    assert.deepEqual(location, { city: 'Schenectady', state: 'NY' });
+  });
+
+  it('derives the military zip type', () => {
+    assert.equal(readLocation({ city: 'Apo', state: 'AE' }).zipType, 'military');
+  });
+
+  it('keeps the required fields, empty if missing', () => {
+    assert.deepEqual(readLocation({ county: 'Travis' }, ['city', 'state']), { city: '', state: '' });
+  });
+});
+
+describe('parseFieldList', () => {
+  it('always includes city and state and reports unknown names', () => {
+    assert.deepEqual(parseFieldList('timezone, county,nope'), { fields: ['city', 'state', 'county', 'timezone'], unknown: ['nope'] });
+    assert.deepEqual(parseFieldList(['lat', 'lng']).fields, ['city', 'state', 'lat', 'lng']);
+    assert.deepEqual(parseFieldList('').fields, ['city', 'state']);
+  });
+
+  it('knows every field', () => {
+    assert.deepEqual(parseFieldList(FIELD_NAMES), { fields: FIELD_NAMES, unknown: [] });
+  });
+});
+
+describe('pickFields', () => {
+  it('keeps the named fields that are present', () => {
+    assert.deepEqual(pickFields({ city: 'Austin', state: 'TX', lat: 30.27 }, ['city', 'timezone']), { city: 'Austin' });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Geographic helpers
+ *
+ * Distance math and a grid spatial index over zip centroids, shared by
+ * ZipFill and the API server.
+ */
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LAT = 69.0;
+
+// Largest radius nearby() and GET /api/nearby search
+export const MAX_RADIUS_MILES = 100;
+
+function toRadians(deg) {
+  return deg * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {object} a - { lat, lng }
+ * @param {object} b - { lat, lng }
+ * @returns {number} - Distance in miles
+ */
+export function haversineMiles(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Get the centroid of a zip from its locations
+ * @param {Array|object} locations - Zip data entry
+ * @returns {object|null} - { lat, lng } or null if the zip has no coordinates
+ */
+export function getCoordinates(locations) {
+  const list = Array.isArray(locations) ? locations : [locations];
+  const loc = list.find(l => l && Number.isFinite(l.lat) && Number.isFinite(l.lng));
+  return loc ? { lat: loc.lat, lng: loc.lng } : null;
+}
+
+/**
+ * Round a distance for display
+ */
+export function roundMiles(miles) {
+  return Math.round(miles * 100) / 100;
+}
+
+/**
+ * Grid index of zip centroids for radius queries
+ *
+ * Zips are bucketed into cellSize-degree cells, so a radius query only
+ * measures zips in the cells overlapping the search box. The box wraps
+ * around the antimeridian, so a search from the Aleutians finds zips on
+ * either side of 180°.
+ */
+export class GeoIndex {
+  /**
+   * @param {object} data - { zip: [{city, state, county, lat, lng}] }
+   * @param {number} cellSize - Cell size in degrees
+   */
+  constructor(data, cellSize = 1) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+
+    for (const [zip, locations] of Object.entries(data || {})) {
+      const point = getCoordinates(locations);
+      if (!point) continue;
+
+      const key = this._cellKey(this._cell(point.lat), this._wrapColumn(this._cell(point.lng)));
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push({ zip, lat: point.lat, lng: point.lng });
+    }
+  }
+
+  /**
+   * Find zips within a radius of a point
+   * @param {object} point - { lat, lng }
+   * @param {number} radiusMiles
+   * @returns {Array<{zip: string, distance: number}>} - Nearest first
+   */
+  within(point, radiusMiles) {
+    const latSpan = radiusMiles / MILES_PER_DEGREE_LAT;
+    const lngSpan = radiusMiles / (MILES_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(point.lat)), 0.01));
+    const results = [];
+
+    // Past the poles or all the way around there are no more cells to visit
+    const firstRow = this._cell(Math.max(point.lat - latSpan, -90));
+    const lastRow = this._cell(Math.min(point.lat + latSpan, 90));
+    const columns = Math.ceil(360 / this.cellSize);
+    const firstCol = this._cell(point.lng - lngSpan);
+    const lastCol = Math.min(this._cell(point.lng + lngSpan), firstCol + columns - 1);
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        const cell = this.cells.get(this._cellKey(row, this._wrapColumn(col)));
+        if (!cell) continue;
+
+        for (const entry of cell) {
+          const distance = haversineMiles(point, entry);
+          if (distance <= radiusMiles) {
+            results.push({ zip: entry.zip, distance });
+          }
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance || a.zip.localeCompare(b.zip));
+  }
+
+  _cell(degrees) {
+    return Math.floor(degrees / this.cellSize);
+  }
+
+  /**
+   * Column of a cell west of -180° or east of 180°, counted from the other side
+   */
+  _wrapColumn(col) {
+    const columns = Math.ceil(360 / this.cellSize);
+    const first = this._cell(-180);
+    return ((col - first) % columns + columns) % columns + first;
+  }
+
+  _cellKey(row, col) {
+    return `${row}:${col}`;
+  }
+}
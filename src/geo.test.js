@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { haversineMiles, getCoordinates, roundMiles, GeoIndex } from './geo.js';
+
+const BEVERLY_HILLS = { lat: 34.0901, lng: -118.4065 };
+const NEW_YORK = { lat: 40.7506, lng: -73.9972 };
+
+const DATA = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', ...BEVERLY_HILLS }],
+  '90211': [{ city: 'Beverly Hills', state: 'CA', lat: 34.0652, lng: -118.383 }],
+  '90001': [{ city: 'Los Angeles', state: 'CA', lat: 33.9731, lng: -118.2479 }],
+  '10001': [{ city: 'New York', state: 'NY', ...NEW_YORK }],
+  '09001': [{ city: 'Apo', state: 'AE', lat: null, lng: null }]
+};
+
+describe('haversineMiles', () => {
+  it('measures great-circle distances in miles', () => {
+    assert.equal(roundMiles(haversineMiles(BEVERLY_HILLS, NEW_YORK)), 2453.31);
+    assert.equal(haversineMiles(NEW_YORK, NEW_YORK), 0);
+  });
+});
+
+describe('getCoordinates', () => {
+  it('takes the first location with coordinates', () => {
+    assert.deepEqual(getCoordinates([{ lat: null, lng: null }, { lat: 1, lng: 2 }]), { lat: 1, lng: 2 });
+    assert.deepEqual(getCoordinates({ lat: 1, lng: 2 }), { lat: 1, lng: 2 });
+  });
+
+  it('returns null without coordinates', () => {
+    assert.equal(getCoordinates(DATA['09001']), null);
+  });
+});
+
+describe('GeoIndex', () => {
+  const index = new GeoIndex(DATA);
+
+  it('finds zips within a radius, nearest first', () => {
+    const results = index.within(BEVERLY_HILLS, 15);
+    assert.deepEqual(results.map(result => result.zip), ['90210', '90211', '90001']);
+    assert.deepEqual(results.map(result => roundMiles(result.distance)), [0, 2.18, 12.16]);
+  });
+
+  it('leaves out zips past the radius', () => {
+    assert.deepEqual(index.within(BEVERLY_HILLS, 5).map(result => result.zip), ['90210', '90211']);
+  });
+
+  it('searches across the antimeridian', () => {
+    const islands = new GeoIndex({
+      '96799': [{ city: 'Pago Pago', state: 'AS', lat: -14.28, lng: -170.7 }],
+      '99999': [{ city: 'East', state: 'AK', lat: 52, lng: 179.8 }],
+      '99998': [{ city: 'West', state: 'AK', lat: 52, lng: -179.8 }]
+    });
+    assert.deepEqual(islands.within({ lat: 52, lng: 179.9 }, 20).map(result => result.zip), ['99999', '99998']);
+    assert.deepEqual(islands.within({ lat: 52, lng: -179.9 }, 20).map(result => result.zip), ['99998', '99999']);
+  });
+
+  it('visits each cell once however far it searches', () => {
+    const results = index.within({ lat: 89.9, lng: 0 }, 20000);
+    assert.equal(results.length, 4);
+  });
+
+  it('searches across grid cells', () => {
+    const small = new GeoIndex(DATA, 0.01);
+    assert.deepEqual(small.within(BEVERLY_HILLS, 15), index.within(BEVERLY_HILLS, 15));
+  });
+});
@@ -1,49 +1,643 @@
 declare module 'zip-fill' {
+  export type ZipType = 'standard' | 'po_box' | 'unique' | 'military';
+
+  /**
+   * A city/state for a zip. Optional fields are present when the raw data
+   * has them and the build bundled them (see `build-data.js --fields`).
+   */
   export interface Location {
+    /** Preferred (USPS default) city name */
     city: string;
     state: string;
-    county: string;
+    county?: string;
+    /** 5-digit county FIPS code (state + county), e.g. '06037' */
+    countyFips?: string;
+    /** Zip centroid latitude */
+    lat?: number;
+    /** Zip centroid longitude */
+    lng?: number;
+    /** IANA timezone, e.g. 'America/Los_Angeles' */
+    timezone?: string;
+    /** Telephone area codes, e.g. ['310', '424'] */
+    areaCodes?: string[];
+    zipType?: ZipType;
+    /** Other city names USPS accepts for the zip */
+    acceptableCities?: string[];
   }
 
+  export type LocationField = keyof Location;
+
   export interface LookupResult {
     zip: string;
+    /** ZIP+4 add-on, when the input included one */
+    plus4?: string;
     locations: Location[];
     hasMultiple: boolean;
   }
 
+  export type ZipParseFailure =
+    | 'empty'
+    | 'missing_zip'
+    | 'invalid_characters'
+    | 'too_short'
+    | 'too_long'
+    | 'invalid_plus4'
+    | 'ambiguous';
+
+  export interface ParsedZip {
+    zip: string | null;
+    plus4: string | null;
+    valid: boolean;
+    reason: ZipParseFailure | null;
+  }
+
+  export interface ReverseLookupQuery {
+    city: string;
+    state: string;
+  }
+
+  export interface ReverseLookupResult {
+    city: string;
+    state: string;
+    zips: string[];
+  }
+
+  export interface SuggestOptions {
+    /** Only suggest cities in this state */
+    state?: string;
+    /** Maximum suggestions (default 10) */
+    limit?: number;
+  }
+
+  export interface CitySuggestion {
+    city: string;
+    state: string;
+    zipCount: number;
+  }
+
+  export interface NearbyZip {
+    zip: string;
+    /** Distance from the center zip in miles */
+    distance: number;
+    city: string;
+    state: string;
+  }
+
+  export interface PageOptions {
+    offset?: number;
+    /** Default 100, max 1000 */
+    limit?: number;
+  }
+
+  export interface Page {
+    total: number;
+    offset: number;
+    limit: number;
+    /** Offset of the next page, or null on the last page */
+    next: number | null;
+  }
+
+  export interface ZipSummary {
+    zip: string;
+    city: string;
+    state: string;
+    county: string | null;
+  }
+
+  export interface County {
+    county: string;
+    state: string;
+    countyFips: string | null;
+    zipCount: number;
+  }
+
+  export interface StateZipsPage extends Page {
+    state: string;
+    county: string | null;
+    countyFips: string | null;
+    zips: ZipSummary[];
+  }
+
+  export interface CountiesPage extends Page {
+    state: string | null;
+    counties: County[];
+  }
+
+  export interface PrefixZipsPage extends Page {
+    prefix: string;
+    zips: ZipSummary[];
+  }
+
+  /**
+   * Key/value store used to cache loaded data between page loads
+   */
+  export interface StorageAdapter {
+    get(key: string): Promise<any | undefined>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+    clear(): Promise<void>;
+  }
+
+  export interface LoadOptions {
+    /** Load 3-digit-prefix shards on demand instead of the full data file */
+    shards?: boolean;
+    /** Full data file to load if the shard manifest is unavailable */
+    fallbackUrl?: string;
+    /** Cache loaded data (e.g. IndexedDBStorage, FileStorage) */
+    storage?: StorageAdapter;
+    /** Data manifest used to check the cached version (default: manifest.json next to the data file) */
+    versionUrl?: string;
+    /** Called when background revalidation swaps in newer data */
+    onUpdate?: (zipFill: ZipFill) => void;
+  }
+
+  /** What a data build contains (see `build-data.js --help`) */
+  export interface BundleInfo {
+    /** States included, or null for all */
+    states: string[] | null;
+    excludeMilitary: boolean;
+    excludeTerritories: boolean;
+    /**
+     * Zips that exist but were left out of the bundle, by 3-digit prefix, with
+     * their 2-digit suffixes run together: { '733': '0105' } for 73301 and 73305
+     */
+    excluded: Record<string, string>;
+  }
+
+  export interface ShardManifest {
+    format: 'zipfill-shards';
+    version: number;
+    totalZips: number;
+    dataVersion?: string;
+    /** Location fields bundled in the shards */
+    fields?: LocationField[];
+    bundle?: BundleInfo;
+    shards: Record<string, { file: string; zips: number; hash?: string }>;
+  }
+
+  export interface RemoteOptions {
+    /** Base URL of a deployed ZipFill API, e.g. 'https://api.example.com' */
+    endpoint: string;
+    /** Milliseconds to wait for more lookups before sending a batch (default 10) */
+    batchDelay?: number;
+    /** Maximum zips kept in the in-memory LRU cache (default 500) */
+    cacheSize?: number;
+    /** Location fields to request (default: all); city and state are always returned */
+    fields?: LocationField[];
+    /** Sent as X-API-Key, for servers with API keys on */
+    apiKey?: string;
+    /** More request headers, e.g. { Authorization: 'Bearer ...' } */
+    headers?: Record<string, string>;
+  }
+
+  export interface CityComboboxOptions {
+    /** Screen reader announcement for a multi-city zip (default "3 cities match 12345") */
+    announce?: (count: number, zip: string) => string;
+  }
+
+  export interface AddressInput {
+    zip?: string;
+    city?: string;
+    state?: string;
+    county?: string;
+  }
+
+  export type ValidationSeverity = 'ok' | 'warning' | 'error';
+
+  export interface FieldVerdict {
+    status: 'valid' | 'match' | 'mismatch' | 'missing' | 'invalid' | 'not_found' | 'unchecked';
+    severity: ValidationSeverity;
+    message?: string;
+    /** Corrected value for this field */
+    suggestion?: string;
+  }
+
+  export interface AddressSuggestion {
+    zip: string;
+    /** All zips for the suggested city, when suggesting a different zip */
+    zips?: string[];
+    city: string;
+    state: string;
+    county?: string;
+    message: string;
+  }
+
+  export interface ValidationResult {
+    valid: boolean;
+    severity: ValidationSeverity;
+    fields: {
+      zip: FieldVerdict;
+      city: FieldVerdict;
+      state: FieldVerdict;
+      county: FieldVerdict;
+    };
+    suggestions: AddressSuggestion[];
+  }
+
   export interface BindOptions {
     zipInput: string | HTMLInputElement;
     cityInput?: string | HTMLInputElement;
+    /** A select's options may be codes, names or FIPS codes, in any case */
     stateInput?: string | HTMLInputElement | HTMLSelectElement;
     countyInput?: string | HTMLInputElement;
     citySelect?: string | HTMLSelectElement;
+    /** Turn the city input into an accessible combobox for multi-city zips (instead of citySelect) */
+    cityCombobox?: boolean | CityComboboxOptions;
     onLookup?: (result: LookupResult | null) => void;
     onMultiple?: (locations: Location[]) => void;
-    onNotFound?: (zip: string) => void;
+    /** outsideBundle is true when the zip was left out of a custom data bundle */
+    onNotFound?: (zip: string, info: { outsideBundle: boolean }) => void;
+    /** Called with true when a typed zip is waiting for data to load, false once it arrives */
+    onLoading?: (loading: boolean) => void;
+    /** Called when loading data for a typed zip fails */
+    onError?: (error: Error) => void;
+    /** Overwrite fields the user edited by hand (default false) */
+    overwriteUserEdits?: boolean;
+    /** Called once per fill, user edit or reset with the whole address */
+    onChange?: (address: Address) => void;
+  }
+
+  export type FieldSource = 'empty' | 'auto' | 'user';
+
+  export interface Address {
+    zip: string | null;
+    plus4: string | null;
+    city: string | null;
+    state: string | null;
+    county: string | null;
+    /** Whether each field was auto-filled, edited by the user, or is empty */
+    sources: {
+      city: FieldSource;
+      state: FieldSource;
+      county: FieldSource;
+    };
+  }
+
+  /**
+   * Returned by bind(). Call it to unbind; it also controls the form.
+   */
+  export interface FormController {
+    (): void;
+    unbind(): void;
+    /** Current zip and address field values */
+    getAddress(): Address;
+    /** Clear the zip and address fields and forget user edits */
+    reset(): void;
+    on(event: 'change', listener: (address: Address) => void): FormController;
+    off(event: 'change', listener: (address: Address) => void): FormController;
+  }
+
+  /** State held by the React, Vue and custom element adapters */
+  export interface AddressState {
+    zip: string;
+    plus4: string | null;
+    city: string;
+    state: string;
+    county: string;
+    sources: Record<'city' | 'state' | 'county', FieldSource>;
+    /** Locations for the current zip */
+    locations: Location[];
+    hasMultiple: boolean;
+    /** Location the fields were filled from (null until a multi-city zip is picked) */
+    location: Location | null;
+    loading: boolean;
+    notFound: boolean;
+    /** The zip was left out of this data bundle rather than not existing */
+    outsideBundle: boolean;
+    error: Error | null;
+  }
+
+  export interface AdapterOptions {
+    /** Default: the shared instance */
+    zipFill?: ZipFill;
+    /** Passed to zipFill.load() */
+    url?: string | null;
+    loadOptions?: LoadOptions;
+    overwriteUserEdits?: boolean;
+    initial?: Partial<Pick<AddressState, 'zip' | 'city' | 'state' | 'county'>>;
   }
 
   export default class ZipFill {
-    constructor(data?: Record<string, Location[]>);
+    constructor(data?: Record<string, Location[]> | RemoteOptions);
+    
+    /** Shard manifest when loaded in sharded mode, otherwise null */
+    manifest: ShardManifest | null;
+    
+    /** Content hash of the loaded data, when known */
+    dataVersion: string | null;
+    
+    /** What the loaded data bundle contains, from its manifest */
+    bundle: BundleInfo | null;
+    
+    /** Cache adapter passed to load() */
+    storage: StorageAdapter | null;
+    
+    /** Background revalidation of cached data; resolves true if newer data was swapped in */
+    revalidation: Promise<boolean> | null;
     
     /**
      * Load zip code data from URL or CDN
+     * @param url - Full data file, or a shard manifest.json
+     */
+    load(url?: string | null, options?: LoadOptions): Promise<this>;
+    
+    /**
+     * Load the shard containing a zip (no-op when all data is loaded)
+     */
+    loadShardFor(zip: string): Promise<this>;
+    
+    /**
+     * Whether a lookup for this zip can be answered from loaded data
+     */
+    hasDataFor(zip: string): boolean;
+    
+    /**
+     * Whether a zip was left out of this data bundle, as opposed to not existing
+     */
+    isOutsideBundle(zip: string): boolean;
+    
+    /**
+     * Remove all cached data from the storage adapter
      */
-    load(url?: string): Promise<this>;
+    clearCache(): Promise<void>;
     
     /**
-     * Look up a zip code
-     * @param zip - 5-digit zip code
+     * Look up a zip code. In remote mode, only answers from the response cache.
+     * @param zip - 5-digit zip or ZIP+4 ("90210-1234", "902101234", "90210 1234")
      * @returns Location data or null if not found
      */
     lookup(zip: string): LookupResult | null;
     
+    /**
+     * Look up a zip code, loading data (or its shard) first if needed
+     */
+    lookupAsync(zip: string, options?: { signal?: AbortSignal }): Promise<LookupResult | null>;
+    
+    /**
+     * Find all zip codes for a city/state
+     * @param query - City name (case-insensitive) and state abbreviation
+     * @returns Matching zips or null if the city is unknown
+     */
+    reverseLookup(query: ReverseLookupQuery): ReverseLookupResult | null;
+    
+    /**
+     * Suggest cities matching a partial name, ranked best first
+     * @param prefix - Partial city name; typos, case and punctuation are tolerated
+     */
+    suggestCities(prefix: string, options?: SuggestOptions): CitySuggestion[];
+    
+    /**
+     * Check that a zip, city, state and county agree with each other
+     * @returns Per-field verdicts and suggested corrections, or null if data isn't loaded
+     */
+    validate(address: AddressInput): ValidationResult | null;
+    
+    /**
+     * Distance between two zip centroids in miles
+     * @returns Miles, or null if either zip is unknown or has no coordinates
+     */
+    distance(zipA: string, zipB: string): number | null;
+    
+    /**
+     * Find zips within a radius of a zip, nearest first
+     * @param radiusMiles - Search radius in miles, capped at 100
+     * @returns Matching zips, or null if the center zip has no coordinates
+     */
+    nearby(zip: string, radiusMiles: number): NearbyZip[] | null;
+    
+    /**
+     * List the zips in a state, or in one of its counties
+     * @param state - Code, name or FIPS code
+     * @returns A page of zips, or null if the state or county isn't in the data
+     */
+    stateZips(state: string, options?: PageOptions & { county?: string }): StateZipsPage | null;
+    
+    /**
+     * List counties with their zip counts, in one state or all
+     * @returns A page of counties, or null if the state isn't in the data
+     */
+    counties(options?: PageOptions & { state?: string }): CountiesPage | null;
+    
+    /**
+     * List the zips starting with a prefix of 1 to 5 digits
+     * @returns A page of zips, or null if the prefix isn't 1 to 5 digits
+     */
+    prefixZips(prefix: string, options?: PageOptions): PrefixZipsPage | null;
+    
     /**
      * Bind to form inputs for automatic autocomplete
      * @param options - Input selectors and callbacks
-     * @returns Unbind function
+     * @returns Unbind function that also exposes the form controller
      */
-    bind(options: BindOptions): () => void;
+    bind(options: BindOptions): FormController;
   }
 
   export const instance: ZipFill;
+
+  /**
+   * Parse a zip or ZIP+4 string. Never pads: "1234" is rejected.
+   */
+  export function parseZip(input: string | number): ParsedZip;
+}
+
+declare module 'zip-fill/src/storage/indexeddb.js' {
+  import { StorageAdapter } from 'zip-fill';
+
+  export default class IndexedDBStorage implements StorageAdapter {
+    constructor(options?: { dbName?: string; storeName?: string });
+    get(key: string): Promise<any | undefined>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+    clear(): Promise<void>;
+  }
+  export { IndexedDBStorage };
+}
+
+declare module 'zip-fill/src/storage/file.js' {
+  import { StorageAdapter } from 'zip-fill';
+
+  export default class FileStorage implements StorageAdapter {
+    constructor(options?: { dir?: string });
+    get(key: string): Promise<any | undefined>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+    clear(): Promise<void>;
+  }
+  export { FileStorage };
+}
+
+declare module 'zip-fill/src/address-model.js' {
+  import ZipFill, { AddressState, Location, LoadOptions, LookupResult } from 'zip-fill';
+
+  export const ADDRESS_FIELDS: ['city', 'state', 'county'];
+
+  export class AddressModel {
+    constructor(zipFill: ZipFill, options?: { overwriteUserEdits?: boolean; initial?: Partial<AddressState> });
+    state: AddressState;
+    getState(): AddressState;
+    subscribe(listener: (state: AddressState) => void): () => void;
+    load(url?: string | null, options?: LoadOptions): Promise<ZipFill | null>;
+    setZip(value: string): Promise<LookupResult | null>;
+    setField(field: 'city' | 'state' | 'county', value: string): void;
+    /** Pick a location, or its index in state.locations */
+    select(location: Location | number): void;
+    reset(): void;
+    /** Cancel the lookup in flight; the next load() sends it again */
+    abort(): void;
+  }
+}
+
+declare module 'zip-fill/src/react.js' {
+  import { AddressState, AdapterOptions, Location, LookupResult } from 'zip-fill';
+
+  interface InputProps {
+    value: string;
+    onChange(event: { target: { value: string } }): void;
+  }
+
+  export interface UseZipFillResult extends AddressState {
+    setZip(value: string): Promise<LookupResult | null>;
+    setField(field: 'city' | 'state' | 'county', value: string): void;
+    select(location: Location | number): void;
+    reset(): void;
+    zipProps: InputProps & { inputMode: 'numeric'; autoComplete: 'postal-code' };
+    cityProps: InputProps;
+    stateProps: InputProps;
+    countyProps: InputProps;
+    /** For a <select> whose option values are indexes into locations */
+    citySelectProps: InputProps;
+  }
+
+  export function useZipFill(options?: AdapterOptions): UseZipFillResult;
+}
+
+declare module 'zip-fill/src/vue.js' {
+  import { Ref, ComputedRef } from 'vue';
+  import { AddressState, AdapterOptions, Location, FieldSource } from 'zip-fill';
+
+  export interface UseZipFillReturn {
+    zip: Ref<string>;
+    city: Ref<string>;
+    state: Ref<string>;
+    county: Ref<string>;
+    plus4: ComputedRef<string | null>;
+    sources: ComputedRef<Record<'city' | 'state' | 'county', FieldSource>>;
+    locations: ComputedRef<Location[]>;
+    hasMultiple: ComputedRef<boolean>;
+    location: ComputedRef<Location | null>;
+    loading: ComputedRef<boolean>;
+    notFound: ComputedRef<boolean>;
+    outsideBundle: ComputedRef<boolean>;
+    error: ComputedRef<Error | null>;
+    /** Index of the picked location for a city select; '' picks nothing */
+    selectedIndex: Ref<number | ''>;
+    select(location: Location | number): void;
+    reset(): void;
+  }
+
+  export function useZipFill(options?: AdapterOptions): UseZipFillReturn;
+}
+
+declare module 'zip-fill/src/element.js' {
+  import ZipFill, { AddressState, Location } from 'zip-fill';
+
+  export interface ZipFillAddressDetail {
+    zip: string;
+    plus4: string | null;
+    city: string;
+    state: string;
+    county: string;
+    location: Location;
+  }
+
+  export class ZipFillInput extends HTMLElement {
+    /** Set before the element is connected to use a specific instance */
+    zipFill: ZipFill | null;
+    value: string;
+    readonly address: AddressState | null;
+  }
+
+  export function defineZipFillInput(tagName?: string): void;
+
+  global {
+    interface HTMLElementTagNameMap {
+      'zip-fill-input': ZipFillInput;
+    }
+    interface HTMLElementEventMap {
+      'zip-fill-address': CustomEvent<ZipFillAddressDetail>;
+      'zip-fill-multiple': CustomEvent<{ zip: string; locations: Location[] }>;
+      'zip-fill-not-found': CustomEvent<{ zip: string; outsideBundle: boolean }>;
+      'zip-fill-loading': CustomEvent<{ loading: boolean }>;
+      'zip-fill-error': CustomEvent<{ error: Error }>;
+    }
+  }
+}
+
+declare module 'zip-fill/src/enrich.js' {
+  import { Location, LocationField } from 'zip-fill';
+
+  export type EnrichFormat = 'csv' | 'ndjson';
+
+  export const ENRICH_FORMATS: EnrichFormat[];
+  export const DEFAULT_ENRICH_FIELDS: LocationField[];
+
+  export interface EnrichOptions {
+    format?: EnrichFormat;
+    /** Locations for a 5-digit zip, or null */
+    lookup: (zip: string) => Location[] | null;
+    /** CSV column or NDJSON key holding the zip (default 'zip') */
+    zipColumn?: string;
+    /** Fields to append (default city, state, county) */
+    fields?: LocationField[];
+    /** Prefix for the appended columns, including the error column */
+    prefix?: string;
+  }
+
+  export interface Enricher {
+    /** Enrich a chunk of input; returns the completed output rows */
+    write(chunk: string): string;
+    /** Flush the last row */
+    end(): string;
+    stats: { rows: number; enriched: number; errors: number };
+  }
+
+  export function createEnricher(options: EnrichOptions): Enricher;
+  export function formatCsvValue(value: unknown): string;
+}
+
+declare module 'zip-fill/src/states.js' {
+  export type StateType = 'state' | 'district' | 'territory' | 'military';
+
+  export interface StateInfo {
+    /** USPS code, e.g. 'CA' */
+    code: string;
+    name: string;
+    /** 2-digit state FIPS code; null for military codes */
+    fips: string | null;
+    type: StateType;
+  }
+
+  /** A state in a build (states.json, GET /api/states) */
+  export interface StateSummary {
+    code: string;
+    /** Null for a code not in STATES */
+    name: string | null;
+    fips: string | null;
+    type: StateType | null;
+    zipCount: number;
+    /** Inclusive [first, last] ranges of 3-digit zip prefixes, e.g. [['900', '961']] */
+    zipPrefixes: [string, string][];
+  }
+
+  export const STATE_TYPES: StateType[];
+  export const STATES: StateInfo[];
+
+  export function getState(code: string): StateInfo | null;
+  /** Recognize a state by code, name or FIPS code, case-insensitively */
+  export function findState(value: string | number | null | undefined): StateInfo | null;
+  export function zipPrefixRanges(zips: string[]): [string, string][];
+  export function describeStates(zipData: Record<string, Array<{ state: string }>>): StateSummary[];
 }
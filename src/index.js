@@ -8,6 +8,37 @@
  *   const result = ZipFill.lookup('90210');
  *   // { zip: '90210', locations: [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles' }] }
  *   
+ *   // Find the zips for a city
+ *   ZipFill.reverseLookup({ city: 'Beverly Hills', state: 'CA' });
+ *   // { city: 'Beverly Hills', state: 'CA', zips: ['90209', '90210', '90211', '90212', '90213'] }
+ *   
+ *   // Suggest cities while the user types
+ *   ZipFill.suggestCities('ft wor', { state: 'TX', limit: 5 });
+ *   // [{ city: 'Fort Worth', state: 'TX', zipCount: 57 }]
+ *   
+ *   // Distance and radius search (miles)
+ *   ZipFill.distance('90210', '10001');   // 2453.31
+ *   ZipFill.nearby('90210', 5);           // [{ zip: '90210', distance: 0, city: 'Beverly Hills', state: 'CA' }, ...]
+ *   
+ *   // Browse the dataset, 100 at a time
+ *   ZipFill.stateZips('CA', { county: 'Los Angeles', offset: 0, limit: 100 });
+ *   // { state: 'CA', county: 'Los Angeles', total: 283, next: 100, zips: [{ zip: '90001', city: 'Los Angeles', ... }, ...] }
+ *   ZipFill.counties({ state: 'CA' });
+ *   ZipFill.prefixZips('021');
+ *   
+ *   // Check that the parts of an address agree
+ *   ZipFill.validate({ zip: '90210', city: 'Austin', state: 'TX' });
+ *   // { valid: false, severity: 'error', fields: {...}, suggestions: [{ message: 'Did you mean Beverly Hills, CA?', ... }] }
+ *   
+ *   // Load only the 3-digit-prefix shards that lookups need
+ *   await ZipFill.load(null, { shards: true });
+ *   await ZipFill.loadShardFor('90210');
+ *   ZipFill.lookup('90210');
+ *   
+ *   // Use a deployed ZipFill API instead of local data
+ *   const remote = new ZipFill({ endpoint: 'https://api.example.com' });
+ *   await remote.lookupAsync('90210');
+ *   
  *   // Auto-wire a form
  *   ZipFill.bind({
  *     zipInput: '#zip',
@@ -17,37 +48,87 @@
  *   });
  */
 
+import { buildCityIndex, cityKey, normalizeState, CitySuggestIndex } from './city-index.js';
+import { parseZip } from './zip-parser.js';
+import { GeoIndex, MAX_RADIUS_MILES, getCoordinates, haversineMiles, roundMiles } from './geo.js';
+import { decodeColumnar, isColumnar, shardPrefix, MANIFEST_FORMAT } from './columnar.js';
+import { RemoteClient } from './remote-client.js';
+import { CityCombobox, createLiveRegion, defaultAnnouncement } from './combobox.js';
+import { validateAddress } from './validate.js';
+import { findState } from './states.js';
+import { ZipIndex, isZipPrefix, paginate } from './zip-index.js';
+
+// change handlers ZipFill added to city selects, so they can be replaced
+const selectHandlers = new WeakMap();
+
 class ZipFill {
+  /**
+   * @param {object} data - Pre-loaded zip data, or { endpoint, batchDelay, cacheSize }
+   *   to look zips up through a deployed ZipFill API instead of local data
+   */
   constructor(data = null) {
-    this.data = data;
-    this.loaded = false;
+    const remoteOptions = data && typeof data.endpoint === 'string' ? data : null;
+    
+    this.data = remoteOptions ? null : data;
+    this.remote = remoteOptions ? new RemoteClient(remoteOptions) : null;
+    this.loaded = Boolean(this.remote);
     this.loadPromise = null;
+    this.manifest = null;
+    this.dataVersion = null;
+    this.bundle = null;
+    this.storage = null;
+    this.onUpdate = null;
+    this.revalidation = null;
+    this._shardBaseUrl = '';
+    this._loadedShards = new Set();
+    this._shardLoads = new Map();
+    this._resetIndexes();
   }
 
   /**
    * Load zip data from URL or bundled data
+   * @param {string} url - Full data file, or a shard manifest.json
+   * @param {object} options
+   *   - shards: load per-prefix shards on demand
+   *   - fallbackUrl: full data file used if the shards are unavailable
+   *   - storage: cache adapter (e.g. IndexedDBStorage) for offline use
+   *   - versionUrl: data manifest used to check the cached version
+   *     (defaults to manifest.json next to the data file)
+   *   - onUpdate: called after background revalidation swaps in newer data
    */
-  async load(url = null) {
+  async load(url = null, { shards = false, fallbackUrl = null, storage = null, versionUrl = null, onUpdate = null } = {}) {
     if (this.loaded) return this;
     
     if (this.loadPromise) return this.loadPromise;
     
+    if (storage) this.storage = storage;
+    if (onUpdate) this.onUpdate = onUpdate;
+    
     this.loadPromise = (async () => {
       if (this.data) {
         this.loaded = true;
         return this;
       }
       
-      // Try to load from CDN or local file
-      const dataUrl = url || this._getDefaultDataUrl();
+      const useShards = shards || /manifest\.json$/.test(url || '');
       
       try {
-        const response = await fetch(dataUrl);
-        if (!response.ok) throw new Error(`Failed to load: ${response.status}`);
-        this.data = await response.json();
-        this.loaded = true;
+        if (useShards) {
+          try {
+            await this._loadManifest(url || this._getDefaultShardUrl());
+          } catch (e) {
+            // Fall back to the single full data file
+            console.warn('ZipFill: Sharded data unavailable, loading full data file', e);
+            await this._loadFull(fallbackUrl || this._getDefaultDataUrl(), versionUrl);
+          }
+        } else {
+          // Try to load from CDN or local file
+          await this._loadFull(url || this._getDefaultDataUrl(), versionUrl);
+        }
       } catch (e) {
         console.error('ZipFill: Failed to load zip data', e);
+        // Allow a later load() to retry
+        this.loadPromise = null;
         throw e;
       }
       
@@ -57,6 +138,294 @@ class ZipFill {
     return this.loadPromise;
   }
 
+  /**
+   * Load the shard containing a zip (no-op when all data is loaded)
+   * @param {string} zip
+   * @returns {Promise<ZipFill>}
+   */
+  async loadShardFor(zip) {
+    await this.load();
+    
+    const parsed = parseZip(zip);
+    if (!this.manifest || !parsed.valid) return this;
+    
+    const manifest = this.manifest;
+    const prefix = shardPrefix(parsed.zip);
+    const shard = manifest.shards[prefix];
+    
+    // Unknown prefix: no zip in the dataset starts with it
+    if (!shard || this._loadedShards.has(prefix)) return this;
+    
+    if (!this._shardLoads.has(prefix)) {
+      const promise = this._fetchShard(prefix, shard)
+        .then(payload => {
+          // Revalidation replaced the manifest while this shard was loading
+          if (this.manifest !== manifest) return this;
+          
+          Object.assign(this.data, decodeColumnar(payload));
+          this._loadedShards.add(prefix);
+          this._resetIndexes();
+          return this;
+        })
+        .finally(() => {
+          if (this._shardLoads.get(prefix) === promise) {
+            this._shardLoads.delete(prefix);
+          }
+        });
+      
+      this._shardLoads.set(prefix, promise);
+    }
+    
+    return this._shardLoads.get(prefix);
+  }
+
+  /**
+   * Check whether a lookup for this zip can be answered from loaded data
+   */
+  hasDataFor(zip) {
+    if (this.remote) return this.remote.getCached(zip) !== undefined;
+    if (!this.loaded || !this.data) return false;
+    if (!this.manifest) return true;
+    
+    const parsed = parseZip(zip);
+    if (!parsed.valid) return true;
+    
+    const prefix = shardPrefix(parsed.zip);
+    return !this.manifest.shards[prefix] || this._loadedShards.has(prefix);
+  }
+
+  /**
+   * Check whether a zip was left out of this data bundle (built with
+   * --states, --exclude-military or --exclude-territories), as opposed
+   * to not existing at all
+   */
+  isOutsideBundle(zip) {
+    if (!this.bundle || !this.bundle.excluded) return false;
+    
+    const parsed = parseZip(zip);
+    if (!parsed.valid) return false;
+    
+    // { prefix: 2-digit suffixes run together }, see describeExcluded() in scripts/build-data.js
+    const suffixes = this.bundle.excluded[shardPrefix(parsed.zip)];
+    if (typeof suffixes !== 'string') return false;
+    
+    const suffix = parsed.zip.slice(3);
+    for (let i = 0; i < suffixes.length; i += 2) {
+      if (suffixes.slice(i, i + 2) === suffix) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove all cached data from the storage adapter
+   */
+  async clearCache() {
+    if (!this.storage) return;
+    await this.storage.clear();
+  }
+
+  /**
+   * Load the full data file (plain or columnar JSON)
+   * Served from the cache when possible, then revalidated in the background
+   */
+  async _loadFull(url, versionUrl = null) {
+    const cacheKey = `full:${url}`;
+    versionUrl = versionUrl || this._siblingUrl(url, 'manifest.json');
+    
+    const cached = await this._cacheGet(cacheKey);
+    if (cached) {
+      this._setFullData(cached.payload, cached.version, cached.bundle);
+      this._revalidate(async () => {
+        const dataManifest = await this._fetchDataManifest(versionUrl);
+        const version = dataManifest && dataManifest.dataVersion;
+        if (!version || version === this.dataVersion) return false;
+        
+        const payload = await this._fetchJson(url);
+        const bundle = dataManifest.bundle || null;
+        this._setFullData(payload, version, bundle);
+        await this._cacheSet(cacheKey, { version, payload, bundle });
+        return true;
+      });
+      return;
+    }
+    
+    // The data manifest gives the version and describes what the bundle contains
+    const [payload, dataManifest] = await Promise.all([
+      this._fetchJson(url),
+      this._fetchDataManifest(versionUrl)
+    ]);
+    const version = (dataManifest && dataManifest.dataVersion) || null;
+    const bundle = (dataManifest && dataManifest.bundle) || null;
+    
+    this._setFullData(payload, version, bundle);
+    
+    // Without a version there is no way to tell when the cache is stale
+    if (version) {
+      await this._cacheSet(cacheKey, { version, payload, bundle });
+    }
+  }
+
+  _setFullData(payload, version = null, bundle = null) {
+    this.data = isColumnar(payload) ? decodeColumnar(payload) : payload;
+    this.dataVersion = version;
+    this.bundle = bundle;
+    this.manifest = null;
+    this.loaded = true;
+    this._resetIndexes();
+  }
+
+  /**
+   * Load a shard manifest; shards are fetched later by loadShardFor()
+   * Served from the cache when possible, then revalidated in the background
+   */
+  async _loadManifest(url) {
+    const cacheKey = `manifest:${url}`;
+    
+    const cached = await this._cacheGet(cacheKey);
+    if (cached) {
+      this._setManifest(cached, url);
+      this._revalidate(async () => {
+        const manifest = await this._fetchJson(url);
+        if (!manifest.dataVersion || manifest.dataVersion === this.dataVersion) return false;
+        
+        this._setManifest(manifest, url);
+        await this._cacheSet(cacheKey, manifest);
+        await this._pruneShardCache(manifest);
+        return true;
+      });
+      return;
+    }
+    
+    const manifest = await this._fetchJson(url);
+    this._setManifest(manifest, url);
+    await this._cacheSet(cacheKey, manifest);
+  }
+
+  _setManifest(manifest, url) {
+    if (!manifest || manifest.format !== MANIFEST_FORMAT || !manifest.shards) {
+      throw new Error('Invalid shard manifest');
+    }
+    
+    this.manifest = manifest;
+    this.dataVersion = manifest.dataVersion || null;
+    this.bundle = manifest.bundle || null;
+    this._shardBaseUrl = this._siblingUrl(url, '');
+    this._loadedShards = new Set();
+    this._shardLoads = new Map();
+    this.data = {};
+    this.loaded = true;
+    this._resetIndexes();
+  }
+
+  /**
+   * Fetch a shard, from the cache when its content hash matches
+   */
+  async _fetchShard(prefix, shard) {
+    const cacheKey = shard.hash ? `shard:${prefix}:${shard.hash}` : null;
+    
+    if (cacheKey) {
+      const cached = await this._cacheGet(cacheKey);
+      if (cached) return cached;
+    }
+    
+    const payload = await this._fetchJson(this._shardBaseUrl + shard.file);
+    
+    if (cacheKey) {
+      await this._cacheSet(cacheKey, payload);
+    }
+    
+    return payload;
+  }
+
+  /**
+   * Delete cached shards that are no longer in the manifest
+   */
+  async _pruneShardCache(manifest) {
+    if (!this.storage) return;
+    
+    const current = new Set(
+      Object.entries(manifest.shards).map(([prefix, shard]) => `shard:${prefix}:${shard.hash}`)
+    );
+    
+    try {
+      const keys = await this.storage.keys();
+      await Promise.all(
+        keys
+          .filter(key => key.startsWith('shard:') && !current.has(key))
+          .map(key => this.storage.delete(key))
+      );
+    } catch (e) {
+      console.warn('ZipFill: Failed to prune cache', e);
+    }
+  }
+
+  /**
+   * Run a revalidation check in the background
+   */
+  _revalidate(check) {
+    this.revalidation = check()
+      .then(updated => {
+        if (updated && this.onUpdate) this.onUpdate(this);
+        return updated;
+      })
+      .catch(e => {
+        console.warn('ZipFill: Background revalidation failed', e);
+        return false;
+      });
+  }
+
+  async _fetchDataManifest(versionUrl) {
+    try {
+      return await this._fetchJson(versionUrl);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Cache failures (quota, private mode) must never break loading
+  async _cacheGet(key) {
+    if (!this.storage) return undefined;
+    try {
+      return await this.storage.get(key);
+    } catch (e) {
+      console.warn('ZipFill: Failed to read cache', e);
+      return undefined;
+    }
+  }
+
+  async _cacheSet(key, value) {
+    if (!this.storage) return;
+    try {
+      await this.storage.set(key, value);
+    } catch (e) {
+      console.warn('ZipFill: Failed to write cache', e);
+    }
+  }
+
+  async _fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load: ${response.status}`);
+    return response.json();
+  }
+
+  /**
+   * Resolve a file name against the directory of a URL
+   */
+  _siblingUrl(url, file) {
+    return url.slice(0, url.lastIndexOf('/') + 1) + file;
+  }
+
+  /**
+   * Drop derived indexes after the data changes; each is built again on
+   * first use, so loading shard after shard doesn't rebuild them every time
+   */
+  _resetIndexes() {
+    this._cityIndex = null;
+    this._suggestIndex = null;
+    this._geoIndex = null;
+    this._zipIndex = null;
+  }
+
   /**
    * Get default data URL
    */
@@ -69,40 +438,328 @@ class ZipFill {
     return 'https://unpkg.com/zip-fill@latest/dist/zip-data.min.json';
   }
 
+  /**
+   * Get default shard manifest URL
+   */
+  _getDefaultShardUrl() {
+    if (typeof __ZIPFILL_SHARDS_URL__ !== 'undefined') {
+      return __ZIPFILL_SHARDS_URL__;
+    }
+    return 'https://unpkg.com/zip-fill@latest/dist/shards/manifest.json';
+  }
+
   /**
    * Lookup a zip code
-   * @param {string} zip - 5-digit zip code
-   * @returns {object|null} - { zip, locations: [{city, state, county}] } or null
+   * @param {string} zip - 5-digit zip or ZIP+4 ("90210-1234", "902101234", "90210 1234")
+   * @returns {object|null} - { zip, plus4?, locations: [{city, state, county}] } or null
    */
   lookup(zip) {
+    // Remote mode: only answers from cache, use lookupAsync() to fetch
+    if (this.remote) {
+      return this.remote.getCached(zip) || null;
+    }
+    
     if (!this.loaded || !this.data) {
       console.warn('ZipFill: Data not loaded. Call load() first.');
       return null;
     }
     
-    // Normalize zip
-    const normalizedZip = String(zip).trim().padStart(5, '0').slice(0, 5);
+    const parsed = parseZip(zip);
+    
+    if (!parsed.valid) {
+      return null;
+    }
     
-    if (!/^\d{5}$/.test(normalizedZip)) {
+    if (!this.hasDataFor(parsed.zip)) {
+      console.warn(`ZipFill: Shard for ${parsed.zip} not loaded. Call loadShardFor() first.`);
       return null;
     }
     
-    const locations = this.data[normalizedZip];
+    const locations = this.data[parsed.zip];
     
     if (!locations) {
       return null;
     }
     
-    return {
-      zip: normalizedZip,
+    const result = {
+      zip: parsed.zip,
       locations: Array.isArray(locations) ? locations : [locations],
       hasMultiple: Array.isArray(locations) && locations.length > 1
     };
+    
+    if (parsed.plus4) {
+      result.plus4 = parsed.plus4;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Lookup a zip code, loading data (or its shard) first if needed
+   * Waits for an in-flight load() instead of returning null
+   * @param {string} zip - 5-digit zip or ZIP+4
+   * @param {object} options - { signal } to cancel a remote lookup
+   * @returns {Promise<object|null>} - Same as lookup()
+   */
+  async lookupAsync(zip, { signal } = {}) {
+    if (this.remote) {
+      return this.remote.lookup(zip, { signal });
+    }
+    
+    await this.loadShardFor(zip);
+    return this.lookup(zip);
+  }
+
+  /**
+   * Find all zip codes for a city/state
+   * @param {object} query - { city, state }
+   * @returns {object|null} - { city, state, zips: [...] } or null
+   */
+  reverseLookup({ city, state } = {}) {
+    if (!this.loaded || !this.data) {
+      console.warn('ZipFill: Data not loaded. Call load() first.');
+      return null;
+    }
+    
+    if (!city || !state) {
+      return null;
+    }
+    
+    const entry = this._getCityIndex().get(cityKey(city, state));
+    
+    if (!entry) {
+      return null;
+    }
+    
+    return {
+      city: entry.city,
+      state: entry.state,
+      zips: [...entry.zips]
+    };
+  }
+
+  /**
+   * Suggest cities matching a partial name
+   * Tolerates typos, case, punctuation and abbreviations ("St." / "Saint")
+   * @param {string} prefix - Partial city name
+   * @param {object} options - { state, limit }
+   * @returns {Array} - Ranked [{city, state, zipCount}]
+   */
+  suggestCities(prefix, { state = null, limit = 10 } = {}) {
+    if (!this.loaded || !this.data) {
+      console.warn('ZipFill: Data not loaded. Call load() first.');
+      return [];
+    }
+    
+    if (!this._suggestIndex) {
+      this._suggestIndex = new CitySuggestIndex(this._getCityIndex());
+    }
+    
+    return this._suggestIndex.search(prefix, { state, limit });
+  }
+
+  /**
+   * Distance between two zip centroids
+   * @param {string} zipA
+   * @param {string} zipB
+   * @returns {number|null} - Miles, or null if either zip is unknown or has no coordinates
+   */
+  distance(zipA, zipB) {
+    const a = this._getCoordinates(zipA);
+    const b = this._getCoordinates(zipB);
+    
+    if (!a || !b) {
+      return null;
+    }
+    
+    return roundMiles(haversineMiles(a, b));
+  }
+
+  /**
+   * Find zips within a radius of a zip
+   * @param {string} zip - Center zip
+   * @param {number} radiusMiles - Search radius in miles, at most MAX_RADIUS_MILES (100)
+   * @returns {Array|null} - Nearest first [{zip, distance, city, state}], or null if the zip has no coordinates
+   */
+  nearby(zip, radiusMiles) {
+    const center = this._getCoordinates(zip);
+    
+    if (!center) {
+      return null;
+    }
+    
+    if (!this._geoIndex) {
+      this._geoIndex = new GeoIndex(this.data);
+    }
+    
+    // Same cap as the API: a huge radius would measure most of the country
+    const radius = Math.min(Math.max(Number(radiusMiles) || 0, 0), MAX_RADIUS_MILES);
+    
+    return this._geoIndex.within(center, radius).map(({ zip, distance }) => {
+      const [location] = this.lookup(zip).locations;
+      return {
+        zip,
+        distance: roundMiles(distance),
+        city: location.city,
+        state: location.state
+      };
+    });
+  }
+
+  /**
+   * List the zips in a state, or in one of its counties
+   * With shards, only zips in loaded shards are listed.
+   * @param {string} state - Code, name or FIPS code ('CA', 'California', '06')
+   * @param {object} options - { county (name or 5-digit FIPS), offset, limit (default 100, max 1000) }
+   * @returns {object|null} - { state, county, countyFips, total, offset, limit, next,
+   *   zips: [{zip, city, state, county}] }, or null if the state or county isn't in the data
+   */
+  stateZips(state, { county = null, offset, limit } = {}) {
+    if (!this.loaded || !this.data) {
+      console.warn('ZipFill: Data not loaded. Call load() first.');
+      return null;
+    }
+    
+    const index = this._getZipIndex();
+    const code = this._stateCode(state);
+    let zips = index.stateZips(code);
+    let found = null;
+    
+    if (zips && county) {
+      found = index.county(code, county);
+      zips = found ? found.zips : null;
+    }
+    
+    if (!zips) {
+      return null;
+    }
+    
+    const { items, ...page } = paginate(zips, { offset, limit });
+    return {
+      state: code,
+      county: found ? found.county : null,
+      countyFips: found ? found.countyFips : null,
+      ...page,
+      zips: items.map(zip => index.describe(zip, code))
+    };
+  }
+
+  /**
+   * List counties with their zip counts
+   * @param {object} options - { state (code, name or FIPS code; default all), offset, limit }
+   * @returns {object|null} - { state, total, offset, limit, next, counties: [{county, state,
+   *   countyFips, zipCount}] }, or null if the state isn't in the data
+   */
+  counties({ state = null, offset, limit } = {}) {
+    if (!this.loaded || !this.data) {
+      console.warn('ZipFill: Data not loaded. Call load() first.');
+      return null;
+    }
+    
+    const code = state ? this._stateCode(state) : null;
+    const counties = this._getZipIndex().counties(code);
+    
+    if (!counties) {
+      return null;
+    }
+    
+    const { items, ...page } = paginate(counties, { offset, limit });
+    return { state: code, ...page, counties: items };
+  }
+
+  /**
+   * List the zips starting with a prefix ('021' gives 02101 to 02199)
+   * With shards, load the prefix's shard first (loadShardFor).
+   * @param {string} prefix - 1 to 5 digits
+   * @param {object} options - { offset, limit (default 100, max 1000) }
+   * @returns {object|null} - { prefix, total, offset, limit, next, zips: [{zip, city, state, county}] },
+   *   or null if the prefix isn't 1 to 5 digits
+   */
+  prefixZips(prefix, { offset, limit } = {}) {
+    if (!this.loaded || !this.data) {
+      console.warn('ZipFill: Data not loaded. Call load() first.');
+      return null;
+    }
+    
+    if (!isZipPrefix(prefix)) {
+      return null;
+    }
+    
+    const index = this._getZipIndex();
+    const { items, ...page } = paginate(index.prefixZips(prefix), { offset, limit });
+    return { prefix: String(prefix), ...page, zips: items.map(zip => index.describe(zip)) };
+  }
+
+  /**
+   * Check that a zip, city, state and county agree with each other
+   * @param {object} address - { zip, city, state, county }
+   * @returns {object|null} - { valid, severity, fields, suggestions }, or null if data isn't loaded
+   */
+  validate(address = {}) {
+    if (!this.loaded || !this.data) {
+      console.warn('ZipFill: Data not loaded. Call load() first.');
+      return null;
+    }
+    
+    if (!this.hasDataFor(address.zip)) {
+      console.warn(`ZipFill: Shard for ${address.zip} not loaded. Call loadShardFor() first.`);
+      return null;
+    }
+    
+    return validateAddress(address, {
+      lookup: zip => {
+        const result = this.lookup(zip);
+        return result ? result.locations : null;
+      },
+      findCity: (city, state) => this._getCityIndex().get(cityKey(city, state)) || null
+    });
+  }
+
+  /**
+   * Get the centroid for a zip
+   */
+  _getCoordinates(zip) {
+    const result = this.lookup(zip);
+    return result ? getCoordinates(result.locations) : null;
+  }
+
+  /**
+   * Get the city/state index, building it on first use
+   */
+  _getCityIndex() {
+    if (!this._cityIndex) {
+      this._cityIndex = buildCityIndex(this.data);
+    }
+    return this._cityIndex;
+  }
+
+  /**
+   * Get the state/county/prefix index, building it on first use
+   */
+  _getZipIndex() {
+    if (!this._zipIndex) {
+      this._zipIndex = new ZipIndex(this.data);
+    }
+    return this._zipIndex;
+  }
+
+  /**
+   * State code for a code, name or FIPS code
+   */
+  _stateCode(state) {
+    const found = findState(state);
+    return found ? found.code : normalizeState(state);
   }
 
   /**
    * Bind to form inputs for auto-fill behavior
+   *
+   * Tracks whether each address field was auto-filled or edited by the
+   * user, and doesn't overwrite user edits unless overwriteUserEdits is set.
+   *
    * @param {object} options - Input selectors
+   * @returns {function} - Unbind function, also exposing the form controller:
+   *   getAddress(), reset(), on('change', fn), off('change', fn), unbind()
    */
   bind(options) {
     const {
@@ -111,9 +768,14 @@ class ZipFill {
       stateInput,
       countyInput,
       citySelect,
+      cityCombobox,
+      overwriteUserEdits = false,
       onLookup,
       onMultiple,
-      onNotFound
+      onNotFound,
+      onLoading,
+      onError,
+      onChange
     } = options;
 
     const zipEl = typeof zipInput === 'string' ? document.querySelector(zipInput) : zipInput;
@@ -127,17 +789,189 @@ class ZipFill {
       return;
     }
 
+    const fieldEls = { city: cityEl, state: stateEl, county: countyEl };
+    
+    // Where each field's value came from: 'empty', 'auto' or 'user'
+    const sources = {};
+    for (const [field, el] of Object.entries(fieldEls)) {
+      sources[field] = el && el.value ? 'user' : 'empty';
+    }
+    
+    const changeListeners = new Set(onChange ? [onChange] : []);
+    let filling = false;
+
+    const getAddress = () => {
+      const parsed = parseZip(zipEl.value);
+      return {
+        zip: parsed.zip,
+        plus4: parsed.plus4,
+        city: cityEl ? cityEl.value : null,
+        state: stateEl ? stateEl.value : null,
+        county: countyEl ? countyEl.value : null,
+        sources: { ...sources }
+      };
+    };
+    
+    const emitChange = () => {
+      const address = getAddress();
+      changeListeners.forEach(listener => listener(address));
+    };
+    
+    /**
+     * Fill from a location, skipping user-edited fields unless forced
+     */
+    const fill = (location, force = overwriteUserEdits) => {
+      const targets = {};
+      for (const [field, el] of Object.entries(fieldEls)) {
+        const keep = !force && sources[field] === 'user' && el.value !== '';
+        targets[field] = el && !keep ? el : null;
+      }
+      
+      filling = true;
+      try {
+        this._fillFields(location, targets.city, targets.state, targets.county);
+      } finally {
+        filling = false;
+      }
+      
+      for (const [field, el] of Object.entries(targets)) {
+        if (el) sources[field] = el.value ? 'auto' : 'empty';
+      }
+      emitChange();
+    };
+    
+    // Picking a city from a list is an explicit choice, so it always fills
+    const pick = location => fill(location, true);
+    
+    // User edits to address fields (ignoring events from our own fills)
+    const handleFieldEdit = (field, el) => () => {
+      if (filling) return;
+      const source = el.value ? 'user' : 'empty';
+      if (sources[field] === source && source === 'empty') return;
+      sources[field] = source;
+      emitChange();
+    };
+    
+    const fieldListeners = Object.entries(fieldEls)
+      .filter(([, el]) => el)
+      .map(([field, el]) => {
+        const listener = handleFieldEdit(field, el);
+        el.addEventListener('input', listener);
+        el.addEventListener('change', listener);
+        return [el, listener];
+      });
+
+    // Accessible city picker on the city input (alternative to citySelect)
+    const combobox = cityCombobox && cityEl
+      ? new CityCombobox(cityEl, {
+          onSelect: pick,
+          announce: cityCombobox.announce
+        })
+      : null;
+    
+    // Announce multi-city zips when the select appears
+    const liveRegion = selectEl && !combobox ? createLiveRegion(selectEl) : null;
+
+    // Zip typed while data (or its shard) was still loading
+    let pendingZip = null;
+    let waiting = false;
+    let unbound = false;
+    let controller = null;
+    
+    // Remote mode: cancel the request for the previous zip, fetch this one
+    const fetchRemote = (zip) => {
+      if (controller) controller.abort();
+      const current = controller = new AbortController();
+      if (onLoading) onLoading(true);
+      
+      this.lookupAsync(zip, { signal: current.signal })
+        .then(() => {
+          if (unbound || current !== controller) return;
+          controller = null;
+          if (onLoading) onLoading(false);
+          if (zipEl.value.trim() === zip) handleInput();
+        })
+        .catch(e => {
+          if (e.name === 'AbortError' || unbound || current !== controller) return;
+          controller = null;
+          if (onLoading) onLoading(false);
+          if (onError) {
+            onError(e);
+          } else {
+            console.error('ZipFill: Remote lookup failed', e);
+          }
+        });
+    };
+    
+    const waitForData = (zip) => {
+      if (this.remote) {
+        fetchRemote(zip);
+        return;
+      }
+      
+      pendingZip = zip;
+      if (waiting) return;
+      
+      waiting = true;
+      if (onLoading) onLoading(true);
+      
+      // Keep loading until the data for the latest queued zip is in
+      const loadPending = () => this.loadShardFor(pendingZip).then(() => {
+        if (!this.hasDataFor(pendingZip)) return loadPending();
+      });
+      
+      loadPending()
+        .then(() => {
+          waiting = false;
+          if (unbound) return;
+          if (onLoading) onLoading(false);
+          
+          // Fill from the last queued zip if the user hasn't changed it since
+          const zip = pendingZip;
+          pendingZip = null;
+          if (zipEl.value.trim() === zip) handleInput();
+        })
+        .catch(e => {
+          waiting = false;
+          pendingZip = null;
+          if (unbound) return;
+          if (onLoading) onLoading(false);
+          if (onError) {
+            onError(e);
+          } else {
+            console.error('ZipFill: Failed to load zip data', e);
+          }
+        });
+    };
+
+    const hideCityPickers = () => {
+      if (combobox) combobox.reset();
+      if (selectEl) {
+        selectEl.style.display = 'none';
+        if (cityEl) cityEl.style.display = '';
+      }
+    };
+
     const handleInput = () => {
       const zip = zipEl.value.trim();
+      const parsed = parseZip(zip);
       
-      // Only lookup when we have 5 digits
-      if (zip.length !== 5) {
-        if (selectEl) {
-          selectEl.style.display = 'none';
+      // Only lookup once we have a complete zip (or ZIP+4)
+      if (!parsed.valid) {
+        // Keep the current fill while the +4 is still being typed
+        if (parsed.reason !== 'invalid_plus4') {
+          if (combobox) combobox.reset();
+          if (selectEl) selectEl.style.display = 'none';
         }
         return;
       }
       
+      // Data (or this zip's shard) not loaded yet: queue it
+      if (!this.hasDataFor(zip)) {
+        waitForData(zip);
+        return;
+      }
+      
       const result = this.lookup(zip);
       
       if (onLookup) {
@@ -146,8 +980,9 @@ class ZipFill {
       
       if (!result) {
         if (onNotFound) {
-          onNotFound(zip);
+          onNotFound(zip, { outsideBundle: this.isOutsideBundle(zip) });
         }
+        emitChange();
         return;
       }
       
@@ -155,34 +990,81 @@ class ZipFill {
       
       if (hasMultiple) {
         // Multiple cities - show dropdown
-        if (selectEl) {
-          this._populateSelect(selectEl, locations, cityEl, stateEl, countyEl);
+        if (combobox) {
+          combobox.open(locations, result.zip);
+          emitChange();
+        } else if (selectEl) {
+          this._populateSelect(selectEl, locations, pick);
           selectEl.style.display = '';
           if (cityEl) cityEl.style.display = 'none';
+          liveRegion.announce(defaultAnnouncement(locations.length, result.zip));
+          emitChange();
         } else if (onMultiple) {
           onMultiple(locations);
+          emitChange();
         } else {
           // No select element, just use first option
-          this._fillFields(locations[0], cityEl, stateEl, countyEl);
+          fill(locations[0]);
         }
       } else {
         // Single city - auto-fill
-        if (selectEl) {
-          selectEl.style.display = 'none';
-          if (cityEl) cityEl.style.display = '';
+        hideCityPickers();
+        fill(locations[0]);
+      }
+    };
+
+    /**
+     * Clear the zip and address fields and forget user edits
+     */
+    const reset = () => {
+      filling = true;
+      try {
+        zipEl.value = '';
+        for (const [field, el] of Object.entries(fieldEls)) {
+          if (!el) continue;
+          el.value = '';
+          sources[field] = 'empty';
         }
-        this._fillFields(locations[0], cityEl, stateEl, countyEl);
+      } finally {
+        filling = false;
       }
+      hideCityPickers();
+      emitChange();
     };
 
     zipEl.addEventListener('input', handleInput);
     zipEl.addEventListener('change', handleInput);
     
     // Return unbind function
-    return () => {
+    const unbind = () => {
+      unbound = true;
+      if (controller) controller.abort();
       zipEl.removeEventListener('input', handleInput);
       zipEl.removeEventListener('change', handleInput);
+      for (const [el, listener] of fieldListeners) {
+        el.removeEventListener('input', listener);
+        el.removeEventListener('change', listener);
+      }
+      if (combobox) combobox.destroy();
+      if (liveRegion) liveRegion.destroy();
+      if (selectEl) this._clearSelectHandler(selectEl);
+      changeListeners.clear();
+    };
+    
+    // Form controller API, kept on the unbind function for compatibility
+    unbind.unbind = unbind;
+    unbind.getAddress = getAddress;
+    unbind.reset = reset;
+    unbind.on = (event, listener) => {
+      if (event === 'change') changeListeners.add(listener);
+      return unbind;
     };
+    unbind.off = (event, listener) => {
+      if (event === 'change') changeListeners.delete(listener);
+      return unbind;
+    };
+    
+    return unbind;
   }
 
   /**
@@ -196,9 +1078,19 @@ class ZipFill {
     if (stateEl) {
       // Handle both input and select elements
       if (stateEl.tagName === 'SELECT') {
-        const option = Array.from(stateEl.options).find(
-          opt => opt.value === location.state || opt.text === location.state
-        );
+        // Options may be codes, names ("California") or FIPS codes ("06"), in any case
+        const options = Array.from(stateEl.options);
+        const isState = text => {
+          const state = findState(text);
+          return Boolean(state) && state.code === location.state;
+        };
+        // Numeric values are FIPS codes only when every option has one;
+        // otherwise they are row ids ("1", "2") and the text names the state
+        const valued = options.filter(opt => opt.value !== '');
+        const fipsValues = valued.length > 0 && valued.every(opt => /^\d{2}$/.test(opt.value));
+        const valueIsState = value => (fipsValues || !/^\d+$/.test(value)) && isState(value);
+        const option = options.find(opt => opt.value === location.state || opt.text === location.state)
+          || options.find(opt => valueIsState(opt.value) || isState(opt.text));
         if (option) {
           stateEl.value = option.value;
         }
@@ -209,36 +1101,50 @@ class ZipFill {
       stateEl.dispatchEvent(new Event('change', { bubbles: true }));
     }
     if (countyEl) {
-      countyEl.value = location.county;
+      countyEl.value = location.county || '';
       countyEl.dispatchEvent(new Event('input', { bubbles: true }));
     }
   }
 
   /**
    * Populate city select dropdown for multi-city zips
+   * @param {function} onPick - Called with the chosen location
    */
-  _populateSelect(selectEl, locations, cityEl, stateEl, countyEl) {
-    selectEl.innerHTML = '<option value="">Select city...</option>';
+  _populateSelect(selectEl, locations, onPick) {
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Select city...';
     
-    locations.forEach((loc, i) => {
+    selectEl.replaceChildren(placeholder, ...locations.map((loc, i) => {
       const option = document.createElement('option');
       option.value = i;
       option.textContent = `${loc.city}, ${loc.state}`;
-      selectEl.appendChild(option);
-    });
+      return option;
+    }));
     
     // Handle selection
     const handleChange = () => {
       const idx = parseInt(selectEl.value, 10);
       if (!isNaN(idx) && locations[idx]) {
-        this._fillFields(locations[idx], null, stateEl, countyEl);
-        if (cityEl) {
-          cityEl.value = locations[idx].city;
-        }
+        onPick(locations[idx]);
       }
     };
     
-    selectEl.onchange = handleChange;
+    // Replace our previous handler without touching any the page set
+    this._clearSelectHandler(selectEl);
+    selectEl.addEventListener('change', handleChange);
+    selectHandlers.set(selectEl, handleChange);
+  }
+
+  /**
+   * Remove the change handler _populateSelect added
+   */
+  _clearSelectHandler(selectEl) {
+    const handler = selectHandlers.get(selectEl);
+    if (handler) {
+      selectEl.removeEventListener('change', handler);
+      selectHandlers.delete(selectEl);
+    }
   }
 }
 
@@ -250,10 +1156,11 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = ZipFill;
   module.exports.default = ZipFill;
   module.exports.instance = instance;
+  module.exports.parseZip = parseZip;
 } else if (typeof window !== 'undefined') {
   window.ZipFill = ZipFill;
   window.zipFill = instance;
 }
 
 export default ZipFill;
-export { instance };
+export { instance, parseZip };
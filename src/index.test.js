@@ -0,0 +1,599 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ZipFill from './index.js';
+import { encodeColumnar, MANIFEST_FORMAT } from './columnar.js';
+import { render, type, window, document } from '../fixtures/dom.js';
+
+const DATA = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles', lat: 34.0901, lng: -118.4065 }],
+  '90211': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles', lat: 34.0652, lng: -118.383 }],
+  '90001': [{ city: 'Los Angeles', state: 'CA', county: 'Los Angeles', lat: 33.9731, lng: -118.2479 }],
+  '12345': [
+    { city: 'Schenectady', state: 'NY', county: 'Schenectady', lat: 42.8142, lng: -73.9396 },
+    { city: 'Rotterdam', state: 'NY', county: 'Schenectady', lat: 42.8142, lng: -73.9396 }
+  ],
+  '10001': [{ city: 'New York', state: 'NY', county: 'New York', lat: 40.7506, lng: -73.9972 }],
+  '63101': [{ city: 'Saint Louis', state: 'MO', county: 'St. Louis City', lat: 38.6346, lng: -90.1912 }],
+  '63005': [{ city: 'Chesterfield', state: 'MO', county: 'St. Louis', countyFips: '29189', lat: 38.6403, lng: -90.6452 }],
+  '78701': [{ city: 'Austin', state: 'TX', county: 'Travis', lat: 30.2711, lng: -97.7437 }],
+  '09001': [{ city: 'Apo', state: 'AE', county: '' }]
+};
+
+function loaded() {
+  return new ZipFill(DATA);
+}
+
+/**
+ * Answer fetch() from a { url: json } map; returns the requested URLs
+ */
+function serve(t, files) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    requests.push(url);
+    return url in files
+      ? new Response(JSON.stringify(files[url]))
+      : new Response('', { status: 404 });
+  });
+  return requests;
+}
+
+/**
+ * Hold fetch() answers until release() is called
+ */
+function serveLater(t, files) {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  t.mock.method(globalThis, 'fetch', async url => {
+    await gate;
+    return url in files ? new Response(JSON.stringify(files[url])) : new Response('', { status: 404 });
+  });
+  return release;
+}
+
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Storage adapter over a Map, for the cache tests
+ */
+class MemoryStorage {
+  constructor(entries = {}) {
+    this.map = new Map(Object.entries(entries));
+  }
+
+  async get(key) {
+    return this.map.get(key);
+  }
+
+  async set(key, value) {
+    this.map.set(key, value);
+  }
+
+  async delete(key) {
+    this.map.delete(key);
+  }
+
+  async keys() {
+    return [...this.map.keys()];
+  }
+
+  async clear() {
+    this.map.clear();
+  }
+}
+
+function shardFiles(dataVersion = 'v1') {
+  const files = {};
+  const shards = {};
+  for (const prefix of ['902', '100']) {
+    const shard = Object.fromEntries(Object.entries(DATA).filter(([zip]) => zip.startsWith(prefix)));
+    shards[prefix] = { file: `${prefix}.json`, zips: Object.keys(shard).length, hash: `${prefix}-${dataVersion}` };
+    files[`https://cdn.test/shards/${prefix}.json`] = encodeColumnar(shard);
+  }
+  files['https://cdn.test/shards/manifest.json'] = { format: MANIFEST_FORMAT, version: 2, dataVersion, shards };
+  return files;
+}
+
+describe('lookup', () => {
+  it('accepts ZIP+4 and address lines', async () => {
+    const zipFill = await loaded().load();
+    const result = zipFill.lookup('Beverly Hills, CA 90210-1234');
+    assert.equal(result.zip, '90210');
+    assert.equal(result.plus4, '1234');
+    assert.equal(result.locations[0].city, 'Beverly Hills');
+    assert.equal(result.hasMultiple, false);
+  });
+
+  it('flags zips with several cities', async () => {
+    const zipFill = await loaded().load();
+    assert.equal(zipFill.lookup('12345').hasMultiple, true);
+  });
+
+  it('returns null for invalid or unknown zips', async () => {
+    const zipFill = await loaded().load();
+    assert.equal(zipFill.lookup('Apt#90210'), null);
+    assert.equal(zipFill.lookup('99999'), null);
+  });
+});
+
+describe('reverseLookup', () => {
+  it('finds every zip of a city, ignoring case', async () => {
+    const zipFill = await loaded().load();
+    assert.deepEqual(zipFill.reverseLookup({ city: 'beverly hills', state: 'ca' }), {
+      city: 'Beverly Hills',
+      state: 'CA',
+      zips: ['90210', '90211']
+    });
+  });
+
+  it('finds each city of a multi-city zip', async () => {
+    const zipFill = await loaded().load();
+    assert.deepEqual(zipFill.reverseLookup({ city: 'Rotterdam', state: 'NY' }).zips, ['12345']);
+  });
+
+  it('returns null for an unknown city or a missing field', async () => {
+    const zipFill = await loaded().load();
+    assert.equal(zipFill.reverseLookup({ city: 'Beverly Hills', state: 'NY' }), null);
+    assert.equal(zipFill.reverseLookup({ city: 'Beverly Hills' }), null);
+  });
+});
+
+describe('validate', () => {
+  it('checks an address against the loaded data', async () => {
+    const zipFill = await loaded().load();
+    assert.equal(zipFill.validate({ zip: '63101', city: 'St. Louis', state: 'MO' }).valid, true);
+    assert.equal(zipFill.validate({ zip: '90210', city: 'Austin', state: 'TX' }).suggestions[1].zip, '78701');
+  });
+
+  it('returns null before the data is loaded', t => {
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(new ZipFill().validate({ zip: '90210' }), null);
+  });
+});
+
+describe('distance and nearby', () => {
+  it('measures the distance between zips', async () => {
+    const zipFill = await loaded().load();
+    assert.equal(zipFill.distance('90210', '10001'), 2453.31);
+    assert.equal(zipFill.distance('90210', '09001'), null);
+  });
+
+  it('lists zips within a radius', async () => {
+    const zipFill = await loaded().load();
+    assert.deepEqual(zipFill.nearby('90210', 5), [
+      { zip: '90210', distance: 0, city: 'Beverly Hills', state: 'CA' },
+      { zip: '90211', distance: 2.18, city: 'Beverly Hills', state: 'CA' }
+    ]);
+    assert.equal(zipFill.nearby('09001', 5), null);
+  });
+
+  it('caps the radius at the API maximum', async () => {
+    const zipFill = await loaded().load();
+    assert.deepEqual(zipFill.nearby('90210', 100000).map(result => result.zip), ['90210', '90211', '90001']);
+  });
+});
+
+describe('shards', () => {
+  it('loads only the shards that lookups need', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const requests = serve(t, shardFiles());
+    const zipFill = await new ZipFill().load('https://cdn.test/shards/manifest.json');
+
+    assert.equal(zipFill.lookup('90210'), null);
+    assert.equal(zipFill.hasDataFor('90210'), false);
+
+    await Promise.all([zipFill.loadShardFor('90210'), zipFill.loadShardFor('90211')]);
+    assert.equal(zipFill.lookup('90210').locations[0].city, 'Beverly Hills');
+    assert.deepEqual(requests, ['https://cdn.test/shards/manifest.json', 'https://cdn.test/shards/902.json']);
+  });
+
+  it('builds the browsing index on use, not on every shard load', async t => {
+    t.mock.method(console, 'warn', () => {});
+    serve(t, shardFiles());
+    const zipFill = await new ZipFill().load('https://cdn.test/shards/manifest.json');
+
+    await zipFill.loadShardFor('90210');
+    assert.equal(zipFill._zipIndex, null);
+    assert.equal(zipFill.prefixZips('9').total, 2);
+    assert.notEqual(zipFill._zipIndex, null);
+
+    await zipFill.loadShardFor('10001');
+    assert.equal(zipFill._zipIndex, null);
+    assert.equal(zipFill.prefixZips('1').total, 1);
+  });
+
+  it('answers zips outside every shard without a fetch', async t => {
+    const requests = serve(t, shardFiles());
+    const zipFill = await new ZipFill().load('https://cdn.test/shards/manifest.json');
+
+    await zipFill.loadShardFor('55555');
+    assert.equal(zipFill.hasDataFor('55555'), true);
+    assert.equal(zipFill.lookup('55555'), null);
+    assert.equal(requests.length, 1);
+  });
+
+  it('falls back to the full data file', async t => {
+    t.mock.method(console, 'warn', () => {});
+    serve(t, { 'https://cdn.test/zip-data.min.json': encodeColumnar(DATA) });
+    const zipFill = await new ZipFill().load('https://cdn.test/shards/manifest.json', {
+      fallbackUrl: 'https://cdn.test/zip-data.min.json'
+    });
+
+    assert.equal(zipFill.manifest, null);
+    assert.equal(zipFill.lookup('10001').locations[0].city, 'New York');
+  });
+});
+
+describe('storage', () => {
+  const DATA_URL = 'https://cdn.test/zip-data.min.json';
+  const MANIFEST_URL = 'https://cdn.test/manifest.json';
+
+  it('caches the data with its version', async t => {
+    serve(t, { [DATA_URL]: DATA, [MANIFEST_URL]: { dataVersion: 'v1', bundle: null } });
+    const storage = new MemoryStorage();
+    const zipFill = await new ZipFill().load(DATA_URL, { storage });
+
+    assert.equal(zipFill.dataVersion, 'v1');
+    assert.equal((await storage.get(`full:${DATA_URL}`)).version, 'v1');
+  });
+
+  it('serves cached data, then swaps in a newer version in the background', async t => {
+    const newer = { '73301': [{ city: 'Austin', state: 'TX' }] };
+    const requests = serve(t, { [DATA_URL]: newer, [MANIFEST_URL]: { dataVersion: 'v2' } });
+    const storage = new MemoryStorage({ [`full:${DATA_URL}`]: { version: 'v1', payload: DATA, bundle: null } });
+    const updates = [];
+    const zipFill = await new ZipFill().load(DATA_URL, { storage, onUpdate: updated => updates.push(updated.dataVersion) });
+
+    assert.equal(zipFill.lookup('90210').zip, '90210');
+    assert.equal(await zipFill.revalidation, true);
+    assert.deepEqual(updates, ['v2']);
+    assert.equal(zipFill.lookup('73301').locations[0].city, 'Austin');
+    assert.equal((await storage.get(`full:${DATA_URL}`)).version, 'v2');
+    assert.deepEqual(requests, [MANIFEST_URL, DATA_URL]);
+  });
+
+  it('keeps the cached data when the version is current', async t => {
+    const requests = serve(t, { [MANIFEST_URL]: { dataVersion: 'v1' } });
+    const storage = new MemoryStorage({ [`full:${DATA_URL}`]: { version: 'v1', payload: DATA, bundle: null } });
+    const zipFill = await new ZipFill().load(DATA_URL, { storage });
+
+    assert.equal(await zipFill.revalidation, false);
+    assert.deepEqual(requests, [MANIFEST_URL]);
+  });
+
+  it('drops cached shards of an older manifest', async t => {
+    serve(t, shardFiles('v2'));
+    const old = shardFiles('v1');
+    const storage = new MemoryStorage({
+      'manifest:https://cdn.test/shards/manifest.json': old['https://cdn.test/shards/manifest.json'],
+      'shard:902:902-v1': old['https://cdn.test/shards/902.json']
+    });
+    const zipFill = await new ZipFill().load('https://cdn.test/shards/manifest.json', { storage });
+
+    assert.equal(await zipFill.revalidation, true);
+    assert.equal(zipFill.dataVersion, 'v2');
+    assert.deepEqual(await storage.keys(), ['manifest:https://cdn.test/shards/manifest.json']);
+  });
+
+  it('still loads when the storage fails', async t => {
+    t.mock.method(console, 'warn', () => {});
+    serve(t, { [DATA_URL]: DATA, [MANIFEST_URL]: { dataVersion: 'v1' } });
+    const failing = new MemoryStorage();
+    failing.get = failing.set = async () => { throw new Error('QuotaExceededError'); };
+    const zipFill = await new ZipFill().load(DATA_URL, { storage: failing });
+
+    assert.equal(zipFill.lookup('90210').zip, '90210');
+  });
+});
+
+describe('lookupAsync', () => {
+  it('waits for an in-flight load instead of returning null', async t => {
+    const release = serveLater(t, { 'https://cdn.test/zip-data.min.json': DATA });
+    const zipFill = new ZipFill();
+    zipFill.load('https://cdn.test/zip-data.min.json');
+
+    const pending = zipFill.lookupAsync('90210');
+    release();
+    assert.equal((await pending).locations[0].city, 'Beverly Hills');
+  });
+
+  it('loads the shard of the zip', async t => {
+    serve(t, shardFiles());
+    const zipFill = await new ZipFill().load('https://cdn.test/shards/manifest.json');
+
+    assert.equal((await zipFill.lookupAsync('10001-0001')).plus4, '0001');
+    assert.equal(await zipFill.lookupAsync('55555'), null);
+  });
+});
+
+describe('bind while loading', () => {
+  it('fills from the last zip typed during the load', async t => {
+    const release = serveLater(t, { 'https://cdn.test/zip-data.min.json': DATA });
+    const $ = render('<input id="zip"><input id="city"><input id="state">');
+    const zipFill = new ZipFill();
+    const loading = [];
+    zipFill.load('https://cdn.test/zip-data.min.json');
+    zipFill.bind({ zipInput: '#zip', cityInput: '#city', stateInput: '#state', onLoading: value => loading.push(value) });
+
+    type($('#zip'), '10001');
+    type($('#zip'), '90210');
+    assert.equal($('#city').value, '');
+
+    release();
+    await settle();
+    assert.equal($('#city').value, 'Beverly Hills');
+    assert.equal($('#state').value, 'CA');
+    assert.deepEqual(loading, [true, false]);
+  });
+
+  it('reports a failed load to onError', async t => {
+    t.mock.method(console, 'error', () => {});
+    const release = serveLater(t, {});
+    const $ = render('<input id="zip"><input id="city">');
+    const zipFill = new ZipFill();
+    const errors = [];
+    zipFill.load('https://cdn.test/zip-data.min.json').catch(() => {});
+    zipFill.bind({ zipInput: '#zip', cityInput: '#city', onError: e => errors.push(e.message) });
+
+    type($('#zip'), '90210');
+    release();
+    await settle();
+    assert.deepEqual(errors, ['Failed to load: 404']);
+  });
+});
+
+describe('remote mode', () => {
+  it('looks zips up through the API', async t => {
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      requests.push({ url, headers: init.headers });
+      return new Response(JSON.stringify({ zip: '90210', locations: DATA['90210'] }));
+    });
+    const zipFill = new ZipFill({ endpoint: 'https://api.test', apiKey: 'secret' });
+
+    assert.equal(zipFill.lookup('90210'), null);
+    assert.equal((await zipFill.lookupAsync('90210')).locations[0].city, 'Beverly Hills');
+    assert.equal(zipFill.lookup('90210').zip, '90210');
+    assert.deepEqual(requests, [{ url: 'https://api.test/api/lookup/90210', headers: { 'X-API-Key': 'secret' } }]);
+  });
+});
+
+describe('bind with several cities', () => {
+  it('offers the cities in the combobox and fills the pick', async () => {
+    const $ = render('<input id="zip"><input id="city"><input id="state">');
+    const zipFill = await loaded().load();
+    const unbind = zipFill.bind({ zipInput: '#zip', cityInput: '#city', stateInput: '#state', cityCombobox: {} });
+
+    type($('#zip'), '12345');
+    const options = [...document.querySelectorAll('[role="option"]')];
+    assert.deepEqual(options.map(option => option.textContent), ['Schenectady, NY', 'Rotterdam, NY']);
+
+    options[1].dispatchEvent(new window.MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+    assert.equal($('#city').value, 'Rotterdam');
+    assert.equal($('#state').value, 'NY');
+
+    unbind();
+    assert.equal($('[role="listbox"]'), null);
+  });
+
+  it('shows the city select and announces the cities', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const $ = render('<input id="zip"><input id="city"><select id="city-select" style="display: none"></select>');
+    const zipFill = await loaded().load();
+    zipFill.bind({ zipInput: '#zip', cityInput: '#city', citySelect: '#city-select' });
+
+    type($('#zip'), '12345');
+    t.mock.timers.tick(50);
+    assert.equal($('#city-select').style.display, '');
+    assert.equal($('#city').style.display, 'none');
+    assert.equal($('[role="status"]').textContent, '2 cities match 12345');
+
+    $('#city-select').value = '0';
+    $('#city-select').dispatchEvent(new window.Event('change'));
+    assert.equal($('#city').value, 'Schenectady');
+  });
+});
+
+describe('bind form controller', () => {
+  async function bindForm(options = {}) {
+    const $ = render('<input id="zip"><input id="city"><input id="state"><input id="county">');
+    const zipFill = await loaded().load();
+    const form = zipFill.bind({ zipInput: '#zip', cityInput: '#city', stateInput: '#state', countyInput: '#county', ...options });
+    return { $, form };
+  }
+
+  it('fills the fields and reports where each value came from', async () => {
+    const { $, form } = await bindForm();
+
+    type($('#zip'), '90210-1234');
+    assert.deepEqual(form.getAddress(), {
+      zip: '90210',
+      plus4: '1234',
+      city: 'Beverly Hills',
+      state: 'CA',
+      county: 'Los Angeles',
+      sources: { city: 'auto', state: 'auto', county: 'auto' }
+    });
+  });
+
+  it('keeps fields the user edited', async () => {
+    const { $, form } = await bindForm();
+
+    type($('#zip'), '90210');
+    type($('#city'), 'Bev Hills');
+    type($('#zip'), '90211');
+    assert.equal($('#city').value, 'Bev Hills');
+    assert.equal(form.getAddress().sources.city, 'user');
+
+    type($('#city'), '');
+    type($('#zip'), '10001');
+    assert.equal($('#city').value, 'New York');
+  });
+
+  it('overwrites user edits when asked to', async () => {
+    const { $ } = await bindForm({ overwriteUserEdits: true });
+
+    type($('#city'), 'Bev Hills');
+    type($('#zip'), '90210');
+    assert.equal($('#city').value, 'Beverly Hills');
+  });
+
+  it('treats values already in the form as user edits', async () => {
+    const $ = render('<input id="zip"><input id="city" value="Hollywood">');
+    const zipFill = await loaded().load();
+    const form = zipFill.bind({ zipInput: '#zip', cityInput: '#city' });
+
+    type($('#zip'), '90210');
+    assert.equal($('#city').value, 'Hollywood');
+    assert.equal(form.getAddress().sources.city, 'user');
+  });
+
+  it('tells change listeners and resets', async () => {
+    const { $, form } = await bindForm();
+    const changes = [];
+    const listener = address => changes.push(address.city);
+    form.on('change', listener);
+
+    type($('#zip'), '78701');
+    type($('#city'), 'ATX');
+    form.reset();
+    form.off('change', listener);
+    type($('#zip'), '10001');
+
+    assert.deepEqual(changes, ['Austin', 'ATX', '']);
+    assert.equal($('#zip').value, '10001');
+    assert.equal($('#city').value, 'New York');
+  });
+
+  it('reports unknown zips and stops after unbind', async () => {
+    const notFound = [];
+    const { $, form } = await bindForm({ onNotFound: zip => notFound.push(zip) });
+
+    type($('#zip'), '55555');
+    form.unbind();
+    type($('#zip'), '90210');
+
+    assert.deepEqual(notFound, ['55555']);
+    assert.equal($('#city').value, '');
+  });
+});
+
+describe('bind state select', () => {
+  async function fillState(optionsHtml, zip = '90210') {
+    const $ = render(`<input id="zip"><select id="state"><option value="">State</option>${optionsHtml}</select>`);
+    const zipFill = await loaded().load();
+    zipFill.bind({ zipInput: '#zip', stateInput: '#state' });
+    type($('#zip'), zip);
+    return $('#state').value;
+  }
+
+  it('matches options by code', async () => {
+    assert.equal(await fillState('<option value="AZ">AZ</option><option value="CA">CA</option>'), 'CA');
+  });
+
+  it('matches options by name, in any case', async () => {
+    assert.equal(await fillState('<option>Arizona</option><option>California</option>'), 'California');
+    assert.equal(await fillState('<option value="arizona">Arizona</option><option value="california">California</option>'), 'california');
+  });
+
+  it('matches options by FIPS code', async () => {
+    assert.equal(await fillState('<option value="04">Arizona</option><option value="06">California</option>'), '06');
+  });
+
+  it('reads numeric values as row ids unless every option has a FIPS code', async () => {
+    assert.equal(await fillState('<option value="6">Colorado</option><option value="5">California</option>'), '5');
+    assert.equal(await fillState('<option value="06">California</option><option value="1">Alabama</option>'), '06');
+  });
+
+  it('matches military codes by name', async () => {
+    assert.equal(await fillState('<option value="ae">Armed Forces Europe</option>', '09001'), 'ae');
+  });
+
+  it('leaves the select alone without a matching option', async () => {
+    assert.equal(await fillState('<option value="NY">New York</option>'), '');
+  });
+});
+
+describe('browsing', () => {
+  it('lists the zips of a state or county, a page at a time', async () => {
+    const zipFill = await loaded().load();
+    assert.deepEqual(zipFill.stateZips('California', { limit: 2 }), {
+      state: 'CA',
+      county: null,
+      countyFips: null,
+      total: 3,
+      offset: 0,
+      limit: 2,
+      next: 2,
+      zips: [
+        { zip: '90001', city: 'Los Angeles', state: 'CA', county: 'Los Angeles' },
+        { zip: '90210', city: 'Beverly Hills', state: 'CA', county: 'Los Angeles' }
+      ]
+    });
+
+    const county = zipFill.stateZips('29', { county: 'Saint Louis' });
+    assert.equal(county.county, 'St. Louis');
+    assert.equal(county.countyFips, '29189');
+    assert.deepEqual(county.zips.map(zip => zip.zip), ['63005']);
+
+    assert.equal(zipFill.stateZips('MO', { county: 'Travis' }), null);
+    assert.equal(zipFill.stateZips('WY'), null);
+  });
+
+  it('lists counties', async () => {
+    const zipFill = await loaded().load();
+    assert.deepEqual(zipFill.counties({ state: 'mo' }).counties.map(c => c.county), ['St. Louis', 'St. Louis City']);
+    assert.equal(zipFill.counties().total, 6);
+    assert.equal(zipFill.counties({ state: 'WY' }), null);
+  });
+
+  it('lists zips by prefix', async () => {
+    const zipFill = await loaded().load();
+    assert.deepEqual(zipFill.prefixZips('902').zips.map(zip => zip.zip), ['90210', '90211']);
+    assert.equal(zipFill.prefixZips('63', { offset: 1 }).zips[0].zip, '63101');
+    assert.equal(zipFill.prefixZips('90-'), null);
+  });
+
+  it('needs the data loaded', t => {
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(loaded().prefixZips('902'), null);
+  });
+});
+
+describe('isOutsideBundle', () => {
+  it('tells zips left out of the bundle from unknown zips', async t => {
+    serve(t, {
+      'https://cdn.test/zip-data.min.json': { '90210': DATA['90210'] },
+      'https://cdn.test/manifest.json': { dataVersion: 'v1', bundle: { states: ['CA'], excluded: { '100': '01', '787': '0105' } } }
+    });
+    const zipFill = await new ZipFill().load('https://cdn.test/zip-data.min.json');
+
+    assert.equal(zipFill.isOutsideBundle('10001'), true);
+    assert.equal(zipFill.isOutsideBundle('78705-1234'), true);
+    assert.equal(zipFill.isOutsideBundle('10002'), false);
+    assert.equal(zipFill.isOutsideBundle('78710'), false);
+    assert.equal(zipFill.isOutsideBundle('90210'), false);
+    assert.equal(zipFill.isOutsideBundle('nope'), false);
+  });
+
+  it('is false without a bundle description', async () => {
+    const zipFill = await loaded().load();
+    assert.equal(zipFill.isOutsideBundle('10001'), false);
+  });
+
+  it('is passed to onNotFound', async t => {
+    serve(t, {
+      'https://cdn.test/zip-data.min.json': { '90210': DATA['90210'] },
+      'https://cdn.test/manifest.json': { dataVersion: 'v1', bundle: { states: ['CA'], excluded: { '100': '01' } } }
+    });
+    const $ = render('<input id="zip">');
+    const zipFill = await new ZipFill().load('https://cdn.test/zip-data.min.json');
+    const notFound = [];
+    zipFill.bind({ zipInput: '#zip', onNotFound: (zip, details) => notFound.push([zip, details.outsideBundle]) });
+
+    type($('#zip'), '10001');
+    type($('#zip'), '10002');
+    assert.deepEqual(notFound, [['10001', true], ['10002', false]]);
+  });
+});
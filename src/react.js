@@ -0,0 +1,100 @@
+/**
+ * React binding for ZipFill (React 18+)
+ *
+ * Usage:
+ *   import { useZipFill } from 'zip-fill/src/react.js';
+ *
+ *   function AddressForm() {
+ *     const address = useZipFill();
+ *
+ *     return (
+ *       <form>
+ *         <input {...address.zipProps} placeholder="Zip" />
+ *         {address.hasMultiple && (
+ *           <select {...address.citySelectProps}>
+ *             <option value="">Select city...</option>
+ *             {address.locations.map((loc, i) => (
+ *               <option key={i} value={i}>{loc.city}, {loc.state}</option>
+ *             ))}
+ *           </select>
+ *         )}
+ *         <input {...address.cityProps} placeholder="City" />
+ *         <input {...address.stateProps} placeholder="State" />
+ *         {address.loading && <span>Loading...</span>}
+ *       </form>
+ *     );
+ *   }
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { instance } from './index.js';
+import { AddressModel } from './address-model.js';
+
+/**
+ * Controlled address state that fills city, state and county from the zip
+ * @param {object} options
+ *   - zipFill: ZipFill instance (default: the shared instance)
+ *   - url, loadOptions: passed to zipFill.load() on mount
+ *   - overwriteUserEdits: fill fields the user has edited (default false)
+ *   - initial: { zip, city, state, county } starting values; the zip is
+ *     looked up once url has loaded
+ *   Options are read on the first render only; to change them, remount the
+ *   component (e.g. with a new key).
+ * @returns {object} - Address state plus setZip, setField, select, reset and
+ *   input props (zipProps, cityProps, stateProps, countyProps, citySelectProps)
+ */
+export function useZipFill({
+  zipFill = instance,
+  url = null,
+  loadOptions = {},
+  overwriteUserEdits = false,
+  initial = {}
+} = {}) {
+  const modelRef = useRef(null);
+  if (!modelRef.current) {
+    modelRef.current = new AddressModel(zipFill, { overwriteUserEdits, initial });
+  }
+  const model = modelRef.current;
+
+  const subscribe = useCallback(listener => model.subscribe(listener), [model]);
+  const state = useSyncExternalStore(subscribe, () => model.getState(), () => model.getState());
+
+  // Start loading on mount; cancel the lookup in flight on unmount (a
+  // remount sends it again). Options are fixed after the first render.
+  useEffect(() => {
+    model.load(url, loadOptions);
+    return () => model.abort();
+  }, [model]);
+
+  const actions = useMemo(() => ({
+    setZip: value => model.setZip(value),
+    setField: (field, value) => model.setField(field, value),
+    select: location => model.select(location),
+    reset: () => model.reset()
+  }), [model]);
+
+  const fieldProps = field => ({
+    value: state[field],
+    onChange: e => model.setField(field, e.target.value)
+  });
+
+  return {
+    ...state,
+    ...actions,
+    zipProps: {
+      value: state.zip,
+      onChange: e => model.setZip(e.target.value),
+      inputMode: 'numeric',
+      autoComplete: 'postal-code'
+    },
+    cityProps: fieldProps('city'),
+    stateProps: fieldProps('state'),
+    countyProps: fieldProps('county'),
+    citySelectProps: {
+      value: state.location ? String(state.locations.indexOf(state.location)) : '',
+      onChange: e => {
+        if (e.target.value !== '') model.select(Number(e.target.value));
+      }
+    }
+  };
+}
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { render, window } from '../fixtures/dom.js';
+import { act, createElement as h } from 'react';
+import { createRoot } from 'react-dom/client';
+import ZipFill from './index.js';
+import { useZipFill } from './react.js';
+
+const DATA = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles' }],
+  '12345': [
+    { city: 'Schenectady', state: 'NY', county: 'Schenectady' },
+    { city: 'Rotterdam', state: 'NY', county: 'Schenectady' }
+  ]
+};
+
+const DATA_URL = 'https://cdn.test/custom/zip-data.min.json';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+/**
+ * Change a controlled input or select the way the user does; React tracks
+ * the value set through the element itself, so go through the prototype
+ */
+async function change(el, value) {
+  const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value');
+  set.call(el, value);
+  await act(() => el.dispatchEvent(new window.Event(el.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true })));
+}
+
+function AddressForm({ options }) {
+  const address = useZipFill(options);
+  return h('form', null,
+    h('input', { id: 'zip', ...address.zipProps }),
+    address.hasMultiple && h('select', { id: 'city-select', ...address.citySelectProps },
+      h('option', { value: '' }, 'Select city...'),
+      address.locations.map((loc, i) => h('option', { key: i, value: i }, `${loc.city}, ${loc.state}`))
+    ),
+    h('input', { id: 'city', ...address.cityProps }),
+    h('input', { id: 'state', ...address.stateProps }),
+    h('input', { id: 'county', ...address.countyProps }),
+    address.loading && h('span', { id: 'loading' }, 'Loading...')
+  );
+}
+
+describe('useZipFill (React)', () => {
+  let $;
+  let root;
+
+  beforeEach(() => {
+    $ = render('<div id="app"></div>');
+    root = createRoot($('#app'));
+  });
+
+  afterEach(async () => {
+    await act(() => root.unmount());
+  });
+
+  async function mount(options = {}) {
+    await act(() => root.render(h(AddressForm, { options: { zipFill: new ZipFill(DATA), ...options } })));
+  }
+
+  it('fills city, state and county as the zip is typed', async () => {
+    await mount();
+    await change($('#zip'), '90210');
+
+    assert.equal($('#city').value, 'Beverly Hills');
+    assert.equal($('#state').value, 'CA');
+    assert.equal($('#county').value, 'Los Angeles');
+    assert.equal($('#zip').getAttribute('inputmode'), 'numeric');
+  });
+
+  it('waits for a pick from the city select', async () => {
+    await mount();
+    await change($('#zip'), '12345');
+    assert.equal($('#city').value, '');
+    assert.equal($('#city-select').value, '');
+
+    await change($('#city-select'), '1');
+    assert.equal($('#city').value, 'Rotterdam');
+    assert.equal($('#city-select').value, '1');
+
+    await change($('#city-select'), '');
+    assert.equal($('#city').value, 'Rotterdam');
+  });
+
+  it('keeps fields the user has edited', async () => {
+    await mount();
+    await change($('#city'), 'BH');
+    await change($('#zip'), '90210');
+
+    assert.equal($('#city').value, 'BH');
+    assert.equal($('#state').value, 'CA');
+  });
+
+  it('starts from initial values once the data loads', async t => {
+    let respond;
+    const responded = new Promise(resolve => { respond = resolve; });
+    t.mock.method(globalThis, 'fetch', async url => {
+      await responded;
+      return url === DATA_URL ? new Response(JSON.stringify(DATA)) : new Response('', { status: 404 });
+    });
+    await mount({ zipFill: new ZipFill(), url: DATA_URL, initial: { zip: '90210' } });
+    assert.equal($('#zip').value, '90210');
+    assert.equal($('#city').value, '');
+    assert.ok($('#loading'));
+
+    await act(async () => {
+      respond();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    });
+    assert.equal($('#city').value, 'Beverly Hills');
+    assert.equal($('#loading'), null);
+  });
+});
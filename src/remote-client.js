@@ -0,0 +1,232 @@
+/**
+ * Remote lookup client for ZipFill's API backend mode
+ *
+ * Lookups made within `batchDelay` ms of each other are coalesced into a
+ * single POST /api/batch (a lone zip uses GET /api/lookup/:zip). A lookup
+ * for a zip already on its way joins that request. Results, including
+ * "not found", are kept in an LRU cache. A lookup can be cancelled with an
+ * AbortSignal; the HTTP request is aborted once every lookup waiting on it
+ * has been cancelled.
+ */
+
+import { parseZip } from './zip-parser.js';
+
+// Server-side limit for POST /api/batch
+const MAX_BATCH_SIZE = 100;
+
+function abortError() {
+  const message = 'The lookup was aborted';
+  return typeof DOMException !== 'undefined'
+    ? new DOMException(message, 'AbortError')
+    : Object.assign(new Error(message), { name: 'AbortError' });
+}
+
+/**
+ * Least-recently-used cache on top of Map insertion order
+ */
+export class LRUCache {
+  constructor(maxSize = 500) {
+    this.maxSize = maxSize;
+    this.map = new Map();
+  }
+
+  has(key) {
+    return this.map.has(key);
+  }
+
+  get(key) {
+    if (!this.map.has(key)) return undefined;
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+    if (this.map.size > this.maxSize) {
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.map.clear();
+  }
+}
+
+export class RemoteClient {
+  /**
+   * @param {object} options
+   *   - endpoint: API base URL, e.g. 'https://api.example.com'
+   *   - batchDelay: ms to wait for more lookups before sending (default 10)
+   *   - cacheSize: max cached zips (default 500)
+   *   - fields: location fields to request, e.g. ['city', 'state', 'timezone'] (default: all)
+   *   - apiKey: sent as X-API-Key, for servers with API_KEYS_FILE set
+   *   - headers: more request headers, e.g. { Authorization: 'Bearer ...' }
+   */
+  constructor({ endpoint, batchDelay = 10, cacheSize = 500, fields = null, apiKey = null, headers = {} } = {}) {
+    if (!endpoint) {
+      throw new Error('ZipFill: endpoint is required for remote mode');
+    }
+
+    this.endpoint = String(endpoint).replace(/\/+$/, '');
+    this.batchDelay = batchDelay;
+    this.cache = new LRUCache(cacheSize);
+    this.fields = fields && fields.length ? fields : null;
+    this.headers = apiKey ? { ...headers, 'X-API-Key': apiKey } : { ...headers };
+    this.queue = new Map();     // zip -> [waiter] not yet sent
+    this.inFlight = new Map();  // zip -> { batch, controller } of the request sent for it
+    this.timer = null;
+  }
+
+  /**
+   * Get a cached result without a request
+   * @returns {object|null|undefined} - undefined when the zip isn't cached
+   */
+  getCached(zip) {
+    const parsed = parseZip(zip);
+    if (!parsed.valid) return null;
+    if (!this.cache.has(parsed.zip)) return undefined;
+    return this._withPlus4(this.cache.get(parsed.zip), parsed);
+  }
+
+  /**
+   * Look up a zip through the API
+   * @param {string} zip
+   * @param {object} options - { signal } to cancel the lookup
+   * @returns {Promise<object|null>}
+   */
+  lookup(zip, { signal } = {}) {
+    const parsed = parseZip(zip);
+    if (!parsed.valid) return Promise.resolve(null);
+
+    if (this.cache.has(parsed.zip)) {
+      return Promise.resolve(this._withPlus4(this.cache.get(parsed.zip), parsed));
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, done: false };
+
+      if (signal) {
+        waiter.onAbort = () => this._abortWaiter(waiter);
+        signal.addEventListener('abort', waiter.onAbort);
+      }
+
+      // Join the request already sent for this zip, unless it is being aborted
+      const request = this.inFlight.get(parsed.zip);
+      if (request && !request.controller.signal.aborted) {
+        waiter.request = request;
+        request.batch.get(parsed.zip).push(waiter);
+        return;
+      }
+
+      if (!this.queue.has(parsed.zip)) this.queue.set(parsed.zip, []);
+      this.queue.get(parsed.zip).push(waiter);
+
+      if (!this.timer) {
+        this.timer = setTimeout(() => this._flush(), this.batchDelay);
+      }
+    }).then(result => this._withPlus4(result, parsed));
+  }
+
+  /**
+   * Send everything queued, as GET for one zip or POST /api/batch for many
+   */
+  _flush() {
+    this.timer = null;
+
+    const entries = [...this.queue.entries()]
+      .map(([zip, waiters]) => [zip, waiters.filter(w => !w.done)])
+      .filter(([, waiters]) => waiters.length);
+    this.queue.clear();
+
+    for (let i = 0; i < entries.length; i += MAX_BATCH_SIZE) {
+      this._send(new Map(entries.slice(i, i + MAX_BATCH_SIZE)));
+    }
+  }
+
+  async _send(batch) {
+    const controller = new AbortController();
+    const zips = [...batch.keys()];
+    const request = { batch, controller };
+
+    // Abort the request once nobody is waiting on it
+    for (const waiters of batch.values()) {
+      for (const waiter of waiters) {
+        waiter.request = request;
+      }
+    }
+    for (const zip of zips) {
+      this.inFlight.set(zip, request);
+    }
+
+    try {
+      const results = zips.length === 1
+        ? [await this._get(zips[0], controller.signal)]
+        : await this._post(zips, controller.signal);
+
+      zips.forEach((zip, i) => {
+        const result = results[i] && !results[i].error ? results[i] : null;
+        this.cache.set(zip, result);
+        this._settle(batch.get(zip), waiter => waiter.resolve(result));
+      });
+    } catch (e) {
+      for (const waiters of batch.values()) {
+        this._settle(waiters, waiter => waiter.reject(e));
+      }
+    } finally {
+      for (const zip of zips) {
+        if (this.inFlight.get(zip) === request) this.inFlight.delete(zip);
+      }
+    }
+  }
+
+  async _get(zip, signal) {
+    const query = this.fields ? `?fields=${encodeURIComponent(this.fields.join(','))}` : '';
+    const response = await fetch(`${this.endpoint}/api/lookup/${encodeURIComponent(zip)}${query}`, { headers: this.headers, signal });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Lookup failed: ${response.status}`);
+    return response.json();
+  }
+
+  async _post(zips, signal) {
+    const response = await fetch(`${this.endpoint}/api/batch`, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.fields ? { zips, fields: this.fields } : { zips }),
+      signal
+    });
+    if (!response.ok) throw new Error(`Batch lookup failed: ${response.status}`);
+    const { results } = await response.json();
+    return results;
+  }
+
+  _settle(waiters, settle) {
+    for (const waiter of waiters) {
+      if (waiter.done) continue;
+      waiter.done = true;
+      if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+      settle(waiter);
+    }
+  }
+
+  _abortWaiter(waiter) {
+    this._settle([waiter], w => w.reject(abortError()));
+
+    if (!waiter.request) return;
+    const { batch, controller } = waiter.request;
+    const anyWaiting = [...batch.values()].some(waiters => waiters.some(w => !w.done));
+    if (!anyWaiting) controller.abort();
+  }
+
+  _withPlus4(result, parsed) {
+    if (!result) return null;
+    const { plus4, ...rest } = result;
+    return parsed.plus4 ? { ...rest, plus4: parsed.plus4 } : rest;
+  }
+}
@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LRUCache, RemoteClient } from './remote-client.js';
+
+const LOCATIONS = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA' }],
+  '10001': [{ city: 'New York', state: 'NY' }]
+};
+
+function answer(zip) {
+  return LOCATIONS[zip] ? { zip, locations: LOCATIONS[zip] } : { error: 'Zip code not found', zip };
+}
+
+/**
+ * Stand-in for the API: answers after a few ms and honours the abort signal
+ * @returns {Array} - The requests made: { url, method, headers, body, aborted }
+ */
+function fakeApi(t) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, { method = 'GET', headers = {}, body, signal } = {}) => {
+    const call = { url, method, headers, body: body ? JSON.parse(body) : undefined, aborted: false };
+    calls.push(call);
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, 5);
+      if (signal) signal.addEventListener('abort', () => {
+        call.aborted = true;
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted', 'AbortError'));
+      });
+    });
+
+    if (method === 'POST') {
+      return new Response(JSON.stringify({ results: call.body.zips.map(answer) }));
+    }
+    const result = answer(decodeURIComponent(url.split('/').pop().split('?')[0]));
+    return new Response(JSON.stringify(result), { status: result.error ? 404 : 200 });
+  });
+  return calls;
+}
+
+describe('LRUCache', () => {
+  it('evicts the least recently used entry', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.equal(cache.has('a'), true);
+    assert.equal(cache.has('b'), false);
+    assert.equal(cache.has('c'), true);
+  });
+});
+
+describe('RemoteClient', () => {
+  it('needs an endpoint', () => {
+    assert.throws(() => new RemoteClient(), /endpoint is required/);
+  });
+
+  it('looks up a lone zip with GET and caches the answer', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test/', fields: ['city', 'state'] });
+
+    const result = await client.lookup('90210-1234');
+    assert.deepEqual(result, { zip: '90210', locations: LOCATIONS['90210'], plus4: '1234' });
+    assert.deepEqual(calls.map(call => call.url), ['https://api.test/api/lookup/90210?fields=city%2Cstate']);
+
+    assert.deepEqual(client.getCached('90210'), { zip: '90210', locations: LOCATIONS['90210'] });
+    await client.lookup('90210');
+    assert.equal(calls.length, 1);
+  });
+
+  it('caches "not found" too', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test' });
+
+    assert.equal(client.getCached('99999'), undefined);
+    assert.equal(await client.lookup('99999'), null);
+    assert.equal(client.getCached('99999'), null);
+    assert.equal(calls.length, 1);
+  });
+
+  it('batches lookups made close together', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test' });
+
+    const results = await Promise.all([client.lookup('90210'), client.lookup('10001'), client.lookup('99999')]);
+    assert.deepEqual(results.map(result => result && result.zip), ['90210', '10001', null]);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].method, 'POST');
+    assert.deepEqual(calls[0].body, { zips: ['90210', '10001', '99999'] });
+  });
+
+  it('joins the request already sent for a zip', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test', batchDelay: 0 });
+
+    const first = client.lookup('90210');
+    await new Promise(resolve => setTimeout(resolve, 1));
+    const second = client.lookup('90210');
+
+    assert.deepEqual(await second, await first);
+    assert.equal(calls.length, 1);
+  });
+
+  it('sends the API key and extra headers', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test', apiKey: 'secret', headers: { 'X-Client': 'form' } });
+
+    await client.lookup('90210');
+    await Promise.all([client.lookup('10001'), client.lookup('99999')]);
+    assert.deepEqual(calls[0].headers, { 'X-Client': 'form', 'X-API-Key': 'secret' });
+    assert.deepEqual(calls[1].headers, { 'X-Client': 'form', 'X-API-Key': 'secret', 'Content-Type': 'application/json' });
+  });
+
+  it('aborts the request once every lookup on it is cancelled', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test', batchDelay: 0 });
+    const controller = new AbortController();
+
+    const lookup = client.lookup('90210', { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 1));
+    controller.abort();
+
+    await assert.rejects(lookup, { name: 'AbortError' });
+    assert.equal(calls[0].aborted, true);
+    assert.equal(client.getCached('90210'), undefined);
+  });
+
+  it('keeps the request for the lookups still waiting on it', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test', batchDelay: 0 });
+    const controller = new AbortController();
+
+    const cancelled = client.lookup('90210', { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 1));
+    const joined = client.lookup('90210');
+    controller.abort();
+
+    await assert.rejects(cancelled, { name: 'AbortError' });
+    assert.equal((await joined).zip, '90210');
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].aborted, false);
+  });
+
+  it('rejects an already aborted signal without a request', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test' });
+
+    await assert.rejects(client.lookup('90210', { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    assert.equal(calls.length, 0);
+  });
+
+  it('answers invalid zips with null without a request', async t => {
+    const calls = fakeApi(t);
+    const client = new RemoteClient({ endpoint: 'https://api.test' });
+
+    assert.equal(await client.lookup('1234'), null);
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * State and territory metadata
+ *
+ * Names, FIPS codes and types for every USPS state code, so a state can be
+ * recognized however a form spells it ("CA", "California", "06") and
+ * described by GET /api/states. scripts/build-data.js writes the states in
+ * a build, with their zip prefix ranges, to states.json.
+ *
+ * Types:
+ *   state     - the 50 states
+ *   district  - the District of Columbia
+ *   territory - territories and freely associated states (see TERRITORY_STATES)
+ *   military  - APO/FPO/DPO codes (see MILITARY_STATES); these have no FIPS code
+ */
+
+export const STATE_TYPES = ['state', 'district', 'territory', 'military'];
+
+export const STATES = [
+  { code: 'AL', name: 'Alabama', fips: '01', type: 'state' },
+  { code: 'AK', name: 'Alaska', fips: '02', type: 'state' },
+  { code: 'AZ', name: 'Arizona', fips: '04', type: 'state' },
+  { code: 'AR', name: 'Arkansas', fips: '05', type: 'state' },
+  { code: 'CA', name: 'California', fips: '06', type: 'state' },
+  { code: 'CO', name: 'Colorado', fips: '08', type: 'state' },
+  { code: 'CT', name: 'Connecticut', fips: '09', type: 'state' },
+  { code: 'DE', name: 'Delaware', fips: '10', type: 'state' },
+  { code: 'DC', name: 'District of Columbia', fips: '11', type: 'district' },
+  { code: 'FL', name: 'Florida', fips: '12', type: 'state' },
+  { code: 'GA', name: 'Georgia', fips: '13', type: 'state' },
+  { code: 'HI', name: 'Hawaii', fips: '15', type: 'state' },
+  { code: 'ID', name: 'Idaho', fips: '16', type: 'state' },
+  { code: 'IL', name: 'Illinois', fips: '17', type: 'state' },
+  { code: 'IN', name: 'Indiana', fips: '18', type: 'state' },
+  { code: 'IA', name: 'Iowa', fips: '19', type: 'state' },
+  { code: 'KS', name: 'Kansas', fips: '20', type: 'state' },
+  { code: 'KY', name: 'Kentucky', fips: '21', type: 'state' },
+  { code: 'LA', name: 'Louisiana', fips: '22', type: 'state' },
+  { code: 'ME', name: 'Maine', fips: '23', type: 'state' },
+  { code: 'MD', name: 'Maryland', fips: '24', type: 'state' },
+  { code: 'MA', name: 'Massachusetts', fips: '25', type: 'state' },
+  { code: 'MI', name: 'Michigan', fips: '26', type: 'state' },
+  { code: 'MN', name: 'Minnesota', fips: '27', type: 'state' },
+  { code: 'MS', name: 'Mississippi', fips: '28', type: 'state' },
+  { code: 'MO', name: 'Missouri', fips: '29', type: 'state' },
+  { code: 'MT', name: 'Montana', fips: '30', type: 'state' },
+  { code: 'NE', name: 'Nebraska', fips: '31', type: 'state' },
+  { code: 'NV', name: 'Nevada', fips: '32', type: 'state' },
+  { code: 'NH', name: 'New Hampshire', fips: '33', type: 'state' },
+  { code: 'NJ', name: 'New Jersey', fips: '34', type: 'state' },
+  { code: 'NM', name: 'New Mexico', fips: '35', type: 'state' },
+  { code: 'NY', name: 'New York', fips: '36', type: 'state' },
+  { code: 'NC', name: 'North Carolina', fips: '37', type: 'state' },
+  { code: 'ND', name: 'North Dakota', fips: '38', type: 'state' },
+  { code: 'OH', name: 'Ohio', fips: '39', type: 'state' },
+  { code: 'OK', name: 'Oklahoma', fips: '40', type: 'state' },
+  { code: 'OR', name: 'Oregon', fips: '41', type: 'state' },
+  { code: 'PA', name: 'Pennsylvania', fips: '42', type: 'state' },
+  { code: 'RI', name: 'Rhode Island', fips: '44', type: 'state' },
+  { code: 'SC', name: 'South Carolina', fips: '45', type: 'state' },
+  { code: 'SD', name: 'South Dakota', fips: '46', type: 'state' },
+  { code: 'TN', name: 'Tennessee', fips: '47', type: 'state' },
+  { code: 'TX', name: 'Texas', fips: '48', type: 'state' },
+  { code: 'UT', name: 'Utah', fips: '49', type: 'state' },
+  { code: 'VT', name: 'Vermont', fips: '50', type: 'state' },
+  { code: 'VA', name: 'Virginia', fips: '51', type: 'state' },
+  { code: 'WA', name: 'Washington', fips: '53', type: 'state' },
+  { code: 'WV', name: 'West Virginia', fips: '54', type: 'state' },
+  { code: 'WI', name: 'Wisconsin', fips: '55', type: 'state' },
+  { code: 'WY', name: 'Wyoming', fips: '56', type: 'state' },
+  { code: 'AS', name: 'American Samoa', fips: '60', type: 'territory' },
+  { code: 'FM', name: 'Federated States of Micronesia', fips: '64', type: 'territory' },
+  { code: 'GU', name: 'Guam', fips: '66', type: 'territory' },
+  { code: 'MH', name: 'Marshall Islands', fips: '68', type: 'territory' },
+  { code: 'MP', name: 'Northern Mariana Islands', fips: '69', type: 'territory' },
+  { code: 'PW', name: 'Palau', fips: '70', type: 'territory' },
+  { code: 'PR', name: 'Puerto Rico', fips: '72', type: 'territory' },
+  { code: 'VI', name: 'U.S. Virgin Islands', fips: '78', type: 'territory' },
+  { code: 'AA', name: 'Armed Forces Americas', fips: null, type: 'military' },
+  { code: 'AE', name: 'Armed Forces Europe', fips: null, type: 'military' },
+  { code: 'AP', name: 'Armed Forces Pacific', fips: null, type: 'military' }
+];
+
+// Other spellings forms use
+const ALIASES = {
+  DC: ['Washington DC', 'Washington D.C.', 'Washington, D.C.'],
+  FM: ['Micronesia'],
+  MP: ['Northern Marianas'],
+  VI: ['Virgin Islands', 'US Virgin Islands', 'United States Virgin Islands']
+};
+
+const BY_CODE = new Map(STATES.map(state => [state.code, state]));
+const BY_FIPS = new Map(STATES.filter(state => state.fips).map(state => [state.fips, state]));
+
+const BY_NAME = new Map();
+for (const state of STATES) {
+  for (const name of [state.code, state.name, ...(ALIASES[state.code] || [])]) {
+    BY_NAME.set(nameKey(name), state);
+  }
+}
+
+function nameKey(name) {
+  return name.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Metadata for a state code
+ * @returns {object|null} - { code, name, fips, type }
+ */
+export function getState(code) {
+  return BY_CODE.get(String(code || '').trim().toUpperCase()) || null;
+}
+
+/**
+ * Recognize a state by abbreviation, name or FIPS code, case-insensitively
+ * findState('ca'), findState('California') and findState('6') all give California.
+ * @returns {object|null} - { code, name, fips, type }
+ */
+export function findState(value) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  if (!text) return null;
+
+  if (/^\d{1,2}$/.test(text)) return BY_FIPS.get(text.padStart(2, '0')) || null;
+  return BY_NAME.get(nameKey(text)) || null;
+}
+
+/**
+ * Collapse zips into ranges of 3-digit prefixes
+ * ['90210', '90301', '91001'] gives [['902', '903'], ['910', '910']].
+ * @param {string[]} zips - 5-digit zips
+ * @returns {string[][]} - Sorted [first, last] pairs, inclusive
+ */
+export function zipPrefixRanges(zips) {
+  const prefixes = [...new Set(zips.map(zip => zip.slice(0, 3)))].sort();
+  const ranges = [];
+
+  for (const prefix of prefixes) {
+    const last = ranges[ranges.length - 1];
+    if (last && Number(prefix) === Number(last[1]) + 1) {
+      last[1] = prefix;
+    } else {
+      ranges.push([prefix, prefix]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Describe the states in a zip dataset (what states.json holds)
+ * @param {object} zipData - { zip: [location] }
+ * @returns {object[]} - [{ code, name, fips, type, zipCount, zipPrefixes }] by code;
+ *   codes not in STATES get null name, fips and type
+ */
+export function describeStates(zipData) {
+  const zipsByState = new Map();
+
+  for (const [zip, locations] of Object.entries(zipData)) {
+    for (const code of new Set([].concat(locations).map(loc => loc.state))) {
+      if (!zipsByState.has(code)) zipsByState.set(code, []);
+      zipsByState.get(code).push(zip);
+    }
+  }
+
+  return [...zipsByState.keys()].sort().map(code => {
+    const state = getState(code) || { name: null, fips: null, type: null };
+    const zips = zipsByState.get(code);
+    return {
+      code,
+      name: state.name,
+      fips: state.fips,
+      type: state.type,
+      zipCount: zips.length,
+      zipPrefixes: zipPrefixRanges(zips)
+    };
+  });
+}
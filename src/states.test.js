@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATES, STATE_TYPES, getState, findState, zipPrefixRanges, describeStates } from './states.js';
+
+describe('STATES', () => {
+  it('lists every USPS code once, with a known type', () => {
+    assert.equal(STATES.length, 62);
+    assert.equal(new Set(STATES.map(state => state.code)).size, STATES.length);
+    assert.ok(STATES.every(state => STATE_TYPES.includes(state.type)));
+    assert.equal(STATES.filter(state => state.type === 'state').length, 50);
+    assert.ok(STATES.every(state => state.type === 'military' ? state.fips === null : /^\d\d$/.test(state.fips)));
+  });
+});
+
+describe('getState', () => {
+  it('finds a state by its code only', () => {
+    assert.deepEqual(getState(' ca '), { code: 'CA', name: 'California', fips: '06', type: 'state' });
+    assert.equal(getState('California'), null);
+    assert.equal(getState(null), null);
+  });
+});
+
+describe('findState', () => {
+  it('recognizes codes, names and FIPS codes in any case', () => {
+    for (const value of ['CA', 'ca', 'California', ' CALIFORNIA ', '06', '6', 6]) {
+      assert.equal(findState(value).code, 'CA', value);
+    }
+  });
+
+  it('knows the other spellings forms use', () => {
+    assert.equal(findState('Washington, D.C.').code, 'DC');
+    assert.equal(findState('US Virgin Islands').code, 'VI');
+    assert.equal(findState('u.s. virgin  islands').code, 'VI');
+    assert.equal(findState('Armed Forces Europe').code, 'AE');
+  });
+
+  it('gives null for anything else', () => {
+    assert.equal(findState(''), null);
+    assert.equal(findState(undefined), null);
+    assert.equal(findState('03'), null);
+    assert.equal(findState('Cali'), null);
+  });
+});
+
+describe('zipPrefixRanges', () => {
+  it('collapses consecutive prefixes', () => {
+    assert.deepEqual(zipPrefixRanges(['91001', '90210', '90301', '90211', '09001']), [['090', '090'], ['902', '903'], ['910', '910']]);
+    assert.deepEqual(zipPrefixRanges([]), []);
+  });
+});
+
+describe('describeStates', () => {
+  it('describes each state in the data, sorted by code', () => {
+    const states = describeStates({
+      '90210': [{ city: 'Beverly Hills', state: 'CA' }],
+      '90301': [{ city: 'Inglewood', state: 'CA' }],
+      '12345': [{ city: 'Schenectady', state: 'NY' }, { city: 'Rotterdam', state: 'NY' }],
+      '99999': [{ city: 'Nowhere', state: 'ZZ' }]
+    });
+
+    assert.deepEqual(states, [
+      { code: 'CA', name: 'California', fips: '06', type: 'state', zipCount: 2, zipPrefixes: [['902', '903']] },
+      { code: 'NY', name: 'New York', fips: '36', type: 'state', zipCount: 1, zipPrefixes: [['123', '123']] },
+      { code: 'ZZ', name: null, fips: null, type: null, zipCount: 1, zipPrefixes: [['999', '999']] }
+    ]);
+  });
+});
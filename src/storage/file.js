@@ -0,0 +1,67 @@
+/**
+ * File storage adapter for ZipFill's data cache (Node)
+ *
+ * Usage:
+ *   import FileStorage from 'zip-fill/src/storage/file.js';
+ *   await zf.load(url, { storage: new FileStorage({ dir: '.cache/zip-fill' }) });
+ *
+ * Each key is stored as one JSON file in `dir`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const EXTENSION = '.json';
+
+class FileStorage {
+  constructor({ dir = path.join(process.cwd(), '.cache', 'zip-fill') } = {}) {
+    this.dir = dir;
+  }
+
+  _file(key) {
+    return path.join(this.dir, encodeURIComponent(key) + EXTENSION);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this._file(key), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return undefined;
+      throw e;
+    }
+  }
+
+  async set(key, value) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Write then rename so readers never see a partial file
+    const file = this._file(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value));
+    await fs.rename(tmp, file);
+  }
+
+  async delete(key) {
+    await fs.rm(this._file(key), { force: true });
+  }
+
+  async keys() {
+    try {
+      const files = await fs.readdir(this.dir);
+      return files
+        .filter(file => file.endsWith(EXTENSION))
+        .map(file => decodeURIComponent(file.slice(0, -EXTENSION.length)));
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    await Promise.all(keys.map(key => this.delete(key)));
+  }
+}
+
+export default FileStorage;
+export { FileStorage };
@@ -0,0 +1,45 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FileStorage from './file.js';
+
+describe('FileStorage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-fill-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores values as JSON files, one per key', async () => {
+    const storage = new FileStorage({ dir: path.join(dir, 'cache') });
+    await storage.set('full:https://cdn.test/zip-data.min.json', { version: 'v1', payload: { '90210': [] } });
+
+    assert.deepEqual(await storage.get('full:https://cdn.test/zip-data.min.json'), { version: 'v1', payload: { '90210': [] } });
+    assert.deepEqual(await storage.keys(), ['full:https://cdn.test/zip-data.min.json']);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'cache')), ['full%3Ahttps%3A%2F%2Fcdn.test%2Fzip-data.min.json.json']);
+  });
+
+  it('returns undefined and no keys before anything is stored', async () => {
+    const storage = new FileStorage({ dir: path.join(dir, 'missing') });
+    assert.equal(await storage.get('manifest'), undefined);
+    assert.deepEqual(await storage.keys(), []);
+  });
+
+  it('deletes one key or all of them', async () => {
+    const storage = new FileStorage({ dir });
+    await storage.set('shard:902:a', [1]);
+    await storage.set('shard:100:b', [2]);
+
+    await storage.delete('shard:902:a');
+    assert.deepEqual(await storage.keys(), ['shard:100:b']);
+
+    await storage.clear();
+    assert.deepEqual(await storage.keys(), []);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * IndexedDB storage adapter for ZipFill's data cache (browser)
+ *
+ * Usage:
+ *   import IndexedDBStorage from 'zip-fill/src/storage/indexeddb.js';
+ *   await zf.load(null, { storage: new IndexedDBStorage() });
+ *
+ * Storage adapters implement:
+ *   get(key) -> Promise<value|undefined>
+ *   set(key, value) -> Promise
+ *   delete(key) -> Promise
+ *   keys() -> Promise<string[]>
+ *   clear() -> Promise
+ */
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// A write isn't durable until its transaction commits, and a transaction can
+// still abort (quota, another tab) after the request itself succeeded
+function committed(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+class IndexedDBStorage {
+  constructor({ dbName = 'zip-fill', storeName = 'cache' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  _open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(this.dbName, 1);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(this.storeName)) {
+        request.result.createObjectStore(this.storeName);
+      }
+    };
+
+    this.dbPromise = promisify(request).catch(e => {
+      this.dbPromise = null;
+      throw e;
+    });
+
+    return this.dbPromise;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(this.storeName, mode).objectStore(this.storeName);
+  }
+
+  async get(key) {
+    const store = await this._store('readonly');
+    return promisify(store.get(key));
+  }
+
+  async _write(operation) {
+    const store = await this._store('readwrite');
+    const done = committed(store.transaction);
+    try {
+      operation(store);
+    } catch (e) {
+      done.catch(() => {});
+      throw e;
+    }
+    await done;
+  }
+
+  set(key, value) {
+    return this._write(store => store.put(value, key));
+  }
+
+  delete(key) {
+    return this._write(store => store.delete(key));
+  }
+
+  async keys() {
+    const store = await this._store('readonly');
+    return (await promisify(store.getAllKeys())).map(String);
+  }
+
+  clear() {
+    return this._write(store => store.clear());
+  }
+}
+
+export default IndexedDBStorage;
+export { IndexedDBStorage };
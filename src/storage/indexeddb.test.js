@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import IndexedDBStorage from './indexeddb.js';
+
+describe('IndexedDBStorage', () => {
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+  });
+
+  afterEach(() => {
+    delete globalThis.indexedDB;
+  });
+
+  it('stores, lists and deletes values', async () => {
+    const storage = new IndexedDBStorage();
+    await storage.set('manifest', { version: 'v1' });
+    await storage.set('shard:CA', { version: 'v1', payload: { '90210': [] } });
+
+    assert.deepEqual(await storage.get('manifest'), { version: 'v1' });
+    assert.deepEqual((await storage.keys()).sort(), ['manifest', 'shard:CA']);
+
+    await storage.delete('manifest');
+    assert.equal(await storage.get('manifest'), undefined);
+
+    await storage.clear();
+    assert.deepEqual(await storage.keys(), []);
+  });
+
+  it('keeps values across instances of the same database', async () => {
+    await new IndexedDBStorage({ dbName: 'shared' }).set('manifest', 'v2');
+    assert.equal(await new IndexedDBStorage({ dbName: 'shared' }).get('manifest'), 'v2');
+  });
+
+  it('resolves writes once the transaction has committed', async () => {
+    const storage = new IndexedDBStorage();
+    const events = [];
+    const open = storage._store.bind(storage);
+    storage._store = async mode => {
+      const store = await open(mode);
+      store.transaction.addEventListener('complete', () => events.push('complete'));
+      return store;
+    };
+
+    await storage.set('manifest', 'v1');
+    events.push('resolved');
+    assert.deepEqual(events, ['complete', 'resolved']);
+  });
+
+  it('rejects writes whose transaction aborts', async () => {
+    const storage = new IndexedDBStorage();
+    const open = storage._store.bind(storage);
+    storage._store = async mode => {
+      const store = await open(mode);
+      const put = store.put.bind(store);
+      store.put = (...args) => {
+        const request = put(...args);
+        store.transaction.abort();
+        return request;
+      };
+      return store;
+    };
+
+    await assert.rejects(storage.set('manifest', 'v1'));
+    delete storage._store;
+    assert.equal(await storage.get('manifest'), undefined);
+  });
+  it('rejects when IndexedDB is not available', async () => {
+    delete globalThis.indexedDB;
+    await assert.rejects(new IndexedDBStorage().get('manifest'), /IndexedDB is not available/);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Cross-field address validation
+ *
+ * Checks that a zip, city, state and county agree with each other.
+ * Shared by ZipFill.validate() and POST /api/validate so the browser and
+ * the backend enforce the same rules.
+ */
+
+import { parseZip } from './zip-parser.js';
+import { normalizeCity, normalizeState, editDistance, maxTyposFor } from './city-index.js';
+import { findState } from './states.js';
+
+const SEVERITY_RANK = { ok: 0, warning: 1, error: 2 };
+
+/**
+ * Normalize a county name, ignoring "County"/"Parish"/"Borough" suffixes
+ */
+export function normalizeCounty(county) {
+  return normalizeCity(county).replace(/ (county|parish|borough|census area|municipality)$/, '');
+}
+
+function verdict(status, severity, message = null, suggestion = null) {
+  const result = { status, severity };
+  if (message) result.message = message;
+  if (suggestion) result.suggestion = suggestion;
+  return result;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * Validate that the parts of an address agree
+ *
+ * @param {object} address - { zip, city, state, county }
+ * @param {object} sources
+ *   - lookup(zip): locations for a 5-digit zip, or null
+ *   - findCity(city, state): { city, state, zips } or null (optional)
+ * @returns {object} - { valid, severity, fields: { zip, city, state, county }, suggestions }
+ *
+ * Field status is one of 'valid', 'match', 'mismatch', 'missing',
+ * 'invalid', 'not_found' or 'unchecked'; severity is 'ok', 'warning' or 'error'.
+ */
+export function validateAddress({ zip, city, state, county } = {}, { lookup, findCity = null }) {
+  const fields = {};
+  const suggestions = [];
+  // A state select may hold the name ("California") or FIPS code ("06")
+  const known = findState(state);
+  const stateCode = known ? known.code : normalizeState(state);
+
+  const finish = () => {
+    const severity = Object.values(fields)
+      .map(field => field.severity)
+      .reduce((worst, s) => (SEVERITY_RANK[s] > SEVERITY_RANK[worst] ? s : worst), 'ok');
+
+    return { valid: severity !== 'error', severity, fields, suggestions };
+  };
+
+  // Suggest the zips of the city/state the user entered
+  const suggestCityZips = (excludeZip = null) => {
+    if (!findCity || !city || !state) return;
+
+    const entry = findCity(city, stateCode);
+    if (!entry || entry.zips.includes(excludeZip)) return;
+
+    const shown = entry.zips.slice(0, 5).join(', ') + (entry.zips.length > 5 ? ', ...' : '');
+    suggestions.push({
+      zip: entry.zips[0],
+      zips: entry.zips,
+      city: entry.city,
+      state: entry.state,
+      message: `${entry.city}, ${entry.state} uses zip ${shown}`
+    });
+  };
+
+  const checkAgainstZip = (zip5, locations) => {
+    // State
+    const states = unique(locations.map(loc => loc.state));
+    const stateMatches = state && states.includes(stateCode);
+
+    if (!state) {
+      fields.state = verdict('missing', 'warning', 'State is missing');
+    } else if (stateMatches) {
+      fields.state = verdict('match', 'ok');
+    } else {
+      fields.state = verdict('mismatch', 'error', `${zip5} is in ${states.join(' or ')}, not ${state}`, states[0]);
+    }
+
+    // City, compared against the zip's locations in the entered state when it matched
+    const candidates = stateMatches
+      ? locations.filter(loc => loc.state === stateCode)
+      : locations;
+    let matched = null;
+
+    if (!city) {
+      fields.city = verdict('missing', 'warning', 'City is missing');
+    } else {
+      const cityInput = normalizeCity(city);
+      matched = candidates.find(loc => normalizeCity(loc.city) === cityInput) || null;
+      const acceptable = matched ? null : candidates.find(loc =>
+        (loc.acceptableCities || []).some(name => normalizeCity(name) === cityInput));
+
+      if (matched) {
+        fields.city = verdict('match', 'ok');
+      } else if (acceptable) {
+        // USPS accepts the name, but it isn't the preferred one
+        matched = acceptable;
+        fields.city = verdict('match', 'ok', `${acceptable.city} is the preferred name`, acceptable.city);
+      } else {
+        const nearest = candidates
+          .map(loc => ({ loc, distance: editDistance(cityInput, normalizeCity(loc.city)) }))
+          .sort((a, b) => a.distance - b.distance)[0];
+
+        if (nearest.distance <= maxTyposFor(cityInput.length)) {
+          // Probably a typo of the right city
+          matched = nearest.loc;
+          fields.city = verdict('mismatch', 'warning', `Did you mean ${nearest.loc.city}?`, nearest.loc.city);
+        } else {
+          const cities = unique(candidates.map(loc => loc.city));
+          fields.city = verdict('mismatch', 'error', `${city} is not in ${zip5}`, cities[0]);
+        }
+      }
+    }
+
+    // County (optional)
+    const counties = unique((matched ? [matched] : candidates).map(loc => loc.county).filter(Boolean));
+
+    if (!county) {
+      fields.county = verdict('missing', 'ok');
+    } else if (!counties.length) {
+      // Data bundled without counties
+      fields.county = verdict('unchecked', 'ok');
+    } else {
+      const countyInput = normalizeCounty(county);
+
+      fields.county = counties.some(c => normalizeCounty(c) === countyInput)
+        ? verdict('match', 'ok')
+        : verdict('mismatch', 'warning', `${zip5} is in ${counties.join(' or ')} County`, counties[0]);
+    }
+
+    // Consistent alternatives when the city or state contradicts the zip
+    if (fields.city.status === 'mismatch' || fields.state.status === 'mismatch') {
+      const options = fields.city.status === 'mismatch' && fields.city.severity === 'warning'
+        ? [matched]
+        : candidates;
+
+      for (const loc of options) {
+        suggestions.push({
+          zip: zip5,
+          city: loc.city,
+          state: loc.state,
+          county: loc.county,
+          message: `Did you mean ${loc.city}, ${loc.state}?`
+        });
+      }
+
+      suggestCityZips(zip5);
+    }
+  };
+
+  const parsed = parseZip(zip);
+
+  if (!parsed.valid) {
+    fields.zip = parsed.reason === 'empty'
+      ? verdict('missing', 'error', 'Zip code is required')
+      : verdict('invalid', 'error', `"${zip}" is not a valid zip code`);
+  } else {
+    const locations = lookup(parsed.zip);
+
+    if (!locations || !locations.length) {
+      fields.zip = verdict('not_found', 'error', `${parsed.zip} is not a known zip code`);
+    } else {
+      fields.zip = verdict('valid', 'ok');
+      checkAgainstZip(parsed.zip, locations);
+    }
+  }
+
+  if (fields.zip.severity === 'error') {
+    fields.city = verdict('unchecked', 'ok');
+    fields.state = verdict('unchecked', 'ok');
+    fields.county = verdict('unchecked', 'ok');
+    suggestCityZips();
+  }
+
+  return finish();
+}
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCounty, validateAddress } from './validate.js';
+import { buildCityIndex, cityKey } from './city-index.js';
+
+const DATA = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles', acceptableCities: ['Bev Hills'] }],
+  '78701': [{ city: 'Austin', state: 'TX', county: 'Travis' }],
+  '12345': [
+    { city: 'Schenectady', state: 'NY', county: 'Schenectady' },
+    { city: 'Rotterdam', state: 'NY', county: 'Schenectady' }
+  ],
+  '99559': [{ city: 'Bethel', state: 'AK', county: 'Bethel Census Area' }],
+  '09001': [{ city: 'Apo', state: 'AE' }]
+};
+
+const cities = buildCityIndex(DATA);
+const sources = {
+  lookup: zip => DATA[zip] || null,
+  findCity: (city, state) => cities.get(cityKey(city, state)) || null
+};
+
+function validate(address) {
+  return validateAddress(address, sources);
+}
+
+describe('normalizeCounty', () => {
+  it('ignores county-type suffixes and "St." spellings', () => {
+    assert.equal(normalizeCounty('Los Angeles County'), 'los angeles');
+    assert.equal(normalizeCounty('Orleans Parish'), 'orleans');
+    assert.equal(normalizeCounty('Bethel Census Area'), 'bethel');
+    assert.equal(normalizeCounty('St. Louis'), normalizeCounty('Saint Louis County'));
+  });
+});
+
+describe('validateAddress', () => {
+  it('accepts an address whose parts agree', () => {
+    const result = validate({ zip: '90210-1234', city: 'beverly hills', state: 'ca', county: 'Los Angeles County' });
+    assert.equal(result.valid, true);
+    assert.equal(result.severity, 'ok');
+    assert.deepEqual(Object.values(result.fields).map(field => field.status), ['valid', 'match', 'match', 'match']);
+    assert.deepEqual(result.suggestions, []);
+  });
+
+  it('accepts a USPS alternative city name and gives the preferred one', () => {
+    const { fields } = validate({ zip: '90210', city: 'Bev Hills', state: 'CA' });
+    assert.deepEqual(fields.city, { status: 'match', severity: 'ok', message: 'Beverly Hills is the preferred name', suggestion: 'Beverly Hills' });
+  });
+
+  it('warns about a probable typo in the city', () => {
+    const result = validate({ zip: '90210', city: 'Beverley Hills', state: 'CA' });
+    assert.equal(result.valid, true);
+    assert.equal(result.severity, 'warning');
+    assert.equal(result.fields.city.message, 'Did you mean Beverly Hills?');
+    assert.deepEqual(result.suggestions.map(s => s.message), ['Did you mean Beverly Hills, CA?']);
+  });
+
+  it('recognizes a state by name or FIPS code', () => {
+    for (const state of ['California', '06', '6']) {
+      const { fields } = validate({ zip: '90210', city: 'Beverly Hills', state });
+      assert.equal(fields.state.status, 'match', state);
+      assert.equal(fields.city.status, 'match', state);
+    }
+    assert.equal(validate({ zip: '90210', city: 'Beverly Hills', state: 'Texas' }).fields.state.message, '90210 is in CA, not Texas');
+    assert.equal(validate({ zip: '55555', city: 'Austin', state: '48' }).suggestions[0].zip, '78701');
+  });
+
+  it('rejects a city and state from another zip and suggests both fixes', () => {
+    const result = validate({ zip: '90210', city: 'Austin', state: 'TX' });
+    assert.equal(result.valid, false);
+    assert.equal(result.fields.state.message, '90210 is in CA, not TX');
+    assert.equal(result.fields.city.message, 'Austin is not in 90210');
+    assert.deepEqual(result.suggestions.map(s => s.message), [
+      'Did you mean Beverly Hills, CA?',
+      'Austin, TX uses zip 78701'
+    ]);
+  });
+
+  it('checks every city of a multi-city zip', () => {
+    assert.equal(validate({ zip: '12345', city: 'Rotterdam', state: 'NY' }).valid, true);
+  });
+
+  it('warns about a county mismatch and missing fields', () => {
+    const result = validate({ zip: '99559', county: 'Nome' });
+    assert.equal(result.valid, true);
+    assert.equal(result.fields.county.status, 'mismatch');
+    assert.equal(result.fields.county.suggestion, 'Bethel Census Area');
+    assert.equal(result.fields.city.status, 'missing');
+    assert.equal(result.fields.state.status, 'missing');
+  });
+
+  it('leaves the county unchecked when the data has none', () => {
+    assert.equal(validate({ zip: '09001', city: 'APO', state: 'AE', county: 'Anywhere' }).fields.county.status, 'unchecked');
+  });
+
+  it('rejects a missing, invalid or unknown zip and suggests the zips of the city', () => {
+    assert.equal(validate({}).fields.zip.message, 'Zip code is required');
+    assert.equal(validate({ zip: '9021' }).fields.zip.status, 'invalid');
+
+    const result = validate({ zip: '55555', city: 'Austin', state: 'TX' });
+    assert.equal(result.valid, false);
+    assert.equal(result.fields.zip.status, 'not_found');
+    assert.equal(result.fields.city.status, 'unchecked');
+    assert.deepEqual(result.suggestions, [{ zip: '78701', zips: ['78701'], city: 'Austin', state: 'TX', message: 'Austin, TX uses zip 78701' }]);
+  });
+});
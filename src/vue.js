@@ -0,0 +1,98 @@
+/**
+ * Vue binding for ZipFill (Vue 3)
+ *
+ * Usage:
+ *   <template>
+ *     <form>
+ *       <input v-model="zip" placeholder="Zip">
+ *       <select v-if="hasMultiple" @change="select(Number($event.target.value))">
+ *         <option value="">Select city...</option>
+ *         <option v-for="(loc, i) in locations" :key="i" :value="i">{{ loc.city }}, {{ loc.state }}</option>
+ *       </select>
+ *       <input v-model="city" placeholder="City">
+ *       <input v-model="state" placeholder="State">
+ *       <span v-if="loading">Loading...</span>
+ *     </form>
+ *   </template>
+ *
+ *   <script setup>
+ *   import { useZipFill } from 'zip-fill/src/vue.js';
+ *
+ *   const { zip, city, state, hasMultiple, locations, selectedIndex, loading } = useZipFill();
+ *   </script>
+ */
+
+import { computed, getCurrentScope, onScopeDispose, shallowRef } from 'vue';
+import { instance } from './index.js';
+import { AddressModel } from './address-model.js';
+
+/**
+ * Reactive address state that fills city, state and county from the zip
+ * @param {object} options
+ *   - zipFill: ZipFill instance (default: the shared instance)
+ *   - url, loadOptions: passed to zipFill.load()
+ *   - overwriteUserEdits: fill fields the user has edited (default false)
+ *   - initial: { zip, city, state, county } starting values; the zip is
+ *     looked up once url has loaded
+ * @returns {object} - Writable refs zip, city, state, county and
+ *   selectedIndex (for v-model), read-only refs for the rest of the state,
+ *   and select, reset
+ */
+export function useZipFill({
+  zipFill = instance,
+  url = null,
+  loadOptions = {},
+  overwriteUserEdits = false,
+  initial = {}
+} = {}) {
+  const model = new AddressModel(zipFill, { overwriteUserEdits, initial });
+  const snapshot = shallowRef(model.getState());
+  const unsubscribe = model.subscribe(next => { snapshot.value = next; });
+
+  const field = name => computed({
+    get: () => snapshot.value[name],
+    set: value => model.setField(name, value)
+  });
+  const readonlyField = name => computed(() => snapshot.value[name]);
+
+  model.load(url, loadOptions);
+
+  // Stop listening and cancel the lookup in flight with the component
+  if (getCurrentScope()) {
+    onScopeDispose(() => {
+      unsubscribe();
+      model.abort();
+    });
+  }
+
+  return {
+    zip: computed({
+      get: () => snapshot.value.zip,
+      set: value => model.setZip(value)
+    }),
+    city: field('city'),
+    state: field('state'),
+    county: field('county'),
+    plus4: readonlyField('plus4'),
+    sources: readonlyField('sources'),
+    locations: readonlyField('locations'),
+    hasMultiple: readonlyField('hasMultiple'),
+    location: readonlyField('location'),
+    loading: readonlyField('loading'),
+    notFound: readonlyField('notFound'),
+    outsideBundle: readonlyField('outsideBundle'),
+    error: readonlyField('error'),
+    // Index of the picked location for a city <select>; the '' placeholder picks nothing
+    selectedIndex: computed({
+      get: () => {
+        const { location, locations } = snapshot.value;
+        return location ? locations.indexOf(location) : '';
+      },
+      set: value => {
+        if (value !== '') model.select(Number(value));
+      }
+    }),
+    select: location => model.select(location),
+    reset: () => model.reset()
+  };
+}
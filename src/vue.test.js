@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { render, window, type } from '../fixtures/dom.js';
+import { createApp, nextTick } from 'vue';
+import ZipFill from './index.js';
+import { useZipFill } from './vue.js';
+
+const DATA = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles' }],
+  '12345': [
+    { city: 'Schenectady', state: 'NY', county: 'Schenectady' },
+    { city: 'Rotterdam', state: 'NY', county: 'Schenectady' }
+  ]
+};
+
+// The README example
+const TEMPLATE = `
+  <form>
+    <input id="zip" v-model="zip" placeholder="Zip">
+    <select id="city-select" v-if="hasMultiple" v-model="selectedIndex">
+      <option value="">Select city...</option>
+      <option v-for="(loc, i) in locations" :key="i" :value="i">{{ loc.city }}, {{ loc.state }}</option>
+    </select>
+    <input id="city" v-model="city" placeholder="City">
+    <input id="state" v-model="state" placeholder="State">
+    <span id="loading" v-if="loading">Loading...</span>
+  </form>
+`;
+
+function pick(select, index) {
+  select.selectedIndex = index;
+  select.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+describe('useZipFill (Vue)', () => {
+  let $;
+  let app;
+  let address;
+
+  beforeEach(() => {
+    $ = render('<div id="app"></div>');
+  });
+
+  afterEach(() => {
+    if (app) app.unmount();
+    app = null;
+  });
+
+  async function mount(options = {}) {
+    app = createApp({
+      template: TEMPLATE,
+      setup() {
+        address = useZipFill({ zipFill: new ZipFill(DATA), ...options });
+        return address;
+      }
+    });
+    app.mount($('#app'));
+    await nextTick();
+  }
+
+  it('fills city and state as the zip is typed', async () => {
+    await mount();
+    type($('#zip'), '90210');
+    await nextTick();
+
+    assert.equal($('#city').value, 'Beverly Hills');
+    assert.equal($('#state').value, 'CA');
+    assert.equal(address.county.value, 'Los Angeles');
+  });
+
+  it('picks a city from the select and ignores the placeholder', async () => {
+    await mount();
+    type($('#zip'), '12345');
+    await nextTick();
+    assert.equal($('#city').value, '');
+    assert.equal(address.selectedIndex.value, '');
+
+    pick($('#city-select'), 2);
+    await nextTick();
+    assert.equal($('#city').value, 'Rotterdam');
+    assert.equal(address.selectedIndex.value, 1);
+
+    pick($('#city-select'), 0);
+    await nextTick();
+    assert.equal($('#city').value, 'Rotterdam');
+    assert.equal(address.selectedIndex.value, 1);
+  });
+
+  it('keeps fields the user has edited', async () => {
+    await mount();
+    type($('#city'), 'BH');
+    type($('#zip'), '90210');
+    await nextTick();
+
+    assert.equal($('#city').value, 'BH');
+    assert.equal($('#state').value, 'CA');
+  });
+
+  it('cancels the lookup in flight on unmount', async t => {
+    const zipFill = new ZipFill(DATA);
+    let lookupSignal;
+    await mount({ zipFill });
+    t.mock.method(zipFill, 'hasDataFor', () => false);
+    t.mock.method(zipFill, 'lookupAsync', (zip, { signal } = {}) => new Promise((resolve, reject) => {
+      lookupSignal = signal;
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+
+    type($('#zip'), '90210');
+    assert.equal(address.loading.value, true);
+    app.unmount();
+    app = null;
+    assert.equal(lookupSignal.aborted, true);
+  });
+});
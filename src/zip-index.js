@@ -0,0 +1,175 @@
+/**
+ * Enumeration indexes over zip data
+ *
+ * Sorted zip lists by state, county and prefix, so "all zips in Los Angeles
+ * County" or "all zips starting with 021" is a lookup and a slice instead
+ * of a scan of the whole dataset. Shared by ZipFill and the API server,
+ * which build one per dataset.
+ */
+
+import { normalizeState } from './city-index.js';
+import { normalizeCounty } from './validate.js';
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+const PREFIX_PATTERN = /^\d{1,5}$/;
+
+/**
+ * Check a zip prefix: 1 to 5 digits
+ */
+export function isZipPrefix(prefix) {
+  return PREFIX_PATTERN.test(String(prefix));
+}
+
+/**
+ * One page of a list
+ * @param {Array} items
+ * @param {object} options - { offset (default 0), limit (default 100, max 1000) }
+ * @returns {object} - { total, offset, limit, next, items }; next is the
+ *   offset of the following page, or null on the last page
+ */
+export function paginate(items, { offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const start = Math.max(0, Math.floor(Number(offset)) || 0);
+  const size = Math.min(Math.max(1, Math.floor(Number(limit)) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const end = start + size;
+
+  return {
+    total: items.length,
+    offset: start,
+    limit: size,
+    next: end < items.length ? end : null,
+    items: items.slice(start, end)
+  };
+}
+
+export class ZipIndex {
+  /**
+   * @param {object} data - { zip: [{city, state, county, countyFips}] }
+   */
+  constructor(data) {
+    this.data = data || {};
+    this.zips = Object.keys(this.data).sort();
+    this.states = new Map();
+
+    for (const zip of this.zips) {
+      for (const loc of this._locations(zip)) {
+        let state = this.states.get(loc.state);
+        if (!state) {
+          state = { zips: [], counties: new Map() };
+          this.states.set(loc.state, state);
+        }
+        if (state.zips[state.zips.length - 1] !== zip) state.zips.push(zip);
+
+        if (!loc.county) continue;
+
+        const key = normalizeCounty(loc.county);
+        let county = state.counties.get(key);
+        if (!county) {
+          county = { county: loc.county, state: loc.state, countyFips: null, zips: [] };
+          state.counties.set(key, county);
+        }
+        // Not every record carries the FIPS code
+        if (!county.countyFips && loc.countyFips) county.countyFips = loc.countyFips;
+        if (county.zips[county.zips.length - 1] !== zip) county.zips.push(zip);
+      }
+    }
+  }
+
+  /**
+   * Zips in a state
+   * @param {string} state - State code
+   * @returns {string[]|null} - Sorted zips, or null when the state isn't in the data
+   */
+  stateZips(state) {
+    const entry = this.states.get(normalizeState(state));
+    return entry ? entry.zips : null;
+  }
+
+  /**
+   * Find a county of a state
+   * @param {string} state - State code
+   * @param {string} county - County name (matched as validate() does) or 5-digit county FIPS code
+   * @returns {object|null} - { county, state, countyFips, zips }, zips sorted
+   */
+  county(state, county) {
+    const entry = this.states.get(normalizeState(state));
+    if (!entry || !county) return null;
+
+    const text = String(county).trim();
+    if (/^\d{5}$/.test(text)) {
+      return [...entry.counties.values()].find(c => c.countyFips === text) || null;
+    }
+    return entry.counties.get(normalizeCounty(text)) || null;
+  }
+
+  /**
+   * Counties of a state, or of every state
+   * @param {string} [state] - State code
+   * @returns {object[]|null} - [{ county, state, countyFips, zipCount }] by state then
+   *   county, or null when the state isn't in the data
+   */
+  counties(state = null) {
+    let states;
+    if (state) {
+      const code = normalizeState(state);
+      if (!this.states.has(code)) return null;
+      states = [code];
+    } else {
+      states = [...this.states.keys()].sort();
+    }
+
+    return states.flatMap(code => [...this.states.get(code).counties.values()]
+      .sort((a, b) => a.county.localeCompare(b.county))
+      .map(({ county, state, countyFips, zips }) => ({ county, state, countyFips, zipCount: zips.length })));
+  }
+
+  /**
+   * Zips starting with a prefix ('021' gives 02101 to 02199)
+   * @param {string} prefix - 1 to 5 digits
+   * @returns {string[]} - Sorted zips; empty for an invalid prefix
+   */
+  prefixZips(prefix) {
+    if (!isZipPrefix(prefix)) return [];
+    const text = String(prefix);
+    const start = this._firstAtLeast(text);
+    let end = start;
+    while (end < this.zips.length && this.zips[end].startsWith(text)) end++;
+    return this.zips.slice(start, end);
+  }
+
+  /**
+   * A zip for a list: its city, state and county, from the location in
+   * the given state when it has several
+   * @returns {object} - { zip, city, state, county }
+   */
+  describe(zip, state = null) {
+    const locations = this._locations(zip);
+    const code = state ? normalizeState(state) : null;
+    const loc = (code && locations.find(l => l.state === code)) || locations[0];
+    return { zip, city: loc.city, state: loc.state, county: loc.county || null };
+  }
+
+  _locations(zip) {
+    const value = this.data[zip];
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Index of the first zip >= value (binary search)
+   */
+  _firstAtLeast(value) {
+    let low = 0;
+    let high = this.zips.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.zips[mid] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+}
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipIndex, paginate, isZipPrefix, MAX_PAGE_SIZE } from './zip-index.js';
+
+const DATA = {
+  '90210': [{ city: 'Beverly Hills', state: 'CA', county: 'Los Angeles', countyFips: '06037' }],
+  '90001': [{ city: 'Los Angeles', state: 'CA', county: 'Los Angeles County' }],
+  '94103': [{ city: 'San Francisco', state: 'CA', county: 'San Francisco' }],
+  '63005': [{ city: 'Chesterfield', state: 'MO', county: 'St. Louis', countyFips: '29189' }],
+  '63101': [{ city: 'Saint Louis', state: 'MO', county: 'St. Louis City' }],
+  '99559': [{ city: 'Bethel', state: 'AK', county: 'Bethel Census Area' }],
+  '42223': [
+    { city: 'Fort Campbell', state: 'KY', county: 'Christian' },
+    { city: 'Fort Campbell', state: 'TN', county: 'Montgomery' }
+  ],
+  '09001': [{ city: 'Apo', state: 'AE', county: '' }]
+};
+
+describe('isZipPrefix', () => {
+  it('takes 1 to 5 digits', () => {
+    assert.equal(isZipPrefix('0'), true);
+    assert.equal(isZipPrefix('021'), true);
+    assert.equal(isZipPrefix(90210), true);
+    assert.equal(isZipPrefix(''), false);
+    assert.equal(isZipPrefix('902101'), false);
+    assert.equal(isZipPrefix('9a'), false);
+  });
+});
+
+describe('paginate', () => {
+  const items = Array.from({ length: 250 }, (_, i) => i);
+
+  it('gives one page and the offset of the next', () => {
+    assert.deepEqual({ ...paginate(items), items: undefined }, { total: 250, offset: 0, limit: 100, next: 100, items: undefined });
+    const last = paginate(items, { offset: 200, limit: 100 });
+    assert.equal(last.next, null);
+    assert.deepEqual(last.items, items.slice(200));
+  });
+
+  it('clamps the offset and limit', () => {
+    assert.equal(paginate(items, { offset: -5 }).offset, 0);
+    assert.equal(paginate(items, { limit: 0 }).limit, 100);
+    assert.equal(paginate(items, { limit: 5000 }).limit, MAX_PAGE_SIZE);
+    assert.deepEqual(paginate(items, { offset: 300 }).items, []);
+  });
+});
+
+describe('ZipIndex', () => {
+  const index = new ZipIndex(DATA);
+
+  it('lists the zips of a state, sorted', () => {
+    assert.deepEqual(index.stateZips('ca'), ['90001', '90210', '94103']);
+    assert.deepEqual(index.stateZips('TN'), ['42223']);
+    assert.equal(index.stateZips('TX'), null);
+  });
+
+  it('finds counties however they are spelled', () => {
+    assert.deepEqual(index.county('CA', 'los angeles county'), { county: 'Los Angeles County', state: 'CA', countyFips: '06037', zips: ['90001', '90210'] });
+    assert.deepEqual(index.county('MO', 'Saint Louis').zips, ['63005']);
+    assert.deepEqual(index.county('MO', 'St Louis City').zips, ['63101']);
+    assert.deepEqual(index.county('AK', 'Bethel').zips, ['99559']);
+    assert.deepEqual(index.county('MO', '29189').zips, ['63005']);
+    assert.equal(index.county('MO', 'Travis'), null);
+    assert.equal(index.county('TX', 'Travis'), null);
+  });
+
+  it('lists counties by state, then name', () => {
+    assert.deepEqual(index.counties('MO'), [
+      { county: 'St. Louis', state: 'MO', countyFips: '29189', zipCount: 1 },
+      { county: 'St. Louis City', state: 'MO', countyFips: null, zipCount: 1 }
+    ]);
+    assert.deepEqual(index.counties().map(c => `${c.state} ${c.county}`), [
+      'AK Bethel Census Area',
+      'CA Los Angeles County',
+      'CA San Francisco',
+      'KY Christian',
+      'MO St. Louis',
+      'MO St. Louis City',
+      'TN Montgomery'
+    ]);
+    assert.equal(index.counties('TX'), null);
+  });
+
+  it('finds zips by prefix', () => {
+    assert.deepEqual(index.prefixZips('9'), ['90001', '90210', '94103', '99559']);
+    assert.deepEqual(index.prefixZips('090'), ['09001']);
+    assert.deepEqual(index.prefixZips('90210'), ['90210']);
+    assert.deepEqual(index.prefixZips('5'), []);
+    assert.deepEqual(index.prefixZips('x'), []);
+  });
+
+  it('describes a zip from the location in the given state', () => {
+    assert.deepEqual(index.describe('42223'), { zip: '42223', city: 'Fort Campbell', state: 'KY', county: 'Christian' });
+    assert.equal(index.describe('42223', 'tn').county, 'Montgomery');
+    assert.equal(index.describe('09001').county, null);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Zip code parser
+ *
+ * Shared by ZipFill and the API server so both accept and reject the
+ * same input.
+ *
+ * Accepts:
+ *   "90210", "90210-1234", "90210 1234", "902101234"
+ *   "Beverly Hills, CA 90210-1234" (trailing zip of an address line, after
+ *   a space or comma)
+ *
+ * Never pads: "1234" is rejected rather than guessed as "01234".
+ */
+
+// Separators allowed between the zip and the +4 (hyphen, en/em dash, space)
+const SEPARATOR = /[\s\-–—]+/;
+
+function invalid(reason) {
+  return { zip: null, plus4: null, valid: false, reason };
+}
+
+function valid(zip, plus4 = null) {
+  return { zip, plus4, valid: true, reason: null };
+}
+
+/**
+ * Parse a zip or ZIP+4 string
+ * @param {string|number} input
+ * @returns {object} - { zip, plus4, valid, reason }
+ *
+ * reason is null when valid, otherwise one of:
+ *   'empty', 'missing_zip', 'invalid_characters', 'too_short',
+ *   'too_long', 'invalid_plus4', 'ambiguous'
+ */
+export function parseZip(input) {
+  if (input === null || input === undefined) return invalid('empty');
+
+  const raw = String(input).trim();
+  if (!raw) return invalid('empty');
+
+  let candidate = raw;
+  if (/[a-z]/i.test(raw)) {
+    // Address line: the zip ends it, set off by a space or comma ("CA 90210");
+    // digits run into other text ("abc12345", "Apt#90210", "90210x") are ambiguous
+    candidate = /[\d\s\-–—]*$/.exec(raw)[0];
+    const before = raw.slice(0, raw.length - candidate.length);
+
+    if (!/\d/.test(candidate)) return invalid(/\d[a-z]+$/i.test(raw) ? 'ambiguous' : 'missing_zip');
+    if (!/^\s/.test(candidate) && !before.endsWith(',')) return invalid('ambiguous');
+  }
+
+  if (!/^[\d\s\-–—]+$/.test(candidate)) {
+    return invalid('invalid_characters');
+  }
+
+  const groups = candidate.split(SEPARATOR).filter(Boolean);
+  if (!groups.length) return invalid('missing_zip');
+
+  if (groups.length === 1) {
+    const digits = groups[0];
+    if (digits.length === 5) return valid(digits);
+    if (digits.length === 9) return valid(digits.slice(0, 5), digits.slice(5));
+    if (digits.length < 5) return invalid('too_short');
+    if (digits.length > 9) return invalid('too_long');
+    return invalid('ambiguous');
+  }
+
+  if (groups.length === 2 && groups[0].length === 5) {
+    if (groups[1].length === 4) return valid(groups[0], groups[1]);
+    if (groups[1].length < 4) return invalid('invalid_plus4');
+  }
+
+  return invalid('ambiguous');
+}
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseZip } from './zip-parser.js';
+
+function reason(input) {
+  return parseZip(input).reason;
+}
+
+describe('parseZip', () => {
+  it('accepts 5-digit zips and ZIP+4 with any separator', () => {
+    assert.deepEqual(parseZip('90210'), { zip: '90210', plus4: null, valid: true, reason: null });
+    for (const input of ['90210-1234', '90210 1234', '902101234', '90210 – 1234', ' 90210—1234 ']) {
+      assert.deepEqual(parseZip(input), { zip: '90210', plus4: '1234', valid: true, reason: null }, input);
+    }
+  });
+
+  it('accepts numbers but never pads them', () => {
+    assert.equal(parseZip(90210).zip, '90210');
+    assert.equal(reason(1234), 'too_short');
+    assert.equal(reason('1234'), 'too_short');
+  });
+
+  it('takes the zip at the end of an address line', () => {
+    assert.deepEqual(parseZip('Beverly Hills, CA 90210-1234'), { zip: '90210', plus4: '1234', valid: true, reason: null });
+    assert.equal(parseZip('Austin, TX,78701').zip, '78701');
+    assert.equal(parseZip('New York NY 10001').zip, '10001');
+  });
+
+  it('rejects digits run into other text', () => {
+    assert.equal(reason('abc12345'), 'ambiguous');
+    assert.equal(reason('Apt#90210'), 'ambiguous');
+    assert.equal(reason('90210x'), 'ambiguous');
+    assert.equal(reason('CA-90210'), 'ambiguous');
+  });
+
+  it('explains why other input is invalid', () => {
+    assert.equal(reason(null), 'empty');
+    assert.equal(reason('   '), 'empty');
+    assert.equal(reason('Beverly Hills, CA'), 'missing_zip');
+    assert.equal(reason('90210#'), 'invalid_characters');
+    assert.equal(reason('9021012345'), 'too_long');
+    assert.equal(reason('9021012'), 'ambiguous');
+    assert.equal(reason('90210-12'), 'invalid_plus4');
+    assert.equal(reason('90210-12345'), 'ambiguous');
+    assert.equal(reason('902 10'), 'ambiguous');
+  });
+});